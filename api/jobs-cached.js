@@ -2,13 +2,32 @@
  * Fast cached jobs API - serves scraped jobs from Vercel KV.
  * This endpoint is fast (no scraping) and returns cached results.
  * 
- * Usage: GET /api/jobs-cached?q=data+analyst
+ * Usage: GET /api/jobs-cached?q=data+analyst   (boolean query: "phrases", AND/OR/NOT, -term, title:/company:/location:)
+ *        GET /api/jobs-cached?q=data+analyst&pageSize=30   (first page + `nextCursor`; then &cursor=<nextCursor>)
+ *        GET /api/jobs-cached?fields=id,title,company,url,date,source   (light list; full job via /api/jobs-detail?id=)
+ *        GET /api/jobs-cached?skills=sql,dbt&skillsMode=all   (tech-stack filter on `skills`; default mode any)
+ *        GET /api/jobs-cached?onlyAllowed=1   (company allowlist only; blocklisted companies are always dropped)
+ *        GET /api/jobs-cached?format=csv&fields=title,company,url,salary   (streamed download; format=ndjson for JSON lines)
+ *        GET /api/jobs-cached?saved=eu-analytics&onlyNew=1   (saved search filters; `isNew` / `firstSeenAt`, only new jobs)
+ *        GET /api/jobs-cached?saved=eu-analytics&markSeen=1   (or POST: remember the returned page, so those jobs aren't new next time)
+ *        GET /api/jobs-cached?includeDismissed=1   (keep dismissed jobs, flagged `dismissed: true`; hidden by default)
+ *        GET /api/jobs-cached?user=alex   (jobs alex tracks in /api/jobs-tracker get `tracked: { status, updatedAt }`; UI_SECRET if set)
  * 
  * Returns cached jobs from headless scraping (stored by headless-scrape-all-portals).
  * If cache is empty or expired, returns empty array (call /api/headless-scrape-all-portals?force=1 to refresh).
  */
 
 const { kv } = require('@vercel/kv');
+const { parseFields, projectJobs } = require('../lib/jobs/util');
+const { parsePaging, firstPage, nextPage } = require('../lib/jobs/resultset');
+const { extractSkills, parseSkillsFilter, skillsFilterMatch } = require('../lib/jobs/skills');
+const { compileQuery } = require('../lib/jobs/query');
+const { loadCompanyLists, companyMatcher, applyCompanyLists } = require('../lib/jobs/companies');
+const { loadDismissed, applyDismissed } = require('../lib/jobs/dismissed');
+const { applySavedSearch } = require('../lib/jobs/saved-searches');
+const { wantsSeenRecorded, markSeenJobs, recordSeenJobs } = require('../lib/jobs/seen');
+const { trackerUserParam, flagTracked } = require('../lib/jobs/tracker');
+const { parseExportFormat, streamExport } = require('../lib/jobs/export');
 
 const CACHE_KEY = 'jobs:scraped:all';
 
@@ -18,8 +37,8 @@ function hasKv() {
 
 module.exports = async (req, res) => {
 	res.setHeader('Access-Control-Allow-Origin', '*');
-	res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-	res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+	res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+	res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-UI-Secret');
 	res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate=600');
 	if (req.method === 'OPTIONS') return res.status(200).end();
 	
@@ -33,8 +52,34 @@ module.exports = async (req, res) => {
 	}
 	
 	try {
+		// ?saved=<id>: the saved search's q / skills / onlyAllowed (explicit params win)
+		const saved = await applySavedSearch(req);
+		const onlyNew = ['1', 'true'].includes(String((req.query && req.query.onlyNew) || '').toLowerCase());
+		if (onlyNew && !saved) return res.status(400).json({ ok: false, error: 'onlyNew needs ?saved=<id> (new is tracked per saved search)' });
+		// ?user=<handle>: flag the jobs that user tracks; both are per-client state, so never in a shared cache
+		const trackerUser = trackerUserParam(req);
+		if (saved || trackerUser) res.setHeader('Cache-Control', 'private, no-store');
+		const recordSeen = Boolean(saved) && wantsSeenRecorded(req);
+
+		// Cursor pagination: later pages come from the stored result set, not the (possibly refreshed) cache
+		const fields = parseFields(req.query && req.query.fields);
+		const skillsFilter = parseSkillsFilter(req.query || {});
+		const query = compileQuery(req.query && req.query.q);
+		// ?format=csv|ndjson: the whole list as a download (no paging)
+		const exportFormat = parseExportFormat(req.query && req.query.format);
+		// Pages and cursors belong to one client's walk through a stored result set: keep them out of shared caches
+		if (req.query && (req.query.cursor != null || req.query.pageSize != null)) res.setHeader('Cache-Control', 'private, no-store');
+		const paging = exportFormat ? null : parsePaging(req.query);
+		if (paging && paging.cursor) {
+			const { page, meta } = await nextPage('cached', req.query || {}, paging);
+			const pageJobs = trackerUser ? (await flagTracked(trackerUser, page.jobs)).jobs : page.jobs;
+			if (recordSeen) meta.seen = { ...meta.seen, recorded: await recordSeenJobs(saved.id, page.jobs) };
+			return res.status(200).json({ ok: true, ...meta, count: page.jobs.length, total: page.total, pageSize: page.pageSize, nextCursor: page.nextCursor, jobs: projectJobs(pageJobs, fields) });
+		}
+
 		const cached = await kv.get(CACHE_KEY);
 		if (!cached || !cached.jobs || !Array.isArray(cached.jobs)) {
+			if (exportFormat) return streamExport(res, exportFormat, [], fields, (query && query.source) || '');
 			return res.status(200).json({
 				ok: true,
 				count: 0,
@@ -44,15 +89,36 @@ module.exports = async (req, res) => {
 			});
 		}
 		
-		// Filter by query if provided
-		const q = (req.query && req.query.q) ? String(req.query.q).toLowerCase().trim() : '';
-		let jobs = cached.jobs;
-		if (q) {
-			jobs = jobs.filter(job => {
-				const title = String(job.title || '').toLowerCase();
-				const company = String(job.company || '').toLowerCase();
-				return title.includes(q) || company.includes(q);
-			});
+		// Jobs cached before skill tagging get their skills here
+		let jobs = cached.jobs.map(job => (Array.isArray(job.skills) ? job : { ...job, skills: extractSkills(job.title, job.description) }));
+		if (skillsFilter) jobs = jobs.filter(job => skillsFilterMatch(job.skills, skillsFilter).ok);
+		if (query) jobs = jobs.filter(job => query.test(job));
+		// Lists may have changed since the jobs were cached; a KV outage doesn't fail the request
+		const onlyAllowed = ['1', 'true'].includes(String((req.query && req.query.onlyAllowed) || '').toLowerCase());
+		const companyLists = await loadCompanyLists().catch(e => ({ block: [], allow: [], source: 'error', error: e.message }));
+		jobs = applyCompanyLists(jobs, companyMatcher(companyLists), { onlyAllowed });
+		// Dismissed ("not interested") jobs: hidden unless ?includeDismissed=1 (a KV outage hides nothing).
+		// The result depends on the dismissed set, so it stays out of shared caches once anything is dismissed.
+		const includeDismissed = ['1', 'true'].includes(String((req.query && req.query.includeDismissed) || '').toLowerCase());
+		let dismissedError;
+		const dismissedIds = await loadDismissed().catch((e) => {
+			dismissedError = e.message;
+			return new Set();
+		});
+		if (dismissedIds.size || dismissedError) res.setHeader('Cache-Control', 'private, no-store');
+		const dismissedResult = applyDismissed(jobs, dismissedIds, { include: includeDismissed });
+		jobs = dismissedResult.jobs;
+		let seen;
+		if (saved) {
+			const marked = await markSeenJobs(saved.id, jobs);
+			jobs = onlyNew ? marked.jobs.filter(j => j.isNew) : marked.jobs;
+			seen = { newCount: marked.newCount, firstCheck: marked.firstCheck, recorded: null, onlyNew };
+		}
+		let tracker;
+		if (trackerUser) {
+			const flagged = await flagTracked(trackerUser, jobs);
+			jobs = flagged.jobs;
+			tracker = { user: trackerUser, tracked: flagged.count };
 		}
 		const sources = Array.from(new Set(jobs.map(j => j.source).filter(Boolean))).sort();
 		const sourceCounts = {};
@@ -60,10 +126,7 @@ module.exports = async (req, res) => {
 			const src = j.source || 'unknown';
 			sourceCounts[src] = (sourceCounts[src] || 0) + 1;
 		});
-		return res.status(200).json({
-			ok: true,
-			count: jobs.length,
-			jobs,
+		const meta = {
 			sources,
 			sourceCounts,
 			cached: true,
@@ -71,9 +134,32 @@ module.exports = async (req, res) => {
 			query: cached.query || '',
 			days: cached.days || 3,
 			location: cached.location || 'remote',
+			skillsFilter,
+			companyLists: { block: companyLists.block.length, allow: companyLists.allow.length, source: companyLists.source, onlyAllowed, ...(companyLists.error ? { error: companyLists.error } : {}) },
+			dismissed: { count: dismissedResult.count, included: includeDismissed, ...(dismissedError ? { error: dismissedError } : {}) },
+			...(saved ? { saved: { id: saved.id, name: saved.name }, seen } : {}),
+			...(tracker ? { tracker } : {}),
 			totalCached: cached.jobs.length
+		};
+		// POST / ?markSeen=1: remember just the jobs this response returns (the first page when paginated)
+		if (exportFormat) {
+			if (recordSeen) await recordSeenJobs(saved.id, jobs);
+			return streamExport(res, exportFormat, jobs, fields, saved ? saved.name : (query && query.source) || cached.query);
+		}
+		if (paging) {
+			const page = await firstPage('cached', req.query || {}, paging, jobs, meta);
+			if (recordSeen) seen.recorded = await recordSeenJobs(saved.id, page.jobs);
+			return res.status(200).json({ ok: true, ...meta, count: page.jobs.length, total: page.total, pageSize: page.pageSize, nextCursor: page.nextCursor, jobs: projectJobs(page.jobs, fields) });
+		}
+		if (recordSeen) seen.recorded = await recordSeenJobs(saved.id, jobs);
+		return res.status(200).json({
+			ok: true,
+			count: jobs.length,
+			jobs: projectJobs(jobs, fields),
+			...meta
 		});
 	} catch (e) {
+		if (e.status) return res.status(e.status).json({ ok: false, error: e.message });
 		return res.status(500).json({
 			ok: false,
 			error: 'Failed to fetch cached jobs',
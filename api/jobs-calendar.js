@@ -0,0 +1,49 @@
+/**
+ * iCalendar (.ics) feed of a user's tracker events: application deadlines, interviews and follow-up
+ * reminders (lib/jobs/tracker.js, rendered by lib/jobs/ical.js). Subscribe to it from Google Calendar,
+ * Apple Calendar or Outlook.
+ *
+ * Usage:
+ *   /api/jobs-calendar?user=alex&token=3f9c…      (the exact URL is `calendarUrl` in GET /api/jobs-tracker?user=alex)
+ *
+ * The feed needs `token` (an HMAC of the user with UI_SECRET; calendar apps can't send headers) or the secret
+ * itself. Without UI_SECRET there is nothing to derive a token from and a handle is easy to guess, so the feed
+ * is not served (503). Without KV the calendar is empty.
+ */
+
+const crypto = require('crypto');
+const { calendarToken, listTracked, checkUser } = require('../lib/jobs/tracker');
+const { renderCalendar } = require('../lib/jobs/ical');
+const { canWrite } = require('../lib/jobs/request');
+
+function tokenMatches(user, token) {
+	const expected = calendarToken(user);
+	const given = String(token || '');
+	return given.length === expected.length && crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+}
+
+module.exports = async (req, res) => {
+	res.setHeader('Access-Control-Allow-Origin', '*');
+	res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+	res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-UI-Secret');
+	res.setHeader('Cache-Control', 'private, max-age=300');
+	if (req.method === 'OPTIONS') return res.status(200).end();
+	if (req.method !== 'GET' && req.method !== 'HEAD') return res.status(405).json({ ok: false, error: 'Method not allowed' });
+
+	if (!process.env.UI_SECRET) return res.status(503).json({ ok: false, error: 'Calendar feeds need UI_SECRET (the feed token is derived from it)' });
+
+	const q = req.query || {};
+	try {
+		const user = checkUser(q.user);
+		if (!tokenMatches(user, q.token) && !canWrite(req)) return res.status(401).json({ ok: false, error: 'Invalid or missing token' });
+		const entries = await listTracked(user);
+		const host = (req.headers && (req.headers['x-forwarded-host'] || req.headers.host)) || '';
+		const body = renderCalendar(user, entries, { host: String(host).split(':')[0] });
+		res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+		res.setHeader('Content-Disposition', 'inline; filename="jobs-' + user + '.ics"');
+		return res.status(200).send(body);
+	} catch (e) {
+		if (e.status) return res.status(e.status).json({ ok: false, error: e.message });
+		return res.status(500).json({ ok: false, error: 'Failed to build calendar', message: e.message });
+	}
+};
@@ -0,0 +1,42 @@
+/**
+ * Company blocklist / allowlist used by /api/jobs-snapshot, /api/jobs-cached and /api/jobs-refresh.
+ *
+ * Usage:
+ *   GET    /api/jobs-companies                                          (both lists + where they came from)
+ *   POST   /api/jobs-companies?list=block&name=Acme%20Talent&reason=agency   (or a JSON body { list, name, reason })
+ *   DELETE /api/jobs-companies?list=block&name=Acme%20Talent
+ *
+ * Writes need Vercel KV (the bundled lib/jobs/company-lists.json is read-only) and, when UI_SECRET is
+ * set, the secret in the X-UI-Secret header or ?secret=. See lib/jobs/companies.js for the matching rules.
+ */
+
+const { loadCompanyLists, addCompany, removeCompany } = require('../lib/jobs/companies');
+const { requestParams, canWrite } = require('../lib/jobs/request');
+
+module.exports = async (req, res) => {
+	res.setHeader('Access-Control-Allow-Origin', '*');
+	res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+	res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-UI-Secret');
+	res.setHeader('Cache-Control', 'no-store');
+	if (req.method === 'OPTIONS') return res.status(200).end();
+
+	try {
+		if (req.method === 'GET') {
+			const lists = await loadCompanyLists();
+			return res.status(200).json({ ok: true, ...lists });
+		}
+		if (req.method !== 'POST' && req.method !== 'DELETE') {
+			return res.status(405).json({ ok: false, error: 'Method not allowed' });
+		}
+		if (!canWrite(req)) return res.status(401).json({ ok: false, error: 'Invalid or missing secret' });
+		const p = requestParams(req);
+		const list = String(p.list || 'block').trim().toLowerCase();
+		const lists = req.method === 'POST'
+			? await addCompany(list, p.name, p.reason)
+			: await removeCompany(list, p.name);
+		return res.status(200).json({ ok: true, ...lists });
+	} catch (e) {
+		if (e.status) return res.status(e.status).json({ ok: false, error: e.message });
+		return res.status(500).json({ ok: false, error: 'Failed to update company lists', message: e.message });
+	}
+};
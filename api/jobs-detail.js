@@ -0,0 +1,33 @@
+/**
+ * Full record (incl. description) of one job, for list views that use ?fields= on
+ * /api/jobs-snapshot, /api/jobs-cached or /api/jobs-refresh.
+ *
+ * Usage: GET /api/jobs-detail?id=remoteok_12345
+ *
+ * Looks the id up in the records saved by recent projected snapshot responses, then in the
+ * jobs-refresh KV cache (see lib/jobs/details.js). 404 when the job is unknown or has expired.
+ */
+
+const { findJobDetail } = require('../lib/jobs/details');
+
+module.exports = async (req, res) => {
+	res.setHeader('Access-Control-Allow-Origin', '*');
+	res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+	res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+	res.setHeader('Cache-Control', 's-maxage=900, stale-while-revalidate=3600');
+	if (req.method === 'OPTIONS') return res.status(200).end();
+
+	const id = (req.query && req.query.id) ? String(req.query.id).trim() : '';
+	if (!id) return res.status(400).json({ ok: false, error: 'Missing ?id=' });
+
+	try {
+		const job = await findJobDetail(id);
+		if (!job) {
+			res.setHeader('Cache-Control', 'no-store');
+			return res.status(404).json({ ok: false, error: 'Job not found (expired or never listed): ' + id });
+		}
+		return res.status(200).json({ ok: true, job });
+	} catch (e) {
+		return res.status(500).json({ ok: false, error: 'Failed to load job', message: e.message });
+	}
+};
@@ -0,0 +1,127 @@
+/**
+ * Email digest of the top-ranked jobs from /api/jobs-snapshot (or a saved search), as HTML and plain text,
+ * grouped by role tier and source (lib/jobs/digest.js). Preview it in the browser or send it by mail.
+ *
+ * Usage:
+ *   GET  /api/jobs-digest?saved=eu-analytics&period=weekly      (HTML preview; period daily = last day, weekly = 7 days)
+ *   GET  /api/jobs-digest?q=data%20analyst&top=30&format=text   (format html | text | json | eml)
+ *   POST /api/jobs-digest?saved=eu-analytics&send=1                     (send to DIGEST_TO)
+ *   POST /api/jobs-digest?saved=eu-analytics&send=1&to=me@example.com   (other recipients: only when UI_SECRET is set)
+ *
+ * Any /api/jobs-snapshot search param (q, days, profile, locPrefs, skills, minSalary, …) is passed through;
+ * explicit `days`, or the saved search's, wins over `period`. Sending (send=1, GET or POST so it can run from
+ * a cron) needs UI_SECRET when it is set (X-UI-Secret header or ?secret=); without it anyone can trigger a
+ * send, so mail then only goes to DIGEST_TO. The transport comes from the environment, never the request
+ * (see lib/jobs/mailer.js). Env: DIGEST_FROM, DIGEST_TO, DIGEST_TRANSPORT, SMTP_HOST / SMTP_PORT /
+ * SMTP_SECURE / SMTP_USER / SMTP_PASS / SMTP_ALLOW_INSECURE_AUTH, DIGEST_EML_DIR.
+ */
+
+const { clamp } = require('../lib/jobs/util');
+const { SEARCH_PARAMS, getSavedSearch } = require('../lib/jobs/saved-searches');
+const { PERIODS, renderDigest } = require('../lib/jobs/digest');
+const { buildMessage, sendMail } = require('../lib/jobs/mailer');
+const { requestParams, canWrite } = require('../lib/jobs/request');
+
+const DEFAULT_TOP = 25;
+const MAX_TOP = 100;
+const FORMATS = ['html', 'text', 'json', 'eml'];
+const DIGEST_FIELDS = 'id,title,company,location,url,source,date,dateFormatted,postedAgo,salary,salaryNormalized,skills,jobType,_roleTier,_rank';
+
+module.exports = async (req, res) => {
+	res.setHeader('Access-Control-Allow-Origin', '*');
+	res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+	res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-UI-Secret');
+	res.setHeader('Cache-Control', 'no-store');
+	if (req.method === 'OPTIONS') return res.status(200).end();
+	if (req.method !== 'GET' && req.method !== 'POST') return res.status(405).json({ ok: false, error: 'Method not allowed' });
+
+	const proto = (req.headers && req.headers['x-forwarded-proto']) || 'https';
+	const host = (req.headers && (req.headers['x-forwarded-host'] || req.headers.host)) || '';
+	const baseUrl = host ? (proto + '://' + host) : '';
+	if (!baseUrl) return res.status(500).json({ ok: false, error: 'Cannot determine base URL' });
+
+	const p = requestParams(req);
+	const period = String(p.period || 'daily').trim().toLowerCase();
+	if (!PERIODS[period]) return res.status(400).json({ ok: false, error: 'Invalid period: ' + p.period + ' (use daily or weekly)' });
+	const format = String(p.format || 'html').trim().toLowerCase();
+	if (!FORMATS.includes(format)) return res.status(400).json({ ok: false, error: 'Invalid format: ' + p.format + ' (use ' + FORMATS.join(', ') + ')' });
+	const top = clamp(parseInt(String(p.top || DEFAULT_TOP), 10) || DEFAULT_TOP, 1, MAX_TOP);
+	const send = ['1', 'true'].includes(String(p.send || '').toLowerCase());
+	if (send && !canWrite(req)) return res.status(401).json({ ok: false, error: 'Invalid or missing secret' });
+	// Custom recipients only behind UI_SECRET; otherwise this would mail anyone on request
+	if (send && p.to && !process.env.UI_SECRET) {
+		return res.status(403).json({ ok: false, error: 'Sending to "to" needs UI_SECRET; without it digests only go to DIGEST_TO' });
+	}
+
+	// Jobs: one snapshot call with the search params (a saved search's come from ?saved= there). The period
+	// only sets `days` when neither the request nor the saved search does.
+	let saved = null;
+	if (p.saved) {
+		try {
+			saved = await getSavedSearch(p.saved);
+		} catch (e) {
+			return res.status(e.status || 500).json({ ok: false, error: e.message });
+		}
+	}
+	const search = {};
+	SEARCH_PARAMS.forEach((k) => { if (p[k] != null && p[k] !== '') search[k] = String(p[k]); });
+	if (!search.days && !(saved && saved.params && saved.params.days)) search.days = String(PERIODS[period]);
+	if (!search.limit) search.limit = String(Math.max(top, 10));
+	let snapshotUrl = baseUrl + '/api/jobs-snapshot?fields=' + DIGEST_FIELDS;
+	Object.keys(search).forEach((k) => { snapshotUrl += '&' + k + '=' + encodeURIComponent(search[k]); });
+	if (p.saved) snapshotUrl += '&saved=' + encodeURIComponent(String(p.saved));
+	let snapshot;
+	try {
+		const snapRes = await fetch(snapshotUrl, { signal: AbortSignal.timeout(50000) });
+		snapshot = await snapRes.json();
+		if (!snapshot || !snapshot.ok) {
+			return res.status(snapRes.status >= 400 ? snapRes.status : 502).json({ ok: false, error: 'Snapshot failed: ' + ((snapshot && snapshot.error) || 'HTTP ' + snapRes.status) });
+		}
+	} catch (e) {
+		return res.status(502).json({ ok: false, error: 'Snapshot failed', message: e.message });
+	}
+
+	const all = Array.isArray(snapshot.jobs) ? snapshot.jobs : [];
+	const jobs = all.slice(0, top);
+	const digest = renderDigest(jobs, {
+		title: (snapshot.saved && snapshot.saved.name) || snapshot.query || '',
+		period,
+		days: snapshot.days || Number(search.days) || PERIODS[period],
+		total: all.length,
+		generatedAt: new Date().toISOString(),
+		pageUrl: baseUrl + '/pages/jobs.html'
+	});
+	const mail = {
+		from: process.env.DIGEST_FROM || 'Jobs digest <jobs-digest@' + String(host).split(':')[0] + '>',
+		to: (process.env.UI_SECRET && p.to) || process.env.DIGEST_TO || '',
+		subject: digest.subject,
+		text: digest.text,
+		html: digest.html
+	};
+
+	try {
+		if (send) {
+			if (!mail.to) return res.status(503).json({ ok: false, error: 'DIGEST_TO is not set' });
+			const info = await sendMail(mail);
+			return res.status(200).json({ ok: true, sent: true, subject: digest.subject, count: digest.count, to: mail.to, ...info });
+		}
+		if (format === 'text') {
+			res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+			return res.status(200).send(digest.text);
+		}
+		if (format === 'json') {
+			return res.status(200).json({ ok: true, subject: digest.subject, count: digest.count, total: all.length, period, groups: digest.groups.map(g => ({ tier: g.tier, label: g.label, count: g.count, sources: g.sources.map(s => ({ source: s.source, count: s.jobs.length })) })), text: digest.text, html: digest.html });
+		}
+		if (format === 'eml') {
+			const message = buildMessage({ ...mail, to: mail.to || 'you@example.com' });
+			res.setHeader('Content-Type', 'message/rfc822');
+			res.setHeader('Content-Disposition', 'attachment; filename="jobs-digest-' + period + '.eml"');
+			return res.status(200).send(message.raw);
+		}
+		res.setHeader('Content-Type', 'text/html; charset=utf-8');
+		return res.status(200).send(digest.html);
+	} catch (e) {
+		if (e.status) return res.status(e.status).json({ ok: false, error: e.message });
+		return res.status(500).json({ ok: false, error: 'Failed to send digest', message: e.message });
+	}
+};
@@ -0,0 +1,45 @@
+/**
+ * Dismissed ("not interested") jobs, hidden from /api/jobs-snapshot and /api/jobs-cached unless
+ * ?includeDismissed=1 (see lib/jobs/dismissed.js).
+ *
+ * Usage:
+ *   GET    /api/jobs-dismissed                       (all dismissed job ids)
+ *   POST   /api/jobs-dismissed?id=remotive_123       (or { "ids": ["remotive_123", "remoteok_456"] })
+ *   DELETE /api/jobs-dismissed?id=remotive_123       (show it again; also takes "ids")
+ *
+ * Writes need KV (503 otherwise; the Jobs page then keeps dismissals in localStorage) and, when UI_SECRET
+ * is set, the secret in X-UI-Secret or ?secret=.
+ */
+
+const { loadDismissed, dismissJobs, restoreJobs } = require('../lib/jobs/dismissed');
+const { requestParams, canWrite } = require('../lib/jobs/request');
+
+module.exports = async (req, res) => {
+	res.setHeader('Access-Control-Allow-Origin', '*');
+	res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+	res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-UI-Secret');
+	res.setHeader('Cache-Control', 'no-store');
+	if (req.method === 'OPTIONS') return res.status(200).end();
+
+	try {
+		if (req.method === 'GET') {
+			const ids = Array.from(await loadDismissed()).sort();
+			return res.status(200).json({ ok: true, count: ids.length, ids });
+		}
+		if (req.method !== 'POST' && req.method !== 'DELETE') {
+			return res.status(405).json({ ok: false, error: 'Method not allowed' });
+		}
+		if (!canWrite(req)) return res.status(401).json({ ok: false, error: 'Invalid or missing secret' });
+		const p = requestParams(req);
+		const input = p.ids != null ? p.ids : p.id;
+		if (req.method === 'POST') {
+			const ids = await dismissJobs(input);
+			return res.status(200).json({ ok: true, dismissed: ids });
+		}
+		const ids = await restoreJobs(input);
+		return res.status(200).json({ ok: true, restored: ids });
+	} catch (e) {
+		if (e.status) return res.status(e.status).json({ ok: false, error: e.message });
+		return res.status(500).json({ ok: false, error: 'Dismissed jobs request failed', message: e.message });
+	}
+};
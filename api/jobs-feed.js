@@ -0,0 +1,17 @@
+/**
+ * Subscribable feed of the ranked jobs list: /api/jobs-snapshot with ?format= defaulting to rss.
+ *
+ * Usage:
+ *   /api/jobs-feed?q=data%20analyst&days=3                (RSS 2.0)
+ *   /api/jobs-feed?saved=eu-analytics&format=atom         (Atom 1.0; format=jsonfeed for JSON Feed 1.1)
+ *
+ * Takes every /api/jobs-snapshot search param (q, days, limit, profile, locPrefs, skills, minSalary, saved, …).
+ */
+
+const snapshot = require('./jobs-snapshot');
+
+module.exports = async (req, res) => {
+	const format = req.query && req.query.format ? String(req.query.format).trim().toLowerCase() : '';
+	req.query = { ...(req.query || {}), format: format && format !== 'json' ? format : 'rss' };
+	return snapshot(req, res);
+};
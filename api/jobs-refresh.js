@@ -3,8 +3,28 @@
  * Stores results in KV when available so /api/jobs-snapshot can merge cached jobs.
  *
  * Usage: GET /api/jobs-refresh?q=data+analyst&days=3&location=remote
+ *        Optional ?sources=<ids or groups> — any adapter registered in lib/jobs/sources.
+ *        Optional ?fields=id,title,company,url,date,source — trims the response only (KV keeps full jobs).
+ *        Optional ?notify=0 — don't send webhooks for this refresh.
+ * The company blocklist/allowlist (lib/jobs/companies.js) applies before jobs are cached.
+ * Jobs that weren't in the previous cached result set are POSTed to the webhooks configured with
+ * /api/jobs-webhooks (lib/jobs/webhooks.js), all within NOTIFY_BUDGET_MS; the response lists the deliveries
+ * under `notifications`.
  */
 
+const { sourceNames } = require('../lib/jobs/sources');
+const { parseFields, projectJobs } = require('../lib/jobs/util');
+const { loadCompanyLists, companyMatcher, applyCompanyLists } = require('../lib/jobs/companies');
+const { loadDismissed, applyDismissed } = require('../lib/jobs/dismissed');
+const { newJobsSince, notifyWebhooks } = require('../lib/jobs/webhooks');
+
+const CACHE_KEY = 'jobs:scraped:all';
+const NOTIFY_BUDGET_MS = 15_000; // all webhook deliveries together, retries included
+
+// Optional jobs-snapshot params forwarded as-is. Not `saved`: one saved search's results would replace the
+// shared jobs:scraped:all cache (and be diffed as everyone's new jobs for webhooks)
+const SNAPSHOT_PARAMS = ['profile', 'budgetMs', 'minYoe', 'maxYoe', 'yoeStrict', 'locPrefs', 'minSalary', 'currency', 'sort', 'skills', 'skillsMode', 'onlyAllowed'];
+
 module.exports = async (req, res) => {
 	res.setHeader('Access-Control-Allow-Origin', '*');
 	res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
@@ -19,11 +39,37 @@ module.exports = async (req, res) => {
 		return res.status(500).json({ ok: false, error: 'Cannot determine base URL' });
 	}
 
-	const q = (req.query && req.query.q) ? String(req.query.q).trim() : 'data analyst';
+	// Without ?q= jobs-snapshot searches for the ?profile='s default term (headless scrapers: 'data analyst')
+	let q = (req.query && req.query.q) ? String(req.query.q).trim() : '';
 	const days = (req.query && req.query.days) ? parseInt(String(req.query.days), 10) : 3;
 	const location = (req.query && req.query.location) ? String(req.query.location).trim() : 'remote';
 	const limit = Math.min(400, parseInt(String(req.query.limit || '400'), 10) || 400);
 	const sources = (req.query && req.query.sources) ? String(req.query.sources).trim() : '';
+	const availableSources = sourceNames();
+	const unknownSources = sources
+		? sources.split(',').map(s => s.trim().toLowerCase()).filter(s => s && !availableSources.includes(s))
+		: [];
+	if (unknownSources.length) {
+		return res.status(400).json({ ok: false, error: 'Unknown sources: ' + unknownSources.join(', '), availableSources });
+	}
+
+	let fields;
+	try {
+		fields = parseFields(req.query && req.query.fields);
+	} catch (e) {
+		return res.status(e.status || 500).json({ ok: false, error: e.message });
+	}
+
+	// Previous result set, read before anything overwrites it: webhooks get the jobs that weren't in it
+	const hasKv = process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN;
+	let previousJobs = null;
+	if (hasKv) {
+		try {
+			const { kv } = require('@vercel/kv');
+			const previous = await kv.get(CACHE_KEY);
+			if (previous && Array.isArray(previous.jobs)) previousJobs = previous.jobs;
+		} catch (kvErr) { /* KV optional */ }
+	}
 
 	const headlessEnabled = String(process.env.ENABLE_HEADLESS || '').trim() === '1';
 	let jobs = [];
@@ -32,11 +78,13 @@ module.exports = async (req, res) => {
 
 	if (headlessEnabled) {
 		try {
-			const scrapeUrl = baseUrl + '/api/headless-scrape-all-portals?q=' + encodeURIComponent(q) + '&days=' + days + '&location=' + encodeURIComponent(location) + '&force=1';
+			const scrapeUrl = baseUrl + '/api/headless-scrape-all-portals?q=' + encodeURIComponent(q || 'data analyst') + '&days=' + days + '&location=' + encodeURIComponent(location) + '&force=1';
 			const response = await fetch(scrapeUrl, { signal: AbortSignal.timeout(90000) });
 			result = await response.json();
 			if (result && result.ok && Array.isArray(result.jobs)) {
-				jobs = result.jobs;
+				// Headless results skip jobs-snapshot, so the company lists are applied here
+				const onlyAllowed = ['1', 'true'].includes(String((req.query && req.query.onlyAllowed) || '').toLowerCase());
+				jobs = applyCompanyLists(result.jobs, companyMatcher(await loadCompanyLists()), { onlyAllowed });
 			}
 		} catch (e) {
 			// Fall through to snapshot
@@ -46,19 +94,26 @@ module.exports = async (req, res) => {
 	if (jobs.length === 0) {
 		// Use snapshot aggregation (RSS + RemoteOK + Remotive + WorkingNomads) so refresh always returns data
 		try {
-			let snapshotUrl = baseUrl + '/api/jobs-snapshot?q=' + encodeURIComponent(q) + '&days=' + days + '&limit=' + limit + '&location=' + encodeURIComponent(location);
-		if (sources) snapshotUrl += '&sources=' + encodeURIComponent(sources);
+			let snapshotUrl = baseUrl + '/api/jobs-snapshot?days=' + days + '&limit=' + limit + '&location=' + encodeURIComponent(location);
+			if (q) snapshotUrl += '&q=' + encodeURIComponent(q);
+			if (sources) snapshotUrl += '&sources=' + encodeURIComponent(sources);
+			SNAPSHOT_PARAMS.forEach((name) => {
+				if (req.query && req.query[name]) snapshotUrl += '&' + name + '=' + encodeURIComponent(String(req.query[name]));
+			});
+			// Dismissed jobs stay in the cache; jobs-cached hides them per request, so a dismissal can be undone
+			snapshotUrl += '&includeDismissed=1';
 			const snapRes = await fetch(snapshotUrl, { signal: AbortSignal.timeout(45000) });
 			const snapData = await snapRes.json();
 			if (snapData && snapData.ok && Array.isArray(snapData.jobs)) {
-				jobs = snapData.jobs;
+				jobs = snapData.jobs.map(({ dismissed, ...job }) => job);
 				result = snapData;
 				fromSnapshot = true;
+				q = q || snapData.query || '';
 				// Cache for jobs-snapshot to merge on next request
-				if (process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN) {
+				if (hasKv) {
 					try {
 						const { kv } = require('@vercel/kv');
-						await kv.set('jobs:scraped:all', {
+						await kv.set(CACHE_KEY, {
 							jobs,
 							sources: snapData.sources || [],
 							sourceCounts: snapData.sourceCounts || {},
@@ -77,6 +132,25 @@ module.exports = async (req, res) => {
 		}
 	}
 
+	// Webhooks: nothing on the first refresh (no previous set to diff against) or with ?notify=0
+	let notifications;
+	if (!hasKv) {
+		notifications = { skipped: 'KV not configured' };
+	} else if (String((req.query && req.query.notify) || '') === '0') {
+		notifications = { skipped: 'notify=0' };
+	} else if (!previousJobs) {
+		notifications = { skipped: 'no previous result set' };
+	} else {
+		// Dismissed jobs (or merged postings with a dismissed copy) never go out, from either path
+		const dismissedIds = await loadDismissed().catch(() => new Set());
+		const newJobs = applyDismissed(newJobsSince(previousJobs, jobs), dismissedIds).jobs;
+		try {
+			notifications = { newJobs: newJobs.length, deliveries: await notifyWebhooks(newJobs, { query: q }, { deadline: Date.now() + NOTIFY_BUDGET_MS }) };
+		} catch (e) {
+			notifications = { newJobs: newJobs.length, error: e.message };
+		}
+	}
+
 	return res.status(200).json({
 		ok: true,
 		message: fromSnapshot ? 'Fetched from RSS + APIs (snapshot)' : 'Scraping completed',
@@ -84,9 +158,11 @@ module.exports = async (req, res) => {
 		days,
 		location,
 		count: jobs.length,
-		jobs,
+		jobs: projectJobs(jobs, fields),
 		sources: result && result.sources ? result.sources : [],
 		sourceCounts: result && result.sourceCounts ? result.sourceCounts : {},
-		note: fromSnapshot ? 'Results from RemoteOK, Remotive, RSS feeds, WorkingNomads. Use /api/jobs-snapshot for same data.' : 'Results cached. Use /api/jobs-cached for fast access.'
+		availableSources,
+		notifications,
+		note: fromSnapshot ? 'Results from the registered snapshot sources (see availableSources). Use /api/jobs-snapshot for same data.' : 'Results cached. Use /api/jobs-cached for fast access.'
 	});
 };
@@ -0,0 +1,72 @@
+/**
+ * Saved searches: named /api/jobs-snapshot parameter sets stored in Vercel KV, shared by everyone using
+ * this deployment. Run one with /api/jobs-snapshot?saved=<id>.
+ *
+ * Usage:
+ *   GET    /api/jobs-saved                    (all saved searches)
+ *   GET    /api/jobs-saved?id=eu-analytics
+ *   POST   /api/jobs-saved   { "name": "EU analytics", "params": { "q": "analyst -senior", "days": "3", "locPrefs": "remote:europe" } }
+ *          (or ?name=EU%20analytics&q=analyst&days=3; `id` defaults to the slug of the name)
+ *   PUT    /api/jobs-saved?id=eu-analytics   { "name": "…", "params": { "days": "7", "skills": null } }   (merge; "replace": true to overwrite)
+ *   DELETE /api/jobs-saved?id=eu-analytics
+ *
+ * Writes need KV (503 otherwise) and, when UI_SECRET is set, the secret in X-UI-Secret or ?secret=.
+ */
+
+const {
+	SEARCH_PARAMS,
+	listSavedSearches,
+	getSavedSearch,
+	createSavedSearch,
+	updateSavedSearch,
+	deleteSavedSearch
+} = require('../lib/jobs/saved-searches');
+const { requestParams, canWrite } = require('../lib/jobs/request');
+
+// `params` from the body, else the search params given directly (?q=…&days=…)
+function paramsFrom(p) {
+	if (p.params && typeof p.params === 'object') return p.params;
+	const out = {};
+	SEARCH_PARAMS.forEach((k) => { if (p[k] != null) out[k] = p[k]; });
+	return Object.keys(out).length ? out : null;
+}
+
+module.exports = async (req, res) => {
+	res.setHeader('Access-Control-Allow-Origin', '*');
+	res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+	res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-UI-Secret');
+	res.setHeader('Cache-Control', 'no-store');
+	if (req.method === 'OPTIONS') return res.status(200).end();
+
+	const id = (req.query && req.query.id) ? String(req.query.id).trim() : '';
+	try {
+		if (req.method === 'GET') {
+			if (id) {
+				const search = await getSavedSearch(id);
+				if (!search) return res.status(404).json({ ok: false, error: 'Saved search not found: ' + id });
+				return res.status(200).json({ ok: true, search });
+			}
+			const searches = await listSavedSearches();
+			return res.status(200).json({ ok: true, count: searches.length, searches });
+		}
+		if (!['POST', 'PUT', 'PATCH', 'DELETE'].includes(req.method)) {
+			return res.status(405).json({ ok: false, error: 'Method not allowed' });
+		}
+		if (!canWrite(req)) return res.status(401).json({ ok: false, error: 'Invalid or missing secret' });
+		const p = requestParams(req);
+		if (req.method === 'POST') {
+			const search = await createSavedSearch({ id: p.id, name: p.name, params: paramsFrom(p) || {} });
+			return res.status(201).json({ ok: true, search });
+		}
+		if (!id) return res.status(400).json({ ok: false, error: 'Missing ?id=' });
+		if (req.method === 'DELETE') {
+			const search = await deleteSavedSearch(id);
+			return res.status(200).json({ ok: true, deleted: search.id });
+		}
+		const search = await updateSavedSearch(id, { name: p.name, params: paramsFrom(p), replace: p.replace === true || p.replace === '1' });
+		return res.status(200).json({ ok: true, search });
+	} catch (e) {
+		if (e.status) return res.status(e.status).json({ ok: false, error: e.message });
+		return res.status(500).json({ ok: false, error: 'Saved search request failed', message: e.message });
+	}
+};
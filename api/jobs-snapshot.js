@@ -4,893 +4,413 @@
  *
  * Usage:
  *   /api/jobs-snapshot?q=data%20science&days=7&limit=120
+ *   /api/jobs-snapshot?q=(sql OR python) -senior company:"Acme"  (boolean query, see lib/jobs/query.js)
+ *   /api/jobs-snapshot?budgetMs=15000   (request-level deadline for all sources; default 25s)
+ *   /api/jobs-snapshot?profile=frontend  (ranking profile from lib/jobs/profiles or KV; default data-analyst)
+ *   /api/jobs-snapshot?minYoe=4&maxYoe=7&yoeStrict=1  (experience window; strict drops non-overlapping ranges)
+ *   /api/jobs-snapshot?locPrefs=remote:europe,remote:latam,remote  (location priority rules; default: the profile's)
+ *   /api/jobs-snapshot?pageSize=30       (first page + `nextCursor`; then ?cursor=<nextCursor> with the same params)
+ *   /api/jobs-snapshot?fields=id,title,company,url,date,source  (light list; full job via /api/jobs-detail?id=)
+ *   /api/jobs-snapshot?minSalary=80000&currency=USD&sort=salary  (yearly pay floor; jobs without a salary are dropped)
+ *   /api/jobs-snapshot?skills=sql,dbt&skillsMode=all  (tech-stack filter on `skills`; default mode any)
+ *   /api/jobs-snapshot?currency=EUR     (salaries converted to EUR/year in `salaryNormalized`; rates: lib/jobs/fx.js)
+ *   /api/jobs-snapshot?onlyAllowed=1    (only companies on the allowlist; blocked companies are always dropped)
+ *   /api/jobs-snapshot?saved=eu-analytics&days=3  (run a saved search from /api/jobs-saved; explicit params win)
+ *   /api/jobs-snapshot?saved=eu-analytics&onlyNew=1  (`isNew` / `firstSeenAt` per saved search; only jobs it hasn't returned before)
+ *   /api/jobs-snapshot?saved=eu-analytics&markSeen=1 (or POST: remember the returned page, so those jobs aren't new next time)
+ *   /api/jobs-snapshot?format=rss         (ranked list as RSS 2.0; atom = Atom 1.0, jsonfeed = JSON Feed 1.1; also /api/jobs-feed)
+ *   /api/jobs-snapshot?format=csv&fields=title,company,url,salary  (download, streamed; format=ndjson for JSON lines)
+ *   /api/jobs-snapshot?includeDismissed=1 (keep jobs dismissed with /api/jobs-dismissed, flagged `dismissed: true`; hidden by default)
+ *   /api/jobs-snapshot?user=alex          (jobs alex tracks in /api/jobs-tracker get `tracked: { status, updatedAt }`; UI_SECRET if set)
+ *   /api/jobs-snapshot?explain=1          (per-job `_score` breakdown + `dropped` jobs with reasons)
  *
  * Notes:
- * - Prefers RSS feeds through our /api/rss proxy
- * - Uses a couple of public JSON APIs where available
- * - Optional headless scrapers can be added later (see /api/headless-scrape-*)
+ * - Sources are adapters in lib/jobs/sources (RemoteOK, Remotive, RSS feeds, WorkingNomads, hiring.cafe,
+ *   Arbeitnow, Jobicy, optional headless scrapers, KV cache); ?sources= picks ids or groups
+ * - All sources run in parallel; sources that miss the budget are listed in `timedOut`
+ * - `sourceStatus` reports, per source: items fetched, items kept after filters, HTTP status, error, latency
+ * - RSS feeds are fetched directly (no self-call to /api/rss)
+ * - Scoring (keywords -> role tier -> experience -> location) is applied once in lib/jobs/pipeline.js
+ * - The same posting from several sources is merged (lib/jobs/dedupe.js); the kept copy lists the rest in `alsoOn`
  */
 
+const { clamp, parseDateLike, parseFields, projectJobs } = require('../lib/jobs/util');
+const { loadProfile, listProfiles } = require('../lib/jobs/profiles');
+const { parseLocPrefs, profileLocationRules } = require('../lib/jobs/location');
+const { parseSourceFilter, selectSources } = require('../lib/jobs/sources');
+const { runSources, collectJobs, sourceStatusReport } = require('../lib/jobs/pipeline');
+const { dedupeJobs } = require('../lib/jobs/dedupe');
+const { parsePaging, firstPage, nextPage } = require('../lib/jobs/resultset');
+const { saveJobDetails } = require('../lib/jobs/details');
+const { normalizeCurrency, salarySortValue } = require('../lib/jobs/salary');
+const { loadRates } = require('../lib/jobs/fx');
+const { parseSkillsFilter } = require('../lib/jobs/skills');
+const { compileQuery } = require('../lib/jobs/query');
+const { loadCompanyLists, companyMatcher, applyCompanyLists } = require('../lib/jobs/companies');
+const { loadDismissed, applyDismissed } = require('../lib/jobs/dismissed');
+const { applySavedSearch } = require('../lib/jobs/saved-searches');
+const { wantsSeenRecorded, markSeenJobs, recordSeenJobs } = require('../lib/jobs/seen');
+const { trackerUserParam, flagTracked } = require('../lib/jobs/tracker');
+const { FEED_FORMATS, parseFeedFormat, renderFeed } = require('../lib/jobs/feeds');
+const { parseExportFormat, streamExport } = require('../lib/jobs/export');
+
 const DEFAULT_DAYS = 7;
 const DEFAULT_LIMIT = 180;
 const MAX_LIMIT = 400;
-const TIMEOUT_MS = 12_000;
-const RSS_TIMEOUT_MS = 15_000;
-
-const USER_AGENT = 'Mozilla/5.0 (compatible; JobAggregator/1.0; +https://github.com)';
-
-// Role priority (Remote primary, India secondary)
-// Tier 1: analyst/BI/analytics roles (PRIMARY - 2-3 YOE level)
-const ROLE_TIER_1 = [
-	'data analyst',
-	'senior data analyst',
-	'senior analyst',
-	'business analyst',
-	'product analyst',
-	'decision scientist',
-	'bi developer',
-	'business intelligence developer',
-	'analytics engineer',
-	'bi analyst',
-	'analytics analyst',
-	'financial analyst',
-	'marketing analyst',
-	'operations analyst'
-];
-// Tier 2: junior/associate DS then ML (SECONDARY - still relevant)
-const ROLE_TIER_2 = [
-	'junior data scientist',
-	'associate data scientist',
-	'data scientist',
-	'ml engineer',
-	'machine learning engineer'
-];
-// Tier 3: Data Engineering (LOW PRIORITY - filter out or deprioritize)
-const ROLE_TIER_3_EXCLUDE = [
-	'data engineer',
-	'senior data engineer',
-	'big data engineer',
-	'cloud data engineer',
-	'etl engineer',
-	'data infrastructure engineer'
-];
-
-function clamp(n, min, max) {
-	return Math.max(min, Math.min(max, n));
-}
-
-function nowIso() {
-	return new Date().toISOString();
+const DEFAULT_BUDGET_MS = 25_000;
+const MIN_BUDGET_MS = 1_000;
+const MAX_BUDGET_MS = 55_000; // stay under the serverless function timeout
+const MAX_DROPPED = 500; // cap the ?explain=1 dropped list (counts stay exact)
+const SORTS = ['rank', 'salary', 'date'];
+const DEFAULT_CURRENCY = 'USD';
+
+function parseYoe(v) {
+	if (v == null || String(v).trim() === '') return null;
+	const n = parseInt(String(v), 10);
+	return isNaN(n) ? null : clamp(n, 0, 40);
 }
 
-function parseDateLike(input) {
-	if (!input) return null;
-	const s = String(input).trim();
-	if (!s) return null;
-	const d = new Date(s);
-	if (!isNaN(d.getTime())) return d;
-	const m = s.toLowerCase().match(/(\d+)\s*(minute|hour|day|week|month|year)s?\s*ago/);
-	if (m) {
-		const n = parseInt(m[1], 10);
-		const unit = m[2];
-		if (!isNaN(n)) {
-			let ms = 0;
-			if (unit === 'minute') ms = n * 60 * 1000;
-			else if (unit === 'hour') ms = n * 60 * 60 * 1000;
-			else if (unit === 'day') ms = n * 24 * 60 * 60 * 1000;
-			else if (unit === 'week') ms = n * 7 * 24 * 60 * 60 * 1000;
-			else if (unit === 'month') ms = n * 30 * 24 * 60 * 60 * 1000;
-			else if (unit === 'year') ms = n * 365 * 24 * 60 * 60 * 1000;
-			return new Date(Date.now() - ms);
-		}
+/** Wanted years-of-experience window: ?minYoe=&maxYoe= override the profile's; ?yoeStrict=1 drops non-overlapping jobs. */
+function experienceWindow(query, profile) {
+	const base = profile.experience || {};
+	let min = parseYoe(query.minYoe);
+	let max = parseYoe(query.maxYoe);
+	if (min == null && max == null) {
+		min = base.min != null ? base.min : null;
+		max = base.max != null ? base.max : null;
 	}
-	return null;
+	if (min != null && max != null && max < min) { const x = min; min = max; max = x; }
+	const strict = ['1', 'true'].includes(String(query.yoeStrict || '').toLowerCase());
+	if (min == null && max == null) return null;
+	return { min, max, strict };
 }
 
-/** Human-readable date (e.g. "17 Feb 2025") and relative time (e.g. "2 days ago") for display/filtering. */
-function formatDateDisplay(dateInput) {
-	const d = parseDateLike(dateInput);
-	if (!d || isNaN(d.getTime())) return { dateFormatted: '', postedAgo: '' };
-	const now = Date.now();
-	const ms = now - d.getTime();
-	const sec = Math.floor(ms / 1000);
-	const min = Math.floor(sec / 60);
-	const hr = Math.floor(min / 60);
-	const day = Math.floor(hr / 24);
-	const week = Math.floor(day / 7);
-	const month = Math.floor(day / 30);
-	const year = Math.floor(day / 365);
-	let postedAgo = '';
-	if (sec < 60) postedAgo = 'just now';
-	else if (min < 60) postedAgo = min === 1 ? '1 minute ago' : min + ' minutes ago';
-	else if (hr < 24) postedAgo = hr === 1 ? '1 hour ago' : hr + ' hours ago';
-	else if (day < 7) postedAgo = day === 1 ? '1 day ago' : day + ' days ago';
-	else if (week < 4) postedAgo = week === 1 ? '1 week ago' : week + ' weeks ago';
-	else if (month < 12) postedAgo = month === 1 ? '1 month ago' : month + ' months ago';
-	else postedAgo = year === 1 ? '1 year ago' : year + ' years ago';
-	const dateFormatted = d.toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
-	return { dateFormatted, postedAgo };
+/**
+ * ?minSalary= (yearly, "80000" or "80k") and ?currency= (default USD). Returns { min, currency } or null;
+ * throws with `status = 400` on a bad value.
+ */
+function salaryFilter(query) {
+	const raw = query.minSalary != null ? String(query.minSalary).trim().toLowerCase() : '';
+	const currency = query.currency ? normalizeCurrency(query.currency) : DEFAULT_CURRENCY;
+	const bad = (msg) => {
+		const err = new Error(msg);
+		err.status = 400;
+		return err;
+	};
+	if (!currency) throw bad('Invalid currency: ' + query.currency);
+	if (!raw) return null;
+	const m = raw.match(/^(\d+(?:\.\d+)?)(k)?$/);
+	if (!m) throw bad('Invalid minSalary: ' + query.minSalary);
+	return { min: parseFloat(m[1]) * (m[2] ? 1000 : 1), currency };
 }
 
-function normalizeJob(j) {
-	const rawDate = j.date || nowIso();
-	const { dateFormatted, postedAgo } = formatDateDisplay(rawDate);
-	return {
-		id: j.id || ('job_' + Math.random().toString(36).slice(2)),
-		title: j.title || 'Untitled',
-		company: j.company || 'Unknown',
-		location: j.location || 'Remote',
-		url: j.url || '#',
-		description: j.description || '',
-		source: j.source || 'other',
-		date: rawDate,
-		dateFormatted: dateFormatted,
-		postedAgo: postedAgo,
-		tags: Array.isArray(j.tags) ? j.tags : [],
-		// Optional scoring metadata (kept for debugging / future UI)
-		_rank: typeof j._rank === 'number' ? j._rank : 0,
-		_roleTier: j._roleTier || ''
-	};
+function dateValue(job) {
+	const d = parseDateLike(job.date);
+	return d ? d.getTime() : 0;
 }
 
-async function fetchJson(url, opts = {}) {
-	const ctrl = new AbortController();
-	const t = setTimeout(() => ctrl.abort(), opts.timeout || TIMEOUT_MS);
+module.exports = async (req, res) => {
+	res.setHeader('Access-Control-Allow-Origin', '*');
+	res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+	res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-UI-Secret');
+	res.setHeader('Cache-Control', 's-maxage=900, stale-while-revalidate=3600'); // 15m
+	if (req.method === 'OPTIONS') return res.status(200).end();
+
+	// ?saved=<id>: start from a saved search's params; anything given explicitly overrides them
+	// ?user=<handle>: flag the jobs that user tracks; both are per-client state, so never in a shared cache
+	let saved;
+	let trackerUser;
 	try {
-		const r = await fetch(url, {
-			signal: ctrl.signal,
-			headers: {
-				'User-Agent': USER_AGENT,
-				'Accept': opts.accept || 'application/json',
-				...(opts.headers || {})
-			}
-		});
-		if (!r.ok) return null;
-		return await r.json();
+		saved = await applySavedSearch(req);
+		trackerUser = trackerUserParam(req);
+		if (saved || trackerUser) res.setHeader('Cache-Control', 'private, no-store');
 	} catch (e) {
-		return null;
-	} finally {
-		clearTimeout(t);
+		return res.status(e.status || 500).json({ ok: false, error: e.message });
 	}
-}
-
-// Hosts we're allowed to fetch RSS from directly (aligned with job-search-api + rss.js allowlist)
-const RSS_ALLOWED_HOSTS = new Set([
-	'remoteok.io', 'www.remoteok.io', 'remoteok.com', 'www.remoteok.com',
-	'weworkremotely.com', 'www.weworkremotely.com',
-	'remotive.com', 'www.remotive.com',
-	'jobscollider.com', 'www.jobscollider.com',
-	'wellfound.com', 'www.wellfound.com',
-	'indeed.com', 'www.indeed.com', 'rss.indeed.com',
-	'stackoverflow.com', 'www.stackoverflow.com',
-	'remote.co', 'www.remote.co',
-	'jobspresso.co', 'www.jobspresso.co',
-	'himalayas.app', 'www.himalayas.app',
-	'authenticjobs.com', 'www.authenticjobs.com',
-	'rssjobs.app', 'www.rssjobs.app'
-]);
-
-function stripTag(xml, tag) {
-	const re = new RegExp('<' + tag + '(?:\\s[^>]*)?>([\\s\\S]*?)<\\/' + tag + '>', 'i');
-	const m = String(xml || '').match(re);
-	if (!m) return '';
-	return m[1].replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1').trim();
-}
 
-/** Fetch RSS/Atom feed directly and return items (no self-call to /api/rss). */
-async function fetchRssDirect(feedUrl, count) {
+	const days = clamp(parseInt(String((req.query && req.query.days) || DEFAULT_DAYS), 10) || DEFAULT_DAYS, 1, 30);
+	const limit = clamp(parseInt(String((req.query && req.query.limit) || DEFAULT_LIMIT), 10) || DEFAULT_LIMIT, 10, MAX_LIMIT);
+	const location = (req.query && req.query.location) ? String(req.query.location).trim() : 'remote';
+	const budgetMs = clamp(parseInt(String((req.query && req.query.budgetMs) || DEFAULT_BUDGET_MS), 10) || DEFAULT_BUDGET_MS, MIN_BUDGET_MS, MAX_BUDGET_MS);
+
+	// Cursor pagination: ?pageSize= stores the full list, ?cursor= serves later pages from it (no refetch)
+	// ?fields= projection applies to every page; the stored result set keeps full jobs
+	// ?format=rss|atom|jsonfeed: the whole ranked list as a feed (no paging or projection)
+	// ?format=csv|ndjson: the whole list as a download, ?fields= picking the columns
+	let paging;
+	let fields;
+	let feedFormat;
+	let exportFormat;
+	const recordSeen = Boolean(saved) && wantsSeenRecorded(req);
 	try {
-		const u = new URL(feedUrl);
-		if (!RSS_ALLOWED_HOSTS.has((u.hostname || '').toLowerCase())) return [];
-		const ctrl = new AbortController();
-		const t = setTimeout(() => ctrl.abort(), RSS_TIMEOUT_MS);
-		const r = await fetch(feedUrl, {
-			signal: ctrl.signal,
-			headers: { 'User-Agent': USER_AGENT, 'Accept': 'application/rss+xml, application/atom+xml, text/xml, */*' }
-		});
-		clearTimeout(t);
-		if (!r.ok) return [];
-		const xml = await r.text();
-		const items = [];
-		const itemBlocks = xml.match(/<item[^>]*>[\s\S]*?<\/item>/gi) || xml.match(/<entry[^>]*>[\s\S]*?<\/entry>/gi) || [];
-		for (let i = 0; i < Math.min(itemBlocks.length, count || 50); i++) {
-			const block = itemBlocks[i];
-			const title = stripTag(block, 'title');
-			let link = stripTag(block, 'link');
-			if (!link && block.includes('href=')) {
-				const href = block.match(/href=["']([^"']+)["']/i);
-				if (href) link = href[1];
-			}
-			const pubDate = stripTag(block, 'pubDate') || stripTag(block, 'published') || stripTag(block, 'updated') || stripTag(block, 'dc:date');
-			if (title && link) items.push({ title, link, pubDate, description: stripTag(block, 'description') || stripTag(block, 'summary') });
+		exportFormat = parseExportFormat(req.query && req.query.format, Object.keys(FEED_FORMATS));
+		feedFormat = exportFormat ? null : parseFeedFormat(req.query && req.query.format);
+		fields = feedFormat ? null : parseFields(req.query && req.query.fields);
+		// Pages and cursors belong to one client's walk through a stored result set: keep them out of shared caches
+		if (req.query && (req.query.cursor != null || req.query.pageSize != null)) res.setHeader('Cache-Control', 'private, no-store');
+		paging = feedFormat || exportFormat ? null : parsePaging(req.query);
+		if (paging && paging.cursor) {
+			const { page, meta } = await nextPage('snapshot', req.query || {}, paging);
+			const pageJobs = trackerUser ? (await flagTracked(trackerUser, page.jobs)).jobs : page.jobs;
+			const seen = recordSeen ? { recorded: await recordSeenJobs(saved.id, page.jobs) } : undefined;
+			return res.status(200).json({ ok: true, ...meta, ...(seen ? { seen } : {}), count: page.jobs.length, total: page.total, pageSize: page.pageSize, nextCursor: page.nextCursor, jobs: projectJobs(pageJobs, fields) });
 		}
-		return items;
 	} catch (e) {
-		return [];
+		return res.status(e.status || 500).json({ ok: false, error: e.message });
 	}
-}
 
-/** Fallback: fetch via our /api/rss when baseUrl is set (e.g. same deployment). */
-async function fetchRss(baseUrl, feedUrl, count) {
-	const u = baseUrl + '/api/rss?url=' + encodeURIComponent(feedUrl) + '&count=' + (count || 50);
-	const data = await fetchJson(u, { timeout: RSS_TIMEOUT_MS });
-	if (!data || !data.ok || !Array.isArray(data.items)) return [];
-	return data.items;
-}
+	// Optional: comma-separated source ids/groups to include (if empty, all sources run)
+	const sourceFilter = parseSourceFilter(req.query && req.query.sources);
 
-function containsAny(text, keywords) {
-	const t = String(text || '').toLowerCase();
-	for (let i = 0; i < keywords.length; i++) {
-		if (t.includes(keywords[i])) return true;
-	}
-	return false;
-}
+	const proto = (req.headers['x-forwarded-proto'] || 'https');
+	const host = req.headers['x-forwarded-host'] || req.headers.host;
+	const baseUrl = (host && (proto + '://' + host)) || '';
 
-function includesAnyPhrase(text, phrases) {
-	const t = String(text || '').toLowerCase();
-	for (let i = 0; i < phrases.length; i++) {
-		const p = phrases[i];
-		if (p && t.includes(p)) return p;
+	// Ranking profile: tiers, scores, exclusions and prefilter keywords
+	let profile;
+	try {
+		profile = await loadProfile(req.query && req.query.profile);
+	} catch (e) {
+		return res.status(e.status || 500).json({ ok: false, error: e.message, profiles: listProfiles() });
 	}
-	return '';
-}
-
-function locationRank(location) {
-	const loc = String(location || '').toLowerCase();
-	const isRemote = /(^|\b)(remote|work from home|wfh|anywhere|distributed)(\b|$)/.test(loc);
+	// Without ?q= the boards are searched for the profile's own default term
+	const q = (req.query && req.query.q) ? String(req.query.q).trim() : profile.search;
 
-	// Priority 1: Remote – India (country or specific cities)
-	const indiaCityRe = /(^|\b)(pune|mumbai|thane|navi mumbai|hyderabad|bangalore|bengaluru|chennai|delhi|delhi-ncr|gurgaon|noida)(\b|$)/;
-	const indiaRe = /(^|\b)(india|in)(\b|$)/;
+	const experience = experienceWindow(req.query || {}, profile);
 
-	if (isRemote && (indiaRe.test(loc) || indiaCityRe.test(loc))) {
-		return 150; // remote India highest
+	// Salary floor + sort order (?sort=rank|salary|date; salary sorts by yearly top of range in ?currency=).
+	// Salaries in other currencies are converted with the static rates table (KV or lib/jobs/fx-rates.json).
+	let salary;
+	const sort = String((req.query && req.query.sort) || 'rank').toLowerCase();
+	try {
+		salary = salaryFilter(req.query || {});
+	} catch (e) {
+		return res.status(e.status || 500).json({ ok: false, error: e.message });
+	}
+	if (!SORTS.includes(sort)) return res.status(400).json({ ok: false, error: 'Invalid sort: ' + sort + ' (use ' + SORTS.join(', ') + ')' });
+	const currency = (salary && salary.currency) || normalizeCurrency(req.query && req.query.currency) || DEFAULT_CURRENCY;
+	let rates;
+	try {
+		rates = await loadRates();
+	} catch (e) {
+		return res.status(500).json({ ok: false, error: 'Failed to load FX rates', message: e.message });
+	}
+	if (!rates.rates[currency]) {
+		return res.status(400).json({ ok: false, error: 'No exchange rate for currency: ' + currency, currencies: Object.keys(rates.rates).sort() });
 	}
 
-	// Priority 2: Remote – all countries
-	if (isRemote) {
-		return 120;
+	// Location priority rules: ?locPrefs= overrides the profile's `location.rules`; ?skills= tech-stack filter.
+	// An explicit ?q= is a boolean query every job must match; boards' own search gets its plain keywords.
+	let locationRules;
+	let skillsFilter;
+	let query;
+	try {
+		locationRules = parseLocPrefs(req.query && req.query.locPrefs) || profileLocationRules(profile);
+		skillsFilter = parseSkillsFilter(req.query || {});
+		query = compileQuery(req.query && req.query.q);
+	} catch (e) {
+		return res.status(e.status || 500).json({ ok: false, error: e.message });
+	}
+	const search = (query && query.search) || profile.search;
+	const explain = ['1', 'true'].includes(String((req.query && req.query.explain) || '').toLowerCase());
+	const onlyAllowed = ['1', 'true'].includes(String((req.query && req.query.onlyAllowed) || '').toLowerCase());
+	const onlyNew = ['1', 'true'].includes(String((req.query && req.query.onlyNew) || '').toLowerCase());
+	if (onlyNew && !saved) return res.status(400).json({ ok: false, error: 'onlyNew needs ?saved=<id> (new is tracked per saved search)' });
+
+	// Company blocklist / allowlist (KV or lib/jobs/company-lists.json); a KV outage doesn't fail the request
+	let companyLists;
+	try {
+		companyLists = await loadCompanyLists();
+	} catch (e) {
+		companyLists = { block: [], allow: [], source: 'error', error: e.message };
 	}
 
-	// Priority 3: India cities (on-site / hybrid in key Indian hubs)
-	if (indiaCityRe.test(loc) || indiaRe.test(loc)) {
-		return 80;
+	// Dismissed ("not interested") job ids; hidden unless ?includeDismissed=1, and a KV outage hides nothing.
+	// The result depends on the dismissed set, so it stays out of shared caches once anything is dismissed.
+	const includeDismissed = ['1', 'true'].includes(String((req.query && req.query.includeDismissed) || '').toLowerCase());
+	let dismissedIds = new Set();
+	let dismissedError;
+	try {
+		dismissedIds = await loadDismissed();
+	} catch (e) {
+		dismissedError = e.message;
 	}
+	if (dismissedIds.size || dismissedError) res.setHeader('Cache-Control', 'private, no-store');
 
-	return 0;
-}
+	const ctx = {
+		q: search,
+		query,
+		location,
+		days,
+		baseUrl,
+		profile,
+		experience,
+		salaryFilter: salary,
+		fx: { currency, rates },
+		skillsFilter,
+		locationRules,
+		explain,
+		maxAgeMs: days * 24 * 60 * 60 * 1000,
+		rssjobsUrl: (req.query && req.query.rssjobs) ? String(req.query.rssjobs).trim() : ''
+	};
 
-function roleTierRank(title, description) {
-	const t = String(title || '').toLowerCase();
-	const desc = String(description || '').toLowerCase();
-	const fullText = t + ' ' + desc;
-	
-	// Exclude irrelevant categories first
-	const excludePatterns = [
-		/^online[- ]marketing/i,
-		/^marketing$/i,
-		/^social media/i,
-		/^content marketing/i,
-		/^seo/i,
-		/^ppc/i,
-		/^paid advertising/i,
-		/^praktikum/i, // German internship
-		/^intern$/i,
-		/^trainee$/i
-	];
-	
-	// If title starts with excluded patterns and doesn't mention data/analyst, exclude
-	const titleMatch = t.match(/^(online[- ]marketing|marketing|social media|content marketing|seo|ppc|paid advertising|performance marketing|praktikum|intern|trainee)/);
-	if (titleMatch && !fullText.match(/(data|analyst|analytics|bi|business intelligence|sql|python|tableau|power bi|looker)/)) {
-		return { tier: 'excluded', score: -100, hit: 'irrelevant_category' };
-	}
-	
-	// Check for exclusion terms (Data Engineering) - penalize heavily
-	const excludeHit = includesAnyPhrase(fullText, ROLE_TIER_3_EXCLUDE);
-	if (excludeHit) {
-		// Only include if ALSO mentions analyst/BI (hybrid roles)
-		const hasAnalyst = /(analyst|analytics|bi|business intelligence)/.test(fullText);
-		if (!hasAnalyst) {
-			return { tier: 'excluded', score: -100, hit: excludeHit }; // Negative score = filter out
+	const adapters = selectSources(sourceFilter, ctx);
+	const startedAt = Date.now();
+	const results = await runSources(adapters, search, ctx, { budgetMs });
+	const elapsedMs = Date.now() - startedAt;
+	// Keyword/role/freshness filters run per source in collectJobs (counts feed sourceStatus)
+	const collected = collectJobs(results, ctx);
+	let jobs = collected.jobs;
+	const sourceStatus = sourceStatusReport(results, collected.counts);
+
+	// Cross-source dedupe (canonical URL, or company + title + date); the richest copy is kept with `alsoOn`
+	jobs = dedupeJobs(jobs, (dup, kept) => {
+		if (explain) collected.dropped.push({ source: dup.source, id: dup.id, title: dup.title, url: dup.url, reason: 'duplicate', detail: kept.id });
+	});
+	jobs = applyCompanyLists(jobs, companyMatcher(companyLists), {
+		onlyAllowed,
+		onDrop(job, reason, detail) {
+			if (explain) collected.dropped.push({ source: job.source, id: job.id, title: job.title, url: job.url, reason, detail });
 		}
-		// Hybrid role - keep but lower priority
-		return { tier: 'tier3', score: 30, hit: excludeHit };
-	}
-	
-	const hit1 = includesAnyPhrase(t, ROLE_TIER_1);
-	if (hit1) {
-		// Special handling for "marketing analyst" - require data/analytics context
-		if (hit1.includes('marketing analyst') || hit1.includes('marketing')) {
-			if (!fullText.match(/(data|analytics|bi|business intelligence|sql|python|tableau|power bi|looker|snowflake|redshift)/)) {
-				return { tier: 'excluded', score: -100, hit: 'marketing_without_data_context' };
-			}
+	});
+	const dismissedResult = applyDismissed(jobs, dismissedIds, {
+		include: includeDismissed,
+		onDrop(job) {
+			if (explain) collected.dropped.push({ source: job.source, id: job.id, title: job.title, url: job.url, reason: 'dismissed' });
 		}
-		return { tier: 'tier1', score: 200, hit: hit1 };
-	}
-	const hit2 = includesAnyPhrase(t, ROLE_TIER_2);
-	if (hit2) return { tier: 'tier2', score: 120, hit: hit2 };
-	// Generic analyst-ish hints
-	if (/(^|\b)(analyst|analytics|bi|business intelligence)(\b|$)/.test(t)) return { tier: 'tier3', score: 60, hit: 'analytics' };
-	return { tier: 'other', score: 0, hit: '' };
-}
+	});
+	jobs = dismissedResult.jobs;
 
-// Experience level filter (2-3 YOE focus)
-function experienceLevelMatch(title, description) {
-	const fullText = (String(title || '') + ' ' + String(description || '')).toLowerCase();
-	
-	// Look for experience requirements
-	const expPatterns = [
-		/\b(\d+)[\s-]+(?:to|-|–)[\s-]+(\d+)\s*(?:years?|yrs?|y\.o\.e\.)/i,  // "2-3 years"
-		/\b(\d+)[\s-]+(?:to|-|–)[\s-]+(\d+)\s*(?:years?|yrs?)\s*(?:of|of\s+experience)/i,
-		/\b(\d+)\s*(?:years?|yrs?|y\.o\.e\.)\s*(?:to|-|–)\s*(\d+)/i,
-		/\b(\d+)\s*(?:years?|yrs?)\s*(?:to|-|–)\s*(\d+)/i
-	];
-	
-	for (const pattern of expPatterns) {
-		const match = fullText.match(pattern);
-		if (match) {
-			const min = parseInt(match[1], 10);
-			const max = parseInt(match[2], 10);
-			if (!isNaN(min) && !isNaN(max)) {
-				// Check if range overlaps with 2-3 years
-				if ((min <= 3 && max >= 2) || (min === 2 && max === 3) || (min <= 2 && max >= 3)) {
-					return { match: true, score: 50, range: `${min}-${max}` }; // Bonus for matching range
-				}
-				// Also accept 1-4, 1-5 (includes 2-3)
-				if (min <= 2 && max >= 3) {
-					return { match: true, score: 30, range: `${min}-${max}` };
-				}
-			}
+	// Sort: role/location priority first, then recency (?sort=salary: highest pay first; ?sort=date: newest first)
+	jobs.sort((a, b) => {
+		if (sort === 'salary') {
+			const sa = salarySortValue(a.salaryNormalized);
+			const sb = salarySortValue(b.salaryNormalized);
+			if (sb !== sa) return sb - sa;
 		}
-	}
-	
-	// Check for single number patterns
-	const singlePatterns = [
-		/\b(2|3)\s*(?:years?|yrs?|y\.o\.e\.)\s*(?:of|of\s+)?experience/i,
-		/\b(2|3)\s*(?:years?|yrs?)\s*(?:minimum|min|required)/i
-	];
-	for (const pattern of singlePatterns) {
-		if (pattern.test(fullText)) {
-			return { match: true, score: 40 };
+		if (sort === 'date') {
+			const d = dateValue(b) - dateValue(a);
+			if (d !== 0) return d;
 		}
-	}
-	
-	// Check for "mid-level", "mid level", "2+", "3+"
-	if (/\b(mid[- ]?level|mid[- ]?senior)\b/i.test(fullText)) {
-		return { match: true, score: 25 };
-	}
-	if (/\b(2\+|3\+|2-3|3-5)\s*(?:years?|yrs?)/i.test(fullText)) {
-		return { match: true, score: 35 };
-	}
-	
-	// No explicit experience requirement = neutral (don't filter out)
-	return { match: true, score: 0 };
-}
-
-module.exports = async (req, res) => {
-	res.setHeader('Access-Control-Allow-Origin', '*');
-	res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-	res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-	res.setHeader('Cache-Control', 's-maxage=900, stale-while-revalidate=3600'); // 15m
-	if (req.method === 'OPTIONS') return res.status(200).end();
-
-	// Default query tuned for analyst-heavy results (you can override with ?q=)
-	const q = (req.query && req.query.q) ? String(req.query.q).trim() : 'data analyst';
-	const days = clamp(parseInt(String((req.query && req.query.days) || DEFAULT_DAYS), 10) || DEFAULT_DAYS, 1, 30);
-	const limit = clamp(parseInt(String((req.query && req.query.limit) || DEFAULT_LIMIT), 10) || DEFAULT_LIMIT, 10, MAX_LIMIT);
-	const location = (req.query && req.query.location) ? String(req.query.location).trim() : 'remote';
-
-	// Optional: comma-separated source IDs to include (if empty, all sources run)
-	const sourcesParam = (req.query && req.query.sources) ? String(req.query.sources).trim() : '';
-	const sourceFilter = sourcesParam ? new Set(sourcesParam.split(',').map(s => s.trim().toLowerCase()).filter(Boolean)) : null;
-	const wantSource = (name) => !sourceFilter || sourceFilter.has(name);
+		const ra = typeof a._rank === 'number' ? a._rank : 0;
+		const rb = typeof b._rank === 'number' ? b._rank : 0;
+		if (rb !== ra) return rb - ra;
+		return dateValue(b) - dateValue(a);
+	});
 
-	const proto = (req.headers['x-forwarded-proto'] || 'https');
-	const host = req.headers['x-forwarded-host'] || req.headers.host;
-	const baseUrl = (host && (proto + '://' + host)) || '';
+	jobs = jobs.slice(0, limit);
 
-	// Focused keywords - prioritize analyst/BI, exclude pure data engineering
-	const keywords = [
-		'data analyst', 'analyst', 'business analyst', 'product analyst', 'decision scientist',
-		'bi', 'business intelligence', 'analytics', 'analytics engineer',
-		'data scientist', 'machine learning', 'ml engineer',
-		// Note: 'data engineer' removed from keywords - will be filtered out unless hybrid role
-		'data', 'remote'
-	];
-	const now = Date.now();
-	const maxAgeMs = days * 24 * 60 * 60 * 1000;
-
-	let jobs = [];
-	
-	// Try to load cached headless-scraped jobs from KV (if available)
-	let cachedHeadlessJobs = [];
-	if (process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN) {
+	// Saved search: flag jobs it hasn't returned before (`isNew`, `firstSeenAt`); ?onlyNew=1 keeps just the new ones.
+	// What the client gets is remembered further down, only with POST / ?markSeen=1.
+	let seen = null;
+	if (saved) {
 		try {
-			const { kv } = require('@vercel/kv');
-			const cached = await kv.get('jobs:scraped:all');
-			if (cached && cached.jobs && Array.isArray(cached.jobs)) {
-				cachedHeadlessJobs = cached.jobs;
-			}
-		} catch (e) { /* KV optional */ }
-	}
-
-	// 1) RemoteOK JSON API (fast) — API returns array; first element can be metadata
-	// Increased limit to fetch more jobs (was unlimited, now process up to 200)
-	const remoteOk = wantSource('remoteok') ? await fetchJson('https://remoteok.com/api') : null;
-	const remoteOkList = Array.isArray(remoteOk)
-		? remoteOk
-		: (remoteOk && Array.isArray(remoteOk.jobs) ? remoteOk.jobs : []);
-	for (let i = 0; i < Math.min(remoteOkList.length, 200); i++) {
-		const it = remoteOkList[i];
-		if (!it || typeof it !== 'object' || !it.position || !it.url) continue;
-			const full = (it.position + ' ' + (it.description || '') + ' ' + (Array.isArray(it.tags) ? it.tags.join(' ') : ''));
-			if (!containsAny(full, keywords)) continue;
-			const role = roleTierRank(it.position || '', it.description || '');
-			if (role.score < 0) continue; // Filter out excluded roles (Data Engineering)
-			const expMatch = experienceLevelMatch(it.position || '', it.description || '');
-			const locScore = locationRank(it.location || 'Remote');
-			jobs.push(normalizeJob({
-				id: 'remoteok_' + it.id,
-				title: it.position,
-				company: it.company || 'Unknown',
-				location: it.location || 'Remote',
-				url: (String(it.url).startsWith('http') ? it.url : 'https://remoteok.com' + it.url),
-				description: it.description || '',
-				source: 'remoteok',
-				date: it.date || nowIso(),
-				tags: it.tags || [],
-				_rank: role.score + locScore + expMatch.score,
-				_roleTier: role.tier
-			}));
-	}
-
-	// 2) Remotive public API (fast, but rate limited sometimes)
-	// Increased limit from 80 to 150 for more results
-	const remotive = wantSource('remotive') ? await fetchJson('https://remotive.com/api/remote-jobs?search=' + encodeURIComponent(q)) : null;
-	const remotiveJobs = remotive && (remotive.jobs || remotive['remote-jobs'] || remotive.results);
-	if (Array.isArray(remotiveJobs)) {
-		for (let i = 0; i < Math.min(remotiveJobs.length, 150); i++) {
-			const it = remotiveJobs[i];
-			if (!it || !it.title || !it.url) continue;
-			const full = (it.title + ' ' + (it.description_plain || it.description || '') + ' ' + (Array.isArray(it.tags) ? it.tags.join(' ') : ''));
-			if (!containsAny(full, keywords)) continue;
-			const role = roleTierRank(it.title || '', it.description_plain || it.description || '');
-			if (role.score < 0) continue; // Filter out excluded roles
-			const expMatch = experienceLevelMatch(it.title || '', it.description_plain || it.description || '');
-			const locScore = locationRank(it.candidate_required_location || it.location || 'Remote');
-			jobs.push(normalizeJob({
-				id: 'remotive_' + (it.id || Math.random()).toString().replace(/[^a-zA-Z0-9]/g, '_'),
-				title: it.title,
-				company: it.company_name || 'Unknown',
-				location: it.candidate_required_location || 'Remote',
-				url: it.url,
-				description: it.description_plain || it.description || '',
-				source: 'remotive',
-				date: it.publication_date || it.created_at || nowIso(),
-				tags: (it.tags || []).concat(it.category ? [it.category] : []),
-				_rank: role.score + locScore + expMatch.score,
-				_roleTier: role.tier
-			}));
+			const marked = await markSeenJobs(saved.id, jobs);
+			jobs = onlyNew ? marked.jobs.filter(j => j.isNew) : marked.jobs;
+			seen = { newCount: marked.newCount, firstCheck: marked.firstCheck, recorded: null, onlyNew };
+		} catch (e) {
+			seen = { error: e.message };
 		}
 	}
 
-	// 3) RSS sources — fetch directly; use location param for Indeed/Stack Overflow
-	const searchEnc = encodeURIComponent(q.replace(/\s+/g, '+'));
-	const locEnc = encodeURIComponent(String(location).replace(/\s+/g, '+'));
-	const allRssFeeds = [
-		{ source: 'remotive', url: 'https://remotive.com/feed' },
-		{ source: 'remotive', url: 'https://remotive.com/remote-jobs/feed/data' },
-		{ source: 'remotive', url: 'https://remotive.com/remote-jobs/feed/ai-ml' },
-		{ source: 'remotive', url: 'https://remotive.com/remote-jobs/feed/analytics' },
-		{ source: 'weworkremotely', url: 'https://weworkremotely.com/remote-jobs.rss' },
-		{ source: 'jobscollider', url: 'https://jobscollider.com/remote-jobs.rss' },
-		{ source: 'jobscollider', url: 'https://jobscollider.com/remote-data-jobs.rss' },
-		{ source: 'remoteok', url: 'https://remoteok.com/remote-jobs.rss' },
-		{ source: 'remoteok', url: 'https://remoteok.io/remote-jobs.rss' },
-		{ source: 'wellfound', url: 'https://wellfound.com/jobs.rss?keywords=data-science&remote=true' },
-		{ source: 'wellfound', url: 'https://wellfound.com/jobs.rss?keywords=data-analyst&remote=true' },
-		{ source: 'wellfound', url: 'https://wellfound.com/jobs.rss?keywords=business-intelligence&remote=true' },
-		{ source: 'wellfound', url: 'https://wellfound.com/jobs.rss?keywords=analytics-engineer&remote=true' },
-		{ source: 'indeed', url: 'https://rss.indeed.com/rss?q=' + searchEnc + '&l=' + locEnc + '&radius=0' },
-		{ source: 'indeed', url: 'https://rss.indeed.com/rss?q=data+scientist&l=' + locEnc + '&radius=0' },
-		{ source: 'indeed', url: 'https://rss.indeed.com/rss?q=business+analyst&l=' + locEnc + '&radius=0' },
-		{ source: 'indeed', url: 'https://rss.indeed.com/rss?q=analytics+engineer&l=' + locEnc + '&radius=0' },
-		{ source: 'stackoverflow', url: 'https://stackoverflow.com/jobs/feed?q=' + searchEnc + '&l=' + locEnc + '&d=20&u=Km' },
-		{ source: 'stackoverflow', url: 'https://stackoverflow.com/jobs/feed?q=data+analyst&l=' + locEnc + '&d=20&u=Km' },
-		{ source: 'remote_co', url: 'https://remote.co/remote-jobs/feed/' },
-		{ source: 'jobspresso', url: 'https://jobspresso.co/remote-jobs/feed/' },
-		{ source: 'himalayas', url: 'https://himalayas.app/jobs/feed' },
-		{ source: 'authentic_jobs', url: 'https://authenticjobs.com/rss/' },
-		{ source: 'hn_jobs', url: 'https://hnrss.org/jobs' }
-	];
-	const rssFeeds = allRssFeeds.filter(f => wantSource(f.source));
-
-	// Optional: rssjobs.app feed (role + location). Create a feed at https://rssjobs.app/ (LinkedIn, Stepstone, Glassdoor), then pass the feed URL as ?rssjobs=<url>
-	const rssjobsUrl = (req.query && req.query.rssjobs) ? String(req.query.rssjobs).trim() : '';
-	if (rssjobsUrl && rssjobsUrl.startsWith('http')) {
-		try {
-			const u = new URL(rssjobsUrl);
-			const host = (u.hostname || '').toLowerCase();
-			if (host === 'rssjobs.app' || host === 'www.rssjobs.app') {
-				rssFeeds.push({ source: 'rssjobs', url: rssjobsUrl });
-			}
-		} catch (e) { /* ignore invalid URL */ }
-	}
-
-	// Increased RSS feed limits for more results (50 -> 100-150 per feed)
-	const rssResults = await Promise.allSettled(rssFeeds.map(async (f) => {
+	// ?user=: jobs already in that user's tracker get `tracked`; a KV hiccup leaves them unflagged
+	let tracker = null;
+	if (trackerUser) {
 		try {
-			// Use higher limits for popular sources
-			const limit = (f.source === 'indeed' || f.source === 'wellfound' || f.source === 'remotive') ? 150 : 100;
-			const items = await fetchRssDirect(f.url, limit);
-			return { source: f.source, items, url: f.url };
+			const flagged = await flagTracked(trackerUser, jobs);
+			jobs = flagged.jobs;
+			tracker = { user: trackerUser, tracked: flagged.count };
 		} catch (e) {
-			return { source: f.source, items: [], error: e.message, url: f.url };
+			tracker = { user: trackerUser, error: e.message };
 		}
-	}));
-
-	const rssErrors = [];
-	rssResults.forEach((r) => {
-		if (!r || r.status !== 'fulfilled' || !r.value) {
-			rssErrors.push({ source: 'unknown', error: r && r.reason ? r.reason.message : 'Failed' });
-			return;
-		}
-		const src = r.value.source;
-		const items = r.value.items || [];
-		if (r.value.error) {
-			rssErrors.push({ source: src, error: r.value.error, url: r.value.url });
-		}
-		for (let i = 0; i < items.length; i++) {
-			const it = items[i];
-			if (!it || !it.title || !it.link) continue;
-			const full = (it.title + ' ' + (it.description || '') + ' ' + (it.content || ''));
-			if (!containsAny(full, keywords)) continue;
-			const role = roleTierRank(it.title || '', it.description || it.content || '');
-			if (role.score < 0) continue; // Filter out excluded roles
-			const expMatch = experienceLevelMatch(it.title || '', it.description || it.content || '');
-			const locScore = locationRank('Remote');
-			jobs.push(normalizeJob({
-				id: src + '_rss_' + String(it.link || Math.random()).replace(/[^a-zA-Z0-9]/g, '_'),
-				title: String(it.title || '').trim(),
-				company: 'Unknown',
-				location: 'Remote',
-				url: it.link,
-				description: it.description || '',
-				source: src,
-				date: it.pubDate || nowIso(),
-				tags: ['rss'],
-				_rank: role.score + locScore + expMatch.score,
-				_roleTier: role.tier
-			}));
-		}
-	});
-
-	// 4) WorkingNomads (public exposed API via our own proxy)
-	const wn = (wantSource('workingnomads') && baseUrl)
-		? await fetchJson(baseUrl + '/api/workingnomads?q=' + encodeURIComponent(q) + '&count=150')
-		: null;
-		if (wn && wn.ok && Array.isArray(wn.jobs)) {
-		wn.jobs.forEach((it) => {
-			if (!it || !it.title || !it.url) return;
-			const full = (it.title + ' ' + (it.description || ''));
-			if (!containsAny(full, keywords)) return;
-			const role = roleTierRank(it.title || '', it.description || '');
-			if (role.score < 0) return; // Filter out excluded roles
-			const expMatch = experienceLevelMatch(it.title || '', it.description || '');
-			const locScore = locationRank(it.location || 'Remote');
-			jobs.push(normalizeJob({
-				id: 'workingnomads_' + String(it.id || it.url).replace(/[^a-zA-Z0-9]/g, '_'),
-				title: it.title,
-				company: it.company || 'Unknown',
-				location: it.location || 'Remote',
-				url: it.url,
-				description: it.description || '',
-				source: 'workingnomads',
-				date: it.date || nowIso(),
-				tags: ['api'],
-				_rank: role.score + locScore + expMatch.score,
-				_roleTier: role.tier
-			}));
-		});
 	}
 
-	// 4b) hiring.cafe JSON API (rich data with seniority, skills, compensation)
-	if (wantSource('hiring_cafe')) {
-		try {
-			const hcData = await fetchJson('https://hiring.cafe/api/search-jobs?searchQuery=' + encodeURIComponent(q) + '&workplaceTypes=Remote', { timeout: 20000, headers: { 'Referer': 'https://hiring.cafe/' } });
-			const hcResults = (hcData && hcData.results) || [];
-			for (let i = 0; i < Math.min(hcResults.length, 200); i++) {
-				const item = hcResults[i];
-				if (!item || item.is_expired) continue;
-				const ji = item.job_information || {};
-				const vpd = item.v5_processed_job_data || {};
-				const ec = item.enriched_company_data || {};
-				const title = ji.title || vpd.core_job_title || '';
-				const url = item.apply_url || '';
-				if (!title || !url) continue;
-				const company = ec.name || vpd.company_name || 'Unknown';
-				const loc = vpd.formatted_workplace_location || 'Remote';
-				const full = title + ' ' + (vpd.requirements_summary || '') + ' ' + (vpd.technical_tools || []).join(' ');
-				if (!containsAny(full, keywords)) continue;
-				const role = roleTierRank(title, vpd.requirements_summary || '');
-				if (role.score < 0) continue;
-				const expMatch = experienceLevelMatch(title, vpd.requirements_summary || '');
-				const locScore = locationRank(loc);
-				jobs.push(normalizeJob({
-					id: 'hiringcafe_' + (item.id || String(url).replace(/[^a-zA-Z0-9]/g, '_')),
-					title, company, location: loc, url,
-					description: (vpd.requirements_summary || '').slice(0, 500),
-					source: 'hiring_cafe',
-					date: vpd.estimated_publish_date || nowIso(),
-					tags: (vpd.technical_tools || []).slice(0, 5),
-					_rank: role.score + locScore + expMatch.score,
-					_roleTier: role.tier
-				}));
-			}
-		} catch (e) { /* hiring.cafe optional */ }
-	}
+	const sources = Array.from(new Set(jobs.map(j => j.source))).sort();
+	const sourceCounts = {};
+	jobs.forEach((j) => { sourceCounts[j.source] = (sourceCounts[j.source] || 0) + 1; });
 
-	// 4c) Arbeitnow JSON API (European + remote jobs)
-	if (wantSource('arbeitnow')) {
-		try {
-			const abData = await fetchJson('https://www.arbeitnow.com/api/job-board-api', { timeout: 15000 });
-			const abItems = (abData && abData.data) || [];
-			for (let i = 0; i < Math.min(abItems.length, 150); i++) {
-				const it = abItems[i];
-				if (!it || !it.title || !it.url) continue;
-				const full = it.title + ' ' + (it.description || '') + ' ' + (it.tags || []).join(' ');
-				if (!containsAny(full, keywords)) continue;
-				const role = roleTierRank(it.title, it.description || '');
-				if (role.score < 0) continue;
-				const expMatch = experienceLevelMatch(it.title, it.description || '');
-				const locScore = locationRank(it.location || 'Europe');
-				jobs.push(normalizeJob({
-					id: 'arbeitnow_' + String(it.url).replace(/[^a-zA-Z0-9]/g, '_'),
-					title: it.title, company: it.company_name || 'Unknown',
-					location: it.location || 'Europe', url: it.url,
-					description: (it.description || '').slice(0, 500),
-					source: 'arbeitnow',
-					date: it.created_at || nowIso(),
-					tags: (it.tags || []).slice(0, 5),
-					_rank: role.score + locScore + expMatch.score,
-					_roleTier: role.tier
-				}));
-			}
-		} catch (e) { /* arbeitnow optional */ }
+	// Per-source timing (every source that ran) and the ones that missed the deadline
+	const sourceTimings = {};
+	results.forEach((r) => { sourceTimings[r.adapter.id] = r.elapsedMs; });
+	const timedOut = results.filter(r => r.timedOut).map(r => r.adapter.id);
+
+	// ?explain=1: why jobs were dropped (counts by reason + capped list)
+	let explainPayload = {};
+	if (explain) {
+		const droppedCounts = {};
+		collected.dropped.forEach((d) => { droppedCounts[d.reason] = (droppedCounts[d.reason] || 0) + 1; });
+		explainPayload = { droppedCounts, dropped: collected.dropped.slice(0, MAX_DROPPED) };
 	}
 
-	// 4d) Jobicy JSON API (remote jobs with tag search)
-	if (wantSource('jobicy')) {
-		try {
-			const jcData = await fetchJson('https://jobicy.com/api/v2/remote-jobs?count=50&tag=' + encodeURIComponent(q), { timeout: 15000 });
-			const jcItems = (jcData && jcData.jobs) || [];
-			for (let i = 0; i < jcItems.length; i++) {
-				const it = jcItems[i];
-				if (!it || !it.jobTitle || !it.url) continue;
-				const full = it.jobTitle + ' ' + (it.jobExcerpt || '') + ' ' + (it.jobDescription || '');
-				if (!containsAny(full, keywords)) continue;
-				const role = roleTierRank(it.jobTitle, it.jobExcerpt || '');
-				if (role.score < 0) continue;
-				const expMatch = experienceLevelMatch(it.jobTitle, it.jobExcerpt || '');
-				const locScore = locationRank(it.jobGeo || 'Remote');
-				jobs.push(normalizeJob({
-					id: 'jobicy_' + String(it.url).replace(/[^a-zA-Z0-9]/g, '_'),
-					title: it.jobTitle, company: it.companyName || 'Unknown',
-					location: it.jobGeo || 'Remote', url: it.url,
-					description: (it.jobExcerpt || '').slice(0, 500),
-					source: 'jobicy',
-					date: it.pubDate || nowIso(),
-					tags: ['api'],
-					_rank: role.score + locScore + expMatch.score,
-					_roleTier: role.tier
-				}));
-			}
-		} catch (e) { /* jobicy optional */ }
+	// Paginated: keep the whole list for ?cursor= follow-ups, answer with the first page
+	let pagePayload = {};
+	let returnedJobs = jobs;
+	if (paging) {
+		const page = await firstPage('snapshot', req.query || {}, paging, jobs, { query: q, days, limit, location, profile: profile.name, experience, salaryFilter: salary, skillsFilter, sort, sources, sourceCounts });
+		pagePayload = { count: page.jobs.length, total: page.total, pageSize: page.pageSize, nextCursor: page.nextCursor, jobs: projectJobs(page.jobs, fields) };
+		returnedJobs = page.jobs;
 	}
 
-	// 5) Headless browser (WeWorkRemotely) — only when ENABLE_HEADLESS=1; runs in parallel with short timeout
-	const headlessEnabled = String(process.env.ENABLE_HEADLESS || '').trim() === '1';
-	if (headlessEnabled && baseUrl) {
-		try {
-			const headlessPromise = fetchJson(baseUrl + '/api/headless-scrape-weworkremotely', { timeout: 22_000 });
-			const headless = await Promise.race([headlessPromise, new Promise((_, rej) => setTimeout(() => rej(new Error('timeout')), 22_000))]);
-			if (headless && headless.ok && Array.isArray(headless.jobs)) {
-				headless.jobs.forEach((it) => {
-					if (!it || !it.title || !it.url) return;
-					const full = (it.title + ' ' + (it.description || ''));
-					if (!containsAny(full, keywords)) return;
-					const role = roleTierRank(it.title || '', it.description || '');
-					if (role.score < 0) return; // Filter out excluded roles
-					const expMatch = experienceLevelMatch(it.title || '', it.description || '');
-					jobs.push(normalizeJob({
-						id: 'weworkremotely_headless_' + String(it.url || Math.random()).replace(/[^a-zA-Z0-9]/g, '_'),
-						title: it.title,
-						company: 'Unknown',
-						location: 'Remote',
-						url: it.url,
-						description: it.description || '',
-						source: 'weworkremotely_headless',
-						date: nowIso(),
-						tags: ['headless'],
-						_rank: role.score + 120 + expMatch.score,
-						_roleTier: role.tier
-					}));
-				});
-			}
-		} catch (e) { /* headless optional */ }
-		
-		// 6) Multi-site headless scraper (Hirist, Naukri — mainstream India boards)
-		try {
-			const multiPromise = fetchJson(baseUrl + '/api/headless-scrape-multi?site=all&q=' + encodeURIComponent(q), { timeout: 35_000 });
-			const multi = await Promise.race([multiPromise, new Promise((_, rej) => setTimeout(() => rej(new Error('timeout')), 35_000))]);
-			if (multi && multi.ok && Array.isArray(multi.jobs)) {
-				multi.jobs.forEach((it) => {
-					if (!it || !it.title || !it.url) return;
-					const full = (it.title + ' ' + (it.company || '') + ' ' + (it.location || '') + ' ' + (it.description || ''));
-					if (!containsAny(full, keywords)) return;
-					const role = roleTierRank(it.title || '', it.description || '');
-					if (role.score < 0) return; // Filter out excluded roles
-					const expMatch = experienceLevelMatch(it.title || '', it.description || '');
-					const locScore = locationRank(it.location || 'India');
-					jobs.push(normalizeJob({
-						id: (it.source || 'headless') + '_' + String(it.url || Math.random()).replace(/[^a-zA-Z0-9]/g, '_'),
-						title: it.title,
-						company: it.company || 'Unknown',
-						location: it.location || 'India',
-						url: it.url,
-						description: it.description || '',
-						source: it.source || 'headless_multi',
-						date: it.date || nowIso(),
-						tags: ['headless'],
-						_rank: role.score + locScore + expMatch.score,
-						_roleTier: role.tier
-					}));
-				});
-			}
-		} catch (e) { /* multi-scraper optional */ }
-		
-		// 6b) Indeed headless (mainstream global board — no public API)
+	// Saved search + POST / ?markSeen=1: remember just the jobs this response returns
+	if (recordSeen && seen && !seen.error) {
 		try {
-			const indeedPromise = fetchJson(baseUrl + '/api/headless-scrape-indeed?q=' + encodeURIComponent(q) + '&l=remote', { timeout: 20_000 });
-			const indeed = await Promise.race([indeedPromise, new Promise((_, rej) => setTimeout(() => rej(new Error('timeout')), 20_000))]);
-			if (indeed && indeed.ok && Array.isArray(indeed.jobs)) {
-				indeed.jobs.forEach((it) => {
-					if (!it || !it.title || !it.url) return;
-					const full = (it.title + ' ' + (it.company || '') + ' ' + (it.location || '') + ' ' + (it.description || ''));
-					if (!containsAny(full, keywords)) return;
-					const role = roleTierRank(it.title || '', it.description || '');
-					if (role.score < 0) return; // Filter out excluded roles
-					const expMatch = experienceLevelMatch(it.title || '', it.description || '');
-					const locScore = locationRank(it.location || 'Remote');
-					jobs.push(normalizeJob({
-						id: 'indeed_headless_' + String(it.url || Math.random()).replace(/[^a-zA-Z0-9]/g, '_'),
-						title: it.title,
-						company: it.company || 'Unknown',
-						location: it.location || 'Remote',
-						url: it.url,
-						description: it.description || '',
-						source: 'indeed_headless',
-						date: nowIso(),
-						tags: ['headless'],
-						_rank: role.score + locScore + expMatch.score,
-						_roleTier: role.tier
-					}));
-				});
-			}
-		} catch (e) { /* Indeed may block/throttle; optional */ }
-		
-		// 6c) LinkedIn headless (mainstream global board — no public API, may block bots)
-		try {
-			const linkedinPromise = fetchJson(baseUrl + '/api/headless-scrape-linkedin?q=' + encodeURIComponent(q) + '&location=remote&experience=2,3', { timeout: 25_000 });
-			const linkedin = await Promise.race([linkedinPromise, new Promise((_, rej) => setTimeout(() => rej(new Error('timeout')), 25_000))]);
-			if (linkedin && linkedin.ok && Array.isArray(linkedin.jobs)) {
-				linkedin.jobs.forEach((it) => {
-					if (!it || !it.title || !it.url) return;
-					const full = (it.title + ' ' + (it.company || '') + ' ' + (it.location || '') + ' ' + (it.description || ''));
-					if (!containsAny(full, keywords)) return;
-					const role = roleTierRank(it.title || '', it.description || '');
-					if (role.score < 0) return; // Filter out excluded roles
-					const expMatch = experienceLevelMatch(it.title || '', it.description || '');
-					const locScore = locationRank(it.location || 'Remote');
-					jobs.push(normalizeJob({
-						id: 'linkedin_headless_' + String(it.url || Math.random()).replace(/[^a-zA-Z0-9]/g, '_'),
-						title: it.title,
-						company: it.company || 'Unknown',
-						location: it.location || 'Remote',
-						url: it.url,
-						description: it.description || '',
-						source: 'linkedin_headless',
-						date: it.date || nowIso(),
-						tags: ['headless'],
-						_rank: role.score + locScore + expMatch.score,
-						_roleTier: role.tier
-					}));
-				});
-			}
-		} catch (e) { /* LinkedIn blocks/throttles aggressively; optional */ }
-	}
-	
-	// 7) Add cached headless jobs from KV (if available) — faster than live scraping
-	if (cachedHeadlessJobs.length > 0) {
-		cachedHeadlessJobs.forEach((it) => {
-			if (!it || !it.title || !it.url) return;
-			const full = (it.title + ' ' + (it.company || '') + ' ' + (it.location || '') + ' ' + (it.description || ''));
-			if (!containsAny(full, keywords)) return;
-			const role = roleTierRank(it.title || '', it.description || '');
-			if (role.score < 0) return; // Filter out excluded roles
-			const expMatch = experienceLevelMatch(it.title || '', it.description || '');
-			const locScore = locationRank(it.location || 'India');
-			jobs.push(normalizeJob({
-				id: (it.source || 'cached') + '_' + String(it.url || Math.random()).replace(/[^a-zA-Z0-9]/g, '_'),
-				title: it.title,
-				company: it.company || 'Unknown',
-				location: it.location || 'India',
-				url: it.url,
-				description: it.description || '',
-				source: it.source || 'cached_headless',
-				date: it.date || nowIso(),
-				tags: ['cached'],
-				_rank: role.score + locScore + expMatch.score,
-				_roleTier: role.tier
-			}));
-		});
+			seen.recorded = await recordSeenJobs(saved.id, returnedJobs);
+		} catch (e) {
+			seen.error = e.message;
+		}
 	}
 
-	// Filter out excluded roles (Data Engineering) - jobs with negative scores already filtered, but double-check
-	jobs = jobs.filter((j) => {
-		if (j._rank < 0) return false; // Excluded roles
-		return true;
-	});
+	if (exportFormat) return streamExport(res, exportFormat, jobs, fields, saved ? saved.name : q);
 
-	// Freshness filter (last N days)
-	jobs = jobs.filter((j) => {
-		const dt = parseDateLike(j.date);
-		if (!dt) return false;
-		return (now - dt.getTime()) <= maxAgeMs;
-	});
+	// Projected list: keep the full records for /api/jobs-detail?id=
+	if (fields) await saveJobDetails(jobs);
 
-	// Deduplicate by URL
-	const seen = new Set();
-	jobs = jobs.filter((j) => {
-		if (!j.url || seen.has(j.url)) return false;
-		seen.add(j.url);
-		return true;
-	});
-
-	// Sort: role/location priority first, then recency
-	jobs.sort((a, b) => {
-		const ra = typeof a._rank === 'number' ? a._rank : 0;
-		const rb = typeof b._rank === 'number' ? b._rank : 0;
-		if (rb !== ra) return rb - ra;
-		const da = parseDateLike(a.date);
-		const db = parseDateLike(b.date);
-		const ta = da ? da.getTime() : 0;
-		const tb = db ? db.getTime() : 0;
-		return tb - ta;
-	});
-
-	jobs = jobs.slice(0, limit);
-
-	const sources = Array.from(new Set(jobs.map(j => j.source))).sort();
-	const sourceCounts = {};
-	jobs.forEach((j) => { sourceCounts[j.source] = (sourceCounts[j.source] || 0) + 1; });
+	if (feedFormat) {
+		const title = saved ? saved.name : q;
+		const feed = renderFeed(feedFormat, jobs, {
+			title: 'Jobs: ' + title,
+			description: 'Top ' + jobs.length + ' ranked jobs for "' + title + '" posted in the last ' + days + ' day' + (days === 1 ? '' : 's') + ' (' + sources.join(', ') + ')',
+			homeUrl: baseUrl + '/pages/jobs.html',
+			feedUrl: baseUrl + (req.url || '/api/jobs-snapshot?format=' + feedFormat)
+		});
+		res.setHeader('Content-Type', feed.contentType);
+		return res.status(200).send(feed.body);
+	}
 
 	// Collect errors for debugging
-	const errors = [];
-	if (rssErrors && rssErrors.length > 0) {
-		errors.push(...rssErrors.map(e => ({ type: 'rss', source: e.source, error: e.error, url: e.url })));
-	}
+	const errors = results
+		.filter(r => r.error && !r.timedOut)
+		.map(r => ({ type: r.adapter.kind || 'api', source: r.adapter.id, error: r.error }));
 
 	return res.status(200).json({
 		ok: true,
+		...(saved ? { saved: { id: saved.id, name: saved.name }, seen } : {}),
+		...(tracker ? { tracker } : {}),
 		query: q,
 		days,
 		limit,
 		location,
+		profile: profile.name,
+		experience,
+		locationRules: locationRules.map(r => ({ rule: r.label, score: r.score })),
+		salaryFilter: salary,
+		skillsFilter,
+		companyLists: { block: companyLists.block.length, allow: companyLists.allow.length, source: companyLists.source, onlyAllowed, ...(companyLists.error ? { error: companyLists.error } : {}) },
+		dismissed: { count: dismissedResult.count, included: includeDismissed, ...(dismissedError ? { error: dismissedError } : {}) },
+		currency,
+		fxRates: { base: rates.base, asOf: rates.asOf, source: rates.source },
+		sort,
 		count: jobs.length,
 		sources,
 		sourceCounts,
-		jobs,
+		budgetMs,
+		elapsedMs,
+		sourceTimings,
+		timedOut,
+		sourceStatus,
+		jobs: projectJobs(jobs, fields),
+		...pagePayload,
+		...explainPayload,
 		...(errors.length > 0 ? { _errors: errors } : {})
 	});
 };
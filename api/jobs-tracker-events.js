@@ -0,0 +1,62 @@
+/**
+ * Deadlines, interviews and follow-up reminders of a tracked job (see lib/jobs/tracker.js). They show up in
+ * the user's calendar feed, /api/jobs-calendar.
+ *
+ * Usage:
+ *   GET    /api/jobs-tracker-events?user=alex&jobId=remotive_123
+ *   POST   /api/jobs-tracker-events   { "user": "alex", "jobId": "remotive_123", "type": "interview", "at": "2026-11-03T14:00:00+01:00", "durationMinutes": 45 }
+ *          (type deadline | interview | followup; `at` YYYY-MM-DD for all-day; optional title, notes, remindMinutes)
+ *   PUT    /api/jobs-tracker-events?user=alex&jobId=remotive_123&id=ev_1a2b3c   { "at": "2026-11-04T10:00:00Z" }
+ *   DELETE /api/jobs-tracker-events?user=alex&jobId=remotive_123&id=ev_1a2b3c
+ *
+ * Reminders default to a day before deadlines, an hour before interviews and at the time of follow-ups.
+ * Needs KV (503 otherwise) and, when UI_SECRET is set, the secret in X-UI-Secret or ?secret=.
+ */
+
+const { getTracked, addEvent, updateEvent, removeEvent, checkUser } = require('../lib/jobs/tracker');
+const { requestParams, canWrite } = require('../lib/jobs/request');
+
+const EVENT_FIELDS = ['type', 'at', 'title', 'notes', 'durationMinutes', 'remindMinutes'];
+
+module.exports = async (req, res) => {
+	res.setHeader('Access-Control-Allow-Origin', '*');
+	res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+	res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-UI-Secret');
+	res.setHeader('Cache-Control', 'no-store');
+	if (req.method === 'OPTIONS') return res.status(200).end();
+
+	if (!['GET', 'POST', 'PUT', 'PATCH', 'DELETE'].includes(req.method)) {
+		return res.status(405).json({ ok: false, error: 'Method not allowed' });
+	}
+	if (!canWrite(req)) return res.status(401).json({ ok: false, error: 'Invalid or missing secret' });
+
+	const p = requestParams(req);
+	const jobId = p.jobId != null ? String(p.jobId).trim() : '';
+	const id = (req.query && req.query.id) ? String(req.query.id).trim() : '';
+	try {
+		const user = checkUser(p.user);
+		if (!jobId) return res.status(400).json({ ok: false, error: 'Missing jobId' });
+		if (req.method === 'GET') {
+			const entry = await getTracked(user, jobId);
+			if (!entry) return res.status(404).json({ ok: false, error: 'Job not tracked: ' + jobId });
+			const events = entry.events || [];
+			return res.status(200).json({ ok: true, user, jobId, count: events.length, events });
+		}
+		const input = {};
+		EVENT_FIELDS.forEach((k) => { if (p[k] !== undefined) input[k] = p[k]; });
+		if (req.method === 'POST') {
+			const event = await addEvent(user, jobId, input);
+			return res.status(201).json({ ok: true, user, jobId, event });
+		}
+		if (!id) return res.status(400).json({ ok: false, error: 'Missing ?id=' });
+		if (req.method === 'DELETE') {
+			const event = await removeEvent(user, jobId, id);
+			return res.status(200).json({ ok: true, user, jobId, deleted: event.id });
+		}
+		const event = await updateEvent(user, jobId, id, input);
+		return res.status(200).json({ ok: true, user, jobId, event });
+	} catch (e) {
+		if (e.status) return res.status(e.status).json({ ok: false, error: e.message });
+		return res.status(500).json({ ok: false, error: 'Tracker event request failed', message: e.message });
+	}
+};
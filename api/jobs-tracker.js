@@ -0,0 +1,78 @@
+/**
+ * Job application tracker: jobs a user has saved from any source, with a status (saved, applied,
+ * interviewing, offer, rejected), notes, a contact and their deadlines, interviews and follow-ups
+ * (see lib/jobs/tracker.js; events are edited with /api/jobs-tracker-events).
+ *
+ * Usage:
+ *   GET    /api/jobs-tracker?user=alex                 (tracked jobs, counts per status, the calendar feed URL or null without UI_SECRET)
+ *   GET    /api/jobs-tracker?user=alex&status=applied
+ *   GET    /api/jobs-tracker?user=alex&jobId=remotive_123
+ *   POST   /api/jobs-tracker   { "user": "alex", "jobId": "remotive_123", "status": "saved", "notes": "Referral from Sam",
+ *                                "contact": { "name": "Sam Lee", "email": "sam@example.com" } }
+ *          (title/company/url are copied from the listed job; pass "job": { "title", "company", "url" } for one
+ *          that is no longer listed; 201 when new, 200 when it was already tracked)
+ *   PUT    /api/jobs-tracker?user=alex&jobId=remotive_123   { "status": "interviewing" }   (status / notes / contact)
+ *   DELETE /api/jobs-tracker?user=alex&jobId=remotive_123
+ *
+ * Needs KV (503 otherwise) and, when UI_SECRET is set, the secret in X-UI-Secret or ?secret= for every method.
+ */
+
+const { STATUSES, checkStatus, calendarToken, listTracked, getTracked, trackJob, updateTracked, untrackJob, checkUser } = require('../lib/jobs/tracker');
+const { requestParams, canWrite } = require('../lib/jobs/request');
+
+// Feed URL for calendar apps; null without UI_SECRET (jobs-calendar is only served with a token)
+function calendarUrl(req, user) {
+	const token = calendarToken(user);
+	if (!token) return null;
+	const proto = (req.headers && req.headers['x-forwarded-proto']) || 'https';
+	const host = (req.headers && (req.headers['x-forwarded-host'] || req.headers.host)) || '';
+	return (host ? proto + '://' + host : '') + '/api/jobs-calendar?user=' + encodeURIComponent(user) + '&token=' + token;
+}
+
+module.exports = async (req, res) => {
+	res.setHeader('Access-Control-Allow-Origin', '*');
+	res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+	res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-UI-Secret');
+	res.setHeader('Cache-Control', 'no-store');
+	if (req.method === 'OPTIONS') return res.status(200).end();
+
+	if (!['GET', 'POST', 'PUT', 'PATCH', 'DELETE'].includes(req.method)) {
+		return res.status(405).json({ ok: false, error: 'Method not allowed' });
+	}
+	if (!canWrite(req)) return res.status(401).json({ ok: false, error: 'Invalid or missing secret' });
+
+	const p = requestParams(req);
+	const jobId = p.jobId != null ? String(p.jobId).trim() : '';
+	try {
+		const user = checkUser(p.user);
+		if (req.method === 'GET') {
+			if (jobId) {
+				const entry = await getTracked(user, jobId);
+				if (!entry) return res.status(404).json({ ok: false, error: 'Job not tracked: ' + jobId });
+				return res.status(200).json({ ok: true, user, entry });
+			}
+			const all = await listTracked(user);
+			const statusCounts = {};
+			STATUSES.forEach((s) => { statusCounts[s] = all.filter(e => e.status === s).length; });
+			const status = p.status ? checkStatus(p.status) : null;
+			const entries = status ? all.filter(e => e.status === status) : all;
+			return res.status(200).json({ ok: true, user, count: entries.length, statusCounts, calendarUrl: calendarUrl(req, user), entries });
+		}
+		if (req.method === 'POST') {
+			const { entry, created } = await trackJob(user, { jobId, status: p.status, notes: p.notes, contact: p.contact, job: p.job });
+			return res.status(created ? 201 : 200).json({ ok: true, user, entry });
+		}
+		if (!jobId) return res.status(400).json({ ok: false, error: 'Missing jobId' });
+		if (req.method === 'DELETE') {
+			const entry = await untrackJob(user, jobId);
+			return res.status(200).json({ ok: true, user, deleted: entry.jobId });
+		}
+		const changes = {};
+		['status', 'notes', 'contact'].forEach((k) => { if (p[k] !== undefined) changes[k] = p[k]; });
+		const entry = await updateTracked(user, jobId, changes);
+		return res.status(200).json({ ok: true, user, entry });
+	} catch (e) {
+		if (e.status) return res.status(e.status).json({ ok: false, error: e.message });
+		return res.status(500).json({ ok: false, error: 'Tracker request failed', message: e.message });
+	}
+};
@@ -0,0 +1,32 @@
+/**
+ * Webhook delivery log (newest first): one entry per delivery with its attempts, HTTP status and error.
+ *
+ * Usage:
+ *   GET /api/jobs-webhooks-log                    (last 50 deliveries)
+ *   GET /api/jobs-webhooks-log?id=wh_1a2b3c&limit=200
+ *
+ * Needs UI_SECRET when it is set (X-UI-Secret header or ?secret=), like /api/jobs-webhooks.
+ */
+
+const { MAX_LOG, readDeliveryLog } = require('../lib/jobs/webhooks');
+const { canWrite } = require('../lib/jobs/request');
+const { clamp } = require('../lib/jobs/util');
+
+module.exports = async (req, res) => {
+	res.setHeader('Access-Control-Allow-Origin', '*');
+	res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+	res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-UI-Secret');
+	res.setHeader('Cache-Control', 'no-store');
+	if (req.method === 'OPTIONS') return res.status(200).end();
+	if (req.method !== 'GET') return res.status(405).json({ ok: false, error: 'Method not allowed' });
+	if (!canWrite(req)) return res.status(401).json({ ok: false, error: 'Invalid or missing secret' });
+
+	const webhookId = (req.query && req.query.id) ? String(req.query.id).trim() : '';
+	const limit = clamp(parseInt(String((req.query && req.query.limit) || 50), 10) || 50, 1, MAX_LOG);
+	try {
+		const deliveries = await readDeliveryLog({ webhookId, limit });
+		return res.status(200).json({ ok: true, count: deliveries.length, deliveries });
+	} catch (e) {
+		return res.status(500).json({ ok: false, error: 'Failed to read the delivery log', message: e.message });
+	}
+};
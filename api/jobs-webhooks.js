@@ -0,0 +1,88 @@
+/**
+ * Outgoing webhooks for new jobs found by /api/jobs-refresh (see lib/jobs/webhooks.js).
+ *
+ * Usage:
+ *   GET    /api/jobs-webhooks                 (all webhooks; secrets are never listed)
+ *   GET    /api/jobs-webhooks?id=wh_1a2b3c
+ *   POST   /api/jobs-webhooks   { "url": "https://hooks.slack.com/services/…", "format": "slack", "name": "Team", "q": "analyst -senior", "skills": "sql" }
+ *          (format json | slack | discord; the response carries the signing `secret`, generated unless given)
+ *   PUT    /api/jobs-webhooks?id=wh_1a2b3c   { "active": false }   ("rotateSecret": true returns a new secret)
+ *   DELETE /api/jobs-webhooks?id=wh_1a2b3c
+ *   POST   /api/jobs-webhooks?id=wh_1a2b3c&test=1   (sends one sample job, returns the delivery)
+ *
+ * Webhook URLs are credentials (a Slack/Discord URL is enough to post), so every method needs UI_SECRET when
+ * it is set (X-UI-Secret header or ?secret=). Writes need KV (503 otherwise). Deliveries: /api/jobs-webhooks-log.
+ */
+
+const {
+	publicWebhook,
+	listWebhooks,
+	getWebhook,
+	createWebhook,
+	updateWebhook,
+	deleteWebhook,
+	deliverWebhook
+} = require('../lib/jobs/webhooks');
+const { requestParams, canWrite } = require('../lib/jobs/request');
+
+const SAMPLE_JOB = {
+	id: 'sample_1',
+	title: 'Data Analyst (webhook test)',
+	company: 'Example Co',
+	location: 'Remote',
+	url: 'https://example.com/jobs/1',
+	source: 'test',
+	date: new Date(0).toISOString(),
+	skills: ['sql']
+};
+
+module.exports = async (req, res) => {
+	res.setHeader('Access-Control-Allow-Origin', '*');
+	res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+	res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-UI-Secret');
+	res.setHeader('Cache-Control', 'no-store');
+	if (req.method === 'OPTIONS') return res.status(200).end();
+
+	if (!['GET', 'POST', 'PUT', 'PATCH', 'DELETE'].includes(req.method)) {
+		return res.status(405).json({ ok: false, error: 'Method not allowed' });
+	}
+	if (!canWrite(req)) return res.status(401).json({ ok: false, error: 'Invalid or missing secret' });
+
+	const id = (req.query && req.query.id) ? String(req.query.id).trim() : '';
+	try {
+		if (req.method === 'GET') {
+			if (id) {
+				const webhook = await getWebhook(id);
+				if (!webhook) return res.status(404).json({ ok: false, error: 'Webhook not found: ' + id });
+				return res.status(200).json({ ok: true, webhook: publicWebhook(webhook) });
+			}
+			const webhooks = await listWebhooks();
+			return res.status(200).json({ ok: true, count: webhooks.length, webhooks: webhooks.map(publicWebhook) });
+		}
+		const p = requestParams(req);
+		if (req.method === 'POST' && !id) {
+			const webhook = await createWebhook({ name: p.name, url: p.url, format: p.format, secret: p.webhookSecret, q: p.q, skills: p.skills, skillsMode: p.skillsMode, active: p.active });
+			return res.status(201).json({ ok: true, webhook });
+		}
+		if (!id) return res.status(400).json({ ok: false, error: 'Missing ?id=' });
+		if (req.method === 'POST') {
+			if (!['1', 'true'].includes(String(p.test || '').toLowerCase())) return res.status(400).json({ ok: false, error: 'POST with ?id= needs test=1' });
+			const webhook = await getWebhook(id);
+			if (!webhook) return res.status(404).json({ ok: false, error: 'Webhook not found: ' + id });
+			const delivery = await deliverWebhook(webhook, [{ ...SAMPLE_JOB, date: new Date().toISOString() }], { event: 'jobs.test', query: 'webhook test' });
+			return res.status(200).json({ ok: delivery.ok, delivery });
+		}
+		if (req.method === 'DELETE') {
+			const webhook = await deleteWebhook(id);
+			return res.status(200).json({ ok: true, deleted: webhook.id });
+		}
+		const changes = {};
+		['name', 'url', 'format', 'q', 'skills', 'skillsMode', 'active', 'rotateSecret'].forEach((k) => { if (p[k] !== undefined) changes[k] = p[k]; });
+		if (p.webhookSecret !== undefined) changes.secret = p.webhookSecret;
+		const webhook = await updateWebhook(id, changes);
+		return res.status(200).json({ ok: true, webhook: changes.rotateSecret || changes.secret ? webhook : publicWebhook(webhook) });
+	} catch (e) {
+		if (e.status) return res.status(e.status).json({ ok: false, error: e.message });
+		return res.status(500).json({ ok: false, error: 'Webhook request failed', message: e.message });
+	}
+};
@@ -24,6 +24,7 @@ const ALLOWED_HOSTS = new Set([
 	'himalayas.app', 'www.himalayas.app',
 	'authenticjobs.com', 'www.authenticjobs.com',
 	'rssjobs.app', 'www.rssjobs.app',
+	'hnrss.org',
 	'towardsdatascience.com', 'www.towardsdatascience.com',
 	'medium.com', 'www.medium.com'
 ]);
@@ -4,8 +4,11 @@
  *
  * Usage:
  *   /api/workingnomads?q=data%20science&count=50
+ *   /api/workingnomads?q="data analyst" -senior   (boolean query, see lib/jobs/query.js)
  */
 
+const { compileQuery } = require('../lib/jobs/query');
+
 const DEFAULT_COUNT = 50;
 const MAX_COUNT = 100;
 const TIMEOUT_MS = 12_000;
@@ -39,7 +42,12 @@ module.exports = async (req, res) => {
 
 	if (req.method === 'OPTIONS') return res.status(200).end();
 
-	const q = (req.query && req.query.q) ? String(req.query.q).trim().toLowerCase() : '';
+	let query;
+	try {
+		query = compileQuery(req.query && req.query.q);
+	} catch (e) {
+		return res.status(e.status || 500).json({ ok: false, error: e.message });
+	}
 	let count = DEFAULT_COUNT;
 	if (req.query && req.query.count != null) {
 		const n = parseInt(String(req.query.count), 10);
@@ -62,12 +70,7 @@ module.exports = async (req, res) => {
 			date: safeText(it.date || it.created_at || it.publication_date || it.published_at || '')
 		}));
 
-		if (q) {
-			out = out.filter((j) => {
-				const text = (j.title + ' ' + j.company + ' ' + j.location + ' ' + j.description).toLowerCase();
-				return text.includes(q);
-			});
-		}
+		if (query) out = out.filter(j => query.test(j));
 
 		out = out.slice(0, count);
 		return res.status(200).json({ ok: true, count: out.length, jobs: out });
@@ -0,0 +1,184 @@
+/**
+ * Company blocklist / allowlist for the jobs aggregator (recruiting agencies, companies already ruled out).
+ *
+ * Lists are `{ block: [{ name, reason, addedAt }], allow: [...] }` in the KV key `jobs:companies` (managed
+ * with /api/jobs-companies), falling back to lib/jobs/company-lists.json when KV is not configured or the
+ * key was never written. Company names are compared fuzzily on their normalized form (dedupe.js
+ * normalizeCompany): same name, the entry as a whole-word part of the name ("Acme" blocks "Acme Talent"),
+ * or a small edit distance for entries of 8+ letters ("Crossover" / "Cross-over" / "Crosover"; shorter
+ * names must match exactly, so "Stripe" doesn't block "Strive"). Allow entries win over block entries.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeCompany } = require('./dedupe');
+
+const LISTS_FILE = path.join(__dirname, 'company-lists.json');
+const KV_KEY = 'jobs:companies';
+const LISTS = ['block', 'allow'];
+const LISTS_CACHE_MS = 30 * 1000;
+
+let cached = null;
+
+function hasKv() {
+	return process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN;
+}
+
+function listError(msg, status) {
+	const err = new Error(msg);
+	err.status = status || 400;
+	return err;
+}
+
+function toEntry(e) {
+	const name = String((e && typeof e === 'object' ? e.name : e) || '').trim();
+	if (!name) return null;
+	return { name, reason: (e && e.reason) || '', addedAt: (e && e.addedAt) || null };
+}
+
+function validateLists(doc) {
+	const out = {};
+	LISTS.forEach((list) => {
+		out[list] = (Array.isArray(doc && doc[list]) ? doc[list] : []).map(toEntry).filter(Boolean);
+	});
+	return out;
+}
+
+/**
+ * Current lists: { block, allow, source: 'kv' | 'file' }, cached for LISTS_CACHE_MS. `opts.fresh` reads KV
+ * regardless (writes edit what is stored, not what this instance saw up to 30s ago).
+ */
+async function loadCompanyLists(opts) {
+	if (!(opts && opts.fresh) && cached && Date.now() - cached.loadedAt < LISTS_CACHE_MS) return cached.lists;
+	let lists = null;
+	if (hasKv()) {
+		const { kv } = require('@vercel/kv');
+		const stored = await kv.get(KV_KEY);
+		if (stored) lists = { ...validateLists(typeof stored === 'string' ? JSON.parse(stored) : stored), source: 'kv' };
+	}
+	if (!lists) lists = { ...validateLists(JSON.parse(fs.readFileSync(LISTS_FILE, 'utf8'))), source: 'file' };
+	cached = { lists, loadedAt: Date.now() };
+	return lists;
+}
+
+async function saveCompanyLists(lists) {
+	if (!hasKv()) throw listError('Vercel KV not configured; edit lib/jobs/company-lists.json instead', 503);
+	const { kv } = require('@vercel/kv');
+	const doc = { block: lists.block, allow: lists.allow };
+	await kv.set(KV_KEY, doc);
+	cached = null;
+	return { ...doc, source: 'kv' };
+}
+
+function checkList(list) {
+	if (!LISTS.includes(list)) throw listError('Invalid list: ' + list + ' (use block or allow)');
+}
+
+/**
+ * Add (or update the reason of) a company on a list. The first write copies the file lists into KV.
+ * Throws with `status` 400 on a bad list/name and 503 without KV.
+ */
+async function addCompany(list, name, reason) {
+	checkList(list);
+	const entry = toEntry({ name, reason: reason ? String(reason).trim() : '', addedAt: new Date().toISOString() });
+	if (!entry || !normalizeCompany(entry.name)) throw listError('Missing or invalid company name');
+	const lists = await loadCompanyLists({ fresh: true });
+	const key = normalizeCompany(entry.name);
+	const existing = lists[list].find(e => normalizeCompany(e.name) === key);
+	const next = existing
+		? lists[list].map(e => (e === existing ? { ...e, reason: entry.reason || e.reason } : e))
+		: lists[list].concat(entry);
+	return saveCompanyLists({ ...lists, [list]: next });
+}
+
+/** Remove a company (same normalized name) from a list. Throws with `status = 404` when it isn't there. */
+async function removeCompany(list, name) {
+	checkList(list);
+	const key = normalizeCompany(name);
+	if (!key) throw listError('Missing or invalid company name');
+	const lists = await loadCompanyLists({ fresh: true });
+	const next = lists[list].filter(e => normalizeCompany(e.name) !== key);
+	if (next.length === lists[list].length) throw listError('Not on the ' + list + ' list: ' + name, 404);
+	return saveCompanyLists({ ...lists, [list]: next });
+}
+
+function editDistance(a, b, max) {
+	if (Math.abs(a.length - b.length) > max) return max + 1;
+	let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+	for (let i = 1; i <= a.length; i++) {
+		const cur = [i];
+		for (let j = 1; j <= b.length; j++) {
+			cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+		}
+		prev = cur;
+	}
+	return prev[b.length];
+}
+
+/** Whether a normalized list entry matches a normalized company name. */
+function companyKeyMatches(entryKey, companyKey) {
+	if (!entryKey || !companyKey) return false;
+	if (entryKey === companyKey) return true;
+	const a = entryKey.replace(/ /g, '');
+	const b = companyKey.replace(/ /g, '');
+	if (a === b) return true;
+	if (a.length >= 4 && (' ' + companyKey + ' ').includes(' ' + entryKey + ' ')) return true;
+	// Short names are too close to each other for typo tolerance ("Stripe" / "Strive")
+	const max = a.length >= 12 ? 2 : (a.length >= 8 ? 1 : 0);
+	return max > 0 && editDistance(a, b, max) <= max;
+}
+
+/**
+ * Compile lists into a matcher: check(company) -> { list: 'allow' | 'block', entry } or null. Jobs with
+ * no company (or "Unknown") never match.
+ */
+function companyMatcher(lists) {
+	const compiled = {};
+	LISTS.forEach((list) => {
+		compiled[list] = ((lists && lists[list]) || []).map(e => ({ entry: e, key: normalizeCompany(e.name) })).filter(e => e.key);
+	});
+	return {
+		size: compiled.block.length + compiled.allow.length,
+		check(company) {
+			const key = normalizeCompany(company);
+			if (!key) return null;
+			// allow first: it wins over a block entry that also matches
+			const allowed = compiled.allow.find(e => companyKeyMatches(e.key, key));
+			if (allowed) return { list: 'allow', entry: allowed.entry };
+			const blocked = compiled.block.find(e => companyKeyMatches(e.key, key));
+			return blocked ? { list: 'block', entry: blocked.entry } : null;
+		}
+	};
+}
+
+/**
+ * Drop jobs from blocked companies (allowlisted ones are always kept). With `onlyAllowed`, keep only
+ * allowlisted companies. `onDrop(job, reason, detail)` is called per dropped job (reason company_blocked
+ * or company_not_allowed).
+ */
+function applyCompanyLists(jobs, matcher, opts = {}) {
+	if (!matcher || (!matcher.size && !opts.onlyAllowed)) return jobs;
+	return jobs.filter((job) => {
+		const hit = matcher.check(job.company);
+		if (hit && hit.list === 'allow') return true;
+		if (hit && hit.list === 'block') {
+			if (opts.onDrop) opts.onDrop(job, 'company_blocked', hit.entry.name + (hit.entry.reason ? ' (' + hit.entry.reason + ')' : ''));
+			return false;
+		}
+		if (opts.onlyAllowed) {
+			if (opts.onDrop) opts.onDrop(job, 'company_not_allowed', job.company || null);
+			return false;
+		}
+		return true;
+	});
+}
+
+module.exports = {
+	KV_KEY,
+	LISTS,
+	loadCompanyLists,
+	addCompany,
+	removeCompany,
+	companyMatcher,
+	applyCompanyLists
+};
@@ -0,0 +1,148 @@
+/**
+ * Cross-source duplicate detection for the jobs aggregator.
+ *
+ * Jobs are clustered when they share a canonical URL (tracking params, fragment, "www." and trailing
+ * slash removed), or the same normalized company + title posted within DEDUPE_WINDOW_MS of each other.
+ * A title alone never merges: jobs without a company (most RSS feeds) only join a cluster by URL, since
+ * "Data Analyst" posted the same week by two unknown companies is usually two jobs. Each cluster keeps its
+ * richest record; the others are listed in its `alsoOn`.
+ */
+
+const { parseDateLike } = require('./util');
+
+const DEDUPE_WINDOW_MS = 3 * 24 * 60 * 60 * 1000;
+
+const TRACKING_PARAMS = new Set([
+	'ref', 'referrer', 'source', 'src', 'gclid', 'fbclid', 'msclkid', 'mc_cid', 'mc_eid', 'igshid',
+	'trk', 'trackingid', 'refid', 'ref_src', 'campaign', 'from', 'via', '_hsenc', '_hsmi'
+]);
+
+const COMPANY_SUFFIXES = /\b(inc|incorporated|llc|l\.l\.c|ltd|limited|gmbh|ag|sa|s\.a|sas|bv|b\.v|oy|ab|plc|corp|corporation|co|company|pvt|private|technologies|technology|labs|group|holdings)\b\.?/g;
+const TITLE_NOISE = /\((?:[^)]*\b(?:remote|hybrid|onsite|on-site|contract|full[- ]time|part[- ]time|f\/m\/d|m\/w\/d|m\/f\/d)\b[^)]*)\)|\b(?:remote|100% remote|fully remote|full[- ]time|part[- ]time)\b|\b(?:f\/m\/d|m\/w\/d|m\/f\/d|w\/m\/d)\b/g;
+
+/** Canonical form of a job URL for duplicate detection ('' when unparsable). */
+function canonicalUrl(url) {
+	let u;
+	try {
+		u = new URL(String(url || ''));
+	} catch (e) {
+		return '';
+	}
+	if (!/^https?:$/.test(u.protocol)) return '';
+	const params = [];
+	u.searchParams.forEach((v, k) => {
+		const key = k.toLowerCase();
+		if (key.startsWith('utm_') || TRACKING_PARAMS.has(key)) return;
+		params.push([k, v]);
+	});
+	params.sort((a, b) => (a[0] < b[0] ? -1 : (a[0] > b[0] ? 1 : 0)));
+	const host = u.hostname.toLowerCase().replace(/^www\./, '');
+	const pathname = u.pathname.replace(/\/+$/, '') || '/';
+	const query = params.length ? '?' + params.map(([k, v]) => encodeURIComponent(k) + '=' + encodeURIComponent(v)).join('&') : '';
+	return host + pathname + query;
+}
+
+function squash(s) {
+	return s.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/** Normalized company name ('' for missing / "Unknown"). */
+function normalizeCompany(company) {
+	const c = String(company || '').toLowerCase().trim();
+	if (!c || c === 'unknown' || c === 'n/a') return '';
+	return squash(c.replace(COMPANY_SUFFIXES, ' ')) || squash(c);
+}
+
+/** Normalized title: lowercase, no work-mode / contract noise or punctuation. */
+function normalizeTitle(title) {
+	return squash(String(title || '').toLowerCase().replace(TITLE_NOISE, ' '));
+}
+
+/** Company + title for matching; RSS titles like "Acme: Data Analyst" supply the company when it's missing. */
+function matchKeys(job) {
+	let company = normalizeCompany(job.company);
+	let title = String(job.title || '');
+	if (!company) {
+		const m = title.match(/^([^:|]{2,60})[:|]\s+(.+)$/);
+		if (m) {
+			company = normalizeCompany(m[1]);
+			title = m[2];
+		}
+	}
+	return { company, title: normalizeTitle(title) };
+}
+
+/** How complete a record is; the richest record of a cluster is the one kept. */
+function richness(job) {
+	let score = Math.min(String(job.description || '').length, 4000) / 100;
+	if (normalizeCompany(job.company)) score += 20;
+	if (job.location && job.location !== 'Remote') score += 5;
+	if (Array.isArray(job.tags)) score += Math.min(job.tags.filter(t => t !== 'rss').length, 10);
+	if (job.experience) score += 5;
+	return score;
+}
+
+function timeOf(job) {
+	const d = parseDateLike(job.date);
+	return d ? d.getTime() : null;
+}
+
+function near(cluster, t) {
+	return t == null || cluster.time == null || Math.abs(cluster.time - t) <= DEDUPE_WINDOW_MS;
+}
+
+/**
+ * Cluster duplicates and keep one record per cluster (in first-seen order). Kept jobs get
+ * `alsoOn: [{ source, id, url }]` for the dropped copies. `onDuplicate(job, kept)` is called once per
+ * dropped copy (used for ?explain=1).
+ */
+function dedupeJobs(jobs, onDuplicate) {
+	const clusters = [];
+	const byUrl = new Map();
+	const byKey = new Map();
+	const add = (map, key, cluster) => {
+		if (!key) return;
+		if (!map.has(key)) map.set(key, []);
+		map.get(key).push(cluster);
+	};
+
+	jobs.forEach((job) => {
+		if (!job || !job.url) return;
+		const url = canonicalUrl(job.url) || String(job.url);
+		const { company, title } = matchKeys(job);
+		const t = timeOf(job);
+		let cluster = byUrl.get(url) || null;
+		if (!cluster && company && title) {
+			cluster = (byKey.get(company + '|' + title) || []).find(c => near(c, t)) || null;
+		}
+		if (!cluster) {
+			cluster = { members: [], time: t, company: '' };
+			clusters.push(cluster);
+		}
+		cluster.members.push(job);
+		byUrl.set(url, cluster);
+		if (company && !cluster.company) {
+			cluster.company = company;
+			add(byKey, company + '|' + title, cluster);
+		}
+	});
+
+	return clusters.map(({ members }) => {
+		let kept = members[0];
+		members.forEach((m) => { if (richness(m) > richness(kept)) kept = m; });
+		const others = members.filter(m => m !== kept);
+		others.forEach((m) => { if (onDuplicate) onDuplicate(m, kept); });
+		return {
+			...kept,
+			alsoOn: (kept.alsoOn || []).concat(others.map(m => ({ source: m.source, id: m.id, url: m.url })))
+		};
+	});
+}
+
+module.exports = {
+	DEDUPE_WINDOW_MS,
+	canonicalUrl,
+	normalizeCompany,
+	normalizeTitle,
+	dedupeJobs
+};
@@ -0,0 +1,63 @@
+/**
+ * Full job records for /api/jobs-detail?id=, so list responses can leave out descriptions (?fields=).
+ *
+ * jobs-snapshot saves the full records of a projected response here: a per-day Vercel KV hash
+ * (`jobs:details:<yyyy-mm-dd>`, kept DETAILS_TTL_S) or this instance's memory without KV. Lookups also
+ * fall back to the jobs-refresh cache (`jobs:scraped:all`), which is what /api/jobs-cached serves.
+ */
+
+const KV_PREFIX = 'jobs:details:';
+const SCRAPED_KEY = 'jobs:scraped:all';
+const DETAILS_TTL_S = 2 * 24 * 60 * 60;
+const MAX_MEMORY_JOBS = 2000;
+
+const memory = new Map();
+
+function hasKv() {
+	return process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN;
+}
+
+function dayKey(offsetDays) {
+	return KV_PREFIX + new Date(Date.now() - (offsetDays || 0) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+/** Remember the full records of jobs returned in a list response. */
+async function saveJobDetails(jobs) {
+	if (!Array.isArray(jobs) || !jobs.length) return;
+	jobs.forEach((j) => {
+		if (!j || !j.id) return;
+		memory.delete(j.id);
+		memory.set(j.id, j);
+	});
+	while (memory.size > MAX_MEMORY_JOBS) memory.delete(memory.keys().next().value);
+	if (!hasKv()) return;
+	try {
+		const { kv } = require('@vercel/kv');
+		const key = dayKey(0);
+		const fields = {};
+		jobs.forEach((j) => { if (j && j.id) fields[j.id] = j; });
+		await kv.hset(key, fields);
+		await kv.expire(key, DETAILS_TTL_S);
+	} catch (e) { /* KV optional */ }
+}
+
+/** Full record of one job by id (memory, today's/yesterday's KV hash, then the jobs-refresh cache), or null. */
+async function findJobDetail(id) {
+	const jobId = String(id || '');
+	if (!jobId) return null;
+	if (memory.has(jobId)) return memory.get(jobId);
+	if (!hasKv()) return null;
+	const { kv } = require('@vercel/kv');
+	for (let d = 0; d < 2; d++) {
+		const stored = await kv.hget(dayKey(d), jobId).catch(() => null);
+		if (stored) return typeof stored === 'string' ? JSON.parse(stored) : stored;
+	}
+	const cached = await kv.get(SCRAPED_KEY).catch(() => null);
+	if (cached && Array.isArray(cached.jobs)) return cached.jobs.find(j => j && j.id === jobId) || null;
+	return null;
+}
+
+module.exports = {
+	saveJobDetails,
+	findJobDetail
+};
@@ -0,0 +1,121 @@
+/**
+ * Email digest of top-ranked jobs (used by /api/jobs-digest): the same jobs rendered as an HTML and a
+ * plain-text body, grouped by role tier (the ranking profile's tier1, tier2, …, then other) and, within a
+ * tier, by source. Salary and skills are shown when known.
+ */
+
+const { formatSalary } = require('./salary');
+
+const PERIODS = { daily: 1, weekly: 7 };
+
+function esc(s) {
+	return String(s == null ? '' : s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function tierLabel(tier) {
+	const m = /^tier(\d+)$/.exec(tier || '');
+	return m ? 'Tier ' + m[1] : 'Other roles';
+}
+
+function tierOrder(tier) {
+	const m = /^tier(\d+)$/.exec(tier || '');
+	return m ? Number(m[1]) : Infinity;
+}
+
+/** Jobs grouped as [{ tier, label, count, sources: [{ source, jobs }] }], keeping the given (ranked) order within groups. */
+function groupDigestJobs(jobs) {
+	const tiers = new Map();
+	jobs.forEach((job) => {
+		const tier = /^tier\d+$/.test(job._roleTier || '') ? job._roleTier : 'other';
+		if (!tiers.has(tier)) tiers.set(tier, new Map());
+		const sources = tiers.get(tier);
+		const source = job.source || 'other';
+		if (!sources.has(source)) sources.set(source, []);
+		sources.get(source).push(job);
+	});
+	return Array.from(tiers.entries())
+		.sort((a, b) => tierOrder(a[0]) - tierOrder(b[0]))
+		.map(([tier, sources]) => {
+			const list = Array.from(sources.entries()).map(([source, sourceJobs]) => ({ source, jobs: sourceJobs }));
+			return { tier, label: tierLabel(tier), count: list.reduce((n, s) => n + s.jobs.length, 0), sources: list };
+		});
+}
+
+function jobDetails(job) {
+	const parts = [];
+	const salary = formatSalary(job.salary);
+	if (salary) {
+		const n = job.salaryNormalized;
+		parts.push(n && n.currency !== job.salary.currency ? salary + ' (≈ ' + formatSalary(n) + ')' : salary);
+	}
+	if (Array.isArray(job.skills) && job.skills.length) parts.push(job.skills.join(', '));
+	return parts;
+}
+
+function jobMeta(job) {
+	return [job.company, job.location, job.postedAgo || job.dateFormatted].filter(Boolean).join(' · ');
+}
+
+/**
+ * Render a digest. `meta`: { title (saved search name or query), period ('daily' | 'weekly'), days,
+ * total (jobs before the top-N cut), generatedAt (ISO), pageUrl (optional link to the Jobs page) }.
+ * Returns { subject, html, text, count, groups }.
+ */
+function renderDigest(jobs, meta) {
+	const m = meta || {};
+	const groups = groupDigestJobs(jobs || []);
+	const count = (jobs || []).length;
+	const periodLabel = m.period === 'weekly' ? 'Weekly' : 'Daily';
+	const subject = periodLabel + ' jobs digest' + (m.title ? ': ' + m.title : '') + ' (' + count + ' job' + (count === 1 ? '' : 's') + ')';
+	const generated = (m.generatedAt || new Date().toISOString()).slice(0, 16).replace('T', ' ') + ' UTC';
+	const summary = count + ' top-ranked job' + (count === 1 ? '' : 's') +
+		(m.total > count ? ' of ' + m.total : '') +
+		' posted in the last ' + (m.days === 1 ? 'day' : (m.days || 1) + ' days') + ' · ' + generated;
+
+	const text = [subject, summary, ''];
+	const html = [
+		'<!DOCTYPE html><html><head><meta charset="utf-8"><title>' + esc(subject) + '</title></head>',
+		'<body style="margin:0;padding:16px;font-family:Arial,Helvetica,sans-serif;color:#111827;background:#ffffff;">',
+		'<h1 style="font-size:20px;margin:0 0 4px 0;">' + esc(subject) + '</h1>',
+		'<p style="margin:0 0 16px 0;color:#6b7280;font-size:13px;">' + esc(summary) + '</p>'
+	];
+	if (!count) {
+		text.push('No matching jobs this time.');
+		html.push('<p>No matching jobs this time.</p>');
+	}
+	groups.forEach((group) => {
+		text.push('== ' + group.label + ' (' + group.count + ') ==');
+		html.push('<h2 style="font-size:16px;margin:20px 0 6px 0;border-bottom:1px solid #e5e7eb;padding-bottom:4px;">' + esc(group.label) + ' <span style="color:#6b7280;font-weight:normal;">(' + group.count + ')</span></h2>');
+		group.sources.forEach((s) => {
+			text.push('-- ' + s.source + ' --');
+			html.push('<h3 style="font-size:13px;margin:12px 0 4px 0;color:#374151;text-transform:uppercase;letter-spacing:0.04em;">' + esc(s.source) + '</h3>');
+			html.push('<ul style="margin:0;padding:0 0 0 18px;">');
+			s.jobs.forEach((job) => {
+				const details = jobDetails(job);
+				const hasUrl = job.url && job.url !== '#';
+				text.push('* ' + job.title + (jobMeta(job) ? ' — ' + jobMeta(job) : ''));
+				if (details.length) text.push('  ' + details.join(' · '));
+				if (hasUrl) text.push('  ' + job.url);
+				html.push('<li style="margin:0 0 8px 0;">' +
+					(hasUrl ? '<a href="' + esc(job.url) + '" style="color:#1d4ed8;font-weight:bold;text-decoration:none;">' + esc(job.title) + '</a>' : '<strong>' + esc(job.title) + '</strong>') +
+					(jobMeta(job) ? '<br><span style="color:#374151;font-size:13px;">' + esc(jobMeta(job)) + '</span>' : '') +
+					(details.length ? '<br><span style="color:#6b7280;font-size:12px;">' + esc(details.join(' · ')) + '</span>' : '') +
+					'</li>');
+			});
+			html.push('</ul>');
+			text.push('');
+		});
+	});
+	if (m.pageUrl) {
+		text.push('All results: ' + m.pageUrl);
+		html.push('<p style="margin:20px 0 0 0;font-size:13px;"><a href="' + esc(m.pageUrl) + '" style="color:#1d4ed8;">All results</a></p>');
+	}
+	html.push('</body></html>');
+	return { subject, html: html.join('\n'), text: text.join('\n').trim() + '\n', count, groups };
+}
+
+module.exports = {
+	PERIODS,
+	groupDigestJobs,
+	renderDigest
+};
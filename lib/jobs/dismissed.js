@@ -0,0 +1,92 @@
+/**
+ * Dismissed ("not interested") jobs: hidden from /api/jobs-snapshot and /api/jobs-cached unless
+ * ?includeDismissed=1, which keeps them flagged `dismissed: true` instead.
+ *
+ * One Vercel KV set of job ids (`jobs:dismissed`) shared by everyone using this deployment, managed with
+ * /api/jobs-dismissed. Without KV nothing is hidden server-side and the Jobs page keeps its own list in
+ * localStorage. A merged posting (dedupe.js) counts as dismissed when any of its copies in `alsoOn` is, so
+ * it stays hidden when another source's copy becomes the kept one.
+ */
+
+const KV_KEY = 'jobs:dismissed';
+const MAX_IDS = 500;
+const MAX_ID_LENGTH = 300;
+
+function hasKv() {
+	return process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN;
+}
+
+function dismissedError(msg, status) {
+	const err = new Error(msg);
+	err.status = status || 400;
+	return err;
+}
+
+function kvClient() {
+	if (!hasKv()) throw dismissedError('Vercel KV not configured; dismissing jobs needs KV_REST_API_URL and KV_REST_API_TOKEN', 503);
+	return require('@vercel/kv').kv;
+}
+
+/** Job ids from an array or a comma-separated string; throws with `status = 400` when empty or too many. */
+function parseIds(value) {
+	const list = Array.isArray(value) ? value : String(value == null ? '' : value).split(',');
+	const ids = Array.from(new Set(list.map(v => String(v == null ? '' : v).trim()).filter(Boolean)));
+	if (!ids.length) throw dismissedError('Missing job ids (?id= or "ids": [...])');
+	if (ids.length > MAX_IDS) throw dismissedError('At most ' + MAX_IDS + ' ids per request');
+	const long = ids.find(id => id.length > MAX_ID_LENGTH);
+	if (long) throw dismissedError('Job id too long: ' + long.slice(0, 40) + '…');
+	return ids;
+}
+
+/** Set of dismissed job ids (empty without KV). */
+async function loadDismissed() {
+	if (!hasKv()) return new Set();
+	const ids = await kvClient().smembers(KV_KEY);
+	return new Set((ids || []).map(String));
+}
+
+/** Dismiss `ids`; resolves to the normalized ids. */
+async function dismissJobs(ids) {
+	const list = parseIds(ids);
+	await kvClient().sadd(KV_KEY, ...list);
+	return list;
+}
+
+/** Undo dismissals of `ids`; resolves to the normalized ids. */
+async function restoreJobs(ids) {
+	const list = parseIds(ids);
+	await kvClient().srem(KV_KEY, ...list);
+	return list;
+}
+
+function isDismissed(job, dismissed) {
+	if (!job || !dismissed.size) return false;
+	if (dismissed.has(String(job.id))) return true;
+	return Array.isArray(job.alsoOn) && job.alsoOn.some(a => a && a.id != null && dismissed.has(String(a.id)));
+}
+
+/**
+ * Drop dismissed jobs, or with `include` keep them flagged `dismissed: true`. `onDrop(job)` is called for each
+ * dropped job. Returns { jobs, count } (count = dismissed jobs found, dropped or flagged).
+ */
+function applyDismissed(jobs, dismissed, opts) {
+	const o = opts || {};
+	if (!dismissed || !dismissed.size) return { jobs, count: 0 };
+	let count = 0;
+	const out = [];
+	jobs.forEach((job) => {
+		if (!isDismissed(job, dismissed)) return out.push(job);
+		count++;
+		if (o.include) return out.push({ ...job, dismissed: true });
+		if (o.onDrop) o.onDrop(job);
+	});
+	return { jobs: out, count };
+}
+
+module.exports = {
+	parseIds,
+	loadDismissed,
+	dismissJobs,
+	restoreJobs,
+	applyDismissed
+};
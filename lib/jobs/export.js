@@ -0,0 +1,100 @@
+/**
+ * CSV / NDJSON export of job lists (/api/jobs-snapshot and /api/jobs-cached with ?format=csv|ndjson).
+ *
+ * Columns come from ?fields= (same names and validation as the JSON projection); CSV defaults to
+ * DEFAULT_CSV_COLUMNS, NDJSON to whole jobs. CSV cells: objects are flattened for spreadsheets (salary
+ * "$80k–100k/yr", skills "sql; dbt", experience "2-5"), quoted per RFC 4180, and text starting with = + - @
+ * gets a leading ' so spreadsheets don't run it as a formula. Rows are written in chunks, waiting for
+ * `drain`, so a large list is never built as one string.
+ */
+
+const { formatSalary } = require('./salary');
+
+const EXPORT_FORMATS = {
+	csv: 'text/csv; charset=utf-8',
+	ndjson: 'application/x-ndjson; charset=utf-8'
+};
+const DEFAULT_CSV_COLUMNS = ['title', 'company', 'location', 'url', 'date', 'source', 'jobType', 'salary', 'skills'];
+const ROWS_PER_CHUNK = 200;
+
+/**
+ * ?format= value: 'csv' | 'ndjson', or null for json / empty / one of `otherFormats` (handled by the caller).
+ * Throws with `status = 400` for anything else.
+ */
+function parseExportFormat(value, otherFormats) {
+	const f = String(value || '').trim().toLowerCase();
+	if (EXPORT_FORMATS[f]) return f;
+	const others = otherFormats || [];
+	if (!f || f === 'json' || others.includes(f)) return null;
+	const err = new Error('Invalid format: ' + value + ' (use ' + ['json'].concat(others, Object.keys(EXPORT_FORMATS)).join(', ') + ')');
+	err.status = 400;
+	throw err;
+}
+
+/** Download name from a query / saved search name: jobs-<slug>-<yyyy-mm-dd>.<ext>. */
+function exportFilename(label, format) {
+	const slug = String(label || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+		.replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+	return 'jobs-' + (slug ? slug + '-' : '') + new Date().toISOString().slice(0, 10) + '.' + format;
+}
+
+function cellValue(field, value) {
+	if (value == null) return '';
+	if (field === 'salary' || field === 'salaryNormalized') return formatSalary(value);
+	if (field === 'experience') return value.max != null ? value.min + '-' + value.max : value.min + '+';
+	if (field === 'alsoOn') return value.map(a => a.source).join('; ');
+	if (field === 'tracked') return value.status;
+	if (Array.isArray(value)) return value.join('; ');
+	if (typeof value === 'object') return JSON.stringify(value);
+	return value;
+}
+
+function csvCell(field, value) {
+	let s = String(cellValue(field, value));
+	if (/^[=+\-@\t\r]/.test(s) && !/^[+-]?\d+(?:\.\d+)?$/.test(s)) s = "'" + s;
+	return /[",\r\n]|^\s|\s$/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+}
+
+function csvRow(job, columns) {
+	return columns.map(c => csvCell(c, job[c])).join(',') + '\r\n';
+}
+
+function ndjsonRow(job, columns) {
+	if (!columns) return JSON.stringify(job) + '\n';
+	const out = {};
+	columns.forEach((c) => { if (job[c] !== undefined) out[c] = job[c]; });
+	return JSON.stringify(out) + '\n';
+}
+
+function write(res, chunk) {
+	if (res.write(chunk) !== false || typeof res.once !== 'function') return Promise.resolve();
+	return new Promise(resolve => res.once('drain', resolve));
+}
+
+/**
+ * Stream `jobs` to `res` as `format` with `fields` as the columns (null = the format's default) and a
+ * Content-Disposition filename from `label`. Sets the status and headers, then ends the response.
+ */
+async function streamExport(res, format, jobs, fields, label) {
+	const columns = fields || (format === 'csv' ? DEFAULT_CSV_COLUMNS : null);
+	const filename = exportFilename(label, format);
+	res.setHeader('Content-Type', EXPORT_FORMATS[format]);
+	res.setHeader('Content-Disposition', 'attachment; filename="' + filename + '"');
+	res.setHeader('X-Total-Count', String(jobs.length));
+	res.status(200);
+	// Header row (with a BOM so Excel reads the file as UTF-8)
+	if (format === 'csv') await write(res, '\ufeff' + columns.map(c => csvCell('', c)).join(',') + '\r\n');
+	for (let i = 0; i < jobs.length; i += ROWS_PER_CHUNK) {
+		const rows = jobs.slice(i, i + ROWS_PER_CHUNK).map(j => (format === 'csv' ? csvRow(j, columns) : ndjsonRow(j, columns)));
+		await write(res, rows.join(''));
+	}
+	return res.end();
+}
+
+module.exports = {
+	EXPORT_FORMATS,
+	DEFAULT_CSV_COLUMNS,
+	parseExportFormat,
+	exportFilename,
+	streamExport
+};
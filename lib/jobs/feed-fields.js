@@ -0,0 +1,133 @@
+/**
+ * Company / location / job-type extraction for RSS items (see sources/rss.js). Each feed adapter
+ * declares its rules:
+ *   {
+ *     elements: { company: ['company'], location: ['region'], jobType: ['type'] },  // item elements, in order
+ *     title: 'company_role',  // title layout (TITLE_LAYOUTS); the role part replaces the title
+ *     description: true       // "Location: …" / "Job type: …" / "Company: …" lines (default true)
+ *   }
+ * Per field the first non-empty value wins: elements, then title, then description. Every feed also
+ * tries the common elements in DEFAULT_ELEMENTS.
+ */
+
+const { normalizeJobType } = require('./util');
+
+const FIELDS = ['company', 'location', 'jobType'];
+
+const DEFAULT_ELEMENTS = {
+	company: ['company', 'company_name'],
+	location: ['location'],
+	jobType: ['job_type', 'jobtype']
+};
+
+// Title layouts: parse(title) -> { title, company, location } (any may be missing) or null
+const TITLE_LAYOUTS = {
+	// WeWorkRemotely: "Acme: Senior Data Analyst"
+	company_role(t) {
+		const m = t.match(/^([^:]{2,80}?):\s+(.+)$/);
+		return m ? { company: m[1], title: m[2] } : null;
+	},
+	// "Senior Data Analyst at Acme (Remote)"
+	role_at_company(t) {
+		const m = t.match(/^(.+)\s+(?:at|@)\s+(.+?)(?:\s+\(([^)]+)\))?$/i);
+		return m ? { title: m[1], company: m[2], location: m[3] } : null;
+	},
+	// Indeed: "Senior Data Analyst - Acme Corp - Remote" (the title itself may contain " - ")
+	role_company_location(t) {
+		const parts = t.split(/\s+[-–]\s+/);
+		if (parts.length < 3) return null;
+		return { location: parts.pop(), company: parts.pop(), title: parts.join(' - ') };
+	},
+	// HN: "Acme (YC W20) Is Hiring a Senior Data Analyst"
+	hn_hiring(t) {
+		const m = t.match(/^(.+?)(?:\s+\((?:YC\s+)?[A-Z]\d{2}\))?\s+(?:is|are)\s+hiring\b[:\s-]*(?:an?\s+)?(.*)$/i);
+		return m ? { company: m[1], title: m[2] || t } : null;
+	}
+};
+
+// "Label: value" / "Label - value" in descriptions; the value stops at the end of the line or the next label
+const LABEL_END = '(?:\\s*:|\\s+[–-])\\s*';
+const DESCRIPTION_LABELS = {
+	company: new RegExp('(?:^|\\n)\\s*company(?:\\s+name)?' + LABEL_END + '([^\\n]{2,120})', 'i'),
+	location: new RegExp('(?:^|\\n)\\s*(?:job\\s+)?(?:location|region|remote\\s+location)s?' + LABEL_END + '([^\\n]{2,120})', 'i'),
+	jobType: new RegExp('(?:^|\\n|\\s)(?:job|employment|position|contract)\\s+type' + LABEL_END + '([^\\n]{2,60})', 'i')
+};
+
+function decodeEntities(s) {
+	return String(s || '')
+		.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+		.replace(/&lt;/g, '<')
+		.replace(/&gt;/g, '>')
+		.replace(/&quot;/g, '"')
+		.replace(/&#0?39;|&apos;/g, "'")
+		.replace(/&nbsp;/g, ' ')
+		.replace(/&amp;/g, '&');
+}
+
+// Plain text with line breaks kept at block boundaries (so "Label: value" lines stay separate)
+function descriptionText(html) {
+	return decodeEntities(html)
+		.replace(/<(?:br|\/p|\/li|\/div|\/h\d|\/tr)[^>]*>/gi, '\n')
+		.replace(/<[^>]*>/g, ' ')
+		.replace(/[ \t]+/g, ' ');
+}
+
+function clean(value) {
+	const v = decodeEntities(value).replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim().replace(/[\s,;|·•-]+$/, '');
+	if (!v || v.length > 120 || /^(n\/a|none|unknown|-)$/i.test(v)) return '';
+	return v;
+}
+
+/** Element names fetchRssDirect should read for these rules (feed-specific first, then the defaults). */
+function feedElementTags(rules) {
+	const tags = [];
+	FIELDS.forEach((f) => {
+		const own = (rules && rules.elements && rules.elements[f]) || [];
+		own.concat(DEFAULT_ELEMENTS[f]).forEach((tag) => { if (!tags.includes(tag)) tags.push(tag); });
+	});
+	return tags;
+}
+
+/**
+ * Apply a feed's rules to one RSS item ({ title, description, elements } from fetchRssDirect).
+ * Returns { title, company, location, jobType }; missing fields are ''/null.
+ */
+function extractFeedFields(item, rules) {
+	const r = rules || {};
+	const out = { title: clean(item.title) || String(item.title || '').trim(), company: '', location: '', jobType: null };
+	const elements = item.elements || {};
+	const set = (field, value) => {
+		if (field === 'jobType') {
+			if (!out.jobType) out.jobType = normalizeJobType(value);
+		} else if (!out[field]) {
+			out[field] = clean(value);
+		}
+	};
+
+	FIELDS.forEach((f) => {
+		const own = (r.elements && r.elements[f]) || [];
+		own.concat(DEFAULT_ELEMENTS[f]).forEach(tag => set(f, elements[tag]));
+	});
+
+	const layout = r.title && TITLE_LAYOUTS[r.title];
+	const parsed = layout ? layout(out.title) : null;
+	if (parsed) {
+		if (parsed.title && clean(parsed.title)) out.title = clean(parsed.title);
+		set('company', parsed.company);
+		set('location', parsed.location);
+	}
+
+	if (r.description !== false && item.description) {
+		const text = descriptionText(item.description);
+		FIELDS.forEach((f) => {
+			const m = text.match(DESCRIPTION_LABELS[f]);
+			if (m) set(f, m[1].replace(/\s+\S+(?:\s\S+)?:\s.*$/, '')); // "Remote (US) Job type: Full-time" -> "Remote (US)"
+		});
+	}
+	return out;
+}
+
+module.exports = {
+	feedElementTags,
+	extractFeedFields
+};
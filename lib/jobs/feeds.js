@@ -0,0 +1,191 @@
+/**
+ * Syndication output for the ranked jobs list (/api/jobs-snapshot?format= and /api/jobs-feed): RSS 2.0,
+ * Atom 1.0 and JSON Feed 1.1. Items keep the snapshot's order (rank, or ?sort=); the summary carries
+ * company, location, salary and skills plus a plain-text excerpt of the description.
+ */
+
+const { parseDateLike } = require('./util');
+const { formatSalary } = require('./salary');
+
+const FEED_FORMATS = {
+	rss: 'application/rss+xml; charset=utf-8',
+	atom: 'application/atom+xml; charset=utf-8',
+	jsonfeed: 'application/feed+json; charset=utf-8'
+};
+const EXCERPT_CHARS = 600;
+
+/** ?format= value: null for the default JSON response, else a FEED_FORMATS key. Throws with `status = 400`. */
+function parseFeedFormat(value) {
+	const f = String(value || '').trim().toLowerCase();
+	if (!f || f === 'json') return null;
+	if (FEED_FORMATS[f]) return f;
+	const err = new Error('Invalid format: ' + value + ' (use json, ' + Object.keys(FEED_FORMATS).join(', ') + ')');
+	err.status = 400;
+	throw err;
+}
+
+// XML 1.0 text: escaped, minus the control characters it can't carry
+function xml(s) {
+	return String(s == null ? '' : s)
+		.replace(/[\x00-\x08\x0b\x0c\x0e-\x1f\ufffe\uffff]/g, '')
+		.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+function plainText(html) {
+	return String(html || '')
+		.replace(/<(?:br|\/p|\/li|\/div|\/h\d)[^>]*>/gi, ' ')
+		.replace(/<[^>]*>/g, ' ')
+		.replace(/&nbsp;/g, ' ').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#0?39;|&apos;/g, "'").replace(/&amp;/g, '&')
+		.replace(/\s+/g, ' ')
+		.trim();
+}
+
+function excerpt(job) {
+	const t = plainText(job.description);
+	return t.length > EXCERPT_CHARS ? t.slice(0, EXCERPT_CHARS).replace(/\s+\S*$/, '') + '…' : t;
+}
+
+function jobDate(job) {
+	return parseDateLike(job.date) || null;
+}
+
+function itemTitle(job) {
+	return job.company && job.company !== 'Unknown' ? job.title + ' — ' + job.company : job.title;
+}
+
+function itemUrl(job) {
+	return job.url && /^https?:\/\//i.test(job.url) ? job.url : '';
+}
+
+// Facts line: company · location · salary · skills
+function facts(job) {
+	const parts = [job.company, job.location];
+	const salary = formatSalary(job.salary);
+	if (salary) parts.push(salary);
+	if (Array.isArray(job.skills) && job.skills.length) parts.push(job.skills.join(', '));
+	return parts.filter(Boolean).join(' · ');
+}
+
+function summaryHtml(job) {
+	const text = excerpt(job);
+	return '<p>' + xml(facts(job)) + '</p>' + (text ? '<p>' + xml(text) + '</p>' : '');
+}
+
+function categories(job) {
+	return [job.source].concat(Array.isArray(job.skills) ? job.skills : []).filter(Boolean);
+}
+
+function newest(jobs) {
+	const times = jobs.map(j => (jobDate(j) || new Date(0)).getTime());
+	const max = times.length ? Math.max(...times) : 0;
+	return max > 0 ? new Date(max) : new Date();
+}
+
+function rss(jobs, meta) {
+	const items = jobs.map((job) => {
+		const d = jobDate(job);
+		const url = itemUrl(job);
+		return '<item>' +
+			'<title>' + xml(itemTitle(job)) + '</title>' +
+			(url ? '<link>' + xml(url) + '</link>' : '') +
+			'<guid isPermaLink="false">' + xml(job.id) + '</guid>' +
+			(d ? '<pubDate>' + d.toUTCString() + '</pubDate>' : '') +
+			'<description>' + xml(summaryHtml(job)) + '</description>' +
+			categories(job).map(c => '<category>' + xml(c) + '</category>').join('') +
+			'</item>';
+	});
+	return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+		'<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom"><channel>' +
+		'<title>' + xml(meta.title) + '</title>' +
+		'<link>' + xml(meta.homeUrl) + '</link>' +
+		'<description>' + xml(meta.description) + '</description>' +
+		'<atom:link href="' + xml(meta.feedUrl) + '" rel="self" type="application/rss+xml"/>' +
+		'<lastBuildDate>' + new Date().toUTCString() + '</lastBuildDate>' +
+		'<ttl>15</ttl>' +
+		items.join('\n') +
+		'</channel></rss>\n';
+}
+
+// Atom ids must be IRIs: the posting URL, else a urn built from the job id
+function atomId(job) {
+	return itemUrl(job) || 'urn:jobs:' + encodeURIComponent(job.id);
+}
+
+function atom(jobs, meta) {
+	const entries = jobs.map((job) => {
+		const d = (jobDate(job) || newest([])).toISOString();
+		const url = itemUrl(job);
+		return '<entry>' +
+			'<title>' + xml(itemTitle(job)) + '</title>' +
+			(url ? '<link rel="alternate" type="text/html" href="' + xml(url) + '"/>' : '') +
+			'<id>' + xml(atomId(job)) + '</id>' +
+			'<published>' + d + '</published>' +
+			'<updated>' + d + '</updated>' +
+			'<author><name>' + xml(job.company || job.source || 'Unknown') + '</name></author>' +
+			'<summary type="html">' + xml(summaryHtml(job)) + '</summary>' +
+			categories(job).map(c => '<category term="' + xml(c) + '"/>').join('') +
+			'</entry>';
+	});
+	return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+		'<feed xmlns="http://www.w3.org/2005/Atom">' +
+		'<title>' + xml(meta.title) + '</title>' +
+		'<subtitle>' + xml(meta.description) + '</subtitle>' +
+		'<id>' + xml(meta.feedUrl) + '</id>' +
+		'<link rel="self" type="application/atom+xml" href="' + xml(meta.feedUrl) + '"/>' +
+		'<link rel="alternate" type="text/html" href="' + xml(meta.homeUrl) + '"/>' +
+		'<updated>' + newest(jobs).toISOString() + '</updated>' +
+		'<author><name>' + xml(meta.author) + '</name></author>' +
+		entries.join('\n') +
+		'</feed>\n';
+}
+
+function jsonFeed(jobs, meta) {
+	return JSON.stringify({
+		version: 'https://jsonfeed.org/version/1.1',
+		title: meta.title,
+		home_page_url: meta.homeUrl,
+		feed_url: meta.feedUrl,
+		description: meta.description,
+		authors: [{ name: meta.author }],
+		items: jobs.map((job) => {
+			const d = jobDate(job);
+			const url = itemUrl(job);
+			return {
+				id: String(job.id),
+				...(url ? { url } : {}),
+				title: itemTitle(job),
+				content_html: summaryHtml(job),
+				summary: facts(job),
+				...(d ? { date_published: d.toISOString() } : {}),
+				authors: [{ name: job.company || 'Unknown' }],
+				tags: categories(job),
+				// Structured fields for readers that understand them (JSON Feed extensions start with "_")
+				_job: {
+					company: job.company,
+					location: job.location,
+					source: job.source,
+					jobType: job.jobType || null,
+					salary: job.salary || null,
+					salaryNormalized: job.salaryNormalized || null,
+					skills: job.skills || []
+				}
+			};
+		})
+	}, null, 2);
+}
+
+/**
+ * Render `jobs` as `format` (rss | atom | jsonfeed). `meta`: { title, description, homeUrl, feedUrl, author }.
+ * Returns { contentType, body }.
+ */
+function renderFeed(format, jobs, meta) {
+	const m = { author: 'Jobs aggregator', description: '', ...meta };
+	const body = format === 'atom' ? atom(jobs, m) : format === 'jsonfeed' ? jsonFeed(jobs, m) : rss(jobs, m);
+	return { contentType: FEED_FORMATS[format] || FEED_FORMATS.rss, body };
+}
+
+module.exports = {
+	FEED_FORMATS,
+	parseFeedFormat,
+	renderFeed
+};
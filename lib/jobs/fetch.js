@@ -0,0 +1,165 @@
+/**
+ * Network helpers used by the job source adapters (JSON APIs + RSS/Atom feeds).
+ */
+
+const TIMEOUT_MS = 12_000;
+const RSS_TIMEOUT_MS = 15_000;
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; JobAggregator/1.0; +https://github.com)';
+
+// Hosts we're allowed to fetch RSS from directly (aligned with job-search-api + rss.js allowlist)
+const RSS_ALLOWED_HOSTS = new Set([
+	'remoteok.io', 'www.remoteok.io', 'remoteok.com', 'www.remoteok.com',
+	'weworkremotely.com', 'www.weworkremotely.com',
+	'remotive.com', 'www.remotive.com',
+	'jobscollider.com', 'www.jobscollider.com',
+	'wellfound.com', 'www.wellfound.com',
+	'indeed.com', 'www.indeed.com', 'rss.indeed.com',
+	'stackoverflow.com', 'www.stackoverflow.com',
+	'remote.co', 'www.remote.co',
+	'jobspresso.co', 'www.jobspresso.co',
+	'himalayas.app', 'www.himalayas.app',
+	'authenticjobs.com', 'www.authenticjobs.com',
+	'rssjobs.app', 'www.rssjobs.app',
+	'hnrss.org'
+]);
+
+/**
+ * Record the upstream HTTP status on a per-source status object (see runSources). A failing
+ * status is never overwritten by a later success, so multi-feed sources report the problem.
+ */
+function recordStatus(status, code) {
+	if (!status) return;
+	if (!status.httpStatus || code >= 400) status.httpStatus = code;
+}
+
+function requestError(e, timeout) {
+	if (e && e.name === 'AbortError') return new Error('Timed out after ' + timeout + 'ms');
+	return e instanceof Error ? e : new Error(String(e));
+}
+
+/** Fetch JSON; throws on network errors, timeouts and non-2xx responses (err.status = HTTP status). */
+async function fetchJson(url, opts = {}) {
+	const timeout = opts.timeout || TIMEOUT_MS;
+	const ctrl = new AbortController();
+	const t = setTimeout(() => ctrl.abort(), timeout);
+	try {
+		const r = await fetch(url, {
+			signal: ctrl.signal,
+			headers: {
+				'User-Agent': USER_AGENT,
+				'Accept': opts.accept || 'application/json',
+				...(opts.headers || {})
+			}
+		});
+		recordStatus(opts.status, r.status);
+		if (!r.ok) {
+			const err = new Error('HTTP ' + r.status);
+			err.status = r.status;
+			throw err;
+		}
+		return await r.json();
+	} catch (e) {
+		throw requestError(e, timeout);
+	} finally {
+		clearTimeout(t);
+	}
+}
+
+/** Every value of a repeated element, joined with ", " (e.g. several <himalayasJobs:locationRestriction>). */
+function stripTags(xml, tag) {
+	const re = new RegExp('<' + tag + '(?:\\s[^>]*)?>([\\s\\S]*?)<\\/' + tag + '>', 'gi');
+	const values = [];
+	for (const m of String(xml || '').matchAll(re)) {
+		const v = m[1].replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1').trim();
+		if (v && !values.includes(v)) values.push(v);
+	}
+	return values.join(', ');
+}
+
+function stripTag(xml, tag) {
+	const re = new RegExp('<' + tag + '(?:\\s[^>]*)?>([\\s\\S]*?)<\\/' + tag + '>', 'i');
+	const m = String(xml || '').match(re);
+	if (!m) return '';
+	return m[1].replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1').trim();
+}
+
+/**
+ * Fetch RSS/Atom feed directly and return items (no self-call to /api/rss). Throws like fetchJson.
+ * `opts.elements` lists extra item elements (e.g. 'company', 'himalayasJobs:companyName') returned in
+ * `item.elements` (see feed-fields.js).
+ */
+async function fetchRssDirect(feedUrl, count, opts = {}) {
+	const u = new URL(feedUrl);
+	if (!RSS_ALLOWED_HOSTS.has((u.hostname || '').toLowerCase())) throw new Error('Host not allowlisted: ' + u.hostname);
+	const ctrl = new AbortController();
+	const t = setTimeout(() => ctrl.abort(), RSS_TIMEOUT_MS);
+	let xml = '';
+	try {
+		const r = await fetch(feedUrl, {
+			signal: ctrl.signal,
+			headers: { 'User-Agent': USER_AGENT, 'Accept': 'application/rss+xml, application/atom+xml, text/xml, */*' }
+		});
+		recordStatus(opts.status, r.status);
+		if (!r.ok) {
+			const err = new Error('HTTP ' + r.status);
+			err.status = r.status;
+			throw err;
+		}
+		xml = await r.text();
+	} catch (e) {
+		throw requestError(e, RSS_TIMEOUT_MS);
+	} finally {
+		clearTimeout(t);
+	}
+	const items = [];
+	const itemBlocks = xml.match(/<item[^>]*>[\s\S]*?<\/item>/gi) || xml.match(/<entry[^>]*>[\s\S]*?<\/entry>/gi) || [];
+	for (let i = 0; i < Math.min(itemBlocks.length, count || 50); i++) {
+		const block = itemBlocks[i];
+		const title = stripTag(block, 'title');
+		let link = stripTag(block, 'link');
+		if (!link && block.includes('href=')) {
+			const href = block.match(/href=["']([^"']+)["']/i);
+			if (href) link = href[1];
+		}
+		const pubDate = stripTag(block, 'pubDate') || stripTag(block, 'published') || stripTag(block, 'updated') || stripTag(block, 'dc:date');
+		if (!title || !link) continue;
+		const item = { title, link, pubDate, description: stripTag(block, 'description') || stripTag(block, 'summary') };
+		if (opts.elements && opts.elements.length) {
+			item.elements = {};
+			opts.elements.forEach((tag) => {
+				const v = stripTags(block, tag);
+				if (v) item.elements[tag] = v;
+			});
+		}
+		items.push(item);
+	}
+	return items;
+}
+
+/** Fallback: fetch via our /api/rss when baseUrl is set (e.g. same deployment). */
+async function fetchRss(baseUrl, feedUrl, count) {
+	const u = baseUrl + '/api/rss?url=' + encodeURIComponent(feedUrl) + '&count=' + (count || 50);
+	const data = await fetchJson(u, { timeout: RSS_TIMEOUT_MS }).catch(() => null);
+	if (!data || !data.ok || !Array.isArray(data.items)) return [];
+	return data.items;
+}
+
+/** Race a promise against a timer (used for the slow headless endpoints). */
+function withTimeout(promise, ms) {
+	let t;
+	const timer = new Promise((_, rej) => { t = setTimeout(() => rej(new Error('timeout')), ms); });
+	return Promise.race([promise, timer]).finally(() => clearTimeout(t));
+}
+
+module.exports = {
+	TIMEOUT_MS,
+	RSS_TIMEOUT_MS,
+	USER_AGENT,
+	RSS_ALLOWED_HOSTS,
+	fetchJson,
+	stripTag,
+	fetchRssDirect,
+	fetchRss,
+	withTimeout
+};
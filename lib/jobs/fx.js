@@ -0,0 +1,73 @@
+/**
+ * Static exchange-rate table for salary comparisons (no live FX service).
+ *
+ * The table is `{ base, asOf, rates: { CODE: units per 1 base } }`: Vercel KV key `jobs:fx:rates` when
+ * set (so rates can be updated without a deploy), else lib/jobs/fx-rates.json. Cached per instance
+ * for RATES_CACHE_MS.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const RATES_FILE = path.join(__dirname, 'fx-rates.json');
+const KV_KEY = 'jobs:fx:rates';
+const RATES_CACHE_MS = 10 * 60 * 1000;
+
+let cached = null;
+
+function hasKv() {
+	return process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN;
+}
+
+/** Shape check; returns { base, asOf, source, rates } with upper-case codes. */
+function validateRates(doc, source) {
+	if (!doc || typeof doc !== 'object' || !doc.rates || typeof doc.rates !== 'object') {
+		throw new Error('FX rates from ' + source + ' need a rates object');
+	}
+	const base = String(doc.base || 'USD').toUpperCase();
+	const rates = {};
+	Object.keys(doc.rates).forEach((code) => {
+		const v = Number(doc.rates[code]);
+		if (!(v > 0)) throw new Error('FX rate for ' + code + ' from ' + source + ' must be a positive number');
+		rates[code.toUpperCase()] = v;
+	});
+	rates[base] = rates[base] || 1;
+	return { base, asOf: doc.asOf || null, source, rates };
+}
+
+function fileRates() {
+	return validateRates(JSON.parse(fs.readFileSync(RATES_FILE, 'utf8')), 'file');
+}
+
+/** Current rates table (KV first, then the bundled file). A bad KV document falls back to the file. */
+async function loadRates() {
+	if (cached && Date.now() - cached.loadedAt < RATES_CACHE_MS) return cached.table;
+	let table = null;
+	if (hasKv()) {
+		try {
+			const { kv } = require('@vercel/kv');
+			const stored = await kv.get(KV_KEY);
+			if (stored) table = validateRates(typeof stored === 'string' ? JSON.parse(stored) : stored, 'kv');
+		} catch (e) {
+			table = null;
+		}
+	}
+	if (!table) table = fileRates();
+	cached = { table, loadedAt: Date.now() };
+	return table;
+}
+
+/** Convert an amount between currencies (null when either rate is unknown). */
+function convertAmount(amount, from, to, table) {
+	if (amount == null) return null;
+	if (from === to) return amount;
+	const r = table && table.rates;
+	if (!r || !r[from] || !r[to]) return null;
+	return amount / r[from] * r[to];
+}
+
+module.exports = {
+	KV_KEY,
+	loadRates,
+	convertAmount
+};
@@ -0,0 +1,210 @@
+/**
+ * Small gazetteer for location parsing: countries (aliases, regions, UTC offset range), tech-hub cities,
+ * region names and timezone abbreviations. Good enough for job-board location strings, not a geocoder.
+ */
+
+// [code, names/aliases (lowercase), regions, [utcMin, utcMax]]
+const COUNTRIES = [
+	// North America
+	['US', ['united states', 'usa', 'us', 'u.s.', 'u.s.a.'], ['north-america', 'americas'], [-8, -5]],
+	['CA', ['canada'], ['north-america', 'americas'], [-8, -3.5]],
+	['MX', ['mexico', 'méxico'], ['latam', 'north-america', 'americas'], [-8, -5]],
+	// Latin America
+	['BR', ['brazil', 'brasil'], ['latam', 'americas'], [-5, -2]],
+	['AR', ['argentina'], ['latam', 'americas'], [-3, -3]],
+	['CL', ['chile'], ['latam', 'americas'], [-4, -3]],
+	['CO', ['colombia'], ['latam', 'americas'], [-5, -5]],
+	['PE', ['peru', 'perú'], ['latam', 'americas'], [-5, -5]],
+	['UY', ['uruguay'], ['latam', 'americas'], [-3, -3]],
+	['PY', ['paraguay'], ['latam', 'americas'], [-4, -3]],
+	['BO', ['bolivia'], ['latam', 'americas'], [-4, -4]],
+	['EC', ['ecuador'], ['latam', 'americas'], [-5, -5]],
+	['VE', ['venezuela'], ['latam', 'americas'], [-4, -4]],
+	['CR', ['costa rica'], ['latam', 'americas'], [-6, -6]],
+	['PA', ['panama', 'panamá'], ['latam', 'americas'], [-5, -5]],
+	['GT', ['guatemala'], ['latam', 'americas'], [-6, -6]],
+	['DO', ['dominican republic'], ['latam', 'americas'], [-4, -4]],
+	// Europe
+	['GB', ['united kingdom', 'uk', 'u.k.', 'great britain', 'england', 'scotland', 'wales', 'northern ireland'], ['europe', 'emea'], [0, 1]],
+	['IE', ['ireland'], ['europe', 'eu', 'emea'], [0, 1]],
+	['PT', ['portugal'], ['europe', 'eu', 'emea'], [0, 1]],
+	['ES', ['spain', 'españa'], ['europe', 'eu', 'emea'], [1, 2]],
+	['FR', ['france'], ['europe', 'eu', 'emea'], [1, 2]],
+	['BE', ['belgium'], ['europe', 'eu', 'emea'], [1, 2]],
+	['NL', ['netherlands', 'the netherlands', 'holland'], ['europe', 'eu', 'emea'], [1, 2]],
+	['LU', ['luxembourg'], ['europe', 'eu', 'emea'], [1, 2]],
+	['DE', ['germany', 'deutschland'], ['europe', 'eu', 'emea'], [1, 2]],
+	['AT', ['austria', 'österreich'], ['europe', 'eu', 'emea'], [1, 2]],
+	['CH', ['switzerland', 'schweiz', 'suisse'], ['europe', 'emea'], [1, 2]],
+	['IT', ['italy', 'italia'], ['europe', 'eu', 'emea'], [1, 2]],
+	['DK', ['denmark'], ['europe', 'eu', 'emea'], [1, 2]],
+	['NO', ['norway'], ['europe', 'emea'], [1, 2]],
+	['SE', ['sweden'], ['europe', 'eu', 'emea'], [1, 2]],
+	['FI', ['finland'], ['europe', 'eu', 'emea'], [2, 3]],
+	['PL', ['poland', 'polska'], ['europe', 'eu', 'emea'], [1, 2]],
+	['CZ', ['czech republic', 'czechia'], ['europe', 'eu', 'emea'], [1, 2]],
+	['SK', ['slovakia'], ['europe', 'eu', 'emea'], [1, 2]],
+	['HU', ['hungary'], ['europe', 'eu', 'emea'], [1, 2]],
+	['RO', ['romania'], ['europe', 'eu', 'emea'], [2, 3]],
+	['BG', ['bulgaria'], ['europe', 'eu', 'emea'], [2, 3]],
+	['GR', ['greece'], ['europe', 'eu', 'emea'], [2, 3]],
+	['HR', ['croatia'], ['europe', 'eu', 'emea'], [1, 2]],
+	['SI', ['slovenia'], ['europe', 'eu', 'emea'], [1, 2]],
+	['RS', ['serbia'], ['europe', 'emea'], [1, 2]],
+	['EE', ['estonia'], ['europe', 'eu', 'emea'], [2, 3]],
+	['LV', ['latvia'], ['europe', 'eu', 'emea'], [2, 3]],
+	['LT', ['lithuania'], ['europe', 'eu', 'emea'], [2, 3]],
+	['UA', ['ukraine'], ['europe', 'emea'], [2, 3]],
+	['CY', ['cyprus'], ['europe', 'eu', 'emea'], [2, 3]],
+	['MT', ['malta'], ['europe', 'eu', 'emea'], [1, 2]],
+	['TR', ['turkey', 'türkiye'], ['europe', 'middle-east', 'emea'], [3, 3]],
+	// Middle East & Africa
+	['AE', ['united arab emirates', 'uae', 'dubai'], ['middle-east', 'emea'], [4, 4]],
+	['SA', ['saudi arabia'], ['middle-east', 'emea'], [3, 3]],
+	['IL', ['israel'], ['middle-east', 'emea'], [2, 3]],
+	['EG', ['egypt'], ['africa', 'middle-east', 'emea'], [2, 3]],
+	['ZA', ['south africa'], ['africa', 'emea'], [2, 2]],
+	['NG', ['nigeria'], ['africa', 'emea'], [1, 1]],
+	['KE', ['kenya'], ['africa', 'emea'], [3, 3]],
+	['MA', ['morocco'], ['africa', 'emea'], [0, 1]],
+	// Asia-Pacific
+	['IN', ['india', 'bharat'], ['asia', 'apac'], [5.5, 5.5]],
+	['PK', ['pakistan'], ['asia', 'apac'], [5, 5]],
+	['BD', ['bangladesh'], ['asia', 'apac'], [6, 6]],
+	['LK', ['sri lanka'], ['asia', 'apac'], [5.5, 5.5]],
+	['SG', ['singapore'], ['asia', 'apac'], [8, 8]],
+	['MY', ['malaysia'], ['asia', 'apac'], [8, 8]],
+	['ID', ['indonesia'], ['asia', 'apac'], [7, 9]],
+	['PH', ['philippines'], ['asia', 'apac'], [8, 8]],
+	['VN', ['vietnam', 'viet nam'], ['asia', 'apac'], [7, 7]],
+	['TH', ['thailand'], ['asia', 'apac'], [7, 7]],
+	['CN', ['china'], ['asia', 'apac'], [8, 8]],
+	['HK', ['hong kong'], ['asia', 'apac'], [8, 8]],
+	['TW', ['taiwan'], ['asia', 'apac'], [8, 8]],
+	['JP', ['japan'], ['asia', 'apac'], [9, 9]],
+	['KR', ['south korea', 'korea'], ['asia', 'apac'], [9, 9]],
+	['AU', ['australia'], ['oceania', 'apac'], [8, 11]],
+	['NZ', ['new zealand'], ['oceania', 'apac'], [12, 13]]
+];
+
+// Tech-hub cities -> country code
+const CITIES = {
+	// India (kept from the original locationRank list)
+	'pune': 'IN', 'mumbai': 'IN', 'thane': 'IN', 'navi mumbai': 'IN', 'hyderabad': 'IN', 'bangalore': 'IN',
+	'bengaluru': 'IN', 'chennai': 'IN', 'delhi': 'IN', 'delhi-ncr': 'IN', 'new delhi': 'IN', 'gurgaon': 'IN',
+	'gurugram': 'IN', 'noida': 'IN', 'kolkata': 'IN', 'ahmedabad': 'IN',
+	// Europe
+	'london': 'GB', 'manchester': 'GB', 'edinburgh': 'GB', 'cambridge': 'GB', 'dublin': 'IE', 'lisbon': 'PT',
+	'porto': 'PT', 'madrid': 'ES', 'barcelona': 'ES', 'valencia': 'ES', 'paris': 'FR', 'lyon': 'FR',
+	'brussels': 'BE', 'amsterdam': 'NL', 'rotterdam': 'NL', 'utrecht': 'NL', 'berlin': 'DE', 'munich': 'DE',
+	'münchen': 'DE', 'hamburg': 'DE', 'frankfurt': 'DE', 'cologne': 'DE', 'köln': 'DE', 'stuttgart': 'DE',
+	'vienna': 'AT', 'wien': 'AT', 'zurich': 'CH', 'zürich': 'CH', 'geneva': 'CH', 'milan': 'IT', 'rome': 'IT',
+	'copenhagen': 'DK', 'oslo': 'NO', 'stockholm': 'SE', 'gothenburg': 'SE', 'helsinki': 'FI', 'warsaw': 'PL',
+	'krakow': 'PL', 'kraków': 'PL', 'wroclaw': 'PL', 'prague': 'CZ', 'budapest': 'HU', 'bucharest': 'RO',
+	'sofia': 'BG', 'athens': 'GR', 'zagreb': 'HR', 'belgrade': 'RS', 'tallinn': 'EE', 'riga': 'LV',
+	'vilnius': 'LT', 'kyiv': 'UA', 'kiev': 'UA', 'istanbul': 'TR',
+	// Americas
+	'new york': 'US', 'nyc': 'US', 'san francisco': 'US', 'seattle': 'US', 'austin': 'US', 'boston': 'US',
+	'chicago': 'US', 'los angeles': 'US', 'denver': 'US', 'atlanta': 'US', 'toronto': 'CA', 'vancouver': 'CA',
+	'montreal': 'CA', 'mexico city': 'MX', 'ciudad de méxico': 'MX', 'guadalajara': 'MX', 'monterrey': 'MX',
+	'são paulo': 'BR', 'sao paulo': 'BR', 'rio de janeiro': 'BR', 'belo horizonte': 'BR', 'florianópolis': 'BR',
+	'buenos aires': 'AR', 'córdoba': 'AR', 'santiago': 'CL', 'bogotá': 'CO', 'bogota': 'CO', 'medellín': 'CO',
+	'medellin': 'CO', 'lima': 'PE', 'montevideo': 'UY', 'san josé': 'CR', 'san jose, costa rica': 'CR',
+	// Rest of world
+	'tel aviv': 'IL', 'cape town': 'ZA', 'johannesburg': 'ZA', 'lagos': 'NG', 'nairobi': 'KE', 'cairo': 'EG',
+	'singapore': 'SG', 'kuala lumpur': 'MY', 'jakarta': 'ID', 'manila': 'PH', 'ho chi minh city': 'VN',
+	'bangkok': 'TH', 'tokyo': 'JP', 'seoul': 'KR', 'sydney': 'AU', 'melbourne': 'AU', 'auckland': 'NZ',
+	'karachi': 'PK', 'lahore': 'PK', 'dhaka': 'BD', 'colombo': 'LK'
+};
+
+// Region names/aliases as they appear in postings and in ?locPrefs=
+const REGION_ALIASES = {
+	'europe': 'europe', 'european union': 'eu', 'eu': 'eu', 'emea': 'emea',
+	'latam': 'latam', 'latin america': 'latam', 'south america': 'latam', 'central america': 'latam',
+	'americas': 'americas', 'north america': 'north-america', 'north-america': 'north-america',
+	'apac': 'apac', 'asia': 'asia', 'asia pacific': 'apac', 'middle east': 'middle-east', 'middle-east': 'middle-east',
+	'africa': 'africa', 'oceania': 'oceania'
+};
+
+// Common timezone abbreviations -> UTC offset (hours)
+const TZ_ABBR = {
+	'utc': 0, 'gmt': 0, 'wet': 0, 'bst': 1, 'cet': 1, 'cest': 2, 'eet': 2, 'eest': 3,
+	'est': -5, 'edt': -4, 'cst': -6, 'cdt': -5, 'mst': -7, 'mdt': -6, 'pst': -8, 'pdt': -7,
+	'brt': -3, 'art': -3, 'ist': 5.5, 'sgt': 8, 'jst': 9, 'aest': 10, 'aedt': 11
+};
+
+const byCode = new Map();
+const aliasToCode = new Map();
+COUNTRIES.forEach(([code, names, regions, tz]) => {
+	byCode.set(code, { code, names, regions, tz });
+	names.forEach(n => aliasToCode.set(n, code));
+});
+
+function escapeRe(s) {
+	return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// One alternation per table, longest names first so "new york" wins over "york"
+function wordRe(names) {
+	const sorted = names.slice().sort((a, b) => b.length - a.length).map(escapeRe);
+	return new RegExp('(?:^|[^\\p{L}\\p{N}])(' + sorted.join('|') + ')(?=$|[^\\p{L}\\p{N}])', 'giu');
+}
+const COUNTRY_RE = wordRe(Array.from(aliasToCode.keys()));
+const CITY_RE = wordRe(Object.keys(CITIES));
+const REGION_RE = wordRe(Object.keys(REGION_ALIASES));
+
+function matchAll(re, text) {
+	const out = [];
+	re.lastIndex = 0;
+	let m;
+	while ((m = re.exec(text))) out.push(m[1]);
+	return out;
+}
+
+/** Country codes belonging to a region tag (europe, eu, emea, latam, americas, north-america, apac, ...). */
+function regionCountries(region) {
+	const r = REGION_ALIASES[String(region || '').toLowerCase()] || String(region || '').toLowerCase();
+	return COUNTRIES.filter(c => c[2].includes(r)).map(c => c[0]);
+}
+
+/**
+ * Resolve a token from ?locPrefs= (country code/name, region, or city) to
+ * { countries: [...] } or { cities: [...] }; null when unknown.
+ */
+function resolvePlace(token) {
+	const t = String(token || '').trim().toLowerCase();
+	if (!t) return null;
+	if (byCode.has(t.toUpperCase()) && t.length === 2) return { countries: [t.toUpperCase()] };
+	if (aliasToCode.has(t)) return { countries: [aliasToCode.get(t)] };
+	if (REGION_ALIASES[t]) return { countries: regionCountries(t), region: REGION_ALIASES[t] };
+	if (CITIES[t]) return { cities: [t] };
+	return null;
+}
+
+/** UTC offset range [min, max] spanned by a set of country codes (null when empty). */
+function countriesTz(codes) {
+	let min = null;
+	let max = null;
+	codes.forEach((code) => {
+		const c = byCode.get(code);
+		if (!c) return;
+		min = min == null ? c.tz[0] : Math.min(min, c.tz[0]);
+		max = max == null ? c.tz[1] : Math.max(max, c.tz[1]);
+	});
+	return min == null ? null : { min, max };
+}
+
+module.exports = {
+	COUNTRIES,
+	CITIES,
+	TZ_ABBR,
+	COUNTRY_RE,
+	CITY_RE,
+	REGION_RE,
+	REGION_ALIASES,
+	aliasToCode,
+	matchAll,
+	regionCountries,
+	resolvePlace,
+	countriesTz
+};
@@ -0,0 +1,136 @@
+/**
+ * iCalendar (RFC 5545) feed of a user's tracker events for /api/jobs-calendar: one VEVENT per deadline,
+ * interview or follow-up (lib/jobs/tracker.js), with a VALARM for its reminder. Date-only events are
+ * all-day; timed events are written in UTC. Lines are CRLF-terminated and folded at 75 octets.
+ */
+
+const crypto = require('crypto');
+
+const TYPE_LABELS = { deadline: 'Deadline', interview: 'Interview', followup: 'Follow up' };
+const PRODID = '-//jobs-aggregator//Job tracker//EN';
+
+// TEXT values: backslash, ; and , escaped, newlines as \n
+function escapeText(s) {
+	return String(s == null ? '' : s)
+		.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,')
+		.replace(/\r\n|\r|\n/g, '\\n')
+		.replace(/[\x00-\x08\x0b-\x1f\x7f]/g, '');
+}
+
+// Fold at 75 octets without splitting a UTF-8 sequence; continuation lines start with a space
+function fold(line) {
+	if (Buffer.byteLength(line) <= 75) return line;
+	const out = [];
+	let cur = '';
+	let bytes = 0;
+	for (const ch of line) {
+		const n = Buffer.byteLength(ch);
+		if (bytes + n > (out.length ? 74 : 75)) {
+			out.push(cur);
+			cur = '';
+			bytes = 0;
+		}
+		cur += ch;
+		bytes += n;
+	}
+	out.push(cur);
+	return out.join('\r\n ');
+}
+
+function utcStamp(date) {
+	return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function dateValue(ymd) {
+	return ymd.replace(/-/g, '');
+}
+
+function nextDay(ymd) {
+	return dateValue(new Date(Date.parse(ymd + 'T00:00:00Z') + 24 * 60 * 60 * 1000).toISOString().slice(0, 10));
+}
+
+// Stable per user + event so calendar apps update instead of duplicating
+function eventUid(user, event, host) {
+	const hash = crypto.createHash('sha1').update(user + ':' + event.id).digest('hex').slice(0, 16);
+	return hash + '@' + (host || 'jobs-aggregator');
+}
+
+function summary(entry, event) {
+	const job = entry.job || {};
+	const what = event.title || TYPE_LABELS[event.type] || event.type;
+	const role = job.company && job.company !== 'Unknown' ? job.title + ' — ' + job.company : job.title;
+	return role ? what + ': ' + role : what;
+}
+
+function description(entry, event) {
+	const job = entry.job || {};
+	return [
+		event.notes,
+		[job.company, job.location, job.source].filter(Boolean).join(' · '),
+		job.url,
+		entry.notes ? 'Notes: ' + entry.notes : ''
+	].filter(Boolean).join('\n');
+}
+
+function vevent(user, entry, event, meta) {
+	const job = entry.job || {};
+	const lines = [
+		'BEGIN:VEVENT',
+		'UID:' + eventUid(user, event, meta.host),
+		'DTSTAMP:' + utcStamp(new Date(entry.updatedAt || Date.now()))
+	];
+	if (event.allDay) {
+		lines.push('DTSTART;VALUE=DATE:' + dateValue(event.at), 'DTEND;VALUE=DATE:' + nextDay(event.at));
+	} else {
+		const start = new Date(event.at);
+		lines.push('DTSTART:' + utcStamp(start));
+		if (event.durationMinutes) lines.push('DTEND:' + utcStamp(new Date(start.getTime() + event.durationMinutes * 60 * 1000)));
+	}
+	lines.push(
+		'SUMMARY:' + escapeText(summary(entry, event)),
+		'DESCRIPTION:' + escapeText(description(entry, event)),
+		'CATEGORIES:' + escapeText(TYPE_LABELS[event.type] || event.type),
+		// Deadlines and reminders shouldn't block time; interviews should
+		'TRANSP:' + (event.type === 'interview' ? 'OPAQUE' : 'TRANSPARENT')
+	);
+	if (job.url && /^https?:\/\//i.test(job.url)) lines.push('URL:' + job.url);
+	if (job.location && event.type === 'interview') lines.push('LOCATION:' + escapeText(job.location));
+	if (event.remindMinutes != null) {
+		lines.push(
+			'BEGIN:VALARM',
+			'ACTION:DISPLAY',
+			'DESCRIPTION:' + escapeText(summary(entry, event)),
+			'TRIGGER:-PT' + event.remindMinutes + 'M',
+			'END:VALARM'
+		);
+	}
+	lines.push('END:VEVENT');
+	return lines;
+}
+
+/**
+ * Render the events of `entries` (tracked jobs of `user`) as an iCalendar document.
+ * `meta`: { name, host }. Returns the text with CRLF line endings.
+ */
+function renderCalendar(user, entries, meta) {
+	const m = meta || {};
+	const lines = [
+		'BEGIN:VCALENDAR',
+		'VERSION:2.0',
+		'PRODID:' + PRODID,
+		'CALSCALE:GREGORIAN',
+		'METHOD:PUBLISH',
+		'X-WR-CALNAME:' + escapeText(m.name || 'Job applications (' + user + ')'),
+		'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+		'X-PUBLISHED-TTL:PT1H'
+	];
+	(entries || []).forEach((entry) => {
+		(entry.events || []).forEach((event) => { lines.push(...vevent(user, entry, event, m)); });
+	});
+	lines.push('END:VCALENDAR');
+	return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+	renderCalendar
+};
@@ -0,0 +1,263 @@
+/**
+ * Location parsing and priority rules for the jobs aggregator.
+ *
+ * parseLocation turns a free-text location ("Remote - Europe (CET ±2h)", "Hybrid, Berlin") into
+ * `locationInfo`: { remote, hybrid, worldwide, countries, cities, regions, timezone }.
+ *
+ * Location rules are ordered; the first rule that matches a job gives its location score:
+ *   { mode: 'remote', countries: ['IN'], score: 150 }   // remote, open to India
+ *   { mode: 'remote', countries: ['europe'], cities: ['lisbon'], tz: { min: -5, max: 2 } }
+ * mode is remote | hybrid | onsite | any (default any); countries accept ISO codes, names or regions
+ * (europe, eu, emea, latam, americas, north-america, apac, ...). All given conditions must hold; a
+ * remote job open worldwide ("Remote - Anywhere") meets any place condition, and any tz one unless it
+ * states hours. A rule without `score` gets one from its position (150, 120, 90, ...).
+ *
+ * Rules come from the ranking profile (`location.rules`) or ?locPrefs= (see parseLocPrefs).
+ */
+
+const { TZ_ABBR, COUNTRY_RE, CITY_RE, REGION_RE, REGION_ALIASES, CITIES, aliasToCode, matchAll, regionCountries, resolvePlace, countriesTz } = require('./geo');
+
+const MODES = ['remote', 'hybrid', 'onsite', 'any'];
+const MAX_RULES = 20;
+
+// Used when the ranking profile has no `location` section (the original priorities)
+const DEFAULT_LOCATION_RULES = [
+	{ mode: 'remote', countries: ['IN'], score: 150 },
+	{ mode: 'remote', score: 120 },
+	{ mode: 'any', countries: ['IN'], score: 80 }
+];
+
+const REMOTE_RE = /(^|\b)(remote|work from home|wfh|anywhere|distributed|worldwide|fully distributed)(\b|$)/i;
+const WORLDWIDE_RE = /(^|\b)(anywhere|worldwide|global|globally)(\b|$)/i;
+const HYBRID_RE = /(^|\b)hybrid(\b|$)/i;
+const UTC_RE = /\b(?:utc|gmt)\s*([+\-−–]\s*\d{1,2}(?:[:.]\d{2})?)?/gi;
+const TZ_ABBR_RE = new RegExp('\\b(' + Object.keys(TZ_ABBR).filter(k => k !== 'utc' && k !== 'gmt').join('|') + ')\\b', 'gi');
+const TZ_SPREAD_RE = /(?:±|\+\/-|\+-)\s*(\d{1,2})\s*(?:h|hours?|hrs?)?/i;
+
+function parseOffset(s) {
+	const m = String(s || '').replace(/[−–]/, '-').replace(/\s+/g, '').match(/^([+-])(\d{1,2})(?:[:.](\d{2}))?$/);
+	if (!m) return null;
+	const n = parseInt(m[2], 10) + (m[3] ? parseInt(m[3], 10) / 60 : 0);
+	if (n > 14) return null;
+	return m[1] === '-' ? -n : n;
+}
+
+/** Timezone window stated in the text ("UTC-3 to UTC+2", "CET ±3h", "EST"), or null. */
+function parseTimezone(text) {
+	const offsets = [];
+	let m;
+	UTC_RE.lastIndex = 0;
+	while ((m = UTC_RE.exec(text))) offsets.push(m[1] ? parseOffset(m[1]) : 0);
+	TZ_ABBR_RE.lastIndex = 0;
+	while ((m = TZ_ABBR_RE.exec(text))) offsets.push(TZ_ABBR[m[1].toLowerCase()]);
+	const valid = offsets.filter(o => o != null);
+	if (!valid.length) return null;
+	const spread = text.match(TZ_SPREAD_RE);
+	const pad = spread ? parseInt(spread[1], 10) : 0;
+	return { min: Math.min(...valid) - pad, max: Math.max(...valid) + pad };
+}
+
+/**
+ * Parse a job's free-text location. `countries` lists the ones named (directly or via a city);
+ * regions ("Europe", "LATAM") stay in `regions` and are expanded only when matching rules.
+ */
+function parseLocation(location) {
+	const text = String(location || '');
+	const lower = text.toLowerCase();
+	const countries = new Set();
+	const cities = new Set();
+	const regions = new Set();
+	matchAll(CITY_RE, lower).forEach((c) => {
+		cities.add(c);
+		countries.add(CITIES[c]);
+	});
+	matchAll(COUNTRY_RE, lower).forEach(n => countries.add(aliasToCode.get(n)));
+	matchAll(REGION_RE, lower).forEach(r => regions.add(REGION_ALIASES[r]));
+	return {
+		remote: REMOTE_RE.test(lower),
+		hybrid: HYBRID_RE.test(lower),
+		worldwide: WORLDWIDE_RE.test(lower),
+		countries: Array.from(countries).sort(),
+		cities: Array.from(cities).sort(),
+		regions: Array.from(regions).sort(),
+		timezone: parseTimezone(lower)
+	};
+}
+
+function badPrefs(message) {
+	const err = new Error('Invalid location rule: ' + message);
+	err.status = 400;
+	return err;
+}
+
+function parseTzRange(v) {
+	if (v && typeof v === 'object') {
+		const min = Number(v.min);
+		const max = Number(v.max);
+		if (isNaN(min) || isNaN(max)) throw badPrefs('tz needs numeric min and max');
+		return { min: Math.min(min, max), max: Math.max(min, max) };
+	}
+	const m = String(v || '').trim().match(/^([+-]?\d{1,2}(?:\.\d+)?)\s*\.\.\s*([+-]?\d{1,2}(?:\.\d+)?)$/);
+	if (!m) throw badPrefs('tz must look like -5..2');
+	const a = parseFloat(m[1]);
+	const b = parseFloat(m[2]);
+	return { min: Math.min(a, b), max: Math.max(a, b) };
+}
+
+/** Validate one rule and resolve its places to country codes / city names. */
+function compileRule(rule, index) {
+	if (!rule || typeof rule !== 'object') throw badPrefs('rule #' + index + ' is not an object');
+	const mode = String(rule.mode || 'any').toLowerCase();
+	if (!MODES.includes(mode)) throw badPrefs('rule #' + index + ' has unknown mode "' + mode + '" (use ' + MODES.join(', ') + ')');
+	const countries = new Set();
+	(rule.countries || []).forEach((c) => {
+		const place = resolvePlace(c);
+		if (!place || !place.countries) throw badPrefs('rule #' + index + ' has unknown country or region "' + c + '"');
+		place.countries.forEach(code => countries.add(code));
+	});
+	const cities = new Set();
+	(rule.cities || []).forEach((c) => {
+		const name = String(c || '').trim().toLowerCase();
+		if (!CITIES[name]) throw badPrefs('rule #' + index + ' has unknown city "' + c + '"');
+		cities.add(name);
+	});
+	const score = rule.score != null ? Number(rule.score) : Math.max(10, 150 - 30 * index);
+	if (isNaN(score)) throw badPrefs('rule #' + index + ' has a non-numeric score');
+	return {
+		mode,
+		countries: Array.from(countries),
+		cities: Array.from(cities),
+		tz: rule.tz != null ? parseTzRange(rule.tz) : null,
+		score,
+		label: rule.label || describeRule(mode, rule)
+	};
+}
+
+function describeRule(mode, rule) {
+	const parts = [mode];
+	if (rule.countries && rule.countries.length) parts.push(rule.countries.join('|'));
+	if (rule.cities && rule.cities.length) parts.push(rule.cities.join('|'));
+	if (rule.tz != null) parts.push('tz=' + (typeof rule.tz === 'string' ? rule.tz : rule.tz.min + '..' + rule.tz.max));
+	return parts.join(':');
+}
+
+/** Validate + compile an ordered rule list (throws with `status = 400` on a bad rule). */
+function compileLocationRules(rules) {
+	if (!Array.isArray(rules) || !rules.length) throw badPrefs('expected a non-empty list of rules');
+	if (rules.length > MAX_RULES) throw badPrefs('at most ' + MAX_RULES + ' rules');
+	return rules.map(compileRule);
+}
+
+/**
+ * Parse ?locPrefs=. Either a JSON array of rules, or the compact form: comma-separated rules in
+ * priority order, each a colon-separated list of terms:
+ *   remote:europe,remote:latam,remote:tz=-5..2,remote,onsite:lisbon|porto@40
+ * Terms: a mode, a place list (`|`-separated countries, regions or cities), tz=<min>..<max>;
+ * `@N` at the end sets the score. Returns compiled rules, or null when the param is empty.
+ */
+function parseLocPrefs(param) {
+	const s = param ? String(param).trim() : '';
+	if (!s) return null;
+	if (s.startsWith('[')) {
+		let rules;
+		try {
+			rules = JSON.parse(s);
+		} catch (e) {
+			throw badPrefs('locPrefs is not valid JSON');
+		}
+		return compileLocationRules(rules);
+	}
+	const rules = s.split(',').map(x => x.trim()).filter(Boolean).map((spec) => {
+		const rule = {};
+		const at = spec.lastIndexOf('@');
+		if (at !== -1) {
+			rule.score = spec.slice(at + 1);
+			spec = spec.slice(0, at);
+		}
+		spec.split(':').map(x => x.trim()).filter(Boolean).forEach((term) => {
+			const t = term.toLowerCase();
+			if (MODES.includes(t)) {
+				rule.mode = t;
+			} else if (t.startsWith('tz=')) {
+				rule.tz = t.slice(3);
+			} else {
+				t.split('|').map(x => x.trim()).filter(Boolean).forEach((p) => {
+					const place = resolvePlace(p);
+					if (!place) throw badPrefs('unknown place "' + p + '"');
+					if (place.cities) (rule.cities = rule.cities || []).push(p);
+					else (rule.countries = rule.countries || []).push(p);
+				});
+			}
+		});
+		return rule;
+	});
+	return compileLocationRules(rules);
+}
+
+function overlaps(a, b) {
+	return a.min <= b.max && a.max >= b.min;
+}
+
+// Named countries plus the members of named regions, so "Remote - Europe" matches a countries: ['DE'] rule
+function jobCountries(info) {
+	if (!info.regions.length) return info.countries;
+	const all = new Set(info.countries);
+	info.regions.forEach(r => regionCountries(r).forEach(c => all.add(c)));
+	return Array.from(all);
+}
+
+// "Remote - Anywhere" / "Worldwide" / "Remote (Global)" without a named place: open to every country
+function openWorldwide(info) {
+	return info.remote && info.worldwide && !info.countries.length && !info.regions.length;
+}
+
+function ruleMatches(rule, info) {
+	if (rule.mode === 'remote' && !info.remote) return false;
+	if (rule.mode === 'hybrid' && !info.hybrid) return false;
+	if (rule.mode === 'onsite' && (info.remote || info.hybrid)) return false;
+	const anywhere = openWorldwide(info);
+	const countries = jobCountries(info);
+	if ((rule.countries.length || rule.cities.length) && !anywhere) {
+		const countryHit = rule.countries.some(c => countries.includes(c));
+		const cityHit = rule.cities.some(c => info.cities.includes(c));
+		if (!countryHit && !cityHit) return false;
+	}
+	if (rule.tz) {
+		const jobTz = info.timezone || countriesTz(countries);
+		if (jobTz ? !overlaps(rule.tz, jobTz) : !anywhere) return false;
+	}
+	return true;
+}
+
+/** First matching rule for a parsed location: { score, rule } (score 0 / rule null when none match). */
+function matchLocationRules(info, rules) {
+	for (let i = 0; i < rules.length; i++) {
+		if (ruleMatches(rules[i], info)) return { score: rules[i].score, rule: rules[i].label };
+	}
+	return { score: 0, rule: null };
+}
+
+/** Compiled rules for a profile (memoized; falls back to DEFAULT_LOCATION_RULES). */
+const profileRules = new WeakMap();
+let defaultRules = null;
+function profileLocationRules(profile) {
+	if (!profile || !profile.location || !profile.location.rules) {
+		if (!defaultRules) defaultRules = compileLocationRules(DEFAULT_LOCATION_RULES);
+		return defaultRules;
+	}
+	let rules = profileRules.get(profile);
+	if (!rules) {
+		rules = compileLocationRules(profile.location.rules);
+		profileRules.set(profile, rules);
+	}
+	return rules;
+}
+
+module.exports = {
+	DEFAULT_LOCATION_RULES,
+	parseLocation,
+	parseLocPrefs,
+	compileLocationRules,
+	matchLocationRules,
+	profileLocationRules
+};
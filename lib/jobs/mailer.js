@@ -0,0 +1,292 @@
+/**
+ * Minimal mail sending for the jobs digest: a MIME message (multipart/alternative text + HTML) handed to a
+ * transport. Built-in transports:
+ *   smtp - plain SMTP client (EHLO, STARTTLS when offered, AUTH PLAIN, one message per connection);
+ *          SMTP_HOST, SMTP_PORT (default 587, or 465 with SMTP_SECURE=1 for implicit TLS), SMTP_USER,
+ *          SMTP_PASS. SMTP_TLS_INSECURE=1 skips certificate checks (local sinks with self-signed certs).
+ *          Credentials are only sent over TLS; SMTP_ALLOW_INSECURE_AUTH=1 allows AUTH on a plain connection.
+ *   eml  - writes the message to an .eml file in DIGEST_EML_DIR (default: <tmp>/jobs-digests).
+ * Others can be added with registerTransport(name, async (message) => info). The default is
+ * DIGEST_TRANSPORT, else smtp when SMTP_HOST is set; with neither, sending is a 503 rather than a message
+ * quietly written to disk (eml is only used when asked for).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const tls = require('tls');
+
+const SMTP_TIMEOUT_MS = 20_000;
+
+function mailError(msg, status) {
+	const err = new Error(msg);
+	err.status = status || 400;
+	return err;
+}
+
+// RFC 2047 encoded-word for non-ASCII header values
+function encodeHeader(value) {
+	const s = String(value || '').replace(/[\r\n]+/g, ' ');
+	return /^[\x20-\x7e]*$/.test(s) ? s : '=?UTF-8?B?' + Buffer.from(s, 'utf8').toString('base64') + '?=';
+}
+
+/**
+ * "Name <addr>" or "addr" -> { name, address }; throws with `status = 400` when it doesn't look like one or
+ * contains control characters (a CR/LF in a display name would start a new header).
+ */
+function parseMailbox(s) {
+	const value = String(s || '').trim();
+	if (/[\x00-\x1f\x7f]/.test(value)) throw mailError('Invalid email address (control characters): ' + JSON.stringify(value));
+	const m = /^(.*?)\s*<([^<>\s]+)>$/.exec(value);
+	const address = m ? m[2] : value;
+	if (!/^[^\s@<>,"]+@[^\s@<>,"]+$/.test(address)) throw mailError('Invalid email address: ' + value);
+	const name = m ? m[1].trim() : '';
+	const quoted = /^"(.*)"$/.exec(name);
+	return { name: quoted ? quoted[1].replace(/\\(.)/g, '$1').trim() : name, address };
+}
+
+/** A mailbox for a header: the bare address, or the display name (quoted, or encoded when non-ASCII) + <address>. */
+function formatMailbox(mailbox) {
+	if (!mailbox.name) return mailbox.address;
+	const name = encodeHeader(mailbox.name);
+	const phrase = name === mailbox.name ? '"' + name.replace(/["\\]/g, '\\$&') + '"' : name;
+	return phrase + ' <' + mailbox.address + '>';
+}
+
+/** Comma-separated or array recipients -> list of { name, address } (validated). */
+function parseRecipients(to) {
+	return (Array.isArray(to) ? to : String(to || '').split(',')).map(s => String(s).trim()).filter(Boolean).map(parseMailbox);
+}
+
+function base64Lines(s) {
+	return Buffer.from(String(s || ''), 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+}
+
+/**
+ * Build a message: { from, to (string or array), subject, text, html }. Returns
+ * { from, to, envelope: { from, to }, messageId, raw } with CRLF line endings.
+ */
+function buildMessage(input) {
+	const sender = parseMailbox(input.from);
+	const recipients = parseRecipients(input.to);
+	if (!recipients.length) throw mailError('No recipients (to)');
+	const from = formatMailbox(sender);
+	const to = recipients.map(formatMailbox);
+	const envelope = { from: sender.address, to: recipients.map(r => r.address) };
+	const boundary = 'b_' + crypto.randomBytes(12).toString('hex');
+	const messageId = '<' + crypto.randomBytes(12).toString('hex') + '@' + envelope.from.split('@')[1] + '>';
+	const lines = [
+		'From: ' + from,
+		'To: ' + to.join(', '),
+		'Subject: ' + encodeHeader(input.subject),
+		'Date: ' + new Date().toUTCString().replace('GMT', '+0000'),
+		'Message-ID: ' + messageId,
+		'MIME-Version: 1.0',
+		'Content-Type: multipart/alternative; boundary="' + boundary + '"',
+		'',
+		'--' + boundary,
+		'Content-Type: text/plain; charset=utf-8',
+		'Content-Transfer-Encoding: base64',
+		'',
+		base64Lines(input.text),
+		'--' + boundary,
+		'Content-Type: text/html; charset=utf-8',
+		'Content-Transfer-Encoding: base64',
+		'',
+		base64Lines(input.html),
+		'--' + boundary + '--',
+		''
+	];
+	return { from, to, envelope, messageId, raw: lines.join('\r\n') };
+}
+
+function smtpConfig() {
+	const secure = String(process.env.SMTP_SECURE || '').trim() === '1';
+	return {
+		host: String(process.env.SMTP_HOST || '').trim(),
+		port: parseInt(process.env.SMTP_PORT || (secure ? '465' : '587'), 10),
+		secure,
+		user: process.env.SMTP_USER || '',
+		pass: process.env.SMTP_PASS || '',
+		rejectUnauthorized: String(process.env.SMTP_TLS_INSECURE || '').trim() !== '1',
+		allowInsecureAuth: String(process.env.SMTP_ALLOW_INSECURE_AUTH || '').trim() === '1',
+		name: os.hostname() || 'localhost'
+	};
+}
+
+// Reads SMTP replies ("250-…" continuation lines up to "250 …") from a socket, one next() per reply
+function replyReader() {
+	let socket = null;
+	let buffer = '';
+	let lines = [];
+	const replies = [];
+	const waiting = [];
+	let failure = null;
+	const settle = () => {
+		while (waiting.length && (replies.length || failure)) {
+			const w = waiting.shift();
+			if (replies.length) w.resolve(replies.shift());
+			else w.reject(failure);
+		}
+	};
+	const onData = (chunk) => {
+		buffer += chunk.toString('utf8');
+		let i;
+		while ((i = buffer.indexOf('\n')) >= 0) {
+			const line = buffer.slice(0, i).replace(/\r$/, '');
+			buffer = buffer.slice(i + 1);
+			lines.push(line);
+			if (/^\d{3}(?: |$)/.test(line)) {
+				replies.push({ code: parseInt(line.slice(0, 3), 10), text: lines.join('\n') });
+				lines = [];
+			}
+		}
+		settle();
+	};
+	const onError = (e) => {
+		failure = failure || e;
+		settle();
+	};
+	const onClose = () => onError(new Error('SMTP connection closed'));
+	return {
+		attach(s) {
+			socket = s;
+			s.on('data', onData);
+			s.on('error', onError);
+			s.on('close', onClose);
+		},
+		detach() {
+			socket.removeListener('data', onData);
+			socket.removeListener('error', onError);
+			socket.removeListener('close', onClose);
+		},
+		next() {
+			return new Promise((resolve, reject) => {
+				waiting.push({ resolve, reject });
+				settle();
+			});
+		}
+	};
+}
+
+async function expectReply(reader, codes, what) {
+	const reply = await reader.next();
+	if (!(Array.isArray(codes) ? codes : [codes]).includes(reply.code)) {
+		throw mailError('SMTP ' + what + ' failed: ' + reply.text, 502);
+	}
+	return reply;
+}
+
+function connectSocket(cfg) {
+	return new Promise((resolve, reject) => {
+		const onConnect = () => {
+			socket.removeListener('error', reject);
+			resolve(socket);
+		};
+		const socket = cfg.secure
+			? tls.connect({ host: cfg.host, port: cfg.port, servername: cfg.host, rejectUnauthorized: cfg.rejectUnauthorized }, onConnect)
+			: net.connect({ host: cfg.host, port: cfg.port }, onConnect);
+		socket.once('error', reject);
+		socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new Error('SMTP timed out after ' + SMTP_TIMEOUT_MS + 'ms')));
+	});
+}
+
+function upgradeSocket(socket, cfg) {
+	return new Promise((resolve, reject) => {
+		const secure = tls.connect({ socket, servername: cfg.host, rejectUnauthorized: cfg.rejectUnauthorized }, () => {
+			secure.removeListener('error', reject);
+			resolve(secure);
+		});
+		secure.once('error', reject);
+		secure.setTimeout(SMTP_TIMEOUT_MS, () => secure.destroy(new Error('SMTP timed out after ' + SMTP_TIMEOUT_MS + 'ms')));
+	});
+}
+
+/** Send a built message over SMTP. Resolves to { transport, accepted, messageId, response }. */
+async function sendSmtp(message, config) {
+	const cfg = { ...smtpConfig(), ...(config || {}) };
+	if (!cfg.host) throw mailError('SMTP_HOST is not set', 503);
+	let socket = await connectSocket(cfg);
+	const reader = replyReader();
+	reader.attach(socket);
+	const command = (line, codes, what) => {
+		socket.write(line + '\r\n');
+		return expectReply(reader, codes, what || line.split(' ')[0]);
+	};
+	try {
+		await expectReply(reader, 220, 'greeting');
+		let ehlo = await command('EHLO ' + cfg.name, 250);
+		let encrypted = cfg.secure;
+		if (!encrypted && /^\d{3}[- ]STARTTLS\b/im.test(ehlo.text)) {
+			await command('STARTTLS', 220);
+			reader.detach();
+			socket = await upgradeSocket(socket, cfg);
+			reader.attach(socket);
+			encrypted = true;
+			ehlo = await command('EHLO ' + cfg.name, 250);
+		}
+		if (cfg.user) {
+			if (!encrypted && !cfg.allowInsecureAuth) {
+				throw mailError('SMTP server ' + cfg.host + ' offers no TLS; refusing to send credentials in cleartext (SMTP_ALLOW_INSECURE_AUTH=1 allows it)', 502);
+			}
+			await command('AUTH PLAIN ' + Buffer.from('\0' + cfg.user + '\0' + cfg.pass, 'utf8').toString('base64'), 235, 'AUTH');
+		}
+		await command('MAIL FROM:<' + message.envelope.from + '>', 250, 'MAIL FROM');
+		for (const rcpt of message.envelope.to) await command('RCPT TO:<' + rcpt + '>', [250, 251], 'RCPT TO');
+		await command('DATA', 354);
+		// Dot-stuffing: a line starting with "." gets another one
+		const done = await command(message.raw.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..').replace(/\r\n$/, '') + '\r\n.', 250, 'DATA');
+		await command('QUIT', 221).catch(() => {});
+		return { transport: 'smtp', accepted: message.envelope.to, messageId: message.messageId, response: done.text };
+	} finally {
+		socket.end();
+	}
+}
+
+/** Write a built message to an .eml file. Resolves to { transport, file, messageId }. */
+async function writeEml(message, config) {
+	const dir = (config && config.dir) || process.env.DIGEST_EML_DIR || path.join(os.tmpdir(), 'jobs-digests');
+	await fs.promises.mkdir(dir, { recursive: true });
+	const file = path.join(dir, 'digest-' + new Date().toISOString().replace(/[:.]/g, '-') + '-' + crypto.randomBytes(3).toString('hex') + '.eml');
+	await fs.promises.writeFile(file, message.raw);
+	return { transport: 'eml', file, messageId: message.messageId };
+}
+
+const transports = { smtp: sendSmtp, eml: writeEml };
+
+/** Add (or replace) a transport: `send(message)` gets a buildMessage() result and resolves to an info object. */
+function registerTransport(name, send) {
+	if (typeof send !== 'function') throw new Error('Transport "' + name + '" needs a send function');
+	transports[String(name).toLowerCase()] = send;
+}
+
+/** DIGEST_TRANSPORT, else 'smtp' when SMTP_HOST is set, else null (nothing configured). */
+function defaultTransport() {
+	const configured = String(process.env.DIGEST_TRANSPORT || '').trim().toLowerCase();
+	if (configured) return configured;
+	return process.env.SMTP_HOST ? 'smtp' : null;
+}
+
+/**
+ * Build and send a message with the named transport (default: defaultTransport()). Throws with
+ * `status = 503` when no transport is configured.
+ */
+async function sendMail(input, transportName) {
+	const chosen = transportName || defaultTransport();
+	if (!chosen) throw mailError('No mail transport configured (set SMTP_HOST, or DIGEST_TRANSPORT=eml to write .eml files)', 503);
+	const name = String(chosen).toLowerCase();
+	const send = transports[name];
+	if (!send) throw mailError('Unknown transport: ' + name + ' (available: ' + Object.keys(transports).join(', ') + ')');
+	const message = buildMessage(input);
+	return send(message);
+}
+
+module.exports = {
+	parseRecipients,
+	buildMessage,
+	registerTransport,
+	defaultTransport,
+	sendMail
+};
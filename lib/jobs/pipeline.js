@@ -0,0 +1,196 @@
+/**
+ * Central scoring pipeline for the jobs aggregator.
+ * Runs the selected source adapters, then applies keyword prefilter -> ?q= query -> role tier -> experience
+ * -> salary -> skills -> location
+ * -> normalizeJob once for every mapped item (adapters only fetch and map).
+ */
+
+const { normalizeJob, containsAny, parseDateLike } = require('./util');
+const { roleTierRank, experienceLevelMatch, locationRank } = require('./ranking');
+const { defaultProfile } = require('./profiles');
+const { profileLocationRules } = require('./location');
+const { extractSalary, yearlySalary, salaryFilterMatch } = require('./salary');
+const { extractSkills, skillsFilterMatch } = require('./skills');
+
+const TIMED_OUT = Symbol('timedOut');
+
+/**
+ * Evaluate one mapped item against the ranking profile in ctx.profile (default: data-analyst), the
+ * experience window in ctx.experience and the location rules in ctx.locationRules (default: the profile's).
+ * Returns { job } when kept, or { drop: { reason, detail } } when it misses the keywords or the boolean
+ * ?q= query in ctx.query (see query.js), lands in an excluded role tier, (strict mode) states a
+ * non-overlapping YOE range, or fails the salary filter in ctx.salaryFilter ({ min, currency }; jobs
+ * without a salary fail it). Salaries are also converted to ctx.fx.currency per year with the
+ * ctx.fx.rates table (`salaryNormalized`). `skills` are tagged from the title and description and checked
+ * against ctx.skillsFilter ({ skills, mode }). With ctx.explain the job also carries a `_score` breakdown.
+ */
+function evaluateJob(mapped, ctx) {
+	if (!mapped || !mapped.title || !mapped.url) return { drop: { reason: 'invalid_item', detail: 'missing title or url' } };
+	const profile = (ctx && ctx.profile) || defaultProfile();
+	const matchText = mapped.matchText || (mapped.title + ' ' + (mapped.description || ''));
+	if (!containsAny(matchText, profile.keywords)) return { drop: { reason: 'keyword_miss', detail: profile.name } };
+	if (ctx && ctx.query && !ctx.query.test({ ...mapped, description: matchText })) return { drop: { reason: 'query_miss', detail: ctx.query.source } };
+	const role = roleTierRank(mapped.title, mapped.description || '', profile);
+	if (role.score < 0) return { drop: { reason: 'excluded_tier', detail: role.hit } }; // Filter out excluded roles (Data Engineering)
+	const window = (ctx && ctx.experience) || profile.experience || null;
+	const expMatch = experienceLevelMatch(mapped.title, mapped.description || '', window);
+	if (window && window.strict && !expMatch.match) {
+		return { drop: { reason: 'experience_mismatch', detail: expMatch.experience && expMatch.experience.raw } }; // stated range outside ?minYoe=&maxYoe=
+	}
+	// Structured salary from the adapter, else the first pay statement in the text
+	const salary = mapped.salary || extractSalary(mapped.title + ' ' + (mapped.description || '') + ' ' + (mapped.matchText || ''));
+	const fx = (ctx && ctx.fx) || null;
+	const salaryNormalized = fx ? yearlySalary(salary, fx.currency, fx.rates) : null;
+	const salaryCheck = salaryFilterMatch(salary, salaryNormalized, ctx && ctx.salaryFilter);
+	if (!salaryCheck.ok) return { drop: { reason: salaryCheck.reason, detail: salaryCheck.detail } };
+	const skills = extractSkills(mapped.title, mapped.description);
+	const skillsCheck = skillsFilterMatch(skills, ctx && ctx.skillsFilter);
+	if (!skillsCheck.ok) return { drop: { reason: skillsCheck.reason, detail: skillsCheck.detail } };
+	const loc = locationRank(mapped.location || 'Remote', (ctx && ctx.locationRules) || profileLocationRules(profile));
+	const rank = role.score + loc.score + expMatch.score;
+	return {
+		job: normalizeJob({
+			...mapped,
+			experience: expMatch.experience,
+			locationInfo: loc.info,
+			salary,
+			salaryNormalized,
+			skills,
+			_rank: rank,
+			_roleTier: role.tier,
+			_score: (ctx && ctx.explain) ? {
+				roleTier: role.tier,
+				roleHit: role.hit,
+				roleScore: role.score,
+				locationScore: loc.score,
+				locationRule: loc.rule,
+				experienceScore: expMatch.score,
+				exclusion: role.hybrid ? 'hybrid_role: ' + role.hit : null,
+				total: rank
+			} : undefined
+		})
+	};
+}
+
+/** Score one mapped item. Returns a normalized job, or null when evaluateJob drops it. */
+function scoreJob(mapped, ctx) {
+	return evaluateJob(mapped, ctx).job || null;
+}
+
+/**
+ * Fetch every adapter concurrently under one request-level budget; one failing or slow source never
+ * sinks the others. Sources still pending when the budget runs out are reported with `timedOut: true`
+ * (their late results are ignored). Each result carries its own `elapsedMs`.
+ */
+async function runSources(adapters, query, ctx, opts = {}) {
+	const budgetMs = opts.budgetMs || 0;
+	let deadlineTimer = null;
+	const deadline = budgetMs > 0
+		? new Promise((resolve) => { deadlineTimer = setTimeout(() => resolve(TIMED_OUT), budgetMs); })
+		: null;
+	try {
+		return await Promise.all(adapters.map(async (adapter) => {
+			const started = Date.now();
+			const status = { httpStatus: null, error: '' };
+			const result = { adapter, items: [], error: '', httpStatus: null, timedOut: false, elapsedMs: 0 };
+			try {
+				const work = Promise.resolve().then(() => adapter.fetch(query, { ...ctx, status }));
+				const value = deadline ? await Promise.race([work, deadline]) : await work;
+				if (value === TIMED_OUT) {
+					result.timedOut = true;
+					result.error = 'Exceeded budget of ' + budgetMs + 'ms';
+				} else if (Array.isArray(value)) {
+					result.items = value;
+				}
+			} catch (e) {
+				result.error = (e && e.message) || 'Failed';
+			}
+			if (!result.error && status.error) result.error = status.error; // partial failure (e.g. some RSS feeds)
+			result.httpStatus = status.httpStatus;
+			result.elapsedMs = Date.now() - started;
+			return result;
+		}));
+	} finally {
+		if (deadlineTimer) clearTimeout(deadlineTimer);
+	}
+}
+
+/**
+ * Map + score the raw items of each source result, in adapter order, dropping jobs older than
+ * ctx.maxAgeMs. Returns the jobs plus per-adapter counts: { [id]: { fetched, kept } }.
+ * With ctx.explain, also returns `dropped`: one { source, id, title, url, reason, detail } per dropped item.
+ */
+function collectJobs(results, ctx) {
+	const jobs = [];
+	const counts = {};
+	const dropped = [];
+	const explain = !!(ctx && ctx.explain);
+	const now = Date.now();
+	const maxAgeMs = (ctx && ctx.maxAgeMs) || 0;
+	const drop = (adapter, mapped, reason, detail) => {
+		if (!explain) return;
+		dropped.push({
+			source: adapter.id,
+			id: (mapped && mapped.id) || null,
+			title: (mapped && mapped.title) || null,
+			url: (mapped && mapped.url) || null,
+			reason,
+			detail: detail || null
+		});
+	};
+	results.forEach(({ adapter, items }) => {
+		const c = counts[adapter.id] = { fetched: items.length, kept: 0 };
+		for (let i = 0; i < items.length; i++) {
+			let mapped = null;
+			try {
+				mapped = adapter.map(items[i]);
+			} catch (e) {
+				drop(adapter, null, 'invalid_item', e.message); // one malformed item shouldn't drop the whole source
+				continue;
+			}
+			const evaluated = evaluateJob(mapped, ctx);
+			if (!evaluated.job) {
+				drop(adapter, mapped, evaluated.drop.reason, evaluated.drop.detail);
+				continue;
+			}
+			const job = evaluated.job;
+			// Freshness filter (last N days)
+			if (maxAgeMs) {
+				const dt = parseDateLike(job.date);
+				if (!dt || (now - dt.getTime()) > maxAgeMs) {
+					drop(adapter, job, 'stale', job.date);
+					continue;
+				}
+			}
+			c.kept++;
+			jobs.push(job);
+		}
+	});
+	return { jobs, counts, dropped };
+}
+
+/** Per-source status report for API responses (what was fetched, what survived the filters, why not). */
+function sourceStatusReport(results, counts) {
+	return results.map((r) => {
+		const c = counts[r.adapter.id] || { fetched: r.items.length, kept: 0 };
+		return {
+			source: r.adapter.id,
+			kind: r.adapter.kind || 'api',
+			ok: !r.error,
+			fetched: c.fetched,
+			kept: c.kept,
+			httpStatus: r.httpStatus,
+			error: r.error || null,
+			timedOut: r.timedOut,
+			elapsedMs: r.elapsedMs
+		};
+	});
+}
+
+module.exports = {
+	evaluateJob,
+	scoreJob,
+	runSources,
+	collectJobs,
+	sourceStatusReport
+};
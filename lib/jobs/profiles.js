@@ -0,0 +1,135 @@
+/**
+ * Named ranking profiles (role tiers, scores, exclusion patterns, keywords, location rules).
+ *
+ * A profile is a JSON document: lib/jobs/profiles/<name>.json in the repo, or the KV key
+ * `jobs:profile:<name>` (repo files win). Selected with ?profile=<name>; default is `data-analyst`.
+ * See profiles/data-analyst.json for the shape.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { compileLocationRules } = require('./location');
+
+const PROFILES_DIR = path.join(__dirname, 'profiles');
+const KV_PREFIX = 'jobs:profile:';
+const DEFAULT_PROFILE = 'data-analyst';
+
+function hasKv() {
+	return process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN;
+}
+
+function isValidName(name) {
+	return /^[a-z0-9][a-z0-9_-]{0,63}$/.test(String(name || ''));
+}
+
+// Every regex string ranking.js compiles, as [field path, source]
+function profilePatterns(profile) {
+	const irr = profile.irrelevantTitles || {};
+	const ex = profile.exclude || {};
+	const fb = profile.fallback || {};
+	const list = [['irrelevantTitles.pattern', irr.pattern], ['irrelevantTitles.unless', irr.unless], ['exclude.unless', ex.unless], ['fallback.pattern', fb.pattern]];
+	(profile.tiers || []).forEach((t, i) => {
+		(Array.isArray(t.requireContext) ? t.requireContext : []).forEach((r, j) => list.push(['tiers[' + i + '].requireContext[' + j + '].pattern', r && r.pattern]));
+	});
+	return list.filter(([, src]) => src);
+}
+
+/**
+ * Basic shape check so a bad KV document fails loudly instead of ranking everything 0 (or throwing
+ * later, mid-request, on a pattern that doesn't compile).
+ */
+function validateProfile(profile, name) {
+	if (!profile || typeof profile !== 'object') throw new Error('Profile "' + name + '" is not an object');
+	if (!Array.isArray(profile.keywords) || !profile.keywords.length) throw new Error('Profile "' + name + '" needs a non-empty keywords array');
+	if (!Array.isArray(profile.tiers)) throw new Error('Profile "' + name + '" needs a tiers array');
+	profile.tiers.forEach((t, i) => {
+		if (!t || !t.tier || typeof t.score !== 'number' || !Array.isArray(t.phrases)) {
+			throw new Error('Profile "' + name + '" tier #' + i + ' needs tier, score and phrases');
+		}
+	});
+	if (profile.location && profile.location.rules) {
+		try {
+			compileLocationRules(profile.location.rules);
+		} catch (e) {
+			throw new Error('Profile "' + name + '" location: ' + e.message);
+		}
+	}
+	profilePatterns(profile).forEach(([field, src]) => {
+		try {
+			new RegExp(src, 'i');
+		} catch (e) {
+			throw new Error('Profile "' + name + '" ' + field + ' is not a valid regex: ' + e.message);
+		}
+	});
+	if (profile.search != null && (typeof profile.search !== 'string' || !profile.search.trim())) {
+		throw new Error('Profile "' + name + '" search must be a non-empty string');
+	}
+	return {
+		...profile,
+		name: profile.name || name,
+		keywords: profile.keywords.map(k => String(k).toLowerCase()),
+		// Default board search when ?q= is absent (KV profiles without one use their first keyword)
+		search: profile.search ? profile.search.trim() : String(profile.keywords[0])
+	};
+}
+
+const fileCache = new Map();
+
+function loadFileProfile(name) {
+	if (fileCache.has(name)) return fileCache.get(name);
+	const file = path.join(PROFILES_DIR, name + '.json');
+	if (!fs.existsSync(file)) return null;
+	const profile = validateProfile(JSON.parse(fs.readFileSync(file, 'utf8')), name);
+	fileCache.set(name, profile);
+	return profile;
+}
+
+/** The bundled default profile (sync; used when no ?profile= is given). */
+function defaultProfile() {
+	return loadFileProfile(DEFAULT_PROFILE);
+}
+
+/**
+ * Load a profile by name (repo file first, then KV). Throws with `status = 400` for an invalid or
+ * unknown name, or an invalid KV document, so handlers can surface it.
+ */
+async function loadProfile(name) {
+	const n = name ? String(name).trim().toLowerCase() : DEFAULT_PROFILE;
+	if (!isValidName(n)) {
+		const err = new Error('Invalid profile name: ' + n);
+		err.status = 400;
+		throw err;
+	}
+	const fromFile = loadFileProfile(n);
+	if (fromFile) return fromFile;
+	if (hasKv()) {
+		const { kv } = require('@vercel/kv');
+		const stored = await kv.get(KV_PREFIX + n);
+		if (stored) {
+			try {
+				return validateProfile(typeof stored === 'string' ? JSON.parse(stored) : stored, n);
+			} catch (e) {
+				e.status = 400;
+				throw e;
+			}
+		}
+	}
+	const err = new Error('Unknown profile: ' + n);
+	err.status = 400;
+	throw err;
+}
+
+/** Names of the profiles bundled in the repo. */
+function listProfiles() {
+	return fs.readdirSync(PROFILES_DIR)
+		.filter(f => f.endsWith('.json'))
+		.map(f => f.slice(0, -5))
+		.sort();
+}
+
+module.exports = {
+	DEFAULT_PROFILE,
+	defaultProfile,
+	loadProfile,
+	listProfiles
+};
@@ -0,0 +1,151 @@
+/**
+ * Boolean job-search query language, shared by /api/jobs-snapshot, /api/jobs-cached and /api/workingnomads.
+ *
+ *   data analyst                     both words (implicit AND)
+ *   "data analyst"                   exact phrase
+ *   analyst OR scientist             either; AND / OR / NOT are operators only in upper case
+ *   analyst NOT senior, analyst -senior
+ *   (sql OR python) -intern
+ *   title:analyst company:"Acme Corp" location:europe -company:initech
+ *   analy*                           prefix; other terms match whole words ("intern" not in "internal")
+ *
+ * Unscoped terms match the title, company, location and description. OR binds looser than AND.
+ */
+
+const FIELDS = ['title', 'company', 'location'];
+
+function queryError(msg) {
+	const err = new Error('Invalid query: ' + msg);
+	err.status = 400;
+	return err;
+}
+
+function tokenize(q) {
+	const tokens = [];
+	let i = 0;
+	while (i < q.length) {
+		const c = q[i];
+		if (/\s/.test(c)) { i++; continue; }
+		if (c === '(' || c === ')') { tokens.push({ type: c }); i++; continue; }
+		let negate = false;
+		if (c === '-' && i + 1 < q.length && !/[\s)]/.test(q[i + 1])) { negate = true; i++; }
+		let field = null;
+		const scoped = q.slice(i).match(/^(title|company|location):(?=\S)/i);
+		if (scoped) { field = scoped[1].toLowerCase(); i += scoped[0].length; }
+		let value;
+		let phrase = false;
+		if (q[i] === '"') {
+			const end = q.indexOf('"', i + 1);
+			if (end < 0) throw queryError('unterminated quote');
+			value = q.slice(i + 1, end).trim();
+			phrase = true;
+			i = end + 1;
+		} else {
+			const m = q.slice(i).match(/^[^\s()"]+/);
+			value = m ? m[0] : '';
+			i += value.length;
+		}
+		if (!phrase && !negate && !field && /^(AND|OR|NOT)$/.test(value)) { tokens.push({ type: value }); continue; }
+		if (!value) {
+			if (phrase) continue; // ""
+			throw queryError('missing term after ' + (field ? field + ':' : '-'));
+		}
+		tokens.push({ type: 'term', negate, node: { type: 'term', field, value: value.toLowerCase(), phrase } });
+	}
+	return tokens;
+}
+
+// or := and (OR and)* ; and := unary ([AND] unary)* ; unary := NOT unary | -term | ( or ) | term
+function parseTokens(tokens) {
+	let pos = 0;
+	const peek = () => tokens[pos];
+
+	function parseOr() {
+		const items = [parseAnd()];
+		while (peek() && peek().type === 'OR') {
+			pos++;
+			items.push(parseAnd());
+		}
+		return items.length === 1 ? items[0] : { type: 'or', items };
+	}
+
+	function parseAnd() {
+		const items = [parseUnary()];
+		while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+			if (peek().type === 'AND') pos++;
+			items.push(parseUnary());
+		}
+		return items.length === 1 ? items[0] : { type: 'and', items };
+	}
+
+	function parseUnary() {
+		const t = peek();
+		if (!t) throw queryError('expected a term at the end');
+		pos++;
+		if (t.type === 'NOT') return { type: 'not', item: parseUnary() };
+		if (t.type === '(') {
+			if (peek() && peek().type === ')') throw queryError('empty ()');
+			const inner = parseOr();
+			if (!peek() || peek().type !== ')') throw queryError('missing )');
+			pos++;
+			return inner;
+		}
+		if (t.type === 'term') return t.negate ? { type: 'not', item: t.node } : t.node;
+		throw queryError('unexpected ' + t.type);
+	}
+
+	const ast = parseOr();
+	if (pos < tokens.length) throw queryError('unexpected ' + tokens[pos].type);
+	return ast;
+}
+
+function termPattern(node) {
+	const prefix = !node.phrase && node.value.length > 1 && node.value.endsWith('*');
+	const value = prefix ? node.value.slice(0, -1) : node.value;
+	const body = value.split(/\s+/).map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('\\s+');
+	return new RegExp('(?<![a-z0-9])' + body + (prefix ? '' : '(?![a-z0-9])'), 'i');
+}
+
+function matchNode(node, text) {
+	if (node.type === 'and') return node.items.every(n => matchNode(n, text));
+	if (node.type === 'or') return node.items.some(n => matchNode(n, text));
+	if (node.type === 'not') return !matchNode(node.item, text);
+	if (!node.re) node.re = termPattern(node);
+	return node.re.test(node.field ? text[node.field] : text.all);
+}
+
+// Plain keywords for boards' own search (positive unscoped/title terms; first alternative of an OR)
+function searchWords(node) {
+	if (node.type === 'and') return node.items.map(searchWords).filter(Boolean).join(' ');
+	if (node.type === 'or') return searchWords(node.items[0]);
+	if (node.type === 'not') return '';
+	return node.field && node.field !== 'title' ? '' : node.value.replace(/\*$/, '');
+}
+
+/**
+ * Parse ?q=. Returns null for an empty query, else { source, test(job), search } where test checks a
+ * job-like { title, company, location, description } and search is a plain keyword string for upstream
+ * APIs ('' when the query has no positive terms). Throws with `status = 400` on a syntax error.
+ */
+function compileQuery(q) {
+	const source = String(q || '').trim();
+	if (!source) return null;
+	const tokens = tokenize(source);
+	if (!tokens.length) return null;
+	const ast = parseTokens(tokens);
+	return {
+		source,
+		search: searchWords(ast),
+		test(job) {
+			const j = job || {};
+			const text = {};
+			FIELDS.forEach((f) => { text[f] = String(j[f] || ''); });
+			text.all = FIELDS.map(f => text[f]).concat(String(j.description || '')).join(' \n ');
+			return matchNode(ast, text);
+		}
+	};
+}
+
+module.exports = {
+	compileQuery
+};
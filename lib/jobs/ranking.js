@@ -0,0 +1,152 @@
+/**
+ * Ranking rules for the jobs aggregator: role tiers (from a ranking profile), location priority, experience level.
+ * Scores are summed into `_rank` by the pipeline (see pipeline.js).
+ */
+
+const { includesAnyPhrase } = require('./util');
+const { parseLocation, matchLocationRules, profileLocationRules } = require('./location');
+
+/**
+ * Location priority: parse the job's location and score it by the first matching location rule
+ * (compiled rules from ?locPrefs= or the ranking profile; see location.js).
+ * Returns { score, rule, info } where `info` is the parsed locationInfo.
+ */
+function locationRank(location, rules) {
+	const info = parseLocation(location);
+	const { score, rule } = matchLocationRules(info, rules || profileLocationRules(null));
+	return { score, rule, info };
+}
+
+/** Compile (and memoize) the regex strings of a ranking profile. */
+const compiledProfiles = new WeakMap();
+function compileProfile(profile) {
+	let c = compiledProfiles.get(profile);
+	if (c) return c;
+	const re = (src) => (src ? new RegExp(src, 'i') : null);
+	const irr = profile.irrelevantTitles || {};
+	const ex = profile.exclude || {};
+	const fb = profile.fallback || {};
+	c = {
+		irrelevantTitle: re(irr.pattern),
+		irrelevantUnless: re(irr.unless),
+		irrelevantReason: irr.reason || 'irrelevant_category',
+		excludePhrases: (ex.phrases || []).map(p => String(p).toLowerCase()),
+		excludeUnless: re(ex.unless),
+		hybridTier: ex.hybridTier || 'tier3',
+		hybridScore: typeof ex.hybridScore === 'number' ? ex.hybridScore : 30,
+		tiers: (profile.tiers || []).map(t => ({
+			tier: t.tier,
+			score: t.score,
+			phrases: (t.phrases || []).map(p => String(p).toLowerCase()),
+			requireContext: (t.requireContext || []).map(r => ({ hitIncludes: String(r.hitIncludes || '').toLowerCase(), pattern: re(r.pattern), reason: r.reason || 'missing_context' }))
+		})),
+		fallback: fb.pattern ? { tier: fb.tier || 'tier3', score: fb.score || 0, pattern: re(fb.pattern), hit: fb.hit || '' } : null
+	};
+	compiledProfiles.set(profile, c);
+	return c;
+}
+
+/**
+ * Rank a title (+ description for context) against a ranking profile (see lib/jobs/profiles).
+ * Negative score = excluded (filtered out by the pipeline).
+ */
+function roleTierRank(title, description, profile) {
+	const t = String(title || '').toLowerCase();
+	const desc = String(description || '').toLowerCase();
+	const fullText = t + ' ' + desc;
+	const p = compileProfile(profile);
+
+	// If title starts with an irrelevant category and the text has no relevant context, exclude
+	if (p.irrelevantTitle && p.irrelevantTitle.test(t) && !(p.irrelevantUnless && p.irrelevantUnless.test(fullText))) {
+		return { tier: 'excluded', score: -100, hit: p.irrelevantReason };
+	}
+
+	// Check for exclusion terms (e.g. Data Engineering) - penalize heavily
+	const excludeHit = includesAnyPhrase(fullText, p.excludePhrases);
+	if (excludeHit) {
+		// Only include if ALSO relevant (hybrid roles)
+		if (!(p.excludeUnless && p.excludeUnless.test(fullText))) {
+			return { tier: 'excluded', score: -100, hit: excludeHit }; // Negative score = filter out
+		}
+		// Hybrid role - keep but lower priority
+		return { tier: p.hybridTier, score: p.hybridScore, hit: excludeHit, hybrid: true };
+	}
+
+	for (let i = 0; i < p.tiers.length; i++) {
+		const tier = p.tiers[i];
+		const hit = includesAnyPhrase(t, tier.phrases);
+		if (!hit) continue;
+		// e.g. "marketing analyst" requires data/analytics context
+		for (let j = 0; j < tier.requireContext.length; j++) {
+			const rule = tier.requireContext[j];
+			if (hit.includes(rule.hitIncludes) && !(rule.pattern && rule.pattern.test(fullText))) {
+				return { tier: 'excluded', score: -100, hit: rule.reason };
+			}
+		}
+		return { tier: tier.tier, score: tier.score, hit };
+	}
+	// Generic hints (e.g. analyst-ish titles)
+	if (p.fallback && p.fallback.pattern.test(t)) return { tier: p.fallback.tier, score: p.fallback.score, hit: p.fallback.hit };
+	return { tier: 'other', score: 0, hit: '' };
+}
+
+const YEARS = '(?:years?|yrs?|y\\.?o\\.?e\\.?)';
+const EXPERIENCE_PATTERNS = [
+	// "2-3 years", "2 to 5 yrs", "3–5+ years"
+	{ kind: 'range', re: new RegExp('\\b(\\d{1,2})\\s*\\+?\\s*(?:-|–|—|to)\\s*(\\d{1,2})\\s*\\+?\\s*' + YEARS, 'i') },
+	// "2 years - 3", "2 yrs to 4"
+	{ kind: 'range', re: new RegExp('\\b(\\d{1,2})\\s*' + YEARS + '\\s*(?:-|–|to)\\s*(\\d{1,2})\\b', 'i') },
+	// "3+ years"
+	{ kind: 'plus', re: new RegExp('\\b(\\d{1,2})\\s*\\+\\s*' + YEARS, 'i') },
+	// "minimum 2 years", "at least 3 yrs"
+	{ kind: 'min', re: new RegExp('\\b(?:minimum|min\\.?|at least)\\s*(?:of\\s*)?(\\d{1,2})\\s*' + YEARS, 'i') },
+	// "3 years of experience", "2 yrs minimum"
+	{ kind: 'min', re: new RegExp('\\b(\\d{1,2})\\s*' + YEARS + '\\s*(?:of\\s+)?(?:\\w+\\s+)?(?:experience|minimum|min|required)', 'i') }
+];
+// Score per kind of statement when it overlaps the wanted window (explicit ranges are the strongest signal)
+const EXPERIENCE_SCORES = { range: 50, min: 40, plus: 35, level: 25 };
+
+/**
+ * Extract a years-of-experience requirement from free text.
+ * Returns { min, max, raw, kind } (max null = open-ended, e.g. "3+ years") or null when nothing is stated.
+ */
+function extractExperience(text) {
+	const fullText = String(text || '');
+	for (let i = 0; i < EXPERIENCE_PATTERNS.length; i++) {
+		const { kind, re } = EXPERIENCE_PATTERNS[i];
+		const m = fullText.match(re);
+		if (!m) continue;
+		let min = parseInt(m[1], 10);
+		let max = kind === 'range' ? parseInt(m[2], 10) : null;
+		if (isNaN(min) || min > 40 || (max != null && (isNaN(max) || max > 40))) continue; // not a YOE statement
+		if (max != null && max < min) { const x = min; min = max; max = x; }
+		return { min, max, raw: m[0].trim(), kind };
+	}
+	const level = fullText.match(/\b(mid[- ]?level|mid[- ]?senior)\b/i);
+	if (level) return { min: 2, max: 5, raw: level[0], kind: 'level' };
+	return null;
+}
+
+/**
+ * Experience level match against a wanted window { min, max } (e.g. from ?minYoe=&maxYoe= or the
+ * ranking profile). `match` is false only when a stated requirement does not overlap the window.
+ * Always returns the extracted range as `experience: { min, max, raw }` (or null).
+ */
+function experienceLevelMatch(title, description, window) {
+	const found = extractExperience(String(title || '') + ' ' + String(description || ''));
+	const experience = found ? { min: found.min, max: found.max, raw: found.raw } : null;
+	// No explicit experience requirement (or no preference) = neutral (don't filter out)
+	if (!found || !window || (window.min == null && window.max == null)) return { match: true, score: 0, experience };
+	const lo = window.min != null ? window.min : 0;
+	const hi = window.max != null ? window.max : Infinity;
+	const overlaps = found.min <= hi && (found.max == null ? Infinity : found.max) >= lo;
+	if (!overlaps) return { match: false, score: 0, experience };
+	return { match: true, score: EXPERIENCE_SCORES[found.kind] || 0, experience };
+}
+
+module.exports = {
+	locationRank,
+	roleTierRank,
+	extractExperience,
+	experienceLevelMatch
+};
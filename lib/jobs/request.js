@@ -0,0 +1,32 @@
+/**
+ * Request helpers for the jobs management endpoints (company lists, saved searches).
+ */
+
+/** Query params merged with a JSON body (object or string); body fields win. */
+function requestParams(req) {
+	let body = req.body;
+	if (typeof body === 'string') {
+		try {
+			body = JSON.parse(body);
+		} catch (e) {
+			body = null;
+		}
+	}
+	return { ...(req.query || {}), ...(body && typeof body === 'object' ? body : {}) };
+}
+
+/**
+ * Whether a write is allowed: always when UI_SECRET is unset, otherwise the secret must be sent as the
+ * X-UI-Secret header or ?secret= (same as /api/auth).
+ */
+function canWrite(req) {
+	const expected = process.env.UI_SECRET || '';
+	if (!expected) return true;
+	const provided = (req.query && req.query.secret) ? String(req.query.secret).trim() : String((req.headers && req.headers['x-ui-secret']) || '').trim();
+	return provided === expected;
+}
+
+module.exports = {
+	requestParams,
+	canWrite
+};
@@ -0,0 +1,133 @@
+/**
+ * Cached result sets + cursor pagination for the jobs list endpoints (?cursor=&pageSize=).
+ *
+ * The first page request computes the full (ranked, limit-capped) list once and stores it in Vercel KV
+ * (RESULT_SET_TTL_S) under a key derived from the query params; `nextCursor` then walks that stored list, so
+ * pages stay stable even if the sources change in between. Paging needs KV: without it (or when the set
+ * can't be stored) ?pageSize= is ignored and the whole list comes back in one response.
+ * Paged responses are per-client state, so handlers send them with `Cache-Control: private, no-store`.
+ */
+
+const crypto = require('crypto');
+
+const KV_PREFIX = 'jobs:rs:';
+const RESULT_SET_TTL_S = 900;
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+
+// Params that select a page rather than the result set
+const PAGING_PARAMS = new Set(['cursor', 'pageSize']);
+
+function hasKv() {
+	return process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN;
+}
+
+function badRequest(message, status) {
+	const err = new Error(message);
+	err.status = status || 400;
+	return err;
+}
+
+/** Stable id of the result set for a query (params sorted; paging params ignored). */
+function resultSetId(namespace, query) {
+	const entries = Object.keys(query || {})
+		.filter(k => !PAGING_PARAMS.has(k))
+		.sort()
+		.map(k => [k, String(query[k])]);
+	return crypto.createHash('sha1').update(namespace + ':' + JSON.stringify(entries)).digest('hex').slice(0, 20);
+}
+
+function encodeCursor(setId, offset, pageSize) {
+	return Buffer.from(JSON.stringify({ s: setId, o: offset, n: pageSize })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+	let c;
+	try {
+		c = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+	} catch (e) {
+		throw badRequest('Invalid cursor');
+	}
+	if (!c || typeof c.s !== 'string' || !Number.isInteger(c.o) || c.o < 0 || !Number.isInteger(c.n)) throw badRequest('Invalid cursor');
+	return { setId: c.s, offset: c.o, pageSize: c.n };
+}
+
+/**
+ * Read ?cursor= and ?pageSize= (pageSize 1..MAX_PAGE_SIZE; a cursor carries its own page size).
+ * Returns null when the request is not paginated, or without KV for a first page. Throws with
+ * `status = 400` on a bad cursor and 503 for a cursor without KV.
+ */
+function parsePaging(query) {
+	const q = query || {};
+	const hasCursor = q.cursor != null && String(q.cursor).trim() !== '';
+	const hasSize = q.pageSize != null && String(q.pageSize).trim() !== '';
+	if (!hasCursor && !hasSize) return null;
+	if (!hasKv()) {
+		if (hasCursor) throw badRequest('Vercel KV not configured; cursor pagination needs KV_REST_API_URL and KV_REST_API_TOKEN', 503);
+		return null;
+	}
+	const cursor = hasCursor ? decodeCursor(String(q.cursor).trim()) : null;
+	let pageSize = hasSize ? parseInt(String(q.pageSize), 10) : (cursor ? cursor.pageSize : DEFAULT_PAGE_SIZE);
+	if (isNaN(pageSize) || pageSize < 1) pageSize = DEFAULT_PAGE_SIZE;
+	return { cursor, pageSize: Math.min(pageSize, MAX_PAGE_SIZE) };
+}
+
+/** Store a result set in KV; resolves to false when it can't be stored (e.g. too large for KV). */
+async function saveResultSet(namespace, setId, data) {
+	try {
+		const { kv } = require('@vercel/kv');
+		await kv.setex(KV_PREFIX + namespace + ':' + setId, RESULT_SET_TTL_S, data);
+		return true;
+	} catch (e) {
+		return false;
+	}
+}
+
+async function loadResultSet(namespace, setId) {
+	if (!hasKv()) return null;
+	const { kv } = require('@vercel/kv');
+	const stored = await kv.get(KV_PREFIX + namespace + ':' + setId).catch(() => null);
+	return stored ? (typeof stored === 'string' ? JSON.parse(stored) : stored) : null;
+}
+
+/** One page of a stored list: { jobs, total, pageSize, nextCursor } (nextCursor null on the last page). */
+function pageOf(jobs, setId, offset, pageSize) {
+	const end = offset + pageSize;
+	return {
+		jobs: jobs.slice(offset, end),
+		total: jobs.length,
+		pageSize,
+		nextCursor: end < jobs.length ? encodeCursor(setId, end, pageSize) : null
+	};
+}
+
+/**
+ * Serve a follow-up page (request has ?cursor=). Resolves to { page, meta } or throws with
+ * `status = 400` (cursor from another query) / `410` (result set expired).
+ */
+async function nextPage(namespace, query, paging) {
+	const setId = resultSetId(namespace, query);
+	if (paging.cursor.setId !== setId) throw badRequest('Cursor does not match this query');
+	const stored = await loadResultSet(namespace, setId);
+	if (!stored || !Array.isArray(stored.jobs)) throw badRequest('Cursor expired; reload without ?cursor=', 410);
+	return { page: pageOf(stored.jobs, setId, paging.cursor.offset, paging.pageSize), meta: stored.meta || {} };
+}
+
+/**
+ * Store the full list for a first-page request and return its first page; when it can't be stored the
+ * whole list is the only page (no cursor that would 410).
+ */
+async function firstPage(namespace, query, paging, jobs, meta) {
+	const setId = resultSetId(namespace, query);
+	const stored = await saveResultSet(namespace, setId, { jobs, meta });
+	return pageOf(jobs, setId, 0, stored ? paging.pageSize : Math.max(jobs.length, 1));
+}
+
+module.exports = {
+	RESULT_SET_TTL_S,
+	DEFAULT_PAGE_SIZE,
+	MAX_PAGE_SIZE,
+	parsePaging,
+	firstPage,
+	nextPage
+};
@@ -0,0 +1,182 @@
+/**
+ * Salary extraction for the jobs aggregator: `salary: { min, max, currency, period }` from the structured
+ * fields some boards return (RemoteOK, hiring.cafe, Jobicy) or from free text ("$80k–$120k/yr",
+ * "€4,500 per month", "12-18 LPA", "USD 45/hour"). `max` is null for a single figure; period is
+ * hour | day | week | month | year.
+ */
+
+const { convertAmount } = require('./fx');
+
+// Multipliers to a yearly figure (2080 working hours, 260 working days)
+const PERIODS = { hour: 2080, day: 260, week: 52, month: 12, year: 1 };
+
+const CURRENCY_SYMBOLS = { '$': 'USD', 'us$': 'USD', '€': 'EUR', '£': 'GBP', '₹': 'INR', 'rs': 'INR', 'rs.': 'INR', 'c$': 'CAD', 'a$': 'AUD' };
+const CURRENCY_CODES = ['USD', 'EUR', 'GBP', 'INR', 'CAD', 'AUD', 'CHF', 'SGD', 'NZD', 'SEK', 'NOK', 'DKK', 'PLN', 'BRL', 'MXN'];
+
+const CUR = '(?<![a-z])(us\\$|c\\$|a\\$|\\$|€|£|₹|rs\\.?|' + CURRENCY_CODES.join('|') + ')';
+// Amount + optional unit; not followed by more digits or "M"/"million" (funding rounds, valuations)
+const NUM = '(\\d{1,3}(?:[,.\\s]\\d{3})+|\\d+(?:\\.\\d+)?)\\s*(k|lpa|lakhs?|lacs?)?(?![.,]?\\d)(?!\\s*(?:m|mm|mn|bn|b|million|billion)\\b)';
+const SEP = '\\s*(?:-|–|—|to)\\s*';
+const PERIOD = '(?:\\s*(?:\\/|per|an?)?\\s*(hour|hr|h|day|week|wk|month|mo|year|yr|annum|annual|annually|hourly|daily|weekly|monthly|yearly|p\\.?a\\.?)\\b)?';
+
+const SALARY_PATTERNS = [
+	// "$80k - $120k/yr", "€4,500 per month", "USD 45/hour", "₹12-18 LPA"
+	new RegExp(CUR + '\\s*' + NUM + '(?:' + SEP + CUR + '?\\s*' + NUM + ')?' + PERIOD, 'gi'),
+	// "80,000 - 100,000 EUR per year", "45 USD/hr"
+	new RegExp('\\b' + NUM + '(?:' + SEP + NUM + ')?\\s*(' + CURRENCY_CODES.join('|') + ')\\b' + PERIOD, 'gi'),
+	// "12-18 LPA", "15 lakhs per annum" (INR)
+	new RegExp('\\b(\\d+(?:\\.\\d+)?)(?:' + SEP + '(\\d+(?:\\.\\d+)?))?\\s*(lpa|lakhs?|lacs?)\\b', 'gi')
+];
+
+function normalizeCurrency(c) {
+	const s = String(c || '').trim().toLowerCase();
+	if (!s) return null;
+	if (CURRENCY_SYMBOLS[s]) return CURRENCY_SYMBOLS[s];
+	const code = s.toUpperCase();
+	return CURRENCY_CODES.includes(code) || /^[A-Z]{3}$/.test(code) ? code : null;
+}
+
+function normalizePeriod(p) {
+	const s = String(p || '').trim().toLowerCase();
+	if (!s) return null;
+	if (/^(h|hr|hour|hourly)/.test(s)) return 'hour';
+	if (/^(day|daily)/.test(s)) return 'day';
+	if (/^(wk|week)/.test(s)) return 'week';
+	if (/^(mo|month)/.test(s)) return 'month';
+	if (/^(yr|year|annum|annual|p\.?a)/.test(s)) return 'year';
+	return null;
+}
+
+function toNumber(n, unit) {
+	const s = String(n || '').trim();
+	// "60.000" / "60,000" / "60 000" are thousands separators; "60.5" is a decimal
+	const v = /^\d{1,3}(?:[,.\s]\d{3})+$/.test(s) ? parseFloat(s.replace(/[,.\s]/g, '')) : parseFloat(s);
+	if (isNaN(v)) return null;
+	const u = String(unit || '').toLowerCase();
+	if (u === 'k') return v * 1000;
+	if (/^(lpa|lakh|lac)/.test(u)) return v * 100000;
+	return v;
+}
+
+// Without a stated period, guess from the size of the figure
+function guessPeriod(amount, currency) {
+	if (currency === 'INR') return amount < 200000 ? 'month' : 'year';
+	if (amount <= 300) return 'hour';
+	if (amount < 15000) return 'month';
+	return 'year';
+}
+
+/** Yearly { min, max } of a salary (null when missing). */
+function annualize(salary) {
+	if (!salary || salary.min == null) return null;
+	const m = PERIODS[salary.period] || 1;
+	return { min: salary.min * m, max: salary.max != null ? salary.max * m : null };
+}
+
+// Reject figures that can't be a salary (funding rounds, "$5 off", headcounts)
+function plausible(salary) {
+	const a = annualize(salary);
+	if (!a) return false;
+	const hi = a.max != null ? a.max : a.min;
+	return a.min >= 500 && hi <= 100000000 && (a.max == null || a.max >= a.min);
+}
+
+/**
+ * Build a salary from structured fields. Zero / missing amounts count as "not stated".
+ * Returns { min, max, currency, period } or null.
+ */
+function salaryFrom(min, max, currency, period) {
+	let lo = Number(min) > 0 ? Number(min) : null;
+	let hi = Number(max) > 0 ? Number(max) : null;
+	if (lo == null && hi == null) return null;
+	if (lo == null) { lo = hi; hi = null; }
+	if (hi != null && hi < lo) { const x = lo; lo = hi; hi = x; }
+	if (hi === lo) hi = null;
+	const cur = normalizeCurrency(currency) || 'USD';
+	const salary = { min: lo, max: hi, currency: cur, period: normalizePeriod(period) || guessPeriod(lo, cur) };
+	return plausible(salary) ? salary : null;
+}
+
+/** Parse the first salary statement in free text (HTML is stripped). Returns { min, max, currency, period } or null. */
+function extractSalary(text) {
+	const t = String(text || '').replace(/<[^>]*>/g, ' ').replace(/&nbsp;/g, ' ').replace(/&euro;/g, '€').replace(/&pound;/g, '£').replace(/&#8377;/g, '₹');
+	for (let i = 0; i < SALARY_PATTERNS.length; i++) {
+		for (const m of t.matchAll(SALARY_PATTERNS[i])) {
+			let salary = null;
+			if (i === 0) {
+				// currency amount [unit] [- [currency] amount [unit]] [period]; "80-120k" applies the unit to both
+				const unit = m[3] || m[6];
+				const lo = toNumber(m[2], unit);
+				const hi = m[5] ? toNumber(m[5], m[6] || m[3]) : null;
+				const lakh = /^(lpa|lakh|lac)/i.test(unit || '');
+				salary = salaryFrom(lo, hi, m[1], m[7] || (lakh ? 'year' : ''));
+				if (salary && !m[7] && !lakh && salary.min < 1000) salary = null; // bare "$50" is a price, not a wage
+			} else if (i === 1) {
+				const lo = toNumber(m[1], m[2] || m[4]);
+				const hi = m[3] ? toNumber(m[3], m[4] || m[2]) : null;
+				salary = salaryFrom(lo, hi, m[5], m[6]);
+				if (salary && !m[6] && salary.min < 1000) salary = null;
+			} else {
+				salary = salaryFrom(toNumber(m[1], m[3]), m[2] ? toNumber(m[2], m[3]) : null, 'INR', 'year');
+			}
+			if (salary) return salary;
+		}
+	}
+	return null;
+}
+
+/**
+ * A salary as a yearly figure in `currency`, converted with the rates table from fx.js:
+ * { min, max, currency, period: 'year' }, or null when there is no salary or no rate for its currency.
+ */
+function yearlySalary(salary, currency, rates) {
+	const a = annualize(salary);
+	if (!a || !currency) return null;
+	const min = convertAmount(a.min, salary.currency, currency, rates);
+	if (min == null) return null;
+	const max = a.max != null ? convertAmount(a.max, salary.currency, currency, rates) : null;
+	return { min: Math.round(min), max: max != null ? Math.round(max) : null, currency, period: 'year' };
+}
+
+/**
+ * Check a job against { min, currency } from ?minSalary=&currency=, using its salary converted to that
+ * currency per year (`yearly`, see yearlySalary) and the top of the range. Returns { ok } or
+ * { ok: false, reason, detail } with reason salary_missing | salary_currency (no rate) | salary_below.
+ */
+function salaryFilterMatch(salary, yearly, filter) {
+	if (!filter || filter.min == null) return { ok: true };
+	if (!salary) return { ok: false, reason: 'salary_missing', detail: null };
+	if (!yearly) return { ok: false, reason: 'salary_currency', detail: salary.currency };
+	const top = yearly.max != null ? yearly.max : yearly.min;
+	if (top < filter.min) return { ok: false, reason: 'salary_below', detail: top + ' ' + yearly.currency + '/year' };
+	return { ok: true };
+}
+
+const DISPLAY_SYMBOLS = { USD: '$', EUR: '€', GBP: '£', INR: '₹' };
+const DISPLAY_PERIODS = { hour: '/hr', day: '/day', week: '/wk', month: '/mo', year: '/yr' };
+
+/** Short display form of a salary, like the Jobs page: "$80k–100k/yr", "EUR 4.5k/mo" ('' when missing). */
+function formatSalary(salary) {
+	if (!salary || salary.min == null) return '';
+	const sym = DISPLAY_SYMBOLS[salary.currency] || (salary.currency + ' ');
+	const fmt = n => (n >= 1000 ? Math.round(n / 100) / 10 + 'k' : String(n));
+	return sym + fmt(salary.min) + (salary.max != null ? '–' + fmt(salary.max) : '') + (DISPLAY_PERIODS[salary.period] || '');
+}
+
+/** Sort key for ?sort=salary: top of the converted yearly range (-1 when unknown). */
+function salarySortValue(yearly) {
+	if (!yearly) return -1;
+	return yearly.max != null ? yearly.max : yearly.min;
+}
+
+module.exports = {
+	PERIODS,
+	normalizeCurrency,
+	salaryFrom,
+	extractSalary,
+	annualize,
+	yearlySalary,
+	salaryFilterMatch,
+	salarySortValue,
+	formatSalary
+};
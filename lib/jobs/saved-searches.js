@@ -0,0 +1,160 @@
+/**
+ * Saved searches: named /api/jobs-snapshot parameter sets, shared through Vercel KV (hash `jobs:saved`,
+ * one field per id). Managed with /api/jobs-saved and run with /api/jobs-snapshot?saved=<id>.
+ *
+ * A saved search is { id, name, params, createdAt, updatedAt }; `params` holds SEARCH_PARAMS only
+ * (paging, ?fields= and ?explain= stay per request).
+ */
+
+const { compileQuery } = require('./query');
+const { parseLocPrefs } = require('./location');
+const { parseSkillsFilter } = require('./skills');
+const { sourceNames } = require('./sources');
+
+const KV_KEY = 'jobs:saved';
+const MAX_NAME_LENGTH = 100;
+
+const SEARCH_PARAMS = [
+	'q', 'days', 'limit', 'location', 'sources', 'profile', 'budgetMs', 'minYoe', 'maxYoe', 'yoeStrict',
+	'locPrefs', 'minSalary', 'currency', 'sort', 'skills', 'skillsMode', 'onlyAllowed'
+];
+const NUMERIC_PARAMS = ['days', 'limit', 'budgetMs', 'minYoe', 'maxYoe'];
+
+function hasKv() {
+	return process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN;
+}
+
+function searchError(msg, status) {
+	const err = new Error(msg);
+	err.status = status || 400;
+	return err;
+}
+
+function isValidId(id) {
+	return /^[a-z0-9][a-z0-9_-]{0,63}$/.test(String(id || ''));
+}
+
+function slugify(name) {
+	return String(name || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+		.replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 64);
+}
+
+/**
+ * Keep the known search params as trimmed strings (empty values dropped) and check the ones with a
+ * parser (q, locPrefs, skills, sources, numbers). Throws with `status = 400`.
+ */
+function validateParams(params) {
+	if (!params || typeof params !== 'object' || Array.isArray(params)) throw searchError('params must be an object');
+	const unknown = Object.keys(params).filter(k => !SEARCH_PARAMS.includes(k));
+	if (unknown.length) throw searchError('Unknown params: ' + unknown.join(', ') + ' (allowed: ' + SEARCH_PARAMS.join(', ') + ')');
+	const out = {};
+	SEARCH_PARAMS.forEach((k) => {
+		if (params[k] == null) return;
+		const v = String(params[k]).trim();
+		if (v) out[k] = v;
+	});
+	NUMERIC_PARAMS.forEach((k) => {
+		if (out[k] != null && !/^\d+$/.test(out[k])) throw searchError('Invalid ' + k + ': ' + out[k]);
+	});
+	compileQuery(out.q);
+	parseLocPrefs(out.locPrefs);
+	parseSkillsFilter(out);
+	if (out.sources) {
+		const names = sourceNames();
+		const bad = out.sources.split(',').map(s => s.trim().toLowerCase()).filter(s => s && !names.includes(s));
+		if (bad.length) throw searchError('Unknown sources: ' + bad.join(', '));
+	}
+	return out;
+}
+
+function kvClient() {
+	if (!hasKv()) throw searchError('Vercel KV not configured; saved searches need KV_REST_API_URL and KV_REST_API_TOKEN', 503);
+	return require('@vercel/kv').kv;
+}
+
+function parseStored(v) {
+	return typeof v === 'string' ? JSON.parse(v) : v;
+}
+
+/** All saved searches, by name ([] without KV). */
+async function listSavedSearches() {
+	if (!hasKv()) return [];
+	const all = await kvClient().hgetall(KV_KEY);
+	return Object.values(all || {}).map(parseStored).filter(Boolean)
+		.sort((a, b) => String(a.name).localeCompare(String(b.name)));
+}
+
+/** One saved search by id, or null. Throws with `status = 400` for a malformed id. */
+async function getSavedSearch(id) {
+	const key = String(id || '').trim().toLowerCase();
+	if (!isValidId(key)) throw searchError('Invalid saved search id: ' + id);
+	if (!hasKv()) return null;
+	const stored = await kvClient().hget(KV_KEY, key);
+	return stored ? parseStored(stored) : null;
+}
+
+/**
+ * ?saved=<id> on a jobs endpoint: merge the saved params into `req.query` (explicit params win) and return
+ * the saved search, or null without ?saved=. Throws with `status = 404` (unknown id) or 400 (malformed).
+ */
+async function applySavedSearch(req) {
+	if (!req.query || !req.query.saved) return null;
+	const saved = await getSavedSearch(req.query.saved);
+	if (!saved) throw searchError('Saved search not found: ' + req.query.saved, 404);
+	req.query = { ...saved.params, ...req.query };
+	return saved;
+}
+
+/** Create a saved search from { name, params, id? } (id defaults to the slug of the name; 409 when taken). */
+async function createSavedSearch(input) {
+	const name = String((input && input.name) || '').trim();
+	if (!name || name.length > MAX_NAME_LENGTH) throw searchError('name is required (max ' + MAX_NAME_LENGTH + ' characters)');
+	const id = String((input && input.id) || slugify(name)).trim().toLowerCase();
+	if (!isValidId(id)) throw searchError('Invalid saved search id: ' + id);
+	const params = validateParams((input && input.params) || {});
+	const kv = kvClient();
+	if (await kv.hget(KV_KEY, id)) throw searchError('Saved search already exists: ' + id, 409);
+	const now = new Date().toISOString();
+	const search = { id, name, params, createdAt: now, updatedAt: now };
+	await kv.hset(KV_KEY, { [id]: search });
+	return search;
+}
+
+/**
+ * Update a saved search: a new `name`, and/or `params` merged into the stored ones (a null / '' value
+ * removes a param; `replace: true` replaces them all). 404 when it doesn't exist.
+ */
+async function updateSavedSearch(id, input) {
+	const current = await getSavedSearch(id);
+	if (!current) throw searchError('Saved search not found: ' + id, 404);
+	const next = { ...current, updatedAt: new Date().toISOString() };
+	if (input && input.name != null) {
+		const name = String(input.name).trim();
+		if (!name || name.length > MAX_NAME_LENGTH) throw searchError('name must be 1-' + MAX_NAME_LENGTH + ' characters');
+		next.name = name;
+	}
+	if (input && input.params != null) {
+		next.params = validateParams(input.replace ? input.params : { ...current.params, ...input.params });
+	}
+	await kvClient().hset(KV_KEY, { [current.id]: next });
+	return next;
+}
+
+/** Delete a saved search; 404 when it doesn't exist. */
+async function deleteSavedSearch(id) {
+	const current = await getSavedSearch(id);
+	if (!current) throw searchError('Saved search not found: ' + id, 404);
+	await kvClient().hdel(KV_KEY, current.id);
+	return current;
+}
+
+module.exports = {
+	SEARCH_PARAMS,
+	validateParams,
+	listSavedSearches,
+	getSavedSearch,
+	applySavedSearch,
+	createSavedSearch,
+	updateSavedSearch,
+	deleteSavedSearch
+};
@@ -0,0 +1,70 @@
+/**
+ * New-since-last-check tracking for saved searches: which job ids each saved search has returned to a client
+ * that asked to record them (POST or ?markSeen=1), and when each was first returned. Stored in a Vercel KV
+ * hash per saved search (`jobs:seen:<id>`, job id -> first-seen ISO time); entries older than
+ * SEEN_RETENTION_DAYS are pruned (longer than the 30-day ?days= window, so an old posting never comes back
+ * as new) and the hash expires when the search stops being run.
+ */
+
+const KV_PREFIX = 'jobs:seen:';
+const SEEN_RETENTION_DAYS = 60;
+const SEEN_TTL_S = 90 * 24 * 60 * 60;
+
+function hasKv() {
+	return process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN;
+}
+
+/**
+ * Whether a request asks to remember what it returns for its saved search: POST, or ?markSeen=1. A plain
+ * GET only looks, so crawlers, shared caches and background calls (jobs-refresh, jobs-digest) don't use up "new".
+ */
+function wantsSeenRecorded(req) {
+	if (req.method === 'POST') return true;
+	return ['1', 'true'].includes(String((req.query && req.query.markSeen) || '').toLowerCase());
+}
+
+/**
+ * Flag `jobs` for a saved search: `isNew` (never recorded for it before) and `firstSeenAt`. Only reads;
+ * recordSeenJobs stores what was actually returned. Returns { jobs, newCount, firstCheck }; without KV
+ * every job is new.
+ */
+async function markSeenJobs(savedId, jobs) {
+	const now = new Date().toISOString();
+	const seen = hasKv() ? ((await require('@vercel/kv').kv.hgetall(KV_PREFIX + savedId)) || {}) : {};
+	const firstCheck = !Object.keys(seen).length;
+	let newCount = 0;
+	const flagged = jobs.map((j) => {
+		const firstSeenAt = (j && j.id && seen[j.id]) || now;
+		const isNew = !(j && j.id && seen[j.id]);
+		if (isNew) newCount++;
+		return { ...j, isNew, firstSeenAt };
+	});
+	return { jobs: flagged, newCount, firstCheck };
+}
+
+/**
+ * Remember `jobs` (the page the client got, not the whole list) as returned by a saved search, keeping
+ * earlier first-seen times, and prune entries older than SEEN_RETENTION_DAYS. Resolves to the number of
+ * newly recorded ids, or null without KV.
+ */
+async function recordSeenJobs(savedId, jobs) {
+	if (!hasKv()) return null;
+	const { kv } = require('@vercel/kv');
+	const key = KV_PREFIX + savedId;
+	const now = new Date().toISOString();
+	const seen = (await kv.hgetall(key)) || {};
+	const fresh = {};
+	jobs.forEach((j) => { if (j && j.id && !seen[j.id]) fresh[j.id] = now; });
+	if (Object.keys(fresh).length) await kv.hset(key, fresh);
+	const cutoff = Date.now() - SEEN_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+	const stale = Object.keys(seen).filter(id => !(Date.parse(seen[id]) >= cutoff));
+	if (stale.length) await kv.hdel(key, ...stale);
+	await kv.expire(key, SEEN_TTL_S);
+	return Object.keys(fresh).length;
+}
+
+module.exports = {
+	wantsSeenRecorded,
+	markSeenJobs,
+	recordSeenJobs
+};
@@ -0,0 +1,152 @@
+/**
+ * Skill / tech-stack tagging for the jobs aggregator: `skills: ['sql', 'dbt', ...]` (taxonomy ids, in
+ * taxonomy order) from the title and description, plus the ?skills=&skillsMode= filter.
+ */
+
+// [id, label, phrases]; a space in a phrase also matches "-" or no separator ("power bi", "power-bi", "powerbi")
+const SKILLS = [
+	// Languages
+	['sql', 'SQL', ['sql', 't-sql', 'tsql', 'pl/sql', 'plsql', 'postgresql', 'postgres', 'mysql', 'sql server']],
+	['python', 'Python', ['python', 'python3', 'pandas', 'numpy', 'jupyter']],
+	['r', 'R', ['rstudio', 'r programming', 'r language', 'tidyverse', 'ggplot', 'ggplot2', 'python/r', 'r/python', 'python or r', 'r or python']],
+	['excel', 'Excel', ['excel', 'vba', 'google sheets', 'spreadsheets']],
+	['sas', 'SAS', ['sas']],
+	['scala', 'Scala', ['scala']],
+	['java', 'Java', ['java']],
+	['javascript', 'JavaScript', ['javascript', 'ecmascript']],
+	['typescript', 'TypeScript', ['typescript']],
+	['go', 'Go', ['golang']],
+	['rust', 'Rust', ['rust']],
+	['ruby', 'Ruby', ['ruby', 'ruby on rails', 'rails']],
+	['php', 'PHP', ['php', 'laravel']],
+	['csharp', 'C#', ['c#', '.net', 'dotnet']],
+	['cpp', 'C++', ['c++']],
+	// BI / analytics
+	['tableau', 'Tableau', ['tableau']],
+	['power-bi', 'Power BI', ['power bi', 'dax', 'power query']],
+	['looker', 'Looker', ['looker', 'lookml', 'looker studio', 'data studio']],
+	['metabase', 'Metabase', ['metabase']],
+	['qlik', 'Qlik', ['qlik', 'qlikview', 'qlik sense']],
+	['superset', 'Superset', ['superset']],
+	['mode', 'Mode', ['mode analytics']],
+	['google-analytics', 'Google Analytics', ['google analytics', 'ga4']],
+	['amplitude', 'Amplitude', ['amplitude']],
+	['mixpanel', 'Mixpanel', ['mixpanel']],
+	['statistics', 'Statistics', ['statistics', 'statistical analysis', 'a/b testing', 'ab testing', 'hypothesis testing', 'regression analysis']],
+	// Data platform
+	['dbt', 'dbt', ['dbt', 'data build tool']],
+	['snowflake', 'Snowflake', ['snowflake']],
+	['bigquery', 'BigQuery', ['bigquery']],
+	['redshift', 'Redshift', ['redshift']],
+	['databricks', 'Databricks', ['databricks']],
+	['spark', 'Spark', ['spark', 'pyspark', 'spark sql']],
+	['airflow', 'Airflow', ['airflow']],
+	['kafka', 'Kafka', ['kafka']],
+	['hadoop', 'Hadoop', ['hadoop', 'hive']],
+	['etl', 'ETL', ['etl', 'elt', 'data pipelines']],
+	['mongodb', 'MongoDB', ['mongodb', 'mongo']],
+	// ML
+	['machine-learning', 'Machine learning', ['machine learning', 'scikit-learn', 'sklearn', 'xgboost']],
+	['deep-learning', 'Deep learning', ['deep learning', 'tensorflow', 'pytorch', 'keras']],
+	['llm', 'LLMs', ['llm', 'llms', 'large language models', 'generative ai', 'genai']],
+	// Frontend
+	['react', 'React', ['react', 'react.js', 'reactjs', 'next.js', 'nextjs']],
+	['vue', 'Vue', ['vue', 'vue.js', 'vuejs', 'nuxt']],
+	['angular', 'Angular', ['angular']],
+	['svelte', 'Svelte', ['svelte', 'sveltekit']],
+	['css', 'CSS', ['css', 'sass', 'scss', 'tailwind']],
+	['node', 'Node.js', ['node.js', 'nodejs']],
+	['graphql', 'GraphQL', ['graphql']],
+	['figma', 'Figma', ['figma']],
+	// Cloud / ops
+	['aws', 'AWS', ['aws', 'amazon web services']],
+	['gcp', 'GCP', ['gcp', 'google cloud']],
+	['azure', 'Azure', ['azure']],
+	['docker', 'Docker', ['docker', 'docker compose']],
+	['kubernetes', 'Kubernetes', ['kubernetes', 'k8s', 'helm']],
+	['terraform', 'Terraform', ['terraform']],
+	['linux', 'Linux', ['linux']],
+	['prometheus', 'Prometheus', ['prometheus', 'grafana']],
+	['git', 'Git', ['git', 'github', 'gitlab']]
+];
+
+function escapeRe(s) {
+	return s.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+function phraseSource(p) {
+	return p.split(' ').map(escapeRe).join('[\\s-]?');
+}
+
+// Phrases are matched as whole words ("sas" not in "kansas", "c++" not followed by more letters)
+const COMPILED = SKILLS.map(([id, , phrases]) => ({
+	id,
+	re: new RegExp('(?<![a-z0-9+#.])(?:' + phrases.map(phraseSource).join('|') + ')(?![a-z0-9+#]|\\.[a-z0-9])', 'i')
+}));
+
+// Lookup for ?skills=: ids, labels and phrases, case/space/punctuation-insensitive ("Power BI" = "power-bi")
+function skillKey(s) {
+	return String(s || '').toLowerCase().replace(/[\s._-]+/g, '');
+}
+
+const SKILL_BY_KEY = {};
+SKILLS.forEach(([id, label, phrases]) => {
+	[id, label].concat(phrases).forEach((k) => {
+		const key = skillKey(k);
+		if (key && !SKILL_BY_KEY[key]) SKILL_BY_KEY[key] = id;
+	});
+});
+
+const SKILL_IDS = SKILLS.map(s => s[0]);
+
+/** Skill ids found in the given text fields (HTML is stripped), in taxonomy order. */
+function extractSkills(...texts) {
+	const t = texts.map(x => String(x || '')).join(' \n ').replace(/<[^>]*>/g, ' ').replace(/&nbsp;/g, ' ');
+	if (!t.trim()) return [];
+	return COMPILED.filter(s => s.re.test(t)).map(s => s.id);
+}
+
+/**
+ * Parse ?skills= (comma-separated ids, labels or phrases, e.g. "sql,dbt" or "Power BI") and
+ * ?skillsMode=all|any (default any). Returns { skills, mode } or null; throws with `status = 400`
+ * on an unknown skill or mode.
+ */
+function parseSkillsFilter(query) {
+	const raw = query && query.skills != null ? String(query.skills).trim() : '';
+	if (!raw) return null;
+	const bad = (msg) => {
+		const err = new Error(msg);
+		err.status = 400;
+		return err;
+	};
+	const mode = String((query && query.skillsMode) || 'any').trim().toLowerCase();
+	if (mode !== 'all' && mode !== 'any') throw bad('Invalid skillsMode: ' + query.skillsMode + ' (use all or any)');
+	const skills = [];
+	const unknown = [];
+	raw.split(',').map(s => s.trim()).filter(Boolean).forEach((s) => {
+		const id = SKILL_BY_KEY[skillKey(s)];
+		if (!id) unknown.push(s);
+		else if (!skills.includes(id)) skills.push(id);
+	});
+	if (unknown.length) throw bad('Unknown skills: ' + unknown.join(', ') + ' (known: ' + SKILL_IDS.join(', ') + ')');
+	return skills.length ? { skills, mode } : null;
+}
+
+/**
+ * Check a job's skills against { skills, mode }. Returns { ok } or { ok: false, reason: 'skills_miss',
+ * detail } where detail lists the missing skills.
+ */
+function skillsFilterMatch(skills, filter) {
+	if (!filter) return { ok: true };
+	const have = new Set(skills || []);
+	const missing = filter.skills.filter(s => !have.has(s));
+	const ok = filter.mode === 'all' ? missing.length === 0 : missing.length < filter.skills.length;
+	return ok ? { ok: true } : { ok: false, reason: 'skills_miss', detail: missing.join(', ') };
+}
+
+module.exports = {
+	SKILL_IDS,
+	extractSkills,
+	parseSkillsFilter,
+	skillsFilterMatch
+};
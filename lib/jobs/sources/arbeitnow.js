@@ -0,0 +1,32 @@
+/**
+ * Arbeitnow JSON API (European + remote jobs).
+ */
+
+const { fetchJson } = require('../fetch');
+const { nowIso, normalizeJobType } = require('../util');
+
+module.exports = {
+	id: 'arbeitnow',
+	kind: 'api',
+	order: 60,
+	async fetch(query, ctx) {
+		const data = await fetchJson('https://www.arbeitnow.com/api/job-board-api', { timeout: 15000, status: ctx.status });
+		return ((data && data.data) || []).slice(0, 150);
+	},
+	map(it) {
+		if (!it || !it.title || !it.url) return null;
+		return {
+			id: 'arbeitnow_' + String(it.url).replace(/[^a-zA-Z0-9]/g, '_'),
+			title: it.title,
+			company: it.company_name || 'Unknown',
+			location: it.location || 'Europe',
+			jobType: normalizeJobType(it.job_types), // ["full time", "berufserfahren"]
+			url: it.url,
+			description: (it.description || '').slice(0, 500),
+			source: 'arbeitnow',
+			date: it.created_at || nowIso(),
+			tags: (it.tags || []).slice(0, 5),
+			matchText: it.title + ' ' + (it.description || '') + ' ' + (it.tags || []).join(' ')
+		};
+	}
+};
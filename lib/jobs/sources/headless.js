@@ -0,0 +1,127 @@
+/**
+ * Headless browser scrapers (/api/headless-scrape-*) — only when ENABLE_HEADLESS=1.
+ * Slow (~20–35s each), so every call is raced against its own timeout.
+ */
+
+const { fetchJson, withTimeout } = require('../fetch');
+const { nowIso } = require('../util');
+
+function headlessEnabled(ctx) {
+	return String(process.env.ENABLE_HEADLESS || '').trim() === '1' && !!ctx.baseUrl;
+}
+
+async function fetchHeadless(url, timeout, ctx) {
+	const data = await withTimeout(fetchJson(url, { timeout, status: ctx.status }), timeout);
+	return (data && data.ok && Array.isArray(data.jobs)) ? data.jobs : [];
+}
+
+function matchText(it) {
+	return it.title + ' ' + (it.company || '') + ' ' + (it.location || '') + ' ' + (it.description || '');
+}
+
+module.exports = [
+	// WeWorkRemotely (extra coverage on top of the RSS feed)
+	{
+		id: 'weworkremotely_headless',
+		group: 'headless',
+		kind: 'headless',
+		order: 80,
+		available: headlessEnabled,
+		fetch(query, ctx) {
+			return fetchHeadless(ctx.baseUrl + '/api/headless-scrape-weworkremotely', 22_000, ctx);
+		},
+		map(it) {
+			if (!it || !it.title || !it.url) return null;
+			return {
+				id: 'weworkremotely_headless_' + String(it.url || Math.random()).replace(/[^a-zA-Z0-9]/g, '_'),
+				title: it.title,
+				company: 'Unknown',
+				location: 'Remote',
+				url: it.url,
+				description: it.description || '',
+				source: 'weworkremotely_headless',
+				date: nowIso(),
+				tags: ['headless'],
+				matchText: it.title + ' ' + (it.description || '')
+			};
+		}
+	},
+	// Multi-site headless scraper (Hirist, Naukri — mainstream India boards)
+	{
+		id: 'headless_multi',
+		group: 'headless',
+		kind: 'headless',
+		order: 81,
+		available: headlessEnabled,
+		fetch(query, ctx) {
+			return fetchHeadless(ctx.baseUrl + '/api/headless-scrape-multi?site=all&q=' + encodeURIComponent(query), 35_000, ctx);
+		},
+		map(it) {
+			if (!it || !it.title || !it.url) return null;
+			return {
+				id: (it.source || 'headless') + '_' + String(it.url || Math.random()).replace(/[^a-zA-Z0-9]/g, '_'),
+				title: it.title,
+				company: it.company || 'Unknown',
+				location: it.location || 'India',
+				url: it.url,
+				description: it.description || '',
+				source: it.source || 'headless_multi',
+				date: it.date || nowIso(),
+				tags: ['headless'],
+				matchText: matchText(it)
+			};
+		}
+	},
+	// Indeed headless (mainstream global board — no public API; may block/throttle)
+	{
+		id: 'indeed_headless',
+		group: 'headless',
+		kind: 'headless',
+		order: 82,
+		available: headlessEnabled,
+		fetch(query, ctx) {
+			return fetchHeadless(ctx.baseUrl + '/api/headless-scrape-indeed?q=' + encodeURIComponent(query) + '&l=remote', 20_000, ctx);
+		},
+		map(it) {
+			if (!it || !it.title || !it.url) return null;
+			return {
+				id: 'indeed_headless_' + String(it.url || Math.random()).replace(/[^a-zA-Z0-9]/g, '_'),
+				title: it.title,
+				company: it.company || 'Unknown',
+				location: it.location || 'Remote',
+				url: it.url,
+				description: it.description || '',
+				source: 'indeed_headless',
+				date: nowIso(),
+				tags: ['headless'],
+				matchText: matchText(it)
+			};
+		}
+	},
+	// LinkedIn headless (mainstream global board — no public API, blocks/throttles aggressively)
+	{
+		id: 'linkedin_headless',
+		group: 'headless',
+		kind: 'headless',
+		order: 83,
+		available: headlessEnabled,
+		fetch(query, ctx) {
+			return fetchHeadless(ctx.baseUrl + '/api/headless-scrape-linkedin?q=' + encodeURIComponent(query) + '&location=remote&experience=2,3', 25_000, ctx);
+		},
+		map(it) {
+			if (!it || !it.title || !it.url) return null;
+			return {
+				id: 'linkedin_headless_' + String(it.url || Math.random()).replace(/[^a-zA-Z0-9]/g, '_'),
+				title: it.title,
+				company: it.company || 'Unknown',
+				location: it.location || 'Remote',
+				url: it.url,
+				description: it.description || '',
+				source: 'linkedin_headless',
+				date: it.date || nowIso(),
+				tags: ['headless'],
+				matchText: matchText(it)
+			};
+		}
+	}
+];
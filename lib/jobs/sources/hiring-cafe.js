@@ -0,0 +1,41 @@
+/**
+ * hiring.cafe JSON API (rich data with seniority, skills, compensation).
+ */
+
+const { fetchJson } = require('../fetch');
+const { nowIso } = require('../util');
+const { salaryFrom } = require('../salary');
+
+module.exports = {
+	id: 'hiring_cafe',
+	kind: 'api',
+	order: 50,
+	async fetch(query, ctx) {
+		const data = await fetchJson('https://hiring.cafe/api/search-jobs?searchQuery=' + encodeURIComponent(query) + '&workplaceTypes=Remote', { timeout: 20000, status: ctx.status, headers: { 'Referer': 'https://hiring.cafe/' } });
+		return ((data && data.results) || []).slice(0, 200);
+	},
+	map(item) {
+		if (!item || item.is_expired) return null;
+		const ji = item.job_information || {};
+		const vpd = item.v5_processed_job_data || {};
+		const ec = item.enriched_company_data || {};
+		const title = ji.title || vpd.core_job_title || '';
+		const url = item.apply_url || '';
+		if (!title || !url) return null;
+		return {
+			id: 'hiringcafe_' + (item.id || String(url).replace(/[^a-zA-Z0-9]/g, '_')),
+			title,
+			company: ec.name || vpd.company_name || 'Unknown',
+			location: vpd.formatted_workplace_location || 'Remote',
+			url,
+			description: (vpd.requirements_summary || '').slice(0, 500),
+			source: 'hiring_cafe',
+			date: vpd.estimated_publish_date || nowIso(),
+			tags: (vpd.technical_tools || []).slice(0, 5),
+			salary: vpd.yearly_min_compensation || vpd.yearly_max_compensation
+				? salaryFrom(vpd.yearly_min_compensation, vpd.yearly_max_compensation, vpd.listed_compensation_currency, 'year')
+				: salaryFrom(vpd.hourly_min_compensation, vpd.hourly_max_compensation, vpd.listed_compensation_currency, 'hour'),
+			matchText: title + ' ' + (vpd.requirements_summary || '') + ' ' + (vpd.technical_tools || []).join(' ')
+		};
+	}
+};
@@ -0,0 +1,98 @@
+/**
+ * Source-adapter registry for the jobs aggregator.
+ *
+ * Every other .js file in this folder is a source adapter (or exports an array of them):
+ *   {
+ *     id: 'remoteok',                 // unique; used by ?sources= and /api/jobs-sources-debug
+ *     group: 'remoteok',              // optional; ?sources=<group> selects every adapter in the group
+ *     kind: 'api',                    // api | rss | proxy | headless | cache (debug grouping)
+ *     order: 10,                      // optional; lower runs/merges first (default 100)
+ *     available(ctx) { return true; },// optional; skip when env/baseUrl is missing
+ *     async fetch(query, ctx) { ... },// raw upstream items (array); throw on failure
+ *     map(item) { ... }               // raw item -> partial job (or null to skip)
+ *   }
+ *
+ * `map` returns the fields accepted by normalizeJob (id, title, company, location, url, description,
+ * source, date, tags, jobType, salary) plus an optional `matchText` used for the keyword prefilter. Set `salary`
+ * only from structured pay fields (salaryFrom in ../salary.js); otherwise it is parsed from the text.
+ * Scoring (keywords -> role tier -> experience -> location -> normalizeJob) is applied once in pipeline.js.
+ * Pass `{ status: ctx.status }` to fetchJson / fetchRssDirect so sourceStatus can report the HTTP status.
+ *
+ * Adding a board = dropping a new file here. Files starting with "_" are ignored.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_ORDER = 100;
+
+let cached = null;
+
+function validate(adapter, file) {
+	if (!adapter || typeof adapter !== 'object') throw new Error('Invalid source adapter in ' + file);
+	if (!adapter.id || typeof adapter.fetch !== 'function' || typeof adapter.map !== 'function') {
+		throw new Error('Source adapter in ' + file + ' must expose id, fetch(query, ctx) and map(item)');
+	}
+	return adapter;
+}
+
+/** All registered adapters, sorted by `order` then id. */
+function loadSources() {
+	if (cached) return cached;
+	const files = fs.readdirSync(__dirname)
+		.filter(f => f.endsWith('.js') && f !== 'index.js' && !f.startsWith('_'))
+		.sort();
+	const list = [];
+	const ids = new Set();
+	files.forEach((file) => {
+		const mod = require(path.join(__dirname, file));
+		(Array.isArray(mod) ? mod : [mod]).forEach((adapter) => {
+			validate(adapter, file);
+			if (ids.has(adapter.id)) throw new Error('Duplicate source adapter id: ' + adapter.id);
+			ids.add(adapter.id);
+			list.push(adapter);
+		});
+	});
+	list.sort((a, b) => {
+		const oa = typeof a.order === 'number' ? a.order : DEFAULT_ORDER;
+		const ob = typeof b.order === 'number' ? b.order : DEFAULT_ORDER;
+		if (oa !== ob) return oa - ob;
+		return a.id < b.id ? -1 : (a.id > b.id ? 1 : 0);
+	});
+	cached = list;
+	return list;
+}
+
+/** Parse ?sources= (comma-separated ids or groups). Returns null when all sources should run. */
+function parseSourceFilter(param) {
+	const s = param ? String(param).trim() : '';
+	if (!s) return null;
+	const set = new Set(s.split(',').map(x => x.trim().toLowerCase()).filter(Boolean));
+	return set.size ? set : null;
+}
+
+/** Adapters selected by ?sources= and available in this environment. */
+function selectSources(filter, ctx) {
+	return loadSources().filter((a) => {
+		if (filter && !filter.has(a.id) && !filter.has(a.group || a.id)) return false;
+		if (typeof a.available === 'function' && !a.available(ctx || {})) return false;
+		return true;
+	});
+}
+
+/** Distinct ids and groups (what ?sources= accepts). */
+function sourceNames() {
+	const names = new Set();
+	loadSources().forEach((a) => {
+		names.add(a.id);
+		if (a.group) names.add(a.group);
+	});
+	return Array.from(names).sort();
+}
+
+module.exports = {
+	loadSources,
+	parseSourceFilter,
+	selectSources,
+	sourceNames
+};
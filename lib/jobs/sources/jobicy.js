@@ -0,0 +1,34 @@
+/**
+ * Jobicy JSON API (remote jobs with tag search).
+ */
+
+const { fetchJson } = require('../fetch');
+const { nowIso, normalizeJobType } = require('../util');
+const { salaryFrom } = require('../salary');
+
+module.exports = {
+	id: 'jobicy',
+	kind: 'api',
+	order: 70,
+	async fetch(query, ctx) {
+		const data = await fetchJson('https://jobicy.com/api/v2/remote-jobs?count=50&tag=' + encodeURIComponent(query), { timeout: 15000, status: ctx.status });
+		return (data && data.jobs) || [];
+	},
+	map(it) {
+		if (!it || !it.jobTitle || !it.url) return null;
+		return {
+			id: 'jobicy_' + String(it.url).replace(/[^a-zA-Z0-9]/g, '_'),
+			title: it.jobTitle,
+			company: it.companyName || 'Unknown',
+			location: it.jobGeo || 'Remote',
+			jobType: normalizeJobType(it.jobType), // ["Full-Time"]
+			url: it.url,
+			description: (it.jobExcerpt || '').slice(0, 500),
+			source: 'jobicy',
+			date: it.pubDate || nowIso(),
+			tags: ['api'],
+			salary: salaryFrom(it.annualSalaryMin, it.annualSalaryMax, it.salaryCurrency, 'year'),
+			matchText: it.jobTitle + ' ' + (it.jobExcerpt || '') + ' ' + (it.jobDescription || '')
+		};
+	}
+};
@@ -0,0 +1,38 @@
+/**
+ * Cached headless-scraped jobs from Vercel KV (written by jobs-refresh / the background scraper).
+ * Faster than live scraping; only available when KV is configured.
+ */
+
+const { nowIso } = require('../util');
+
+const CACHE_KEY = 'jobs:scraped:all';
+
+module.exports = {
+	id: 'kv_cached',
+	group: 'cached',
+	kind: 'cache',
+	order: 90,
+	available() {
+		return !!(process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN);
+	},
+	async fetch() {
+		const { kv } = require('@vercel/kv');
+		const cached = await kv.get(CACHE_KEY);
+		return (cached && Array.isArray(cached.jobs)) ? cached.jobs : [];
+	},
+	map(it) {
+		if (!it || !it.title || !it.url) return null;
+		return {
+			id: (it.source || 'cached') + '_' + String(it.url || Math.random()).replace(/[^a-zA-Z0-9]/g, '_'),
+			title: it.title,
+			company: it.company || 'Unknown',
+			location: it.location || 'India',
+			url: it.url,
+			description: it.description || '',
+			source: it.source || 'cached_headless',
+			date: it.date || nowIso(),
+			tags: ['cached'],
+			matchText: it.title + ' ' + (it.company || '') + ' ' + (it.location || '') + ' ' + (it.description || '')
+		};
+	}
+};
@@ -0,0 +1,36 @@
+/**
+ * RemoteOK JSON API (fast) — API returns array; first element can be metadata.
+ */
+
+const { fetchJson } = require('../fetch');
+const { nowIso } = require('../util');
+const { salaryFrom } = require('../salary');
+
+module.exports = {
+	id: 'remoteok',
+	kind: 'api',
+	order: 10,
+	async fetch(query, ctx) {
+		const data = await fetchJson('https://remoteok.com/api', { status: ctx.status });
+		const list = Array.isArray(data)
+			? data
+			: (data && Array.isArray(data.jobs) ? data.jobs : []);
+		return list.slice(0, 200);
+	},
+	map(it) {
+		if (!it || typeof it !== 'object' || !it.position || !it.url) return null;
+		return {
+			id: 'remoteok_' + it.id,
+			title: it.position,
+			company: it.company || 'Unknown',
+			location: it.location || 'Remote',
+			url: (String(it.url).startsWith('http') ? it.url : 'https://remoteok.com' + it.url),
+			description: it.description || '',
+			source: 'remoteok',
+			date: it.date || nowIso(),
+			tags: it.tags || [],
+			salary: salaryFrom(it.salary_min, it.salary_max, 'USD', 'year'), // 0 = not stated
+			matchText: it.position + ' ' + (it.description || '') + ' ' + (Array.isArray(it.tags) ? it.tags.join(' ') : '')
+		};
+	}
+};
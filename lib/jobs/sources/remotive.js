@@ -0,0 +1,36 @@
+/**
+ * Remotive public API (fast, but rate limited sometimes). RSS feeds live in rss.js.
+ */
+
+const { fetchJson } = require('../fetch');
+const { nowIso, normalizeJobType } = require('../util');
+const { extractSalary } = require('../salary');
+
+module.exports = {
+	id: 'remotive',
+	kind: 'api',
+	order: 20,
+	async fetch(query, ctx) {
+		const data = await fetchJson('https://remotive.com/api/remote-jobs?search=' + encodeURIComponent(query), { status: ctx.status });
+		const jobs = data && (data.jobs || data['remote-jobs'] || data.results);
+		return Array.isArray(jobs) ? jobs.slice(0, 150) : [];
+	},
+	map(it) {
+		if (!it || !it.title || !it.url) return null;
+		const description = it.description_plain || it.description || '';
+		return {
+			id: 'remotive_' + (it.id || Math.random()).toString().replace(/[^a-zA-Z0-9]/g, '_'),
+			title: it.title,
+			company: it.company_name || 'Unknown',
+			location: it.candidate_required_location || 'Remote',
+			jobType: normalizeJobType(it.job_type), // "full_time", "contract", ...
+			url: it.url,
+			description,
+			source: 'remotive',
+			date: it.publication_date || it.created_at || nowIso(),
+			tags: (it.tags || []).concat(it.category ? [it.category] : []),
+			salary: it.salary ? extractSalary(it.salary) : null, // free-text field, e.g. "$80k - $100k"
+			matchText: it.title + ' ' + description + ' ' + (Array.isArray(it.tags) ? it.tags.join(' ') : '')
+		};
+	}
+};
@@ -0,0 +1,136 @@
+/**
+ * RSS sources — fetched directly (no self-call to /api/rss); Indeed/Stack Overflow use the location param.
+ * One adapter per board; each adapter's `group` matches the board's API adapter (if any) so
+ * ?sources=remotive selects both the Remotive API and the Remotive feeds.
+ * Company, location and job type come from per-feed extraction rules (`fields`, see ../feed-fields.js).
+ */
+
+const { fetchRssDirect } = require('../fetch');
+const { nowIso } = require('../util');
+const { feedElementTags, extractFeedFields } = require('../feed-fields');
+
+function searchParams(ctx) {
+	return {
+		searchEnc: encodeURIComponent(String(ctx.q || '').replace(/\s+/g, '+')),
+		locEnc: encodeURIComponent(String(ctx.location || 'remote').replace(/\s+/g, '+'))
+	};
+}
+
+/**
+ * Build an adapter for one board. `feeds(ctx)` returns the feed URLs; `limit` caps items per feed
+ * (higher for popular sources); `fields` holds the board's extraction rules.
+ */
+function rssSource(source, feeds, opts = {}) {
+	const elements = feedElementTags(opts.fields);
+	return {
+		id: source + '_rss',
+		group: source,
+		kind: 'rss',
+		order: 30,
+		available: opts.available,
+		async fetch(query, ctx) {
+			const urls = feeds(ctx);
+			const results = await Promise.allSettled(urls.map(url => fetchRssDirect(url, opts.limit || 100, { status: ctx.status, elements })));
+			const items = [];
+			const failures = [];
+			results.forEach((r, i) => {
+				if (r.status === 'fulfilled') items.push(...r.value);
+				else failures.push(urls[i] + ': ' + ((r.reason && r.reason.message) || 'Failed'));
+			});
+			// Every feed failed -> the source is down; some failed -> keep items, report the rest
+			if (failures.length && failures.length === urls.length) throw new Error(failures.join('; '));
+			if (failures.length && ctx.status) ctx.status.error = failures.length + '/' + urls.length + ' feeds failed: ' + failures.join('; ');
+			return items;
+		},
+		map(it) {
+			if (!it || !it.title || !it.link) return null;
+			const f = extractFeedFields(it, opts.fields);
+			return {
+				id: source + '_rss_' + String(it.link || Math.random()).replace(/[^a-zA-Z0-9]/g, '_'),
+				title: f.title,
+				company: f.company || 'Unknown',
+				location: f.location || 'Remote',
+				jobType: f.jobType,
+				url: it.link,
+				description: it.description || '',
+				source,
+				date: it.pubDate || nowIso(),
+				tags: ['rss'],
+				matchText: it.title + ' ' + (it.description || '') + ' ' + (it.content || '')
+			};
+		}
+	};
+}
+
+const WP_JOB_MANAGER = {
+	elements: { company: ['job_listing:company'], location: ['job_listing:location'], jobType: ['job_listing:job_type'] }
+};
+
+module.exports = [
+	rssSource('remotive', () => [
+		'https://remotive.com/feed',
+		'https://remotive.com/remote-jobs/feed/data',
+		'https://remotive.com/remote-jobs/feed/ai-ml',
+		'https://remotive.com/remote-jobs/feed/analytics'
+	], { limit: 150, fields: { elements: { location: ['region', 'candidate_required_location'], jobType: ['type'] } } }),
+	// "Company: Role" titles; <region> ("Anywhere in the World") / <country>, <type> ("Full-Time")
+	rssSource('weworkremotely', () => ['https://weworkremotely.com/remote-jobs.rss'], {
+		fields: { title: 'company_role', elements: { location: ['region', 'country'], jobType: ['type'] } }
+	}),
+	rssSource('jobscollider', () => [
+		'https://jobscollider.com/remote-jobs.rss',
+		'https://jobscollider.com/remote-data-jobs.rss'
+	]),
+	rssSource('remoteok', () => [
+		'https://remoteok.com/remote-jobs.rss',
+		'https://remoteok.io/remote-jobs.rss'
+	]), // <company> / <location> are read by default
+	rssSource('wellfound', () => [
+		'https://wellfound.com/jobs.rss?keywords=data-science&remote=true',
+		'https://wellfound.com/jobs.rss?keywords=data-analyst&remote=true',
+		'https://wellfound.com/jobs.rss?keywords=business-intelligence&remote=true',
+		'https://wellfound.com/jobs.rss?keywords=analytics-engineer&remote=true'
+	], { limit: 150 }),
+	rssSource('indeed', (ctx) => {
+		const { searchEnc, locEnc } = searchParams(ctx);
+		return [
+			'https://rss.indeed.com/rss?q=' + searchEnc + '&l=' + locEnc + '&radius=0',
+			'https://rss.indeed.com/rss?q=data+scientist&l=' + locEnc + '&radius=0',
+			'https://rss.indeed.com/rss?q=business+analyst&l=' + locEnc + '&radius=0',
+			'https://rss.indeed.com/rss?q=analytics+engineer&l=' + locEnc + '&radius=0'
+		];
+	}, { limit: 150, fields: { title: 'role_company_location' } }), // "Role - Company - City, ST"
+	rssSource('stackoverflow', (ctx) => {
+		const { searchEnc, locEnc } = searchParams(ctx);
+		return [
+			'https://stackoverflow.com/jobs/feed?q=' + searchEnc + '&l=' + locEnc + '&d=20&u=Km',
+			'https://stackoverflow.com/jobs/feed?q=data+analyst&l=' + locEnc + '&d=20&u=Km'
+		];
+	}),
+	// WordPress Job Manager feeds (job_listing:* elements)
+	rssSource('remote_co', () => ['https://remote.co/remote-jobs/feed/'], { fields: WP_JOB_MANAGER }),
+	rssSource('jobspresso', () => ['https://jobspresso.co/remote-jobs/feed/'], { fields: WP_JOB_MANAGER }),
+	rssSource('himalayas', () => ['https://himalayas.app/jobs/feed'], {
+		fields: {
+			elements: {
+				company: ['himalayasJobs:companyName'],
+				location: ['himalayasJobs:locationRestriction'],
+				jobType: ['himalayasJobs:employmentType', 'himalayasJobs:jobType']
+			}
+		}
+	}),
+	rssSource('authentic_jobs', () => ['https://authenticjobs.com/rss/'], { fields: { title: 'role_at_company' } }),
+	rssSource('hn_jobs', () => ['https://hnrss.org/jobs'], { fields: { title: 'hn_hiring' } }), // "Acme (YC W20) Is Hiring a Data Analyst"
+	// Optional: rssjobs.app feed (role + location). Create a feed at https://rssjobs.app/ (LinkedIn, Stepstone, Glassdoor), then pass the feed URL as ?rssjobs=<url>
+	rssSource('rssjobs', ctx => [ctx.rssjobsUrl], {
+		available(ctx) {
+			if (!ctx.rssjobsUrl || !String(ctx.rssjobsUrl).startsWith('http')) return false;
+			try {
+				const host = (new URL(ctx.rssjobsUrl).hostname || '').toLowerCase();
+				return host === 'rssjobs.app' || host === 'www.rssjobs.app';
+			} catch (e) {
+				return false; // ignore invalid URL
+			}
+		}
+	})
+];
@@ -0,0 +1,33 @@
+/**
+ * WorkingNomads (public exposed API via our own /api/workingnomads proxy).
+ */
+
+const { fetchJson } = require('../fetch');
+const { nowIso } = require('../util');
+
+module.exports = {
+	id: 'workingnomads',
+	kind: 'proxy',
+	order: 40,
+	available(ctx) {
+		return !!ctx.baseUrl;
+	},
+	async fetch(query, ctx) {
+		const data = await fetchJson(ctx.baseUrl + '/api/workingnomads?q=' + encodeURIComponent(query) + '&count=150', { status: ctx.status });
+		return (data && data.ok && Array.isArray(data.jobs)) ? data.jobs : [];
+	},
+	map(it) {
+		if (!it || !it.title || !it.url) return null;
+		return {
+			id: 'workingnomads_' + String(it.id || it.url).replace(/[^a-zA-Z0-9]/g, '_'),
+			title: it.title,
+			company: it.company || 'Unknown',
+			location: it.location || 'Remote',
+			url: it.url,
+			description: it.description || '',
+			source: 'workingnomads',
+			date: it.date || nowIso(),
+			tags: ['api']
+		};
+	}
+};
@@ -0,0 +1,372 @@
+/**
+ * Per-user job application tracker: jobs saved from any source (keyed by the normalized job id) with a
+ * status, notes, a contact and dated events (application deadlines, interviews, follow-up reminders) that
+ * /api/jobs-calendar publishes as an iCalendar feed.
+ *
+ * One Vercel KV hash per user (`jobs:tracker:<user>`, field = job id):
+ *   { jobId, job: { id, title, company, location, url, source, date }, status, notes,
+ *     contact: { name, email, phone, url } | null, addedAt, updatedAt, statusChangedAt, version,
+ *     history: [{ status, at }], events: [{ id, type, at, allDay, durationMinutes, remindMinutes, title, notes, createdAt }] }
+ * `user` is a short handle (there are no accounts; UI_SECRET guards writes). `at` is a date (YYYY-MM-DD,
+ * all-day) or an ISO date-time.
+ *
+ * Every change is a read-modify-write of the whole entry, so it runs under a short per-entry lock
+ * (`jobs:tracker:<user>:lock:<jobId>`, SET NX with a TTL); concurrent edits wait their turn instead of
+ * overwriting each other (409 when the lock can't be had within LOCK_WAIT_MS). `version` counts the writes.
+ */
+
+const crypto = require('crypto');
+const { findJobDetail } = require('./details');
+const { canWrite } = require('./request');
+
+const KV_PREFIX = 'jobs:tracker:';
+const STATUSES = ['saved', 'applied', 'interviewing', 'offer', 'rejected'];
+const CONTACT_FIELDS = ['name', 'email', 'phone', 'url'];
+const EVENT_TYPES = ['deadline', 'interview', 'followup'];
+// Default length and reminder per event type (minutes; reminders are before the start)
+const EVENT_DEFAULTS = {
+	deadline: { durationMinutes: 0, remindMinutes: 24 * 60 },
+	interview: { durationMinutes: 60, remindMinutes: 60 },
+	followup: { durationMinutes: 0, remindMinutes: 0 }
+};
+const JOB_SUMMARY_FIELDS = ['id', 'title', 'company', 'location', 'url', 'source', 'date'];
+const MAX_TEXT = 2000;
+const MAX_EVENTS = 50;
+const MAX_HISTORY = 50;
+const LOCK_TTL_MS = 5000; // a crashed writer's lock expires after this
+const LOCK_WAIT_MS = 2000;
+
+function hasKv() {
+	return process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN;
+}
+
+function trackerError(msg, status) {
+	const err = new Error(msg);
+	err.status = status || 400;
+	return err;
+}
+
+function kvClient() {
+	if (!hasKv()) throw trackerError('Vercel KV not configured; the tracker needs KV_REST_API_URL and KV_REST_API_TOKEN', 503);
+	return require('@vercel/kv').kv;
+}
+
+function parseStored(v) {
+	return typeof v === 'string' ? JSON.parse(v) : v;
+}
+
+/** Normalized user handle; throws with `status = 400` when missing or malformed. */
+function checkUser(user) {
+	const u = String(user || '').trim().toLowerCase();
+	if (!/^[a-z0-9][a-z0-9_-]{0,31}$/.test(u)) throw trackerError('Invalid or missing user (letters, digits, - and _; max 32)');
+	return u;
+}
+
+function text(value, what) {
+	const s = value == null ? '' : String(value).trim();
+	if (s.length > MAX_TEXT) throw trackerError(what + ' must be at most ' + MAX_TEXT + ' characters');
+	return s;
+}
+
+/** One of STATUSES (case-insensitive); throws with `status = 400` otherwise. */
+function checkStatus(value) {
+	const s = String(value || '').trim().toLowerCase();
+	if (!STATUSES.includes(s)) throw trackerError('Invalid status: ' + value + ' (use ' + STATUSES.join(', ') + ')');
+	return s;
+}
+
+// { name, email, phone, url } (a plain string is the name); null / '' clears it
+function parseContact(value) {
+	if (value == null || value === '') return null;
+	const input = typeof value === 'object' ? value : { name: value };
+	const contact = {};
+	CONTACT_FIELDS.forEach((f) => {
+		const s = text(input[f], 'contact.' + f);
+		if (s) contact[f] = s.slice(0, 300);
+	});
+	if (contact.email && !/^[^\s@]+@[^\s@]+$/.test(contact.email)) throw trackerError('Invalid contact.email: ' + contact.email);
+	if (contact.url && !/^https?:\/\//i.test(contact.url)) throw trackerError('Invalid contact.url (http or https): ' + contact.url);
+	return Object.keys(contact).length ? contact : null;
+}
+
+// Entries tracked before statuses existed read as 'saved'
+function withDefaults(entry) {
+	return {
+		status: 'saved',
+		contact: null,
+		statusChangedAt: entry.addedAt,
+		history: [{ status: 'saved', at: entry.addedAt }],
+		events: [],
+		version: 0,
+		...entry
+	};
+}
+
+function sleep(ms) {
+	return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function minutes(value, fallback, what) {
+	if (value == null || value === '') return fallback;
+	const n = Number(value);
+	if (!Number.isInteger(n) || n < 0 || n > 60 * 24 * 60) throw trackerError('Invalid ' + what + ': ' + value);
+	return n;
+}
+
+/** Event `at`: 'YYYY-MM-DD' (all-day) or a date-time with a timezone/Z (stored as UTC ISO). */
+function parseEventTime(value) {
+	const s = String(value || '').trim();
+	if (/^\d{4}-\d{2}-\d{2}$/.test(s) && !Number.isNaN(Date.parse(s + 'T00:00:00Z'))) return { at: s, allDay: true };
+	const t = Date.parse(s);
+	if (!/^\d{4}-\d{2}-\d{2}T/.test(s) || Number.isNaN(t)) throw trackerError('Invalid event time: ' + value + ' (use YYYY-MM-DD or an ISO date-time)');
+	return { at: new Date(t).toISOString(), allDay: false };
+}
+
+function validateEvent(input, current) {
+	const e = { ...(current || {}), ...(input || {}) };
+	const type = String(e.type || '').trim().toLowerCase();
+	if (!EVENT_TYPES.includes(type)) throw trackerError('Invalid event type: ' + e.type + ' (use ' + EVENT_TYPES.join(', ') + ')');
+	const when = input && input.at != null ? parseEventTime(input.at) : (current ? { at: current.at, allDay: current.allDay } : parseEventTime(e.at));
+	const defaults = EVENT_DEFAULTS[type];
+	return {
+		id: e.id,
+		type,
+		at: when.at,
+		allDay: when.allDay,
+		durationMinutes: when.allDay ? 0 : minutes(e.durationMinutes, defaults.durationMinutes, 'durationMinutes'),
+		remindMinutes: minutes(e.remindMinutes, defaults.remindMinutes, 'remindMinutes'),
+		title: text(e.title, 'title'),
+		notes: text(e.notes, 'notes'),
+		createdAt: e.createdAt
+	};
+}
+
+function key(user) {
+	return KV_PREFIX + checkUser(user);
+}
+
+/**
+ * Token for a user's calendar feed URL (/api/jobs-calendar?user=&token=): calendar apps can't send
+ * X-UI-Secret, so the feed is keyed by an HMAC of the user with UI_SECRET instead. '' when UI_SECRET is unset.
+ */
+function calendarToken(user) {
+	const secret = process.env.UI_SECRET || '';
+	if (!secret) return '';
+	return crypto.createHmac('sha256', secret).update('calendar:' + checkUser(user)).digest('hex').slice(0, 32);
+}
+
+/** All tracked jobs of a user, most recently updated first ([] without KV); `status` keeps one column. */
+async function listTracked(user, status) {
+	const k = key(user);
+	const only = status ? checkStatus(status) : null;
+	if (!hasKv()) return [];
+	const all = await kvClient().hgetall(k);
+	return Object.values(all || {}).map(parseStored).filter(Boolean).map(withDefaults)
+		.filter(e => !only || e.status === only)
+		.sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+}
+
+/**
+ * ?user= on a list request (jobs-snapshot / jobs-cached): the normalized handle, or '' when absent.
+ * Tracked jobs are personal, so it throws with `status = 401` without UI_SECRET (when set); 400 for a bad handle.
+ */
+function trackerUserParam(req) {
+	const raw = req.query && req.query.user;
+	if (raw == null || raw === '') return '';
+	if (!canWrite(req)) throw trackerError('Invalid or missing secret (needed for ?user=)', 401);
+	return checkUser(raw);
+}
+
+/**
+ * Flag jobs the user tracks with `tracked: { status, updatedAt }` (for snapshot / cached results).
+ * Returns { jobs, count }; jobs that aren't tracked are returned unchanged.
+ */
+async function flagTracked(user, jobs) {
+	const entries = await listTracked(user);
+	if (!entries.length) return { jobs, count: 0 };
+	const byId = new Map(entries.map(e => [e.jobId, e]));
+	let count = 0;
+	const flagged = jobs.map((job) => {
+		const entry = job && byId.get(job.id);
+		if (!entry) return job;
+		count++;
+		return { ...job, tracked: { status: entry.status, updatedAt: entry.updatedAt } };
+	});
+	return { jobs: flagged, count };
+}
+
+/** One tracked job, or null. */
+async function getTracked(user, jobId) {
+	const k = key(user);
+	const id = String(jobId || '').trim();
+	if (!id) throw trackerError('Missing jobId');
+	if (!hasKv()) return null;
+	const stored = await kvClient().hget(k, id);
+	return stored ? withDefaults(parseStored(stored)) : null;
+}
+
+async function saveTracked(user, entry) {
+	const next = { ...entry, version: (entry.version || 0) + 1 };
+	await kvClient().hset(key(user), { [next.jobId]: next });
+	return next;
+}
+
+/** Run `fn()` (a read-modify-write of one entry) holding that entry's lock; 409 when it stays taken. */
+async function withEntryLock(user, jobId, fn) {
+	const kv = kvClient();
+	const lockKey = key(user) + ':lock:' + String(jobId || '').trim();
+	const token = 'lk_' + crypto.randomBytes(8).toString('hex');
+	const giveUpAt = Date.now() + LOCK_WAIT_MS;
+	while (!(await kv.set(lockKey, token, { nx: true, px: LOCK_TTL_MS }))) {
+		if (Date.now() >= giveUpAt) throw trackerError('Tracked job ' + jobId + ' is being changed by another request; try again', 409);
+		await sleep(20 + Math.floor(Math.random() * 30));
+	}
+	try {
+		return await fn();
+	} finally {
+		// Only release our own lock: after LOCK_TTL_MS it may belong to someone else
+		if (String(await kv.get(lockKey)) === token) await kv.del(lockKey);
+	}
+}
+
+// status / notes / contact changes; a status change is timestamped and added to the history
+function applyChanges(entry, changes, now) {
+	const next = { ...entry, updatedAt: now };
+	if (changes.notes !== undefined) next.notes = text(changes.notes, 'notes');
+	if (changes.contact !== undefined) next.contact = parseContact(changes.contact);
+	if (changes.status !== undefined && changes.status !== null) {
+		const status = checkStatus(changes.status);
+		if (status !== entry.status) {
+			next.status = status;
+			next.statusChangedAt = now;
+			next.history = (entry.history || []).concat({ status, at: now }).slice(-MAX_HISTORY);
+		}
+	}
+	return next;
+}
+
+/**
+ * Track a job by id, optionally with { status, notes, contact }. Its title/company/url come from the listed
+ * record (details.js) or, for jobs no longer listed, from `input.job`. Tracking an already tracked job
+ * applies the given changes. Returns { entry, created }.
+ */
+async function trackJob(user, input) {
+	const jobId = String((input && input.jobId) || '').trim();
+	if (!jobId) throw trackerError('Missing jobId');
+	kvClient();
+	return withEntryLock(user, jobId, () => createOrUpdate(user, jobId, input));
+}
+
+async function createOrUpdate(user, jobId, input) {
+	const now = new Date().toISOString();
+	const current = await getTracked(user, jobId);
+	if (current) return { entry: await saveTracked(user, applyChanges(current, input, now)), created: false };
+	const found = await findJobDetail(jobId).catch(() => null);
+	const given = input && input.job && typeof input.job === 'object' ? input.job : null;
+	if (!found && given && given.url != null && given.url !== '' && !/^https?:\/\//i.test(String(given.url))) {
+		throw trackerError('Invalid job.url (http or https): ' + given.url);
+	}
+	const source = found || (given ? { ...given, id: jobId } : null);
+	if (!source || !source.title) throw trackerError('Job not found (expired or never listed): ' + jobId + '; pass job: { title, company, url }', 404);
+	const job = {};
+	JOB_SUMMARY_FIELDS.forEach((f) => { if (source[f] != null) job[f] = String(source[f]).slice(0, 500); });
+	// The board links it (and the calendar feed lists it): only http(s), whatever a source sent
+	if (job.url && !/^https?:\/\//i.test(job.url)) delete job.url;
+	const status = input.status != null && input.status !== '' ? checkStatus(input.status) : 'saved';
+	const entry = {
+		jobId,
+		job,
+		status,
+		notes: text(input.notes, 'notes'),
+		contact: parseContact(input.contact),
+		events: [],
+		addedAt: now,
+		updatedAt: now,
+		statusChangedAt: now,
+		history: [{ status, at: now }]
+	};
+	return { entry: await saveTracked(user, entry), created: true };
+}
+
+/** Change a tracked job's { status, notes, contact }. 404 when it isn't tracked. */
+async function updateTracked(user, jobId, changes) {
+	return withEntryLock(user, jobId, async () => {
+		const current = await getTracked(user, jobId);
+		if (!current) throw trackerError('Job not tracked: ' + jobId, 404);
+		return saveTracked(user, applyChanges(current, changes || {}, new Date().toISOString()));
+	});
+}
+
+/** Stop tracking a job (its events go with it). 404 when it isn't tracked. */
+async function untrackJob(user, jobId) {
+	return withEntryLock(user, jobId, async () => {
+		const current = await getTracked(user, jobId);
+		if (!current) throw trackerError('Job not tracked: ' + jobId, 404);
+		await kvClient().hdel(key(user), current.jobId);
+		return current;
+	});
+}
+
+/** Add an event to a tracked job: { type, at, title?, notes?, durationMinutes?, remindMinutes? }. */
+async function addEvent(user, jobId, input) {
+	return withEntryLock(user, jobId, async () => {
+		const current = await getTracked(user, jobId);
+		if (!current) throw trackerError('Job not tracked: ' + jobId, 404);
+		const events = current.events || [];
+		if (events.length >= MAX_EVENTS) throw trackerError('At most ' + MAX_EVENTS + ' events per job');
+		const now = new Date().toISOString();
+		const event = validateEvent({ ...(input || {}), id: 'ev_' + crypto.randomBytes(6).toString('hex'), createdAt: now });
+		await saveTracked(user, { ...current, events: events.concat(event), updatedAt: now });
+		return event;
+	});
+}
+
+/** Change an event (fields as for addEvent). 404 when the job or the event doesn't exist. */
+async function updateEvent(user, jobId, eventId, input) {
+	return withEntryLock(user, jobId, async () => {
+		const current = await getTracked(user, jobId);
+		if (!current) throw trackerError('Job not tracked: ' + jobId, 404);
+		const events = current.events || [];
+		const i = events.findIndex(e => e.id === eventId);
+		if (i < 0) throw trackerError('Event not found: ' + eventId, 404);
+		const changes = { ...(input || {}) };
+		delete changes.id;
+		delete changes.createdAt;
+		const event = validateEvent(changes, events[i]);
+		const next = events.slice();
+		next[i] = event;
+		await saveTracked(user, { ...current, events: next, updatedAt: new Date().toISOString() });
+		return event;
+	});
+}
+
+/** Remove an event. 404 when the job or the event doesn't exist. */
+async function removeEvent(user, jobId, eventId) {
+	return withEntryLock(user, jobId, async () => {
+		const current = await getTracked(user, jobId);
+		if (!current) throw trackerError('Job not tracked: ' + jobId, 404);
+		const events = current.events || [];
+		const event = events.find(e => e.id === eventId);
+		if (!event) throw trackerError('Event not found: ' + eventId, 404);
+		await saveTracked(user, { ...current, events: events.filter(e => e.id !== eventId), updatedAt: new Date().toISOString() });
+		return event;
+	});
+}
+
+module.exports = {
+	STATUSES,
+	EVENT_TYPES,
+	checkUser,
+	checkStatus,
+	calendarToken,
+	listTracked,
+	trackerUserParam,
+	flagTracked,
+	getTracked,
+	trackJob,
+	updateTracked,
+	untrackJob,
+	addEvent,
+	updateEvent,
+	removeEvent
+};
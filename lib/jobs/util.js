@@ -0,0 +1,173 @@
+/**
+ * Shared helpers for the jobs APIs: date parsing/display, job normalization and field projection, keyword matching.
+ */
+
+function clamp(n, min, max) {
+	return Math.max(min, Math.min(max, n));
+}
+
+function nowIso() {
+	return new Date().toISOString();
+}
+
+function parseDateLike(input) {
+	if (!input) return null;
+	const s = String(input).trim();
+	if (!s) return null;
+	const d = new Date(s);
+	if (!isNaN(d.getTime())) return d;
+	const m = s.toLowerCase().match(/(\d+)\s*(minute|hour|day|week|month|year)s?\s*ago/);
+	if (m) {
+		const n = parseInt(m[1], 10);
+		const unit = m[2];
+		if (!isNaN(n)) {
+			let ms = 0;
+			if (unit === 'minute') ms = n * 60 * 1000;
+			else if (unit === 'hour') ms = n * 60 * 60 * 1000;
+			else if (unit === 'day') ms = n * 24 * 60 * 60 * 1000;
+			else if (unit === 'week') ms = n * 7 * 24 * 60 * 60 * 1000;
+			else if (unit === 'month') ms = n * 30 * 24 * 60 * 60 * 1000;
+			else if (unit === 'year') ms = n * 365 * 24 * 60 * 60 * 1000;
+			return new Date(Date.now() - ms);
+		}
+	}
+	return null;
+}
+
+/** Human-readable date (e.g. "17 Feb 2025") and relative time (e.g. "2 days ago") for display/filtering. */
+function formatDateDisplay(dateInput) {
+	const d = parseDateLike(dateInput);
+	if (!d || isNaN(d.getTime())) return { dateFormatted: '', postedAgo: '' };
+	const now = Date.now();
+	const ms = now - d.getTime();
+	const sec = Math.floor(ms / 1000);
+	const min = Math.floor(sec / 60);
+	const hr = Math.floor(min / 60);
+	const day = Math.floor(hr / 24);
+	const week = Math.floor(day / 7);
+	const month = Math.floor(day / 30);
+	const year = Math.floor(day / 365);
+	let postedAgo = '';
+	if (sec < 60) postedAgo = 'just now';
+	else if (min < 60) postedAgo = min === 1 ? '1 minute ago' : min + ' minutes ago';
+	else if (hr < 24) postedAgo = hr === 1 ? '1 hour ago' : hr + ' hours ago';
+	else if (day < 7) postedAgo = day === 1 ? '1 day ago' : day + ' days ago';
+	else if (week < 4) postedAgo = week === 1 ? '1 week ago' : week + ' weeks ago';
+	else if (month < 12) postedAgo = month === 1 ? '1 month ago' : month + ' months ago';
+	else postedAgo = year === 1 ? '1 year ago' : year + ' years ago';
+	const dateFormatted = d.toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
+	return { dateFormatted, postedAgo };
+}
+
+function normalizeJob(j) {
+	const rawDate = j.date || nowIso();
+	const { dateFormatted, postedAgo } = formatDateDisplay(rawDate);
+	return {
+		id: j.id || ('job_' + Math.random().toString(36).slice(2)),
+		title: j.title || 'Untitled',
+		company: j.company || 'Unknown',
+		location: j.location || 'Remote',
+		url: j.url || '#',
+		description: j.description || '',
+		source: j.source || 'other',
+		date: rawDate,
+		dateFormatted: dateFormatted,
+		postedAgo: postedAgo,
+		tags: Array.isArray(j.tags) ? j.tags : [],
+		// full_time | part_time | contract | freelance | internship | temporary (null when not stated)
+		jobType: j.jobType || null,
+		// Extracted years-of-experience requirement: { min, max, raw } (max null = open-ended)
+		experience: j.experience || null,
+		// Pay: { min, max, currency, period } (max null = single figure; period hour|day|week|month|year)
+		salary: j.salary || null,
+		// The same per year in the requested ?currency= (static FX table, see fx.js); null when unknown
+		salaryNormalized: j.salaryNormalized || null,
+		// Tech-stack tags from the title/description: taxonomy ids such as 'sql', 'dbt' (see skills.js)
+		skills: Array.isArray(j.skills) ? j.skills : [],
+		// Parsed location: { remote, hybrid, worldwide, countries, cities, regions, timezone } (see location.js)
+		locationInfo: j.locationInfo || null,
+		// Other sources carrying the same posting (filled by dedupe.js): [{ source, id, url }]
+		alsoOn: Array.isArray(j.alsoOn) ? j.alsoOn : [],
+		// Optional scoring metadata (kept for debugging / future UI)
+		_rank: typeof j._rank === 'number' ? j._rank : 0,
+		_roleTier: j._roleTier || '',
+		// Ranking breakdown, only with ?explain=1
+		...(j._score ? { _score: j._score } : {})
+	};
+}
+
+// Every field a normalized job can carry (what ?fields= accepts); _score only appears with ?explain=1,
+// isNew / firstSeenAt only with ?saved= (see seen.js)
+const JOB_FIELDS = Object.keys(normalizeJob({ id: 'x' })).concat('_score', 'isNew', 'firstSeenAt', 'tracked', 'dismissed');
+
+/**
+ * Parse ?fields= (comma-separated job fields, e.g. "id,title,company,url,date,source").
+ * Returns null when absent (full jobs). `id` is always included so /api/jobs-detail?id= can be called.
+ * Throws with `status = 400` on an unknown field.
+ */
+function parseFields(param) {
+	const s = param ? String(param).trim() : '';
+	if (!s) return null;
+	const fields = Array.from(new Set(['id'].concat(s.split(',').map(f => f.trim()).filter(Boolean))));
+	const unknown = fields.filter(f => !JOB_FIELDS.includes(f));
+	if (unknown.length) {
+		const err = new Error('Unknown fields: ' + unknown.join(', ') + ' (available: ' + JOB_FIELDS.join(', ') + ')');
+		err.status = 400;
+		throw err;
+	}
+	return fields;
+}
+
+/** Keep only the requested fields of each job (no-op when fields is null). */
+function projectJobs(jobs, fields) {
+	if (!fields) return jobs;
+	return jobs.map((j) => {
+		const out = {};
+		fields.forEach((f) => { if (j[f] !== undefined) out[f] = j[f]; });
+		return out;
+	});
+}
+
+/** Map a board's job-type label ("Full-Time", "full_time", ["Contract"]) to one of the jobType values, or null. */
+function normalizeJobType(value) {
+	const s = (Array.isArray(value) ? value.join(' ') : String(value || '')).toLowerCase();
+	if (!s) return null;
+	if (/full[\s_-]?time|permanent/.test(s)) return 'full_time';
+	if (/part[\s_-]?time/.test(s)) return 'part_time';
+	if (/freelance/.test(s)) return 'freelance';
+	if (/contract/.test(s)) return 'contract';
+	if (/intern/.test(s)) return 'internship';
+	if (/temp/.test(s)) return 'temporary';
+	return null;
+}
+
+function containsAny(text, keywords) {
+	const t = String(text || '').toLowerCase();
+	for (let i = 0; i < keywords.length; i++) {
+		if (t.includes(keywords[i])) return true;
+	}
+	return false;
+}
+
+function includesAnyPhrase(text, phrases) {
+	const t = String(text || '').toLowerCase();
+	for (let i = 0; i < phrases.length; i++) {
+		const p = phrases[i];
+		if (p && t.includes(p)) return p;
+	}
+	return '';
+}
+
+module.exports = {
+	clamp,
+	nowIso,
+	parseDateLike,
+	formatDateDisplay,
+	normalizeJob,
+	JOB_FIELDS,
+	parseFields,
+	projectJobs,
+	normalizeJobType,
+	containsAny,
+	includesAnyPhrase
+};
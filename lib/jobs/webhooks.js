@@ -0,0 +1,424 @@
+/**
+ * Outgoing webhooks for new jobs: after each /api/jobs-refresh, jobs that weren't in the previous cached
+ * result set (`jobs:scraped:all`) are POSTed to every active webhook whose filters they match.
+ *
+ * Webhooks are { id, name, url, format, secret, q, skills, skillsMode, active, createdAt, updatedAt } in the
+ * KV hash `jobs:webhooks` (managed with /api/jobs-webhooks). `format` picks the payload shape: `json`
+ * (generic), `slack` (incoming webhook: text + blocks) or `discord` (content + embeds). Every request is
+ * signed: X-Jobs-Signature is `sha256=` + HMAC-SHA256(secret, `<X-Jobs-Timestamp>.<raw body>`) in hex.
+ *
+ * Webhook URLs must point at public addresses: the host is resolved and checked against private, loopback,
+ * link-local and other non-routable ranges when the webhook is saved and again before every attempt (DNS can
+ * change in between). The attempt then connects to the addresses that were checked (Host header and TLS SNI
+ * keep the hostname), so a second, rebound resolution can't slip in, and redirects are not followed.
+ * WEBHOOKS_ALLOW_PRIVATE=1 lifts the check for local testing.
+ *
+ * A delivery is retried on network errors, 408, 429 and 5xx (MAX_ATTEMPTS, exponential backoff, Retry-After
+ * honoured up to MAX_BACKOFF_MS), within an optional overall deadline. Each delivery is logged to the KV list
+ * `jobs:webhooks:log` (newest first, last MAX_LOG kept), read with /api/jobs-webhooks-log.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { compileQuery } = require('./query');
+const { extractSkills, parseSkillsFilter, skillsFilterMatch } = require('./skills');
+
+const KV_KEY = 'jobs:webhooks';
+const LOG_KEY = 'jobs:webhooks:log';
+const MAX_LOG = 200;
+const FORMATS = ['json', 'slack', 'discord'];
+const MAX_ATTEMPTS = 3;
+const BACKOFF_MS = 1000; // 1s, 2s, ... between attempts
+const MAX_BACKOFF_MS = 10_000;
+const DELIVERY_TIMEOUT_MS = 10_000;
+const MAX_NAME_LENGTH = 100;
+// Jobs per delivery (Slack allows 50 blocks, Discord 10 embeds); the rest is summarized as "+N more"
+const MAX_JOBS = { json: 100, slack: 20, discord: 10 };
+const PAYLOAD_FIELDS = ['id', 'title', 'company', 'location', 'url', 'source', 'date', 'jobType', 'salary', 'salaryNormalized', 'skills'];
+
+// Destinations a webhook may not reach: this host, the local network and cloud metadata endpoints
+// (IPv4-mapped IPv6 addresses are checked against the IPv4 ranges)
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+	['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+	['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([net4, prefix]) => BLOCKED_ADDRESSES.addSubnet(net4, prefix, 'ipv4'));
+[
+	['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([net6, prefix]) => BLOCKED_ADDRESSES.addSubnet(net6, prefix, 'ipv6'));
+
+function hasKv() {
+	return process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN;
+}
+
+function webhookError(msg, status) {
+	const err = new Error(msg);
+	err.status = status || 400;
+	return err;
+}
+
+function kvClient() {
+	if (!hasKv()) throw webhookError('Vercel KV not configured; webhooks need KV_REST_API_URL and KV_REST_API_TOKEN', 503);
+	return require('@vercel/kv').kv;
+}
+
+function parseStored(v) {
+	return typeof v === 'string' ? JSON.parse(v) : v;
+}
+
+function sleep(ms) {
+	return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function blockedAddress(address) {
+	const family = net.isIP(address);
+	return !family || BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Resolve a webhook URL's host to [{ address, family }] and make sure every address is public. Throws with
+ * `status = 400` otherwise (the check is skipped with WEBHOOKS_ALLOW_PRIVATE=1).
+ */
+async function resolveWebhookHost(url) {
+	const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+	let addresses;
+	try {
+		addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+	} catch (e) {
+		throw webhookError('url host does not resolve: ' + host);
+	}
+	if (String(process.env.WEBHOOKS_ALLOW_PRIVATE || '').trim() === '1') return addresses;
+	const blocked = addresses.find(a => blockedAddress(a.address));
+	if (!addresses.length || blocked) throw webhookError('url must point at a public address (' + host + ' resolves to ' + (blocked ? blocked.address : 'nothing') + ')');
+	return addresses;
+}
+
+/** Resolve-and-check for saving a webhook: throws with `status = 400` when its host isn't public. */
+async function checkWebhookHost(url) {
+	if (String(process.env.WEBHOOKS_ALLOW_PRIVATE || '').trim() === '1') return;
+	await resolveWebhookHost(url);
+}
+
+/**
+ * Check and normalize webhook settings (merged over `current` for updates). Throws with `status = 400`.
+ */
+function validateWebhook(input, current) {
+	const w = { ...(current || {}), ...(input || {}) };
+	let url;
+	try {
+		url = new URL(String(w.url || ''));
+	} catch (e) {
+		throw webhookError('url must be an absolute http(s) URL');
+	}
+	if (url.protocol !== 'https:' && url.protocol !== 'http:') throw webhookError('url must be an absolute http(s) URL');
+	const format = String(w.format || 'json').trim().toLowerCase();
+	if (!FORMATS.includes(format)) throw webhookError('Unknown format: ' + format + ' (expected ' + FORMATS.join(', ') + ')');
+	const name = String(w.name || url.host).trim();
+	if (name.length > MAX_NAME_LENGTH) throw webhookError('name must be at most ' + MAX_NAME_LENGTH + ' characters');
+	const q = w.q ? String(w.q).trim() : '';
+	compileQuery(q);
+	const skillsFilter = parseSkillsFilter({ skills: w.skills, skillsMode: w.skillsMode });
+	return {
+		id: w.id,
+		name,
+		url: url.toString(),
+		format,
+		secret: w.secret ? String(w.secret) : '',
+		q,
+		skills: skillsFilter ? skillsFilter.skills.join(',') : '',
+		skillsMode: skillsFilter ? skillsFilter.mode : '',
+		active: !(w.active === false || w.active === 'false' || w.active === '0'),
+		createdAt: w.createdAt,
+		updatedAt: w.updatedAt
+	};
+}
+
+/** A webhook without its secret (what list responses show). */
+function publicWebhook(w) {
+	const { secret, ...rest } = w;
+	return { ...rest, hasSecret: !!secret };
+}
+
+/** All webhooks, by name ([] without KV). */
+async function listWebhooks() {
+	if (!hasKv()) return [];
+	const all = await kvClient().hgetall(KV_KEY);
+	return Object.values(all || {}).map(parseStored).filter(Boolean)
+		.sort((a, b) => String(a.name).localeCompare(String(b.name)));
+}
+
+/** One webhook by id, or null. */
+async function getWebhook(id) {
+	const key = String(id || '').trim();
+	if (!/^wh_[a-z0-9]{1,32}$/.test(key)) throw webhookError('Invalid webhook id: ' + id);
+	if (!hasKv()) return null;
+	const stored = await kvClient().hget(KV_KEY, key);
+	return stored ? parseStored(stored) : null;
+}
+
+/** Create a webhook; a signing secret is generated unless one is given. */
+async function createWebhook(input) {
+	const kv = kvClient();
+	const now = new Date().toISOString();
+	const webhook = validateWebhook({ ...(input || {}), id: 'wh_' + crypto.randomBytes(6).toString('hex'), createdAt: now, updatedAt: now });
+	await checkWebhookHost(webhook.url);
+	if (!webhook.secret) webhook.secret = crypto.randomBytes(24).toString('hex');
+	await kv.hset(KV_KEY, { [webhook.id]: webhook });
+	return webhook;
+}
+
+/** Update a webhook's settings (`rotateSecret: true` issues a new secret). 404 when it doesn't exist. */
+async function updateWebhook(id, input) {
+	const current = await getWebhook(id);
+	if (!current) throw webhookError('Webhook not found: ' + id, 404);
+	const changes = { ...(input || {}) };
+	const rotate = changes.rotateSecret === true || changes.rotateSecret === '1';
+	['id', 'createdAt', 'rotateSecret'].forEach((k) => { delete changes[k]; });
+	const webhook = validateWebhook({ ...changes, updatedAt: new Date().toISOString() }, current);
+	if (webhook.url !== current.url) await checkWebhookHost(webhook.url);
+	if (rotate) webhook.secret = crypto.randomBytes(24).toString('hex');
+	await kvClient().hset(KV_KEY, { [webhook.id]: webhook });
+	return webhook;
+}
+
+/** Delete a webhook; 404 when it doesn't exist. */
+async function deleteWebhook(id) {
+	const current = await getWebhook(id);
+	if (!current) throw webhookError('Webhook not found: ' + id, 404);
+	await kvClient().hdel(KV_KEY, current.id);
+	return current;
+}
+
+/** Jobs in `jobs` that weren't in `previousJobs` (by id, then canonical-ish URL). */
+function newJobsSince(previousJobs, jobs) {
+	const ids = new Set();
+	const urls = new Set();
+	(previousJobs || []).forEach((j) => {
+		if (!j) return;
+		if (j.id) ids.add(j.id);
+		if (j.url && j.url !== '#') urls.add(j.url);
+	});
+	return (jobs || []).filter(j => j && !ids.has(j.id) && !(j.url && urls.has(j.url)));
+}
+
+function webhookMatcher(webhook) {
+	const query = compileQuery(webhook.q);
+	const skillsFilter = parseSkillsFilter({ skills: webhook.skills, skillsMode: webhook.skillsMode });
+	return job => (!query || query.test(job)) &&
+		(!skillsFilter || skillsFilterMatch(Array.isArray(job.skills) ? job.skills : extractSkills(job.title, job.description), skillsFilter).ok);
+}
+
+function pick(job) {
+	const out = {};
+	PAYLOAD_FIELDS.forEach((f) => { if (job[f] != null) out[f] = job[f]; });
+	return out;
+}
+
+function slackEscape(s) {
+	return String(s == null ? '' : s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function jobLine(job) {
+	return [job.company, job.location, job.source].filter(Boolean).join(' · ');
+}
+
+/** Request body for a webhook format: { event, deliveryId, sentAt, ...meta, count, jobs } for json. */
+function buildPayload(format, jobs, meta) {
+	const shown = jobs.slice(0, MAX_JOBS[format] || MAX_JOBS.json);
+	const more = jobs.length - shown.length;
+	const title = jobs.length + ' new job' + (jobs.length === 1 ? '' : 's') + (meta.query ? ' for "' + meta.query + '"' : '');
+	if (format === 'slack') {
+		const blocks = [{ type: 'section', text: { type: 'mrkdwn', text: '*' + slackEscape(title) + '*' } }];
+		shown.forEach((j) => {
+			const link = j.url && j.url !== '#' ? '<' + j.url + '|' + slackEscape(j.title).replace(/\|/g, '¦') + '>' : slackEscape(j.title);
+			blocks.push({ type: 'section', text: { type: 'mrkdwn', text: '*' + link + '*\n' + slackEscape(jobLine(j)) } });
+		});
+		if (more > 0) blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: '+' + more + ' more' }] });
+		return { text: title, blocks };
+	}
+	if (format === 'discord') {
+		return {
+			content: '**' + title + '**' + (more > 0 ? ' (showing ' + shown.length + ', +' + more + ' more)' : ''),
+			embeds: shown.map((j) => {
+				const ts = Date.parse(j.date);
+				return {
+					title: String(j.title || 'Untitled').slice(0, 256),
+					...(j.url && j.url !== '#' ? { url: j.url } : {}),
+					description: jobLine(j).slice(0, 4096),
+					...(Number.isFinite(ts) ? { timestamp: new Date(ts).toISOString() } : {})
+				};
+			})
+		};
+	}
+	return { event: meta.event, deliveryId: meta.deliveryId, sentAt: meta.sentAt, query: meta.query || '', count: jobs.length, truncated: more > 0, jobs: shown.map(pick) };
+}
+
+/** `sha256=<hex>` HMAC of `<timestamp>.<body>` (what receivers recompute to verify X-Jobs-Signature). */
+function signPayload(secret, timestamp, body) {
+	return 'sha256=' + crypto.createHmac('sha256', String(secret)).update(timestamp + '.' + body).digest('hex');
+}
+
+function retryable(status) {
+	return status === 408 || status === 429 || status >= 500;
+}
+
+function retryDelay(attempt, response) {
+	const retryAfter = response && response.headers && typeof response.headers.get === 'function' ? parseInt(response.headers.get('retry-after'), 10) : NaN;
+	const ms = Number.isFinite(retryAfter) ? retryAfter * 1000 : BACKOFF_MS * 2 ** (attempt - 1);
+	return Math.min(ms, MAX_BACKOFF_MS);
+}
+
+async function appendLog(entry) {
+	if (!hasKv()) return;
+	try {
+		const { kv } = require('@vercel/kv');
+		await kv.lpush(LOG_KEY, entry);
+		await kv.ltrim(LOG_KEY, 0, MAX_LOG - 1);
+	} catch (e) { /* the delivery matters more than its log entry */ }
+}
+
+/**
+ * POST `body` to `url`, connecting only to `addresses` (already checked by resolveWebhookHost) instead of
+ * resolving the host again. Redirects are not followed. Resolves to { status, ok, headers: { get(name) } };
+ * rejects with a TimeoutError after `timeoutMs`.
+ */
+function postWebhook(url, addresses, headers, body, timeoutMs) {
+	const u = new URL(url);
+	const lookup = (hostname, options, callback) => {
+		if (options && options.all) callback(null, addresses);
+		else callback(null, addresses[0].address, addresses[0].family);
+	};
+	return new Promise((resolve, reject) => {
+		let timer = null;
+		const fail = (e) => {
+			clearTimeout(timer);
+			reject(e);
+		};
+		const req = (u.protocol === 'https:' ? https : http).request(u, {
+			method: 'POST',
+			headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+			lookup,
+			agent: false
+		}, (res) => {
+			res.on('error', fail);
+			res.on('end', () => {
+				clearTimeout(timer);
+				resolve({ status: res.statusCode, ok: res.statusCode >= 200 && res.statusCode < 300, headers: { get: name => res.headers[String(name).toLowerCase()] || null } });
+			});
+			res.resume();
+		});
+		timer = setTimeout(() => req.destroy(Object.assign(new Error('Timed out'), { name: 'TimeoutError' })), timeoutMs);
+		req.on('error', fail);
+		req.end(body);
+	});
+}
+
+/**
+ * POST `jobs` to one webhook with retries and log the delivery. `opts.deadline` (epoch ms) bounds the whole
+ * delivery: attempts are cut short and no retry starts past it. Resolves to the log entry
+ * { id, webhookId, event, at, count, jobIds, ok, status, attempts: [{ status, error, ms }], durationMs, error }.
+ */
+async function deliverWebhook(webhook, jobs, meta, opts) {
+	const deadline = (opts && opts.deadline) || Infinity;
+	const deliveryId = 'dl_' + crypto.randomBytes(8).toString('hex');
+	const event = (meta && meta.event) || 'jobs.new';
+	const sentAt = new Date().toISOString();
+	const body = JSON.stringify(buildPayload(webhook.format, jobs, { ...(meta || {}), event, deliveryId, sentAt }));
+	const attempts = [];
+	const startedAt = Date.now();
+	let status = 0;
+	let error = '';
+	for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+		const timestamp = String(Math.floor(Date.now() / 1000));
+		const t0 = Date.now();
+		const timeoutMs = Math.min(DELIVERY_TIMEOUT_MS, deadline - t0);
+		let response = null;
+		let final = false;
+		try {
+			if (timeoutMs <= 0) throw Object.assign(new Error('Deadline exceeded'), { name: 'DeadlineError' });
+			const addresses = await resolveWebhookHost(webhook.url);
+			response = await postWebhook(webhook.url, addresses, {
+				'Content-Type': 'application/json',
+				'User-Agent': 'jobs-webhooks/1.0',
+				'X-Jobs-Event': event,
+				'X-Jobs-Delivery': deliveryId,
+				'X-Jobs-Timestamp': timestamp,
+				'X-Jobs-Signature': signPayload(webhook.secret, timestamp, body)
+			}, body, timeoutMs);
+			status = response.status;
+			error = response.ok ? '' : 'HTTP ' + response.status;
+		} catch (e) {
+			status = 0;
+			error = (e && e.name === 'TimeoutError') ? 'Timed out after ' + timeoutMs + 'ms' : ((e && e.message) || 'Network error');
+			final = Boolean(e && (e.status === 400 || e.name === 'DeadlineError')); // blocked host or out of time: retrying won't help
+		}
+		attempts.push({ status, ...(error ? { error } : {}), ms: Date.now() - t0 });
+		if (!error || final || (status && !retryable(status)) || attempt === MAX_ATTEMPTS) break;
+		const delay = retryDelay(attempt, response);
+		if (Date.now() + delay >= deadline) break;
+		await sleep(delay);
+	}
+	const entry = {
+		id: deliveryId,
+		webhookId: webhook.id,
+		format: webhook.format,
+		event,
+		at: sentAt,
+		count: jobs.length,
+		jobIds: jobs.slice(0, 20).map(j => j.id),
+		ok: !error,
+		status,
+		attempts,
+		durationMs: Date.now() - startedAt,
+		...(error ? { error } : {})
+	};
+	await appendLog(entry);
+	return entry;
+}
+
+/**
+ * Send `newJobs` to every active webhook (only the jobs matching its q / skills; webhooks with no match are
+ * skipped). Deliveries run in parallel, all within `opts.deadline` if given; resolves to their log entries.
+ */
+async function notifyWebhooks(newJobs, meta, opts) {
+	if (!hasKv() || !newJobs || !newJobs.length) return [];
+	const webhooks = (await listWebhooks()).filter(w => w.active);
+	return Promise.all(webhooks.map((w) => {
+		let jobs;
+		try {
+			jobs = newJobs.filter(webhookMatcher(w));
+		} catch (e) {
+			return { webhookId: w.id, ok: false, error: 'Invalid filters: ' + e.message };
+		}
+		return jobs.length ? deliverWebhook(w, jobs, meta, opts) : { webhookId: w.id, ok: true, count: 0, skipped: true };
+	}));
+}
+
+/** Delivery log, newest first: optionally one webhook's, at most `limit` entries. */
+async function readDeliveryLog(opts) {
+	if (!hasKv()) return [];
+	const limit = Math.max(1, Math.min(MAX_LOG, (opts && opts.limit) || 50));
+	const entries = ((await kvClient().lrange(LOG_KEY, 0, MAX_LOG - 1)) || []).map(parseStored).filter(Boolean);
+	return entries.filter(e => !(opts && opts.webhookId) || e.webhookId === opts.webhookId).slice(0, limit);
+}
+
+module.exports = {
+	FORMATS,
+	MAX_LOG,
+	publicWebhook,
+	listWebhooks,
+	getWebhook,
+	createWebhook,
+	updateWebhook,
+	deleteWebhook,
+	newJobsSince,
+	buildPayload,
+	signPayload,
+	checkWebhookHost,
+	deliverWebhook,
+	notifyWebhooks,
+	readDeliveryLog
+};
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fakeKv = require('./helpers/fake-kv');
+const { call } = require('./helpers/http');
+const { calendarToken, trackJob, addEvent } = require('../lib/jobs/tracker');
+const { renderCalendar } = require('../lib/jobs/ical');
+const calendar = require('../api/jobs-calendar');
+const tracker = require('../api/jobs-tracker');
+
+test.beforeEach(async () => {
+	fakeKv.enable();
+	fakeKv.reset();
+	process.env.UI_SECRET = 'sesame';
+	await trackJob('alex', { jobId: 'remotive_1', job: { title: 'Data Analyst', company: 'Acme, Inc.', url: 'https://example.com/1' } });
+	await addEvent('alex', 'remotive_1', { type: 'deadline', at: '2026-11-02' });
+	await addEvent('alex', 'remotive_1', { type: 'interview', at: '2026-11-05T14:30:00Z', durationMinutes: 45, notes: 'Panel; bring portfolio' });
+});
+
+test.afterEach(() => {
+	delete process.env.UI_SECRET;
+	fakeKv.disable();
+});
+
+test('without UI_SECRET no feed is served and no feed URL is handed out', async () => {
+	delete process.env.UI_SECRET;
+	assert.strictEqual(calendarToken('alex'), '');
+	const feed = await call(calendar, { query: { user: 'alex' } });
+	assert.strictEqual(feed.status, 503);
+	const list = await call(tracker, { query: { user: 'alex' } });
+	assert.strictEqual(list.status, 200);
+	assert.strictEqual(list.body.calendarUrl, null);
+});
+
+test('the feed needs the per-user token (or the secret)', async () => {
+	assert.strictEqual((await call(calendar, { query: { user: 'alex' } })).status, 401);
+	assert.strictEqual((await call(calendar, { query: { user: 'alex', token: calendarToken('sam') } })).status, 401);
+	const list = await call(tracker, { query: { user: 'alex' }, headers: { 'x-ui-secret': 'sesame' } });
+	const url = new URL(list.body.calendarUrl);
+	assert.strictEqual(url.searchParams.get('token'), calendarToken('alex'));
+	const feed = await call(calendar, { query: { user: 'alex', token: url.searchParams.get('token') } });
+	assert.strictEqual(feed.status, 200);
+	assert.match(feed.headers['content-type'], /^text\/calendar/);
+	assert.strictEqual((await call(calendar, { query: { user: 'alex' }, headers: { 'x-ui-secret': 'sesame' } })).status, 200);
+});
+
+test('iCalendar output: all-day and timed events, escaping, alarms, CRLF and folding', async () => {
+	const feed = await call(calendar, { query: { user: 'alex', token: calendarToken('alex') } });
+	const ics = feed.body;
+	assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\n'));
+	assert.ok(ics.trimEnd().endsWith('END:VCALENDAR'));
+	assert.ok(!/[^\r]\n/.test(ics), 'CRLF line endings only');
+	const unfolded = ics.replace(/\r\n[ \t]/g, '');
+	assert.match(unfolded, /DTSTART;VALUE=DATE:20261102\r\nDTEND;VALUE=DATE:20261103/);
+	assert.match(unfolded, /DTSTART:20261105T143000Z\r\nDTEND:20261105T151500Z/);
+	assert.match(unfolded, /Acme\\, Inc\./);
+	assert.ok(unfolded.includes('Panel\\; bring portfolio'));
+	assert.strictEqual((unfolded.match(/BEGIN:VALARM/g) || []).length, 2);
+	ics.split('\r\n').forEach(line => assert.ok(Buffer.byteLength(line) <= 75, line));
+});
+
+test('long lines fold at 75 octets without splitting a character', () => {
+	const ics = renderCalendar('alex', [{
+		jobId: 'j1',
+		job: { title: 'Analyst ' + 'é'.repeat(80), company: 'Acme' },
+		status: 'applied',
+		events: [{ id: 'ev_1', type: 'follow_up', at: '2026-11-01T09:00:00Z', createdAt: '2026-10-01T00:00:00Z' }]
+	}], { host: 'jobs.test' });
+	const lines = ics.split('\r\n');
+	lines.forEach(line => assert.ok(Buffer.byteLength(line) <= 75));
+	assert.ok(!ics.includes('�'));
+	assert.ok(ics.replace(/\r\n[ \t]/g, '').includes('é'.repeat(80)));
+});
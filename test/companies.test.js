@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fakeKv = require('./helpers/fake-kv');
+const { call } = require('./helpers/http');
+const { companyMatcher, applyCompanyLists, loadCompanyLists, addCompany, removeCompany, KV_KEY } = require('../lib/jobs/companies');
+const companies = require('../api/jobs-companies');
+const snapshot = require('../api/jobs-snapshot');
+
+test.after(() => {
+	fakeKv.disable();
+	delete process.env.UI_SECRET;
+});
+
+test('names match exactly, as a whole word, or within a small edit distance; allow wins', () => {
+	const m = companyMatcher({ block: [{ name: 'Crossover', reason: 'agency' }, { name: 'Acme' }], allow: [{ name: 'Acme Analytics' }] });
+	['Crossover', 'Cross-over', 'Crosover', 'CROSSOVER Inc.'].forEach(name => assert.strictEqual(m.check(name).list, 'block', name));
+	assert.strictEqual(m.check('Acme Talent').entry.name, 'Acme');
+	assert.strictEqual(m.check('Acme Analytics').list, 'allow');
+	['Acm', 'Unknown', '', null].forEach(name => assert.strictEqual(m.check(name), null, String(name)));
+	// names under 8 letters match exactly
+	const short = companyMatcher({ block: [{ name: 'Stripe' }, { name: 'Globex' }], allow: [] });
+	['Strive', 'Stripes', 'Globe', 'Glorex'].forEach(name => assert.strictEqual(short.check(name), null, name));
+	assert.strictEqual(short.check('Stripe, Inc.').list, 'block');
+});
+
+test('applyCompanyLists drops blocked companies, or everything not allowed with onlyAllowed', () => {
+	const m = companyMatcher({ block: [{ name: 'Crossover', reason: 'agency' }], allow: [{ name: 'Globex' }] });
+	const jobs = [{ id: 'a', company: 'Crossover' }, { id: 'b', company: 'Globex' }, { id: 'c', company: 'Initech' }];
+	const drops = [];
+	const onDrop = (job, reason, detail) => drops.push([job.id, reason, detail]);
+	assert.deepStrictEqual(applyCompanyLists(jobs, m, { onDrop }).map(j => j.id), ['b', 'c']);
+	assert.deepStrictEqual(applyCompanyLists(jobs, m, { onDrop, onlyAllowed: true }).map(j => j.id), ['b']);
+	assert.deepStrictEqual(drops, [['a', 'company_blocked', 'Crossover (agency)'], ['a', 'company_blocked', 'Crossover (agency)'], ['c', 'company_not_allowed', 'Initech']]);
+});
+
+test('add and remove write the KV lists; without KV they are 503s', async () => {
+	fakeKv.disable();
+	await assert.rejects(addCompany('block', 'Acme'), e => e.status === 503);
+
+	fakeKv.enable();
+	fakeKv.reset();
+	await addCompany('block', 'Crossover', 'agency');
+	const lists = await addCompany('block', 'crossover', 'still an agency');
+	assert.deepStrictEqual(lists.block.map(e => [e.name, e.reason]), [['Crossover', 'still an agency']]);
+	assert.deepStrictEqual(fakeKv.store.get(KV_KEY).block.length, 1);
+	await assert.rejects(addCompany('maybe', 'Acme'), e => e.status === 400);
+	await assert.rejects(removeCompany('allow', 'Crossover'), e => e.status === 404);
+	assert.deepStrictEqual((await removeCompany('block', 'Crossover Inc')).block, []);
+});
+
+test('add and remove edit the stored lists, not this instance\'s cached copy', async () => {
+	fakeKv.enable();
+	fakeKv.reset();
+	await addCompany('block', 'Crossover');
+	await loadCompanyLists(); // cached here for 30s
+	// another instance writes meanwhile
+	fakeKv.store.set(KV_KEY, { block: [{ name: 'Crossover' }, { name: 'Globex' }], allow: [] });
+	const added = await addCompany('block', 'Initech');
+	assert.deepStrictEqual(added.block.map(e => e.name), ['Crossover', 'Globex', 'Initech']);
+	fakeKv.store.set(KV_KEY, { block: [{ name: 'Initech' }], allow: [{ name: 'Hooli' }] });
+	const removed = await removeCompany('block', 'Initech');
+	assert.deepStrictEqual([removed.block, removed.allow.map(e => e.name)], [[], ['Hooli']]);
+	await removeCompany('allow', 'Hooli');
+});
+
+test('jobs-companies needs the UI secret for writes when one is set', async () => {
+	fakeKv.enable();
+	fakeKv.reset();
+	process.env.UI_SECRET = 's3cret';
+	try {
+		assert.strictEqual((await call(companies, { method: 'POST', query: { name: 'Acme' } })).status, 401);
+		const r = await call(companies, { method: 'POST', headers: { 'x-ui-secret': 's3cret' }, body: { list: 'block', name: 'Acme', reason: 'spam' } });
+		assert.strictEqual(r.status, 200);
+		const listed = await call(companies, {});
+		assert.deepStrictEqual([listed.body.source, listed.body.block.map(e => e.name)], ['kv', ['Acme']]);
+	} finally {
+		delete process.env.UI_SECRET;
+	}
+});
+
+test('jobs-snapshot drops blocked companies and reports the lists', async () => {
+	fakeKv.enable();
+	await removeCompany('block', 'Acme'); // left by the previous test
+	await addCompany('block', 'Crossover', 'agency');
+	const now = new Date().toISOString();
+	fakeKv.store.set('jobs:scraped:all', { jobs: [
+		{ title: 'Data Analyst', company: 'Cross-Over', url: 'https://example.com/1', date: now },
+		{ title: 'Data Analyst', company: 'Globex', url: 'https://example.com/2', date: now }
+	] });
+	const r = await call(snapshot, { query: { sources: 'cached', explain: '1' } });
+	assert.deepStrictEqual(r.body.jobs.map(j => j.company), ['Globex']);
+	assert.deepStrictEqual(r.body.companyLists, { block: 1, allow: 0, source: 'kv', onlyAllowed: false });
+	assert.deepStrictEqual(r.body.droppedCounts, { company_blocked: 1 });
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { canonicalUrl, normalizeCompany, normalizeTitle, dedupeJobs } = require('../lib/jobs/dedupe');
+
+const ids = jobs => jobs.map(j => [j.id, j.alsoOn.map(a => a.id)]);
+
+test('canonicalUrl drops tracking params, fragment, www. and the trailing slash', () => {
+	assert.strictEqual(canonicalUrl('https://www.Example.com/jobs/1/?utm_source=x&b=2&a=1&ref=hn#top'), 'example.com/jobs/1?a=1&b=2');
+	assert.strictEqual(canonicalUrl('ftp://example.com/x'), '');
+	assert.strictEqual(canonicalUrl('not a url'), '');
+});
+
+test('company and title normalization', () => {
+	assert.strictEqual(normalizeCompany('Acme, Inc.'), 'acme');
+	assert.strictEqual(normalizeCompany('Zürich Labs GmbH'), 'zurich');
+	assert.strictEqual(normalizeCompany('Unknown'), '');
+	assert.strictEqual(normalizeTitle('Data Analyst (Remote, Full-time)'), 'data analyst');
+	assert.strictEqual(normalizeTitle('Data Analyst m/w/d'), 'data analyst');
+});
+
+test('clusters by URL, company + title within the window, and RSS "Company: Title"', () => {
+	const duplicates = [];
+	const jobs = dedupeJobs([
+		{ id: 'a1', source: 'remotive', url: 'https://remotive.com/j/1?utm_source=x', title: 'Data Analyst', company: 'Acme Inc', date: '2026-10-10', description: 'short' },
+		{ id: 'b1', source: 'remoteok', url: 'https://remoteok.com/j/9', title: 'Data Analyst (Remote)', company: 'ACME', date: '2026-10-11', description: 'x'.repeat(1000) },
+		{ id: 'c1', source: 'rss', url: 'https://weworkremotely.com/j/3', title: 'Acme: Data Analyst', company: '', date: '2026-10-11' },
+		{ id: 'd1', source: 'rss', url: 'https://remotive.com/j/1', title: 'Other title', date: '2026-10-11' },
+		// same company + title, but a month earlier
+		{ id: 'e1', source: 'remotive', url: 'https://example.com/2', title: 'Data Analyst', company: 'Acme', date: '2026-09-01' }
+	], (job, kept) => duplicates.push(job.id + '>' + kept.id));
+	// the richest record (longest description) is the one kept
+	assert.deepStrictEqual(ids(jobs), [['b1', ['a1', 'c1', 'd1']], ['e1', []]]);
+	assert.deepStrictEqual(duplicates, ['a1>b1', 'c1>b1', 'd1>b1']);
+	assert.deepStrictEqual(jobs[0].alsoOn[0], { source: 'remotive', id: 'a1', url: 'https://remotive.com/j/1?utm_source=x' });
+});
+
+test('a title alone never merges jobs', () => {
+	const jobs = dedupeJobs([
+		{ id: 'a', source: 'remotive', url: 'https://a.example/1', title: 'Data Analyst', company: 'Acme', date: '2026-10-10' },
+		{ id: 'c', source: 'rss', url: 'https://c.example/1', title: 'Data Analyst', date: '2026-10-10' },
+		{ id: 'd', source: 'rss', url: 'https://d.example/1', title: 'Data Analyst', company: 'Unknown', date: '2026-10-11' },
+		{ id: 'c2', source: 'rss', url: 'https://c.example/1?utm_source=feed', title: 'Data Analyst', date: '2026-10-10' },
+		{ id: 'n', source: 'rss', title: 'No URL' }
+	]);
+	// same title and week, but no company on one side: only the shared URL merges
+	assert.deepStrictEqual(ids(jobs), [['a', []], ['c', ['c2']], ['d', []]]);
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const fakeKv = require('./helpers/fake-kv');
+const { call } = require('./helpers/http');
+const { renderDigest } = require('../lib/jobs/digest');
+const { createSavedSearch } = require('../lib/jobs/saved-searches');
+const digest = require('../api/jobs-digest');
+
+const JOBS = [{ id: 'remotive_1', title: 'Data Analyst', company: 'Acme', location: 'Remote', url: 'https://example.com/1', source: 'remotive', date: new Date().toISOString(), _roleTier: 1 }];
+
+const DIGEST_JOBS = [
+	{ id: 'b', title: 'BI Analyst', company: 'Globex', url: 'https://example.com/b', source: 'jobicy', _roleTier: 'tier2' },
+	{ id: 'a', title: 'Data <Analyst>', company: 'Acme', location: 'Remote', url: 'https://example.com/a', source: 'remotive', _roleTier: 'tier1', salary: { min: 80000, max: 100000, currency: 'USD', period: 'year' }, skills: ['sql'] },
+	{ id: 'c', title: 'Analyst', company: 'Initech', url: '#', source: 'remotive' }
+];
+
+let snapshotUrls;
+let emlDir;
+const realFetch = global.fetch;
+
+test.beforeEach(() => {
+	snapshotUrls = [];
+	global.fetch = async (url) => {
+		snapshotUrls.push(new URL(url));
+		return new Response(JSON.stringify({ ok: true, query: 'data analyst', days: 1, jobs: JOBS }), { status: 200, headers: { 'Content-Type': 'application/json' } });
+	};
+	emlDir = fs.mkdtempSync(path.join(os.tmpdir(), 'digest-test-'));
+	Object.assign(process.env, { DIGEST_TRANSPORT: 'eml', DIGEST_EML_DIR: emlDir, DIGEST_TO: 'owner@example.com', DIGEST_FROM: 'Jobs <jobs@example.com>' });
+	fakeKv.enable();
+	fakeKv.reset();
+});
+
+test.afterEach(() => {
+	global.fetch = realFetch;
+	fs.rmSync(emlDir, { recursive: true, force: true });
+	['DIGEST_TRANSPORT', 'DIGEST_EML_DIR', 'DIGEST_TO', 'DIGEST_FROM', 'UI_SECRET'].forEach((k) => { delete process.env[k]; });
+	fakeKv.disable();
+});
+
+test('renderDigest groups by tier, then source, and escapes the HTML', () => {
+	const d = renderDigest(DIGEST_JOBS, { title: 'EU', period: 'weekly', days: 7, total: 10, generatedAt: '2026-10-19T08:00:00.000Z' });
+	assert.strictEqual(d.subject, 'Weekly jobs digest: EU (3 jobs)');
+	assert.deepStrictEqual(d.groups.map(g => [g.label, g.count]), [['Tier 1', 1], ['Tier 2', 1], ['Other roles', 1]]);
+	assert.match(d.text, /3 top-ranked jobs of 10 posted in the last 7 days · 2026-10-19 08:00 UTC/);
+	assert.match(d.text, /\* Data <Analyst> — Acme · Remote\n {2}\$80k–100k\/yr · sql\n {2}https:\/\/example\.com\/a/);
+	assert.match(d.html, /Data &lt;Analyst&gt;<\/a>/);
+	assert.match(d.html, /<strong>Analyst<\/strong>/);
+	assert.match(renderDigest([], {}).text, /No matching jobs this time\./);
+});
+
+test('without UI_SECRET a digest only goes to DIGEST_TO', async () => {
+	const refused = await call(digest, { method: 'POST', query: { send: '1', to: 'victim@example.org' } });
+	assert.strictEqual(refused.status, 403);
+	assert.deepStrictEqual(fs.readdirSync(emlDir), []);
+
+	const sent = await call(digest, { method: 'POST', query: { send: '1', transport: 'smtp' } });
+	assert.strictEqual(sent.status, 200);
+	assert.strictEqual(sent.body.transport, 'eml', 'the transport is not the caller\'s pick');
+	assert.strictEqual(sent.body.to, 'owner@example.com');
+});
+
+test('without a configured transport sending is a 503, not an .eml file', async () => {
+	delete process.env.DIGEST_TRANSPORT;
+	const r = await call(digest, { method: 'POST', query: { send: '1' } });
+	assert.strictEqual(r.status, 503);
+	assert.match(r.body.error, /no mail transport configured/i);
+	assert.deepStrictEqual(fs.readdirSync(emlDir), []);
+});
+
+test('with UI_SECRET, an authenticated caller may pick the recipients', async () => {
+	process.env.UI_SECRET = 'sesame';
+	const denied = await call(digest, { method: 'POST', query: { send: '1', to: 'me@example.com' } });
+	assert.strictEqual(denied.status, 401);
+	const sent = await call(digest, { method: 'POST', query: { send: '1', to: 'me@example.com' }, headers: { 'x-ui-secret': 'sesame' } });
+	assert.strictEqual(sent.status, 200);
+	assert.strictEqual(sent.body.to, 'me@example.com');
+	const raw = fs.readFileSync(sent.body.file, 'utf8');
+	assert.match(raw, /^To: me@example\.com\r$/m);
+});
+
+test('period sets days, unless the request or the saved search does', async () => {
+	await call(digest, { query: { period: 'weekly', format: 'json' } });
+	assert.strictEqual(snapshotUrls[0].searchParams.get('days'), '7');
+
+	await call(digest, { query: { period: 'weekly', days: '3', format: 'json' } });
+	assert.strictEqual(snapshotUrls[1].searchParams.get('days'), '3');
+
+	await createSavedSearch({ name: 'EU', params: { q: 'analyst', days: '14' } });
+	await call(digest, { query: { saved: 'eu', period: 'daily', format: 'json' } });
+	assert.strictEqual(snapshotUrls[2].searchParams.get('days'), null);
+	assert.strictEqual(snapshotUrls[2].searchParams.get('saved'), 'eu');
+
+	await createSavedSearch({ name: 'Any', params: { q: 'analyst' } });
+	await call(digest, { query: { saved: 'any', period: 'daily', format: 'json' } });
+	assert.strictEqual(snapshotUrls[3].searchParams.get('days'), '1');
+});
+
+test('unknown periods and formats are 400s', async () => {
+	assert.strictEqual((await call(digest, { query: { period: 'monthly' } })).status, 400);
+	assert.strictEqual((await call(digest, { query: { format: 'pdf' } })).status, 400);
+	assert.strictEqual(snapshotUrls.length, 0);
+});
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const fakeKv = require('./helpers/fake-kv');
+const { call } = require('./helpers/http');
+const { parseIds, applyDismissed, dismissJobs } = require('../lib/jobs/dismissed');
+const dismissedApi = require('../api/jobs-dismissed');
+const cached = require('../api/jobs-cached');
+const snapshot = require('../api/jobs-snapshot');
+const refresh = require('../api/jobs-refresh');
+
+const job = (id, extra) => ({ id, title: 'Data analyst ' + id, company: 'Co ' + id, url: 'https://example.com/' + id, source: 'remotive', skills: [], ...extra });
+
+test.beforeEach(() => {
+	fakeKv.enable();
+	fakeKv.reset();
+	fakeKv.store.set('jobs:scraped:all', { jobs: [job('a'), job('b'), job('c', { alsoOn: [{ id: 'remoteok_c', source: 'remoteok' }] })], scrapedAt: new Date().toISOString() });
+});
+
+test.after(() => {
+	fakeKv.disable();
+	delete process.env.UI_SECRET;
+});
+
+test('parseIds takes arrays or comma lists and rejects empty input', () => {
+	assert.deepStrictEqual(parseIds(' a, b,a ,'), ['a', 'b']);
+	assert.deepStrictEqual(parseIds(['x', 'y']), ['x', 'y']);
+	assert.throws(() => parseIds(''), e => e.status === 400);
+	assert.throws(() => parseIds(['x'.repeat(301)]), e => e.status === 400);
+});
+
+test('applyDismissed drops or flags dismissed jobs, including merged copies in alsoOn', () => {
+	const jobs = [job('a'), job('b'), job('c', { alsoOn: [{ id: 'remoteok_c' }] })];
+	const dismissed = new Set(['a', 'remoteok_c']);
+	const dropped = [];
+	const hidden = applyDismissed(jobs, dismissed, { onDrop: j => dropped.push(j.id) });
+	assert.deepStrictEqual(hidden.jobs.map(j => j.id), ['b']);
+	assert.strictEqual(hidden.count, 2);
+	assert.deepStrictEqual(dropped, ['a', 'c']);
+	const flagged = applyDismissed(jobs, dismissed, { include: true });
+	assert.deepStrictEqual(flagged.jobs.map(j => Boolean(j.dismissed)), [true, false, true]);
+});
+
+test('jobs-dismissed adds, lists and restores ids; writes need KV and the secret', async () => {
+	assert.strictEqual((await call(dismissedApi, { method: 'POST', body: { ids: ['a', 'remoteok_c'] } })).status, 200);
+	assert.deepStrictEqual((await call(dismissedApi, {})).body.ids, ['a', 'remoteok_c']);
+	assert.deepStrictEqual((await call(dismissedApi, { method: 'DELETE', query: { id: 'a' } })).body.restored, ['a']);
+	assert.deepStrictEqual((await call(dismissedApi, {})).body.ids, ['remoteok_c']);
+
+	process.env.UI_SECRET = 'sesame';
+	assert.strictEqual((await call(dismissedApi, { method: 'POST', query: { id: 'b' } })).status, 401);
+	delete process.env.UI_SECRET;
+	fakeKv.disable();
+	assert.strictEqual((await call(dismissedApi, { method: 'POST', query: { id: 'b' } })).status, 503);
+});
+
+test('jobs-cached hides dismissed jobs and keeps the response out of shared caches', async () => {
+	const open = await call(cached, {});
+	assert.match(open.headers['cache-control'], /s-maxage/);
+	await dismissJobs(['remoteok_c']);
+	const r = await call(cached, {});
+	assert.deepStrictEqual(r.body.jobs.map(j => j.id), ['a', 'b']);
+	assert.strictEqual(r.headers['cache-control'], 'private, no-store');
+	const all = await call(cached, { query: { includeDismissed: '1' } });
+	assert.strictEqual(all.body.jobs.length, 3);
+});
+
+test('jobs-cached survives KV errors loading dismissals and company lists', async (t) => {
+	t.mock.method(fakeKv.kv, 'smembers', async () => { throw new Error('KV down'); });
+	t.mock.method(fakeKv.kv, 'get', async (k) => {
+		if (k === 'jobs:scraped:all') return fakeKv.store.get(k);
+		throw new Error('KV down');
+	});
+	const r = await call(cached, {});
+	assert.strictEqual(r.status, 200);
+	assert.strictEqual(r.body.jobs.length, 3);
+	assert.strictEqual(r.body.dismissed.error, 'KV down');
+	assert.strictEqual(r.headers['cache-control'], 'private, no-store');
+});
+
+test('jobs-refresh never sends dismissed jobs to webhooks, on the headless path too', async (t) => {
+	process.env.ENABLE_HEADLESS = '1';
+	process.env.WEBHOOKS_ALLOW_PRIVATE = '1';
+	t.after(() => {
+		delete process.env.ENABLE_HEADLESS;
+		delete process.env.WEBHOOKS_ALLOW_PRIVATE;
+	});
+	const delivered = [];
+	const receiver = http.createServer((req, res) => {
+		let body = '';
+		req.on('data', (c) => { body += c; });
+		req.on('end', () => {
+			delivered.push(JSON.parse(body));
+			res.end();
+		});
+	});
+	await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+	t.after(() => receiver.close());
+	const hookUrl = 'http://127.0.0.1:' + receiver.address().port + '/x';
+	fakeKv.store.set('jobs:webhooks', { wh_1: { id: 'wh_1', name: 'Hook', url: hookUrl, format: 'json', secret: 's', active: true } });
+	await dismissJobs(['d', 'remoteok_f']);
+	t.mock.method(global, 'fetch', async (url) => {
+		assert.match(String(url), /\/api\/headless-scrape-all-portals/);
+		const jobs = [job('a'), job('d'), job('e'), job('f', { alsoOn: [{ id: 'remoteok_f' }] })];
+		return new Response(JSON.stringify({ ok: true, jobs }), { status: 200 });
+	});
+	const r = await call(refresh, { query: { q: 'analyst' } });
+	assert.strictEqual(r.status, 200);
+	assert.strictEqual(r.body.notifications.newJobs, 1);
+	assert.deepStrictEqual(delivered.map(p => p.jobs.map(j => j.id)), [['e']]);
+});
+
+test('jobs-snapshot hides dismissed jobs and explains why', async () => {
+	const now = new Date().toISOString();
+	fakeKv.store.set('jobs:scraped:all', { jobs: [
+		{ title: 'Data Analyst', company: 'Acme', url: 'https://example.com/1', date: now },
+		{ title: 'Data Analyst', company: 'Globex', url: 'https://example.com/2', date: now }
+	] });
+	const before = await call(snapshot, { query: { sources: 'cached' } });
+	const acme = before.body.jobs.find(j => j.company === 'Acme');
+	await dismissJobs([acme.id]);
+	const r = await call(snapshot, { query: { sources: 'cached', explain: '1' } });
+	assert.deepStrictEqual(r.body.jobs.map(j => j.company), ['Globex']);
+	assert.deepStrictEqual(r.body.dismissed, { count: 1, included: false });
+	assert.strictEqual(r.body.droppedCounts.dismissed, 1);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fakeKv = require('./helpers/fake-kv');
+const { call } = require('./helpers/http');
+const { extractExperience, experienceLevelMatch } = require('../lib/jobs/ranking');
+const snapshot = require('../api/jobs-snapshot');
+
+test.after(() => fakeKv.disable());
+
+test('extractExperience reads ranges, open-ended and minimum statements', () => {
+	const cases = [
+		['2-3 years of experience', { min: 2, max: 3, raw: '2-3 years', kind: 'range' }],
+		['10 to 5 years', { min: 5, max: 10, raw: '10 to 5 years', kind: 'range' }],
+		['3+ years', { min: 3, max: null, raw: '3+ years', kind: 'plus' }],
+		['at least 4 yrs', { min: 4, max: null, raw: 'at least 4 yrs', kind: 'min' }],
+		['5 years of professional experience', { min: 5, max: null, raw: '5 years of professional experience', kind: 'min' }],
+		['a mid-level analyst', { min: 2, max: 5, raw: 'mid-level', kind: 'level' }]
+	];
+	cases.forEach(([text, found]) => assert.deepStrictEqual(extractExperience(text), found, text));
+	assert.strictEqual(extractExperience('Python 3 and our 2024 roadmap'), null);
+	assert.strictEqual(extractExperience('Series 2-3 funding'), null);
+});
+
+test('experienceLevelMatch scores overlap with the wanted window and stays neutral otherwise', () => {
+	const window = { min: 2, max: 3 };
+	assert.deepStrictEqual(experienceLevelMatch('Analyst', '2-4 years', window), { match: true, score: 50, experience: { min: 2, max: 4, raw: '2-4 years' } });
+	assert.deepStrictEqual(experienceLevelMatch('Analyst', '5+ years', window), { match: false, score: 0, experience: { min: 5, max: null, raw: '5+ years' } });
+	assert.deepStrictEqual(experienceLevelMatch('Analyst', '', window), { match: true, score: 0, experience: null });
+	assert.strictEqual(experienceLevelMatch('Analyst', '5+ years', null).match, true);
+	assert.strictEqual(experienceLevelMatch('Analyst', '5+ years', { min: 6, max: null }).match, true);
+});
+
+test('jobs-snapshot: ?minYoe=&maxYoe= move the window; ?yoeStrict=1 drops stated mismatches', async () => {
+	fakeKv.enable();
+	const now = new Date().toISOString();
+	fakeKv.store.set('jobs:scraped:all', { jobs: [
+		{ title: 'Data Analyst', company: 'Acme', description: '2-3 years of experience', url: 'https://example.com/junior', date: now },
+		{ title: 'Data Analyst', company: 'Globex', description: '6+ years', url: 'https://example.com/senior', date: now },
+		{ title: 'Data Analyst', company: 'Initech', description: 'No requirement stated', url: 'https://example.com/open', date: now }
+	] });
+	const urls = r => r.body.jobs.map(j => j.url.split('/').pop()).sort();
+
+	const loose = await call(snapshot, { query: { sources: 'cached' } });
+	assert.deepStrictEqual(loose.body.experience, { min: 2, max: 3, strict: false });
+	assert.deepStrictEqual(urls(loose), ['junior', 'open', 'senior']);
+	assert.deepStrictEqual(loose.body.jobs.find(j => j.url.endsWith('senior')).experience, { min: 6, max: null, raw: '6+ years' });
+
+	const strict = await call(snapshot, { query: { sources: 'cached', yoeStrict: '1' } });
+	assert.deepStrictEqual(urls(strict), ['junior', 'open']);
+	const senior = await call(snapshot, { query: { sources: 'cached', minYoe: '8', maxYoe: '5', yoeStrict: 'true' } });
+	assert.deepStrictEqual(senior.body.experience, { min: 5, max: 8, strict: true });
+	assert.deepStrictEqual(urls(senior), ['open', 'senior']);
+});
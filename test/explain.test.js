@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fakeKv = require('./helpers/fake-kv');
+const { call } = require('./helpers/http');
+const { evaluateJob } = require('../lib/jobs/pipeline');
+const snapshot = require('../api/jobs-snapshot');
+
+test.after(() => fakeKv.disable());
+
+test('evaluateJob gives a drop reason or, with explain, a score breakdown that adds up', () => {
+	const now = new Date().toISOString();
+	assert.deepStrictEqual(evaluateJob({ title: 'Data Analyst' }, {}), { drop: { reason: 'invalid_item', detail: 'missing title or url' } });
+	assert.deepStrictEqual(evaluateJob({ title: 'Barista', url: 'https://example.com/1' }, {}).drop, { reason: 'keyword_miss', detail: 'data-analyst' });
+	assert.deepStrictEqual(evaluateJob({ title: 'Senior Data Engineer', url: 'https://example.com/2' }, {}).drop, { reason: 'excluded_tier', detail: 'data engineer' });
+
+	const { job } = evaluateJob({ title: 'Data Analyst', description: '2-3 years', location: 'Remote', url: 'https://example.com/3', date: now }, { explain: true });
+	assert.deepStrictEqual(job._score, { roleTier: 'tier1', roleHit: 'data analyst', roleScore: 200, locationScore: 120, locationRule: 'remote', experienceScore: 50, exclusion: null, total: 370 });
+	assert.strictEqual(job._rank, job._score.total);
+	assert.strictEqual(evaluateJob({ title: 'Data Analyst', url: 'https://example.com/3', date: now }, {}).job._score, undefined);
+});
+
+test('jobs-snapshot ?explain=1 lists dropped jobs with reasons and counts', async () => {
+	fakeKv.enable();
+	const now = new Date().toISOString();
+	fakeKv.store.set('jobs:scraped:all', { jobs: [
+		{ title: 'Data Analyst', url: 'https://example.com/a', date: now },
+		{ title: 'Data Analyst', url: 'https://example.com/a', date: now, source: 'copy' },
+		{ title: 'Barista', url: 'https://example.com/b', date: now },
+		{ title: 'Data Analyst', url: 'https://example.com/c', date: new Date(Date.now() - 30 * 86400000).toISOString() },
+		{ title: 'Data Analyst', description: '8+ years', url: 'https://example.com/d', date: now }
+	] });
+	const r = await call(snapshot, { query: { sources: 'cached', explain: '1', yoeStrict: '1' } });
+	assert.deepStrictEqual(r.body.jobs.map(j => j.url), ['https://example.com/a']);
+	assert.strictEqual(typeof r.body.jobs[0]._score.total, 'number');
+	assert.deepStrictEqual(r.body.droppedCounts, { keyword_miss: 1, stale: 1, experience_mismatch: 1, duplicate: 1 });
+	const byReason = Object.fromEntries(r.body.dropped.map(d => [d.reason, d]));
+	assert.strictEqual(byReason.duplicate.detail, r.body.jobs[0].id);
+	assert.strictEqual(byReason.experience_mismatch.detail, '8+ years');
+	assert.strictEqual(byReason.keyword_miss.source, 'kv_cached');
+
+	const plain = await call(snapshot, { query: { sources: 'cached' } });
+	assert.strictEqual(plain.body.dropped, undefined);
+	assert.strictEqual(plain.body.jobs[0]._score, undefined);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fakeKv = require('./helpers/fake-kv');
+const { call } = require('./helpers/http');
+const { parseExportFormat, exportFilename, streamExport } = require('../lib/jobs/export');
+const cached = require('../api/jobs-cached');
+
+const JOBS = [
+	{ id: 'a', title: '=HYPERLINK("x")', company: 'Acme, Inc', url: 'https://a.example/1', source: 'remotive', date: '2026-10-10', skills: ['sql', 'dbt'], salary: { min: 80000, max: 100000, currency: 'USD', period: 'year' } },
+	{ id: 'b', title: 'Data "Wrangler"', company: 'Globex', url: 'https://b.example/2', source: 'rss', date: '2026-10-09', skills: [] }
+];
+
+test.beforeEach(() => {
+	fakeKv.enable();
+	fakeKv.reset();
+	fakeKv.store.set('jobs:scraped:all', { jobs: JOBS, scrapedAt: new Date().toISOString() });
+});
+
+test.after(() => fakeKv.disable());
+
+test('parseExportFormat and exportFilename', () => {
+	assert.strictEqual(parseExportFormat('CSV'), 'csv');
+	assert.strictEqual(parseExportFormat('rss', ['rss']), null);
+	assert.strictEqual(parseExportFormat(''), null);
+	assert.throws(() => parseExportFormat('xlsx'), e => e.status === 400 && /use json, csv, ndjson/.test(e.message));
+	assert.match(exportFilename('Data Analyst — Zürich!', 'csv'), /^jobs-data-analyst-zurich-\d{4}-\d{2}-\d{2}\.csv$/);
+	assert.match(exportFilename('', 'ndjson'), /^jobs-\d{4}-\d{2}-\d{2}\.ndjson$/);
+});
+
+test('CSV: BOM, quoting, flattened cells and no formulas', async () => {
+	const r = await call(cached, { query: { format: 'csv' } });
+	assert.strictEqual(r.status, 200);
+	assert.strictEqual(r.headers['content-type'], 'text/csv; charset=utf-8');
+	assert.match(r.headers['content-disposition'], /^attachment; filename="jobs-.*\.csv"$/);
+	assert.strictEqual(r.headers['x-total-count'], '2');
+	assert.strictEqual(r.body, '\ufeff' +
+		'title,company,location,url,date,source,jobType,salary,skills\r\n' +
+		'"\'=HYPERLINK(""x"")","Acme, Inc",,https://a.example/1,2026-10-10,remotive,,$80k–100k/yr,sql; dbt\r\n' +
+		'"Data ""Wrangler""",Globex,,https://b.example/2,2026-10-09,rss,,,\r\n');
+});
+
+test('NDJSON: one job per line, trimmed by ?fields=', async () => {
+	const r = await call(cached, { query: { format: 'ndjson', fields: 'id,title' } });
+	assert.strictEqual(r.headers['content-type'], 'application/x-ndjson; charset=utf-8');
+	assert.deepStrictEqual(r.body.trim().split('\n').map(l => JSON.parse(l)), [{ id: 'a', title: JOBS[0].title }, { id: 'b', title: JOBS[1].title }]);
+});
+
+test('an unknown format is a 400', async () => {
+	const r = await call(cached, { query: { format: 'xlsx' } });
+	assert.strictEqual(r.status, 400);
+});
+
+test('streamExport waits for drain when the response buffer is full', async () => {
+	const jobs = Array.from({ length: 450 }, (_, i) => ({ id: 'j' + i }));
+	const chunks = [];
+	let drains = 0;
+	const res = {
+		setHeader() {},
+		status() { return res; },
+		write(chunk) { chunks.push(chunk); return false; },
+		once(event, fn) { assert.strictEqual(event, 'drain'); drains++; setImmediate(fn); },
+		end() { return res; }
+	};
+	await streamExport(res, 'ndjson', jobs, ['id'], 'big');
+	// 200 rows per chunk: 3 writes, each waiting for drain
+	assert.deepStrictEqual([chunks.length, drains], [3, 3]);
+	assert.strictEqual(chunks.join('').split('\n').length - 1, 450);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fakeKv = require('./helpers/fake-kv');
+const { call } = require('./helpers/http');
+const { parseFeedFormat, renderFeed } = require('../lib/jobs/feeds');
+const feed = require('../api/jobs-feed');
+
+const META = { title: 'Jobs & more', description: 'Ranked jobs', homeUrl: 'https://jobs.test/jobs', feedUrl: 'https://jobs.test/api/jobs-feed?format=rss' };
+const JOBS = [
+	{ id: 'a', title: 'Data Analyst', company: 'Acme', location: 'Remote', url: 'https://a.example/1', source: 'remotive', date: '2026-10-10T12:00:00Z', skills: ['sql', 'dbt'], salary: { min: 80000, max: 100000, currency: 'USD', period: 'year' }, description: '<p>Hello &amp; <b>welcome</b></p>' },
+	{ id: 'b/2', title: 'Wrangler <lead>\u0001', company: 'Unknown', url: 'javascript:alert(1)', source: 'rss', description: 'x '.repeat(800) }
+];
+
+test('parseFeedFormat', () => {
+	assert.strictEqual(parseFeedFormat(''), null);
+	assert.strictEqual(parseFeedFormat('json'), null);
+	assert.strictEqual(parseFeedFormat('Atom'), 'atom');
+	assert.throws(() => parseFeedFormat('xml'), e => e.status === 400);
+});
+
+test('RSS 2.0: escaped text, http(s) links only, facts line and categories', () => {
+	const { contentType, body } = renderFeed('rss', JOBS, META);
+	assert.strictEqual(contentType, 'application/rss+xml; charset=utf-8');
+	assert.ok(body.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<rss version="2.0"'));
+	assert.ok(body.includes('<title>Jobs &amp; more</title>'));
+	assert.ok(body.includes('<title>Data Analyst — Acme</title><link>https://a.example/1</link><guid isPermaLink="false">a</guid><pubDate>Sat, 10 Oct 2026 12:00:00 GMT</pubDate>'));
+	assert.ok(body.includes('&lt;p&gt;Acme · Remote · $80k–100k/yr · sql, dbt&lt;/p&gt;&lt;p&gt;Hello &amp;amp; welcome&lt;/p&gt;'));
+	assert.ok(body.includes('<category>remotive</category><category>sql</category><category>dbt</category>'));
+	// "Unknown" company is left out of the title; a javascript: URL gets no <link>
+	assert.ok(body.includes('<title>Wrangler &lt;lead&gt;</title><guid'));
+	assert.ok(!body.includes('javascript:'));
+	assert.ok(!body.includes('\u0001'));
+	// long descriptions are cut at a word boundary
+	assert.ok(/x x…&lt;\/p&gt;<\/description>/.test(body));
+});
+
+test('Atom 1.0 ids fall back to a urn for jobs without a usable URL', () => {
+	const { contentType, body } = renderFeed('atom', JOBS, META);
+	assert.strictEqual(contentType, 'application/atom+xml; charset=utf-8');
+	assert.ok(body.includes('<id>https://a.example/1</id><published>2026-10-10T12:00:00.000Z</published>'));
+	assert.ok(body.includes('<id>urn:jobs:b%2F2</id>'));
+	assert.ok(body.includes('<updated>2026-10-10T12:00:00.000Z</updated><author><name>Jobs aggregator</name></author>'));
+});
+
+test('JSON Feed 1.1 carries the structured fields under _job', () => {
+	const { contentType, body } = renderFeed('jsonfeed', JOBS, META);
+	assert.strictEqual(contentType, 'application/feed+json; charset=utf-8');
+	const feed = JSON.parse(body);
+	assert.strictEqual(feed.version, 'https://jsonfeed.org/version/1.1');
+	assert.strictEqual(feed.feed_url, META.feedUrl);
+	assert.deepStrictEqual(feed.items.map(i => i.id), ['a', 'b/2']);
+	assert.strictEqual(feed.items[0].date_published, '2026-10-10T12:00:00.000Z');
+	assert.deepStrictEqual(feed.items[0]._job.salary, JOBS[0].salary);
+	assert.strictEqual(feed.items[1].url, undefined);
+});
+
+test('jobs-feed serves the ranked snapshot list as RSS by default', async (t) => {
+	fakeKv.enable();
+	fakeKv.reset();
+	t.after(() => fakeKv.disable());
+	fakeKv.store.set('jobs:scraped:all', { jobs: [{ title: 'Data Analyst', company: 'Acme', url: 'https://example.com/1', date: new Date().toISOString() }] });
+	const r = await call(feed, { query: { sources: 'cached' }, url: '/api/jobs-feed?sources=cached' });
+	assert.strictEqual(r.status, 200);
+	assert.strictEqual(r.headers['content-type'], 'application/rss+xml; charset=utf-8');
+	assert.match(r.body, /<item><title>Data Analyst — Acme<\/title><link>https:\/\/example\.com\/1<\/link>/);
+	assert.match(r.body, /https:\/\/jobs\.test\/api\/jobs-feed\?sources=cached/);
+	assert.strictEqual((await call(feed, { query: { sources: 'cached', format: 'xml' } })).status, 400);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fakeKv = require('./helpers/fake-kv');
+const { call } = require('./helpers/http');
+const { parseFields, projectJobs } = require('../lib/jobs/util');
+const snapshot = require('../api/jobs-snapshot');
+const detail = require('../api/jobs-detail');
+
+test.beforeEach(() => {
+	fakeKv.enable();
+	fakeKv.reset();
+	fakeKv.store.set('jobs:scraped:all', { jobs: [
+		{ title: 'Data Analyst', company: 'Acme', description: 'A long description', url: 'https://example.com/1', date: new Date().toISOString() }
+	] });
+});
+
+test.after(() => fakeKv.disable());
+
+test('parseFields always keeps id and rejects unknown fields', () => {
+	assert.strictEqual(parseFields(''), null);
+	assert.deepStrictEqual(parseFields('title, url,title'), ['id', 'title', 'url']);
+	assert.throws(() => parseFields('title,salaryz'), e => e.status === 400 && /Unknown fields: salaryz/.test(e.message));
+	assert.deepStrictEqual(projectJobs([{ id: 'a', title: 'T', description: 'D' }], ['id', 'title', 'company']), [{ id: 'a', title: 'T' }]);
+	assert.deepStrictEqual(projectJobs([{ id: 'a', description: 'D' }], null), [{ id: 'a', description: 'D' }]);
+});
+
+test('a projected snapshot leaves out descriptions; jobs-detail returns the full record', async () => {
+	const list = await call(snapshot, { query: { sources: 'cached', fields: 'title,company' } });
+	assert.strictEqual(list.status, 200);
+	const [job] = list.body.jobs;
+	assert.deepStrictEqual(Object.keys(job).sort(), ['company', 'id', 'title']);
+
+	// the snapshot saved the full record in today's KV hash
+	const day = fakeKv.store.get('jobs:details:' + new Date().toISOString().slice(0, 10));
+	assert.strictEqual(day[job.id].description, 'A long description');
+	fakeKv.store.delete('jobs:scraped:all');
+	const full = await call(detail, { query: { id: job.id } });
+	assert.strictEqual(full.status, 200);
+	assert.strictEqual(full.body.job.description, 'A long description');
+});
+
+test('jobs-detail: 400 without an id, 404 for an unknown one', async () => {
+	assert.strictEqual((await call(detail, {})).status, 400);
+	const missing = await call(detail, { query: { id: 'nope_1' } });
+	assert.strictEqual(missing.status, 404);
+	assert.strictEqual(missing.headers['cache-control'], 'no-store');
+	assert.strictEqual((await call(snapshot, { query: { fields: 'bogus' } })).status, 400);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fakeKv = require('./helpers/fake-kv');
+const { call } = require('./helpers/http');
+const { yearlySalary } = require('../lib/jobs/salary');
+
+// loadRates caches per instance, so each test gets a fresh copy of the module
+function freshFx() {
+	delete require.cache[require.resolve('../lib/jobs/fx')];
+	return require('../lib/jobs/fx');
+}
+
+test.beforeEach(() => fakeKv.reset());
+test.after(() => fakeKv.disable());
+
+test('without KV the bundled table is used', async () => {
+	fakeKv.disable();
+	const table = await freshFx().loadRates();
+	assert.strictEqual(table.source, 'file');
+	assert.strictEqual(table.base, 'USD');
+	assert.strictEqual(table.rates.USD, 1);
+	assert.ok(table.rates.EUR > 0);
+});
+
+test('a KV table overrides the file; a bad one falls back to it', async () => {
+	fakeKv.enable();
+	const fx = freshFx();
+	fakeKv.store.set(fx.KV_KEY, { base: 'usd', asOf: '2026-10-01', rates: { eur: 0.5 } });
+	const table = await fx.loadRates();
+	assert.deepStrictEqual(table, { base: 'USD', asOf: '2026-10-01', source: 'kv', rates: { EUR: 0.5, USD: 1 } });
+
+	const fresh = freshFx();
+	fakeKv.store.set(fresh.KV_KEY, { rates: { EUR: -1 } });
+	assert.strictEqual((await fresh.loadRates()).source, 'file');
+});
+
+test('convertAmount goes through the base currency', () => {
+	const { convertAmount } = freshFx();
+	const table = { base: 'USD', rates: { USD: 1, EUR: 0.5, INR: 80 } };
+	assert.strictEqual(convertAmount(100, 'EUR', 'USD', table), 200);
+	assert.strictEqual(convertAmount(100, 'EUR', 'INR', table), 16000);
+	assert.strictEqual(convertAmount(100, 'XYZ', 'USD', table), null);
+	assert.strictEqual(convertAmount(100, 'XYZ', 'XYZ', table), 100);
+});
+
+test('yearlySalary annualizes, converts and rounds', () => {
+	const table = { base: 'USD', rates: { USD: 1, EUR: 0.9 } };
+	assert.deepStrictEqual(yearlySalary({ min: 4500, max: null, currency: 'EUR', period: 'month' }, 'USD', table), { min: 60000, max: null, currency: 'USD', period: 'year' });
+	assert.deepStrictEqual(yearlySalary({ min: 40, max: 50, currency: 'USD', period: 'hour' }, 'EUR', table), { min: 74880, max: 93600, currency: 'EUR', period: 'year' });
+	assert.strictEqual(yearlySalary({ min: 1000, max: null, currency: 'XYZ', period: 'year' }, 'USD', table), null);
+});
+
+test('jobs-snapshot converts salaries to ?currency= for the floor, sort and salaryNormalized', async () => {
+	fakeKv.enable();
+	const fx = freshFx();
+	fakeKv.store.set(fx.KV_KEY, { base: 'USD', asOf: '2026-10-01', rates: { USD: 1, EUR: 0.5 } });
+	const now = new Date().toISOString();
+	fakeKv.store.set('jobs:scraped:all', { jobs: [
+		{ title: 'Data Analyst', company: 'Acme', description: 'Salary: €40,000 per year', url: 'https://example.com/eur', date: now },
+		{ title: 'Data Analyst', company: 'Globex', description: 'Pay: $60k/yr', url: 'https://example.com/usd', date: now }
+	] });
+	// required after freshFx() so the handler shares that (uncached) rates module
+	const snapshot = require('../api/jobs-snapshot');
+	const r = await call(snapshot, { query: { sources: 'cached', currency: 'usd', minSalary: '70000', sort: 'salary' } });
+	assert.deepStrictEqual(r.body.fxRates, { base: 'USD', asOf: '2026-10-01', source: 'kv' });
+	// €40k at 0.5 EUR per USD is $80k, above the floor; $60k is not
+	assert.deepStrictEqual(r.body.jobs.map(j => [j.url, j.salaryNormalized]), [['https://example.com/eur', { min: 80000, max: null, currency: 'USD', period: 'year' }]]);
+
+	const unknown = await call(snapshot, { query: { sources: 'cached', currency: 'CHF' } });
+	assert.strictEqual(unknown.status, 400);
+	assert.deepStrictEqual(unknown.body.currencies, ['EUR', 'USD']);
+});
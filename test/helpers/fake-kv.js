@@ -0,0 +1,59 @@
+/**
+ * In-memory stand-in for @vercel/kv (the commands lib/jobs uses), registered in require.cache so modules
+ * that `require('@vercel/kv')` get it. `enable()` / `disable()` set or clear the KV env vars; `reset()`
+ * empties the store between tests.
+ */
+
+const Module = require('module');
+
+const store = new Map();
+
+function copy(v) {
+	return v == null ? v : JSON.parse(JSON.stringify(v));
+}
+
+const kv = {
+	async get(k) { return store.has(k) ? copy(store.get(k)) : null; },
+	async set(k, v, opts) {
+		if (opts && opts.nx && store.has(k)) return null;
+		store.set(k, copy(v));
+		return 'OK';
+	},
+	async setex(k, s, v) { store.set(k, copy(v)); return 'OK'; },
+	async del(k) { return store.delete(k) ? 1 : 0; },
+	async expire() { return 1; },
+	async hget(k, f) { const h = store.get(k) || {}; return h[f] == null ? null : copy(h[f]); },
+	async hset(k, o) { const h = store.get(k) || {}; Object.assign(h, copy(o)); store.set(k, h); return 1; },
+	async hgetall(k) { return store.has(k) ? copy(store.get(k)) : null; },
+	async hdel(k, ...fields) { const h = store.get(k) || {}; fields.forEach((f) => { delete h[f]; }); return 1; },
+	async sadd(k, ...m) { const s = new Set(store.get(k) || []); m.flat().forEach(x => s.add(x)); store.set(k, [...s]); return 1; },
+	async srem(k, ...m) { const s = new Set(store.get(k) || []); m.flat().forEach(x => s.delete(x)); store.set(k, [...s]); return 1; },
+	async smembers(k) { return [...(store.get(k) || [])]; },
+	async incr(k) { const n = (Number(store.get(k)) || 0) + 1; store.set(k, n); return n; },
+	async lpush(k, ...v) { const l = store.get(k) || []; l.unshift(...copy(v)); store.set(k, l); return l.length; },
+	async ltrim(k, a, b) { const l = store.get(k) || []; store.set(k, l.slice(a, b === -1 ? undefined : b + 1)); return 'OK'; },
+	async lrange(k, a, b) { const l = store.get(k) || []; return copy(l.slice(a, b === -1 ? undefined : b + 1)); }
+};
+
+const resolve = Module._resolveFilename;
+Module._resolveFilename = function (request, ...rest) {
+	if (request === '@vercel/kv') return '@vercel/kv';
+	return resolve.call(this, request, ...rest);
+};
+require.cache['@vercel/kv'] = { id: '@vercel/kv', filename: '@vercel/kv', loaded: true, exports: { kv } };
+
+module.exports = {
+	kv,
+	store,
+	enable() {
+		process.env.KV_REST_API_URL = 'http://kv.test';
+		process.env.KV_REST_API_TOKEN = 'test';
+	},
+	disable() {
+		delete process.env.KV_REST_API_URL;
+		delete process.env.KV_REST_API_TOKEN;
+	},
+	reset() {
+		store.clear();
+	}
+};
@@ -0,0 +1,40 @@
+/**
+ * Minimal Vercel-style req/res for calling API handlers in tests: `call(handler, { method, query, headers, body })`
+ * resolves to { status, headers, body (parsed JSON or text) }.
+ */
+
+function call(handler, opts) {
+	const o = opts || {};
+	return new Promise((resolve, reject) => {
+		const headers = {};
+		let status = 200;
+		const chunks = [];
+		const done = () => {
+			const text = chunks.join('');
+			let body = text;
+			try {
+				body = JSON.parse(text);
+			} catch (e) { /* not JSON */ }
+			resolve({ status, headers, body });
+		};
+		const res = {
+			setHeader(k, v) { headers[k.toLowerCase()] = v; },
+			getHeader(k) { return headers[k.toLowerCase()]; },
+			status(s) { status = s; return res; },
+			json(v) { chunks.push(JSON.stringify(v)); done(); return res; },
+			send(v) { chunks.push(String(v)); done(); return res; },
+			write(v) { chunks.push(String(v)); return true; },
+			end(v) { if (v) chunks.push(String(v)); done(); return res; }
+		};
+		const req = {
+			method: o.method || 'GET',
+			query: o.query || {},
+			headers: { host: 'jobs.test', ...(o.headers || {}) },
+			body: o.body,
+			url: o.url
+		};
+		Promise.resolve(handler(req, res)).catch(reject);
+	});
+}
+
+module.exports = { call };
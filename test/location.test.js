@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseLocation, parseLocPrefs, matchLocationRules, profileLocationRules } = require('../lib/jobs/location');
+
+test('parseLocation: work mode, places and timezone windows', () => {
+	assert.deepStrictEqual(parseLocation('Remote - Europe (CET ±2h)'), {
+		remote: true, hybrid: false, worldwide: false, countries: [], cities: [], regions: ['europe'], timezone: { min: -1, max: 3 }
+	});
+	const berlin = parseLocation('Hybrid, Berlin');
+	assert.ok(berlin.hybrid && !berlin.remote);
+	assert.deepStrictEqual([berlin.countries, berlin.cities], [['DE'], ['berlin']]);
+	assert.ok(parseLocation('Anywhere in the world').worldwide);
+	assert.deepStrictEqual(parseLocation('Remote (UTC-5 to UTC+1)').timezone, { min: -5, max: 1 });
+	assert.deepStrictEqual(parseLocation('Bangalore, India').countries, ['IN']);
+});
+
+test('the first matching rule gives the score', () => {
+	const rules = parseLocPrefs('remote:europe,remote:tz=-5..2,remote,onsite:lisbon|porto@40');
+	const score = location => matchLocationRules(parseLocation(location), rules);
+	// rules without @N score by position: 150, 120, 90
+	assert.deepStrictEqual(score('Remote - Germany'), { score: 150, rule: 'remote:europe' });
+	assert.deepStrictEqual(score('Remote (UTC-4)'), { score: 120, rule: 'remote:tz=-5..2' });
+	assert.deepStrictEqual(score('Remote - Australia'), { score: 90, rule: 'remote' });
+	assert.deepStrictEqual(score('Lisbon, Portugal'), { score: 40, rule: 'onsite:lisbon|porto' });
+	assert.deepStrictEqual(score('Hybrid, Lisbon'), { score: 0, rule: null });
+});
+
+test('remote jobs open worldwide match country and region rules', () => {
+	const rules = parseLocPrefs('remote:europe,remote:latam');
+	['Remote - Anywhere', 'Worldwide', 'Remote (Global)'].forEach((location) => {
+		assert.deepStrictEqual(matchLocationRules(parseLocation(location), rules), { score: 150, rule: 'remote:europe' }, location);
+	});
+	assert.deepStrictEqual(matchLocationRules(parseLocation('Remote - Brazil'), rules), { score: 120, rule: 'remote:latam' });
+	assert.deepStrictEqual(matchLocationRules(parseLocation('Remote - Canada'), rules), { score: 0, rule: null });
+	// a stated timezone still has to fit
+	const tz = parseLocPrefs('remote:tz=-5..2');
+	assert.strictEqual(matchLocationRules(parseLocation('Remote, Anywhere'), tz).score, 150);
+	assert.strictEqual(matchLocationRules(parseLocation('Remote, Anywhere (UTC+8 to UTC+10)'), tz).score, 0);
+});
+
+test('locPrefs also takes a JSON rule list', () => {
+	const rules = parseLocPrefs(JSON.stringify([{ mode: 'hybrid', cities: ['berlin'], score: 70, label: 'berlin office' }]));
+	assert.deepStrictEqual(matchLocationRules(parseLocation('Hybrid, Berlin'), rules), { score: 70, rule: 'berlin office' });
+	assert.strictEqual(parseLocPrefs(''), null);
+});
+
+test('bad rules are 400s', () => {
+	['remote:atlantis', '[bad', 'remote:tz=abc', '[]', JSON.stringify([{ mode: 'spaceship' }])].forEach((p) => {
+		assert.throws(() => parseLocPrefs(p), e => e.status === 400 && /^Invalid location rule/.test(e.message), p);
+	});
+});
+
+test('profiles without location rules keep the original priorities', () => {
+	const rules = profileLocationRules({});
+	assert.deepStrictEqual(rules.map(r => [r.label, r.score]), [['remote:IN', 150], ['remote', 120], ['any:IN', 80]]);
+	assert.strictEqual(matchLocationRules(parseLocation('Bangalore, India'), rules).score, 80);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { buildMessage, sendMail, defaultTransport } = require('../lib/jobs/mailer');
+
+const MESSAGE = { from: 'Jobs digest <digest@example.com>', to: 'me@example.com', subject: 'Jobs', text: 'hello\n.dot line', html: '<p>hello</p>' };
+
+test('buildMessage writes a multipart text + HTML message with a bare-address envelope', () => {
+	const msg = buildMessage({ ...MESSAGE, subject: 'Jobs · Montag', to: 'me@example.com, Other <other@example.com>' });
+	const [head, body] = msg.raw.split('\r\n\r\n');
+	const headers = head.split('\r\n');
+	assert.ok(headers.includes('To: me@example.com, "Other" <other@example.com>'));
+	assert.ok(headers.includes('Subject: =?UTF-8?B?' + Buffer.from('Jobs · Montag').toString('base64') + '?='));
+	assert.match(body, /^--b_[0-9a-f]+$/m);
+	assert.deepStrictEqual(msg.envelope, { from: 'digest@example.com', to: ['me@example.com', 'other@example.com'] });
+	assert.throws(() => buildMessage({ ...MESSAGE, to: '' }), e => e.status === 400);
+	assert.throws(() => buildMessage({ ...MESSAGE, to: 'not-an-address' }), e => e.status === 400);
+});
+
+test('the default transport is DIGEST_TRANSPORT, else smtp with SMTP_HOST, else none', async (t) => {
+	t.after(() => { delete process.env.DIGEST_TRANSPORT; delete process.env.SMTP_HOST; });
+	assert.strictEqual(defaultTransport(), null);
+	await assert.rejects(sendMail(MESSAGE), e => e.status === 503 && /no mail transport configured/i.test(e.message));
+	process.env.SMTP_HOST = 'smtp.example.com';
+	assert.strictEqual(defaultTransport(), 'smtp');
+	process.env.DIGEST_TRANSPORT = 'eml';
+	assert.strictEqual(defaultTransport(), 'eml');
+});
+
+test('display names with CR/LF are rejected, not turned into headers', () => {
+	assert.throws(() => buildMessage({ ...MESSAGE, to: 'Evil\r\nBcc: victim@example.org <me@example.com>' }), e => e.status === 400);
+	assert.throws(() => buildMessage({ ...MESSAGE, to: ['me@example.com\nBcc: victim@example.org'] }), e => e.status === 400);
+	assert.throws(() => buildMessage({ ...MESSAGE, from: 'Jobs\r\nX-Injected: 1 <digest@example.com>' }), e => e.status === 400);
+});
+
+test('display names are quoted or RFC 2047-encoded; the envelope gets bare addresses', () => {
+	const msg = buildMessage({ ...MESSAGE, to: 'Évé Doe <eve@example.com>, "A \\"B\\"" <ab@example.com>, plain@example.com' });
+	const headers = msg.raw.split('\r\n\r\n')[0].split('\r\n');
+	assert.ok(headers.includes('From: "Jobs digest" <digest@example.com>'));
+	assert.ok(headers.includes('To: =?UTF-8?B?' + Buffer.from('Évé Doe').toString('base64') + '?= <eve@example.com>, "A \\"B\\"" <ab@example.com>, plain@example.com'));
+	assert.deepStrictEqual(msg.envelope, { from: 'digest@example.com', to: ['eve@example.com', 'ab@example.com', 'plain@example.com'] });
+});
+
+// Fake SMTP server without STARTTLS; records the commands it gets
+function smtpSink() {
+	const commands = [];
+	const server = net.createServer((socket) => {
+		let data = false;
+		let buffer = '';
+		socket.write('220 sink ready\r\n');
+		socket.on('data', (chunk) => {
+			buffer += chunk.toString('utf8');
+			let i;
+			while ((i = buffer.indexOf('\r\n')) >= 0) {
+				const line = buffer.slice(0, i);
+				buffer = buffer.slice(i + 2);
+				if (data) {
+					if (line === '.') {
+						data = false;
+						socket.write('250 queued\r\n');
+					}
+					continue;
+				}
+				commands.push(line);
+				const verb = line.split(' ')[0].toUpperCase();
+				if (verb === 'EHLO') socket.write('250-sink\r\n250 AUTH PLAIN\r\n');
+				else if (verb === 'AUTH') socket.write('235 ok\r\n');
+				else if (verb === 'DATA') { data = true; socket.write('354 go\r\n'); }
+				else if (verb === 'QUIT') socket.end('221 bye\r\n');
+				else socket.write('250 ok\r\n');
+			}
+		});
+	});
+	return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, commands, port: server.address().port })));
+}
+
+test('SMTP refuses AUTH on a connection without TLS unless SMTP_ALLOW_INSECURE_AUTH=1', async (t) => {
+	const sink = await smtpSink();
+	const env = { SMTP_HOST: '127.0.0.1', SMTP_PORT: String(sink.port), SMTP_USER: 'digest', SMTP_PASS: 'hunter2' };
+	Object.assign(process.env, env);
+	t.after(() => {
+		sink.server.close();
+		Object.keys(env).concat('SMTP_ALLOW_INSECURE_AUTH').forEach((k) => { delete process.env[k]; });
+	});
+
+	await assert.rejects(sendMail(MESSAGE, 'smtp'), e => e.status === 502 && /cleartext/.test(e.message));
+	assert.ok(!sink.commands.some(c => c.startsWith('AUTH')), 'no credentials on the wire');
+
+	process.env.SMTP_ALLOW_INSECURE_AUTH = '1';
+	const info = await sendMail(MESSAGE, 'smtp');
+	assert.deepStrictEqual(info.accepted, ['me@example.com']);
+	assert.ok(sink.commands.some(c => c.startsWith('AUTH PLAIN ')));
+	assert.ok(sink.commands.includes('RCPT TO:<me@example.com>'));
+});
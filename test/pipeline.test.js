@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fakeKv = require('./helpers/fake-kv');
+const { call } = require('./helpers/http');
+const { runSources } = require('../lib/jobs/pipeline');
+const snapshot = require('../api/jobs-snapshot');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const adapter = (id, delayMs, items) => ({ id, kind: 'api', fetch: async () => { await sleep(delayMs); return items; }, map: it => it });
+
+test.after(() => fakeKv.disable());
+
+test('runSources: one budget for all sources; late ones are reported as timed out', async () => {
+	const started = Date.now();
+	const results = await runSources([
+		adapter('fast', 10, [{ n: 1 }]),
+		adapter('slow', 400, [{ n: 2 }]),
+		adapter('slower', 600, [{ n: 3 }])
+	], 'q', {}, { budgetMs: 100 });
+	// the budget is shared, not per source
+	assert.ok(Date.now() - started < 300);
+	assert.deepStrictEqual(results.map(r => [r.adapter.id, r.items.length, r.timedOut]), [['fast', 1, false], ['slow', 0, true], ['slower', 0, true]]);
+	assert.strictEqual(results[1].error, 'Exceeded budget of 100ms');
+	assert.ok(results[0].elapsedMs < 100);
+});
+
+test('runSources without a budget waits for every source', async () => {
+	const results = await runSources([adapter('a', 30, [1]), adapter('b', 60, [2, 3])], 'q', {});
+	assert.deepStrictEqual(results.map(r => [r.items.length, r.timedOut]), [[1, false], [2, false]]);
+});
+
+test('jobs-snapshot lists sources that miss ?budgetMs= in timedOut, not _errors', async (t) => {
+	fakeKv.enable();
+	t.mock.method(fakeKv.kv, 'get', async () => { await sleep(1500); return null; });
+	const r = await call(snapshot, { query: { sources: 'cached', budgetMs: '10' } });
+	// budgetMs is clamped to at least 1s
+	assert.strictEqual(r.body.budgetMs, 1000);
+	assert.deepStrictEqual(r.body.timedOut, ['kv_cached']);
+	assert.strictEqual(r.body._errors, undefined);
+	assert.ok(r.body.elapsedMs >= 900 && r.body.elapsedMs < 1500, String(r.body.elapsedMs));
+	assert.deepStrictEqual(Object.keys(r.body.sourceTimings), ['kv_cached']);
+});
+
+test('sourceStatus: fetched vs kept per source, HTTP status and errors', async (t) => {
+	const { fetchJson } = require('../lib/jobs/fetch');
+	const { collectJobs, sourceStatusReport } = require('../lib/jobs/pipeline');
+	t.mock.method(global, 'fetch', async url => new Response(JSON.stringify(url.includes('down') ? {} : [{ title: 'Data Analyst', n: 1 }, { title: 'Chef', n: 2 }]), { status: url.includes('down') ? 503 : 200 }));
+	const json = (id, url) => ({
+		id,
+		kind: 'api',
+		fetch: (q, ctx) => fetchJson(url, { status: ctx.status }),
+		map: it => ({ id: id + it.n, title: it.title, url: 'https://example.com/' + id + it.n, date: new Date().toISOString() })
+	});
+	const results = await runSources([json('up', 'https://up.example/'), json('down', 'https://down.example/')], 'q', {});
+	const { counts } = collectJobs(results, { maxAgeMs: 86400000 });
+	assert.deepStrictEqual(sourceStatusReport(results, counts).map(({ elapsedMs, ...s }) => s), [
+		{ source: 'up', kind: 'api', ok: true, fetched: 2, kept: 1, httpStatus: 200, error: null, timedOut: false },
+		{ source: 'down', kind: 'api', ok: false, fetched: 0, kept: 0, httpStatus: 503, error: 'HTTP 503', timedOut: false }
+	]);
+});
+
+test('jobs-snapshot reports stale and off-keyword items as fetched but not kept', async () => {
+	fakeKv.enable();
+	const old = new Date(Date.now() - 20 * 86400000).toISOString();
+	fakeKv.store.set('jobs:scraped:all', { jobs: [
+		{ title: 'Data Analyst', url: 'https://example.com/1', date: new Date().toISOString() },
+		{ title: 'Data Analyst', url: 'https://example.com/2', date: old },
+		{ title: 'Barista', url: 'https://example.com/3', date: new Date().toISOString() }
+	] });
+	const r = await call(snapshot, { query: { sources: 'cached', days: '7' } });
+	const [status] = r.body.sourceStatus;
+	assert.deepStrictEqual([status.source, status.ok, status.fetched, status.kept, status.error], ['kv_cached', true, 3, 1, null]);
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fakeKv = require('./helpers/fake-kv');
+const { call } = require('./helpers/http');
+const { loadProfile, listProfiles, DEFAULT_PROFILE } = require('../lib/jobs/profiles');
+const { roleTierRank } = require('../lib/jobs/ranking');
+const snapshot = require('../api/jobs-snapshot');
+
+test.beforeEach(() => fakeKv.reset());
+test.after(() => fakeKv.disable());
+
+test('bundled profiles load and rank titles by their own tiers', async () => {
+	assert.deepStrictEqual(listProfiles(), ['data-analyst', 'frontend', 'product-design', 'sre']);
+	const analyst = await loadProfile();
+	const sre = await loadProfile('SRE');
+	assert.strictEqual(analyst.name, DEFAULT_PROFILE);
+	assert.deepStrictEqual(roleTierRank('Senior Data Analyst', '', analyst), { tier: 'tier1', score: 200, hit: 'data analyst' });
+	assert.strictEqual(roleTierRank('Data Engineer', '', analyst).tier, 'excluded');
+	assert.strictEqual(roleTierRank('Site Reliability Engineer', '', analyst).score, 0);
+	assert.deepStrictEqual(roleTierRank('Site Reliability Engineer', '', sre), { tier: 'tier1', score: 200, hit: 'site reliability engineer' });
+});
+
+test('every bundled profile has its own default search term', async () => {
+	const searches = new Set();
+	for (const name of listProfiles()) {
+		const profile = await loadProfile(name);
+		assert.ok(profile.search, name + ' has a search term');
+		searches.add(profile.search);
+	}
+	assert.strictEqual(searches.size, listProfiles().length);
+	assert.strictEqual((await loadProfile()).search, 'data analyst');
+	assert.strictEqual((await loadProfile('sre')).search, 'site reliability engineer');
+});
+
+test('profiles not in the repo come from KV; bad names and documents are refused', async () => {
+	fakeKv.enable();
+	fakeKv.store.set('jobs:profile:ml', { keywords: ['Machine Learning'], tiers: [{ tier: 'tier1', score: 200, phrases: ['ml engineer'] }] });
+	const ml = await loadProfile('ml');
+	assert.strictEqual(ml.name, 'ml');
+	assert.deepStrictEqual(ml.keywords, ['machine learning']);
+	assert.strictEqual(roleTierRank('ML Engineer', '', ml).score, 200);
+	assert.strictEqual(ml.search, 'Machine Learning');
+
+	fakeKv.store.set('jobs:profile:broken', { keywords: [], tiers: [] });
+	await assert.rejects(loadProfile('broken'), /non-empty keywords/);
+	fakeKv.store.set('jobs:profile:blank', { keywords: ['ml'], tiers: [], search: ' ' });
+	await assert.rejects(loadProfile('blank'), /search must be a non-empty string/);
+	await assert.rejects(loadProfile('nope'), e => e.status === 400);
+	await assert.rejects(loadProfile('broken'), e => e.status === 400);
+	await assert.rejects(loadProfile('../etc'), e => e.status === 400);
+});
+
+test('KV profiles with a regex that does not compile are refused by name and field', async () => {
+	fakeKv.enable();
+	const base = { keywords: ['ml'], tiers: [{ tier: 'tier1', score: 200, phrases: ['ml engineer'] }] };
+	const bad = {
+		titles: { irrelevantTitles: { pattern: 'sales|(' } },
+		unless: { irrelevantTitles: { pattern: 'sales', unless: '[a-' } },
+		exclude: { exclude: { phrases: ['hybrid'], unless: '*remote' } },
+		context: { tiers: [{ tier: 'tier1', score: 200, phrases: ['ml engineer'], requireContext: [{ hitIncludes: 'ml', pattern: '(?<x' }] }] },
+		fallback: { fallback: { tier: 'tier3', pattern: '\\' } }
+	};
+	const fields = { titles: 'irrelevantTitles.pattern', unless: 'irrelevantTitles.unless', exclude: 'exclude.unless', context: 'tiers[0].requireContext[0].pattern', fallback: 'fallback.pattern' };
+	for (const [key, doc] of Object.entries(bad)) {
+		fakeKv.store.set('jobs:profile:bad-' + key, { ...base, ...doc });
+		await assert.rejects(loadProfile('bad-' + key), (e) => {
+			assert.strictEqual(e.status, 400);
+			assert.ok(e.message.startsWith('Profile "bad-' + key + '" ' + fields[key] + ' is not a valid regex'), e.message);
+			return true;
+		});
+	}
+	fakeKv.store.set('jobs:scraped:all', { jobs: [{ title: 'ML Engineer', url: 'https://example.com/1', date: new Date().toISOString() }] });
+	const r = await call(snapshot, { query: { sources: 'cached', profile: 'bad-fallback' } });
+	assert.strictEqual(r.status, 400);
+	assert.match(r.body.error, /^Profile "bad-fallback" fallback.pattern is not a valid regex/);
+});
+
+test('jobs-snapshot ranks and prefilters with ?profile=', async () => {
+	fakeKv.enable();
+	const now = new Date().toISOString();
+	fakeKv.store.set('jobs:scraped:all', { jobs: [
+		{ title: 'Senior Data Analyst', url: 'https://example.com/1', location: 'Berlin', date: now },
+		{ title: 'Platform Engineer', url: 'https://example.com/2', location: 'Berlin', date: now }
+	] });
+	const analyst = await call(snapshot, { query: { sources: 'cached' } });
+	assert.strictEqual(analyst.body.profile, 'data-analyst');
+	assert.deepStrictEqual(analyst.body.jobs.map(j => j.title), ['Senior Data Analyst']);
+	assert.strictEqual(analyst.body.query, 'data analyst');
+	const sre = await call(snapshot, { query: { sources: 'cached', profile: 'sre' } });
+	assert.strictEqual(sre.body.query, 'site reliability engineer');
+	assert.deepStrictEqual(sre.body.jobs.map(j => j.title), ['Platform Engineer']);
+
+	const unknown = await call(snapshot, { query: { profile: 'nope' } });
+	assert.strictEqual(unknown.status, 400);
+	assert.deepStrictEqual(unknown.body.profiles, listProfiles());
+});
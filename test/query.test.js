@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fakeKv = require('./helpers/fake-kv');
+const { call } = require('./helpers/http');
+const { compileQuery } = require('../lib/jobs/query');
+const cached = require('../api/jobs-cached');
+
+const ANALYST = { title: 'Senior Data Analyst', company: 'Acme Corp', location: 'Remote, Europe', description: 'SQL and Python, dbt' };
+const ENGINEER = { title: 'Internal tools engineer', company: 'Initech', location: 'US', description: '' };
+
+const matches = (q, job) => compileQuery(q).test(job);
+
+test.after(() => fakeKv.disable());
+
+test('words, phrases and operators', () => {
+	assert.ok(matches('data analyst', ANALYST));
+	assert.ok(matches('"data analyst"', ANALYST));
+	assert.ok(!matches('"analyst data"', ANALYST));
+	assert.ok(matches('sql OR rust', ANALYST));
+	assert.ok(!matches('(sql OR rust) -senior', ANALYST));
+	assert.ok(!matches('NOT python', ANALYST));
+	assert.ok(matches('location:europe AND dbt', ANALYST));
+	// lower-case "or" is a word, not an operator
+	assert.ok(!matches('analyst or engineer', ENGINEER));
+});
+
+test('OR binds looser than AND', () => {
+	assert.ok(matches('engineer OR analyst -tools', ENGINEER));
+	assert.ok(!matches('(engineer OR analyst) -tools', ENGINEER));
+});
+
+test('field scopes and negated scopes', () => {
+	assert.ok(matches('title:analyst company:"acme corp"', ANALYST));
+	assert.ok(!matches('company:analyst', ANALYST));
+	assert.ok(!matches('-company:initech engineer', ENGINEER));
+});
+
+test('whole words unless the term ends in *', () => {
+	assert.ok(!matches('intern', ENGINEER));
+	assert.ok(matches('intern*', ENGINEER));
+});
+
+test('boards get the positive keywords; empty queries compile to null', () => {
+	assert.strictEqual(compileQuery('(sql OR rust) -senior').search, 'sql');
+	assert.strictEqual(compileQuery('-company:initech engineer').search, 'engineer');
+	assert.strictEqual(compileQuery(''), null);
+	assert.strictEqual(compileQuery(undefined), null);
+});
+
+test('syntax errors are 400s', () => {
+	assert.throws(() => compileQuery('(sql'), e => e.status === 400 && /missing \)/.test(e.message));
+	assert.throws(() => compileQuery('sql AND'), e => e.status === 400);
+});
+
+test('jobs-cached filters with the boolean query; a bad query is a 400', async () => {
+	fakeKv.enable();
+	fakeKv.store.set('jobs:scraped:all', { jobs: [{ id: 'a', ...ANALYST }, { id: 'e', ...ENGINEER }], scrapedAt: new Date().toISOString() });
+	const r = await call(cached, { query: { q: '(analyst OR company:initech) -sql' } });
+	assert.deepStrictEqual(r.body.jobs.map(j => j.id), ['e']);
+	const bad = await call(cached, { query: { q: '(sql' } });
+	assert.deepStrictEqual([bad.status, bad.body.error], [400, 'Invalid query: missing )']);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fakeKv = require('./helpers/fake-kv');
+const { call } = require('./helpers/http');
+const { parsePaging, firstPage, nextPage, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } = require('../lib/jobs/resultset');
+const cached = require('../api/jobs-cached');
+const snapshot = require('../api/jobs-snapshot');
+
+const JOBS = Array.from({ length: 7 }, (_, i) => ({ id: 'j' + i }));
+
+test.beforeEach(() => {
+	fakeKv.enable();
+	fakeKv.reset();
+});
+
+test.after(() => {
+	fakeKv.disable();
+});
+
+test('parsePaging: off without params, clamps pageSize, rejects junk cursors', () => {
+	assert.strictEqual(parsePaging({ q: 'sql' }), null);
+	assert.deepStrictEqual(parsePaging({ pageSize: '5' }), { cursor: null, pageSize: 5 });
+	assert.strictEqual(parsePaging({ pageSize: '0' }).pageSize, DEFAULT_PAGE_SIZE);
+	assert.strictEqual(parsePaging({ pageSize: '1000' }).pageSize, MAX_PAGE_SIZE);
+	assert.throws(() => parsePaging({ cursor: 'garbage' }), e => e.status === 400);
+});
+
+test('cursors walk the stored list until nextCursor is null', async () => {
+	const query = { q: 'sql', pageSize: '3' };
+	const first = await firstPage('test', query, parsePaging(query), JOBS, { count: 7 });
+	assert.deepStrictEqual(first.jobs.map(j => j.id), ['j0', 'j1', 'j2']);
+	assert.strictEqual(first.total, 7);
+
+	const seen = first.jobs.map(j => j.id);
+	let cursor = first.nextCursor;
+	while (cursor) {
+		// the cursor carries the page size, so later requests may omit it
+		const q = { q: 'sql', cursor };
+		const { page, meta } = await nextPage('test', q, parsePaging(q));
+		assert.deepStrictEqual(meta, { count: 7 });
+		seen.push(...page.jobs.map(j => j.id));
+		cursor = page.nextCursor;
+	}
+	assert.deepStrictEqual(seen, JOBS.map(j => j.id));
+});
+
+test('a cursor from another query is a 400', async () => {
+	const query = { q: 'rust', pageSize: '2' };
+	const first = await firstPage('test', query, parsePaging(query), JOBS, {});
+	const other = { q: 'go', cursor: first.nextCursor };
+	await assert.rejects(nextPage('test', other, parsePaging(other)), e => e.status === 400);
+	const elsewhere = { q: 'rust', cursor: first.nextCursor };
+	await assert.rejects(nextPage('other-namespace', elsewhere, parsePaging(elsewhere)), e => e.status === 400);
+});
+
+test('an expired result set is a 410', async () => {
+	const query = { q: 'scala', pageSize: '2' };
+	const first = await firstPage('test', query, parsePaging(query), JOBS, {});
+	fakeKv.reset(); // the KV TTL ran out
+	const next = { q: 'scala', cursor: first.nextCursor };
+	await assert.rejects(nextPage('test', next, parsePaging(next)), e => e.status === 410);
+});
+
+test('without KV pageSize is ignored and a cursor is a 503', async () => {
+	const query = { q: 'sql', pageSize: '3' };
+	const first = await firstPage('test', query, parsePaging(query), JOBS, {});
+	fakeKv.disable();
+	assert.strictEqual(parsePaging(query), null);
+	assert.throws(() => parsePaging({ q: 'sql', cursor: first.nextCursor }), e => e.status === 503);
+});
+
+test('a result set KV cannot store comes back as one page without a cursor', async (t) => {
+	t.mock.method(fakeKv.kv, 'setex', async () => { throw new Error('value too large'); });
+	const query = { q: 'sql', pageSize: '3' };
+	const page = await firstPage('test', query, parsePaging(query), JOBS, {});
+	assert.deepStrictEqual(page.jobs.map(j => j.id), JOBS.map(j => j.id));
+	assert.strictEqual(page.nextCursor, null);
+});
+
+test('paged jobs-cached and jobs-snapshot responses stay out of shared caches', async () => {
+	const now = new Date().toISOString();
+	fakeKv.store.set('jobs:scraped:all', { jobs: ['Acme', 'Globex', 'Initech'].map((company, i) => ({
+		id: 'r' + i, title: 'Data Analyst', company, url: 'https://example.com/' + i, source: 'remotive', date: now, skills: []
+	})) });
+	for (const [handler, extra] of [[cached, {}], [snapshot, { sources: 'cached' }]]) {
+		const whole = await call(handler, { query: extra });
+		assert.match(whole.headers['cache-control'], /s-maxage/);
+		const first = await call(handler, { query: { ...extra, pageSize: '2' } });
+		assert.strictEqual(first.body.jobs.length, 2);
+		assert.ok(first.body.nextCursor);
+		assert.strictEqual(first.headers['cache-control'], 'private, no-store');
+		const next = await call(handler, { query: { ...extra, cursor: first.body.nextCursor } });
+		assert.strictEqual(next.body.jobs.length, 1);
+		assert.strictEqual(next.headers['cache-control'], 'private, no-store');
+		const bad = await call(handler, { query: { ...extra, cursor: 'garbage' } });
+		assert.strictEqual(bad.status, 400);
+		assert.strictEqual(bad.headers['cache-control'], 'private, no-store');
+	}
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RSS_ALLOWED_HOSTS } = require('../lib/jobs/fetch');
+const { extractFeedFields } = require('../lib/jobs/feed-fields');
+const rssSources = require('../lib/jobs/sources/rss');
+
+const WP_FEED = '<?xml version="1.0"?><rss xmlns:job_listing="https://wpjobmanager.com"><channel>'
+	+ '<item><title>Senior Data Analyst</title><link>https://remote.co/job/1</link>'
+	+ '<job_listing:company><![CDATA[Acme &amp; Co]]></job_listing:company>'
+	+ '<job_listing:location>Remote (EU)</job_listing:location><job_listing:job_type>Full Time</job_listing:job_type>'
+	+ '<pubDate>Mon, 12 Oct 2026 10:00:00 +0000</pubDate><description>SQL</description></item>'
+	+ '</channel></rss>';
+const HN_FEED = '<?xml version="1.0"?><rss><channel>'
+	+ '<item><title>Acme (YC W20) Is Hiring a Senior Data Analyst</title><link>https://news.ycombinator.com/item?id=1</link>'
+	+ '<pubDate>Mon, 12 Oct 2026 10:00:00 +0000</pubDate></item>'
+	+ '</channel></rss>';
+
+test('title layouts', () => {
+	const fields = (title, layout) => extractFeedFields({ title }, { title: layout });
+	assert.deepStrictEqual(
+		[fields('Globex Is Hiring: Analytics Engineer', 'hn_hiring').company, fields('Globex Is Hiring: Analytics Engineer', 'hn_hiring').title],
+		['Globex', 'Analytics Engineer']
+	);
+	const wwr = fields('Acme: Senior Data Analyst', 'company_role');
+	assert.strictEqual(wwr.company, 'Acme');
+	assert.strictEqual(wwr.title, 'Senior Data Analyst');
+	const indeed = fields('BI Analyst - Power BI - Initech - Austin, TX', 'role_company_location');
+	assert.deepStrictEqual([indeed.title, indeed.company, indeed.location], ['BI Analyst - Power BI', 'Initech', 'Austin, TX']);
+	const at = fields('Data Analyst at Hooli (Remote)', 'role_at_company');
+	assert.deepStrictEqual([at.title, at.company, at.location], ['Data Analyst', 'Hooli', 'Remote']);
+});
+
+test('elements win over the title, the title over description labels', () => {
+	const item = {
+		title: 'Acme: Data Analyst',
+		elements: { company: 'Acme Corp' },
+		description: '<p>Company: Someone else</p><p>Location: Remote (US) Job type: Contract</p>'
+	};
+	assert.deepStrictEqual(extractFeedFields(item, { title: 'company_role' }), { title: 'Data Analyst', company: 'Acme Corp', location: 'Remote (US)', jobType: 'contract' });
+	assert.strictEqual(extractFeedFields({ title: 'Analyst', description: 'Company: Initech' }, { description: false }).company, '');
+	assert.strictEqual(extractFeedFields({ title: 'Analyst', elements: { company: 'N/A' } }, {}).company, '');
+});
+
+test('WordPress Job Manager feeds read job_listing:* elements', async (t) => {
+	const remoteCo = rssSources.find(s => s.id === 'remote_co_rss');
+	t.mock.method(global, 'fetch', async () => new Response(WP_FEED, { status: 200 }));
+	const [item] = await remoteCo.fetch('data analyst', { status: {} });
+	const job = remoteCo.map(item);
+	assert.deepStrictEqual([job.title, job.company, job.location, job.jobType, job.source], ['Senior Data Analyst', 'Acme & Co', 'Remote (EU)', 'full_time', 'remote_co']);
+});
+
+test('every built-in feed host is on the RSS allowlist', async () => {
+	const ctx = { q: 'data analyst', location: 'remote', rssjobsUrl: 'https://rssjobs.app/feeds/x' };
+	const urls = [];
+	const realFetch = global.fetch;
+	global.fetch = async (url) => { urls.push(String(url)); throw new Error('offline'); };
+	let results;
+	try {
+		results = await Promise.allSettled(rssSources.map(s => s.fetch(ctx.q, { ...ctx, status: {} })));
+	} finally {
+		global.fetch = realFetch;
+	}
+	results.forEach((r, i) => {
+		const reason = r.status === 'rejected' ? String(r.reason && r.reason.message) : '';
+		assert.ok(!/not allowlisted/.test(reason), rssSources[i].id + ': ' + reason);
+	});
+	urls.forEach(url => assert.ok(RSS_ALLOWED_HOSTS.has(new URL(url).hostname), url));
+});
+
+test('hn_jobs feed items get company and role from the "Is Hiring" title', async () => {
+	const hn = rssSources.find(s => s.id === 'hn_jobs_rss');
+	const realFetch = global.fetch;
+	global.fetch = async () => new Response(HN_FEED, { status: 200 });
+	try {
+		const items = await hn.fetch('data analyst', { status: {} });
+		const job = hn.map(items[0]);
+		assert.strictEqual(job.company, 'Acme');
+		assert.strictEqual(job.title, 'Senior Data Analyst');
+		assert.strictEqual(job.source, 'hn_jobs');
+	} finally {
+		global.fetch = realFetch;
+	}
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fakeKv = require('./helpers/fake-kv');
+const { call } = require('./helpers/http');
+const { extractSalary, salaryFrom, annualize, salaryFilterMatch, salarySortValue } = require('../lib/jobs/salary');
+const snapshot = require('../api/jobs-snapshot');
+
+test.after(() => fakeKv.disable());
+
+test('extractSalary reads the common free-text forms', () => {
+	const cases = [
+		['Pay: $80k - $120k/yr', { min: 80000, max: 120000, currency: 'USD', period: 'year' }],
+		['€4,500 per month', { min: 4500, max: null, currency: 'EUR', period: 'month' }],
+		['12-18 LPA', { min: 1200000, max: 1800000, currency: 'INR', period: 'year' }],
+		['USD 45/hour', { min: 45, max: null, currency: 'USD', period: 'hour' }],
+		['80,000 - 100,000 EUR per year', { min: 80000, max: 100000, currency: 'EUR', period: 'year' }],
+		['60.000 EUR', { min: 60000, max: null, currency: 'EUR', period: 'year' }],
+		['<b>£55,000</b> annually', { min: 55000, max: null, currency: 'GBP', period: 'year' }]
+	];
+	cases.forEach(([text, salary]) => assert.deepStrictEqual(extractSalary(text), salary, text));
+});
+
+test('extractSalary ignores funding rounds, prices and plain text', () => {
+	assert.strictEqual(extractSalary('We raised $20M in our Series B'), null);
+	assert.strictEqual(extractSalary('Only $50 off your first order'), null);
+	assert.strictEqual(extractSalary('Competitive pay'), null);
+});
+
+test('salaryFrom orders the range, treats zero as missing and guesses the period', () => {
+	assert.strictEqual(salaryFrom(0, 0, 'USD'), null);
+	assert.deepStrictEqual(salaryFrom(120000, 90000, '$', ''), { min: 90000, max: 120000, currency: 'USD', period: 'year' });
+	assert.deepStrictEqual(salaryFrom(5000, 5000, 'eur', 'month'), { min: 5000, max: null, currency: 'EUR', period: 'month' });
+	assert.deepStrictEqual(annualize({ min: 50, max: 60, period: 'hour' }), { min: 104000, max: 124800 });
+});
+
+test('salaryFilterMatch compares the top of the converted yearly range', () => {
+	const salary = { min: 70000, max: 90000, currency: 'USD', period: 'year' };
+	const yearly = { min: 70000, max: 90000, currency: 'USD', period: 'year' };
+	assert.deepStrictEqual(salaryFilterMatch(salary, yearly, { min: 85000 }), { ok: true });
+	assert.deepStrictEqual(salaryFilterMatch(salary, yearly, { min: 95000 }), { ok: false, reason: 'salary_below', detail: '90000 USD/year' });
+	assert.strictEqual(salaryFilterMatch(null, null, { min: 1 }).reason, 'salary_missing');
+	// no rate for the job's currency
+	assert.strictEqual(salaryFilterMatch(salary, null, { min: 1 }).reason, 'salary_currency');
+	assert.deepStrictEqual(salaryFilterMatch(null, null, null), { ok: true });
+	assert.strictEqual(salarySortValue(yearly), 90000);
+	assert.strictEqual(salarySortValue(null), -1);
+});
+
+test('jobs-snapshot: ?minSalary= drops jobs below the floor or without a salary; ?sort=salary', async () => {
+	fakeKv.enable();
+	const now = new Date().toISOString();
+	fakeKv.store.set('jobs:scraped:all', { jobs: [
+		{ title: 'Data Analyst', company: 'Acme', description: 'Pay: $60k - $70k/yr', url: 'https://example.com/low', date: now },
+		{ title: 'Data Analyst', company: 'Globex', description: 'Pay: $9,000 per month', url: 'https://example.com/high', date: now },
+		{ title: 'Data Analyst', company: 'Initech', description: 'Competitive', url: 'https://example.com/none', date: now }
+	] });
+	const urls = r => r.body.jobs.map(j => j.url.split('/').pop());
+
+	const sorted = await call(snapshot, { query: { sources: 'cached', sort: 'salary' } });
+	assert.deepStrictEqual(urls(sorted), ['high', 'low', 'none']);
+	assert.deepStrictEqual(sorted.body.jobs[0].salary, { min: 9000, max: null, currency: 'USD', period: 'month' });
+
+	const floor = await call(snapshot, { query: { sources: 'cached', minSalary: '80k' } });
+	assert.deepStrictEqual(floor.body.salaryFilter, { min: 80000, currency: 'USD' });
+	assert.deepStrictEqual(urls(floor), ['high']);
+
+	assert.strictEqual((await call(snapshot, { query: { minSalary: 'lots' } })).status, 400);
+	assert.strictEqual((await call(snapshot, { query: { sort: 'random' } })).status, 400);
+});
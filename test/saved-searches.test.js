@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fakeKv = require('./helpers/fake-kv');
+const { call } = require('./helpers/http');
+const { validateParams, createSavedSearch, updateSavedSearch, getSavedSearch } = require('../lib/jobs/saved-searches');
+const saved = require('../api/jobs-saved');
+const snapshot = require('../api/jobs-snapshot');
+const refresh = require('../api/jobs-refresh');
+
+test.after(() => fakeKv.disable());
+
+test('validateParams keeps known params as strings and rejects bad ones', () => {
+	assert.deepStrictEqual(validateParams({ q: ' analyst ', days: 3, skills: '' }), { q: 'analyst', days: '3' });
+	assert.throws(() => validateParams({ cursor: 'x' }), /Unknown params: cursor/);
+	assert.throws(() => validateParams({ days: 'soon' }), /Invalid days/);
+	assert.throws(() => validateParams({ q: '(sql' }), e => e.status === 400);
+	assert.throws(() => validateParams({ sources: 'jobicy,nope' }), /Unknown sources: nope/);
+});
+
+test('saved searches are created by slug, merged on update and need KV', async () => {
+	fakeKv.disable();
+	await assert.rejects(createSavedSearch({ name: 'EU analytics' }), e => e.status === 503);
+	assert.strictEqual(await getSavedSearch('eu-analytics'), null);
+
+	fakeKv.enable();
+	fakeKv.reset();
+	const s = await createSavedSearch({ name: 'EU analytics', params: { q: 'analyst', days: '3', skills: 'sql' } });
+	assert.strictEqual(s.id, 'eu-analytics');
+	await assert.rejects(createSavedSearch({ name: 'EU Analytics' }), e => e.status === 409);
+	const u = await updateSavedSearch('eu-analytics', { params: { days: '7', skills: null } });
+	assert.deepStrictEqual(u.params, { q: 'analyst', days: '7' });
+	await assert.rejects(updateSavedSearch('missing', { name: 'x' }), e => e.status === 404);
+});
+
+test('jobs-saved handles create, list, update and delete', async () => {
+	fakeKv.enable();
+	fakeKv.reset();
+	const created = await call(saved, { method: 'POST', query: { name: 'Remote BI', q: 'bi', days: '5' } });
+	assert.strictEqual(created.status, 201);
+	assert.deepStrictEqual(created.body.search.params, { q: 'bi', days: '5' });
+	assert.deepStrictEqual((await call(saved, {})).body.searches.map(s => s.id), ['remote-bi']);
+	const put = await call(saved, { method: 'PUT', query: { id: 'remote-bi' }, body: { params: { q: 'looker' }, replace: true } });
+	assert.deepStrictEqual(put.body.search.params, { q: 'looker' });
+	assert.strictEqual((await call(saved, { method: 'DELETE', query: { id: 'remote-bi' } })).status, 200);
+	assert.strictEqual((await call(saved, { query: { id: 'remote-bi' } })).status, 404);
+});
+
+test('jobs-snapshot ?saved= runs the saved params and explicit params win', async () => {
+	fakeKv.enable();
+	fakeKv.reset();
+	const now = new Date().toISOString();
+	fakeKv.store.set('jobs:scraped:all', { jobs: [
+		{ title: 'Data Analyst', company: 'Globex', location: 'Berlin', url: 'https://example.com/1', date: now, description: 'SQL and Tableau' },
+		{ title: 'Data Analyst', company: 'Initech', location: 'Berlin', url: 'https://example.com/2', date: now, description: 'Excel' }
+	] });
+	await createSavedSearch({ name: 'Cached SQL', params: { sources: 'cached', q: 'analyst', skills: 'sql' } });
+
+	const r = await call(snapshot, { query: { saved: 'cached-sql' } });
+	assert.deepStrictEqual(r.body.saved, { id: 'cached-sql', name: 'Cached SQL' });
+	assert.deepStrictEqual(r.body.jobs.map(j => j.company), ['Globex']);
+	const override = await call(snapshot, { query: { saved: 'cached-sql', skills: 'excel' } });
+	assert.deepStrictEqual(override.body.jobs.map(j => j.company), ['Initech']);
+	assert.strictEqual((await call(snapshot, { query: { saved: 'nope' } })).status, 404);
+});
+
+test('jobs-refresh does not run a saved search into the shared cache', async (t) => {
+	fakeKv.enable();
+	fakeKv.reset();
+	const requested = [];
+	t.mock.method(global, 'fetch', async (url) => {
+		requested.push(String(url));
+		return new Response(JSON.stringify({ ok: true, jobs: [{ id: 'a', title: 'Data Analyst', url: 'https://example.com/1' }] }), { status: 200 });
+	});
+	const r = await call(refresh, { query: { q: 'analyst', saved: 'cached-sql', skills: 'sql', notify: '0' } });
+	assert.strictEqual(r.status, 200);
+	assert.strictEqual(requested.length, 1);
+	assert.match(requested[0], /\/api\/jobs-snapshot\?.*&skills=sql/);
+	assert.doesNotMatch(requested[0], /[?&]saved=/);
+});
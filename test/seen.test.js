@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fakeKv = require('./helpers/fake-kv');
+const { call } = require('./helpers/http');
+const { createSavedSearch } = require('../lib/jobs/saved-searches');
+const { markSeenJobs, recordSeenJobs } = require('../lib/jobs/seen');
+const cached = require('../api/jobs-cached');
+
+const JOBS = ['a', 'b', 'c', 'd', 'e'].map(id => ({ id, title: 'Data analyst ' + id, company: 'Co ' + id, source: 'remotive', skills: [] }));
+
+test.beforeEach(async () => {
+	fakeKv.enable();
+	fakeKv.reset();
+	fakeKv.store.set('jobs:scraped:all', { jobs: JOBS, scrapedAt: new Date().toISOString() });
+	await createSavedSearch({ name: 'Analyst', params: { q: 'analyst' } });
+});
+
+test.after(() => fakeKv.disable());
+
+const seenIds = () => Object.keys(fakeKv.store.get('jobs:seen:analyst') || {}).sort();
+
+test('markSeenJobs only flags; recordSeenJobs keeps first-seen times and prunes old entries', async () => {
+	fakeKv.store.set('jobs:seen:analyst', { a: '2026-10-01T00:00:00.000Z', gone: '2020-01-01T00:00:00.000Z' });
+	const r = await markSeenJobs('analyst', JOBS.slice(0, 3));
+	assert.deepStrictEqual(r.jobs.map(j => j.isNew), [false, true, true]);
+	assert.strictEqual(r.jobs[0].firstSeenAt, '2026-10-01T00:00:00.000Z');
+	assert.deepStrictEqual([r.newCount, r.firstCheck], [2, false]);
+	assert.deepStrictEqual(seenIds(), ['a', 'gone']);
+
+	assert.strictEqual(await recordSeenJobs('analyst', JOBS.slice(0, 3)), 2);
+	assert.deepStrictEqual(seenIds(), ['a', 'b', 'c']);
+	assert.strictEqual(fakeKv.store.get('jobs:seen:analyst').a, '2026-10-01T00:00:00.000Z');
+});
+
+test('without KV every job is new and nothing is recorded', async () => {
+	fakeKv.disable();
+	const r = await markSeenJobs('analyst', JOBS);
+	assert.deepStrictEqual([r.newCount, r.firstCheck], [JOBS.length, true]);
+	assert.strictEqual(await recordSeenJobs('analyst', JOBS), null);
+});
+
+test('a plain GET flags jobs but records nothing, and is never publicly cached', async () => {
+	const r = await call(cached, { query: { saved: 'analyst' } });
+	assert.strictEqual(r.status, 200);
+	assert.strictEqual(r.headers['cache-control'], 'private, no-store');
+	assert.ok(r.body.jobs.every(j => j.isNew));
+	assert.strictEqual(r.body.seen.recorded, null);
+	assert.deepStrictEqual(seenIds(), []);
+});
+
+test('?markSeen=1 records only the returned page', async () => {
+	const r = await call(cached, { query: { saved: 'analyst', markSeen: '1', pageSize: '2' } });
+	assert.strictEqual(r.body.jobs.length, 2);
+	assert.strictEqual(r.body.seen.recorded, 2);
+	assert.deepStrictEqual(seenIds(), r.body.jobs.map(j => j.id).sort());
+
+	const next = await call(cached, { query: { saved: 'analyst', markSeen: '1', pageSize: '2', cursor: r.body.nextCursor } });
+	assert.strictEqual(next.body.seen.recorded, 2);
+	assert.strictEqual(seenIds().length, 4);
+
+	const again = await call(cached, { query: { saved: 'analyst', onlyNew: '1' } });
+	assert.deepStrictEqual(again.body.jobs.map(j => j.id), JOBS.map(j => j.id).filter(id => !seenIds().includes(id)));
+});
+
+test('POST records what it returns; first-seen times are kept', async () => {
+	await call(cached, { method: 'POST', query: { saved: 'analyst' } });
+	assert.strictEqual(seenIds().length, JOBS.length);
+	const before = fakeKv.store.get('jobs:seen:analyst').a;
+	const r = await call(cached, { method: 'POST', query: { saved: 'analyst' } });
+	assert.strictEqual(r.body.seen.newCount, 0);
+	assert.strictEqual(r.body.seen.recorded, 0);
+	assert.strictEqual(fakeKv.store.get('jobs:seen:analyst').a, before);
+});
+
+test('without ?saved= the shared cache headers stay; ?onlyNew= needs ?saved=', async () => {
+	const r = await call(cached, {});
+	assert.match(r.headers['cache-control'], /s-maxage/);
+	assert.strictEqual((await call(cached, { query: { onlyNew: '1' } })).status, 400);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fakeKv = require('./helpers/fake-kv');
+const { call } = require('./helpers/http');
+const { extractSkills, parseSkillsFilter, skillsFilterMatch } = require('../lib/jobs/skills');
+const cached = require('../api/jobs-cached');
+const snapshot = require('../api/jobs-snapshot');
+
+test.beforeEach(() => {
+	fakeKv.enable();
+	fakeKv.reset();
+	const now = new Date().toISOString();
+	// cached before skill tagging: no `skills` yet
+	fakeKv.store.set('jobs:scraped:all', { jobs: [
+		{ id: 'a', title: 'Data Analyst', company: 'Acme', description: 'SQL and dbt daily', url: 'https://example.com/a', date: now },
+		{ id: 'b', title: 'Data Analyst', company: 'Globex', description: 'SQL and Tableau', url: 'https://example.com/b', date: now },
+		{ id: 'c', title: 'Data Analyst', company: 'Initech', description: 'Excel wizardry', url: 'https://example.com/c', date: now }
+	], scrapedAt: now });
+});
+
+test.after(() => fakeKv.disable());
+
+test('extractSkills matches whole words and spelling variants, in taxonomy order', () => {
+	assert.deepStrictEqual(extractSkills('Senior Analyst', '<p>SQL, dbt and Power-BI; C++ nice to have; python3</p>'), ['sql', 'python', 'cpp', 'power-bi', 'dbt']);
+	assert.deepStrictEqual(extractSkills('Analyst in Kansas', 'We use GitHub and JavaScript'), ['javascript', 'git']);
+	assert.deepStrictEqual(extractSkills('', ''), []);
+});
+
+test('?skills= accepts ids, labels and phrases; skillsMode is any or all', () => {
+	assert.deepStrictEqual(parseSkillsFilter({ skills: 'Power BI, SQL,sql', skillsMode: 'ALL' }), { skills: ['power-bi', 'sql'], mode: 'all' });
+	assert.deepStrictEqual(parseSkillsFilter({ skills: 'postgres' }), { skills: ['sql'], mode: 'any' });
+	assert.strictEqual(parseSkillsFilter({}), null);
+	assert.throws(() => parseSkillsFilter({ skills: 'cobol' }), e => e.status === 400 && /Unknown skills: cobol/.test(e.message));
+	assert.throws(() => parseSkillsFilter({ skills: 'sql', skillsMode: 'some' }), e => e.status === 400);
+
+	const filter = { skills: ['sql', 'dbt'], mode: 'all' };
+	assert.deepStrictEqual(skillsFilterMatch(['sql'], filter), { ok: false, reason: 'skills_miss', detail: 'dbt' });
+	assert.deepStrictEqual(skillsFilterMatch(['sql'], { ...filter, mode: 'any' }), { ok: true });
+});
+
+test('jobs-cached tags older cached jobs and filters them', async () => {
+	const any = await call(cached, { query: { skills: 'dbt,tableau' } });
+	assert.deepStrictEqual(any.body.jobs.map(j => j.id), ['a', 'b']);
+	assert.deepStrictEqual(any.body.jobs[0].skills, ['sql', 'dbt']);
+	const all = await call(cached, { query: { skills: 'sql,dbt', skillsMode: 'all' } });
+	assert.deepStrictEqual(all.body.jobs.map(j => j.id), ['a']);
+	assert.strictEqual((await call(cached, { query: { skills: 'cobol' } })).status, 400);
+});
+
+test('jobs-snapshot tags and filters by skills', async () => {
+	const r = await call(snapshot, { query: { sources: 'cached', skills: 'excel' } });
+	assert.deepStrictEqual(r.body.skillsFilter, { skills: ['excel'], mode: 'any' });
+	assert.deepStrictEqual(r.body.jobs.map(j => [j.company, j.skills]), [['Initech', ['excel']]]);
+});
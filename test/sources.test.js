@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fakeKv = require('./helpers/fake-kv');
+const { call } = require('./helpers/http');
+const { loadSources, parseSourceFilter, selectSources, sourceNames } = require('../lib/jobs/sources');
+const { runSources, collectJobs } = require('../lib/jobs/pipeline');
+const snapshot = require('../api/jobs-snapshot');
+
+const adapter = (id, extra) => ({ id, kind: 'api', fetch: async () => [], map: it => it, ...extra });
+
+test.beforeEach(() => fakeKv.reset());
+test.after(() => fakeKv.disable());
+
+test('the registry loads every adapter once, ordered by `order` then id', () => {
+	const sources = loadSources();
+	const ids = sources.map(a => a.id);
+	assert.strictEqual(new Set(ids).size, ids.length);
+	sources.forEach(a => assert.ok(typeof a.fetch === 'function' && typeof a.map === 'function', a.id));
+	const orders = sources.map(a => (typeof a.order === 'number' ? a.order : 100));
+	assert.deepStrictEqual(orders, orders.slice().sort((a, b) => a - b));
+	['remoteok', 'remotive', 'kv_cached', 'headless', 'cached'].forEach(name => assert.ok(sourceNames().includes(name), name));
+});
+
+test('?sources= selects ids or groups; unavailable adapters are skipped', () => {
+	assert.strictEqual(parseSourceFilter(''), null);
+	assert.deepStrictEqual(Array.from(parseSourceFilter(' Remotive, headless ,')), ['remotive', 'headless']);
+
+	fakeKv.disable();
+	assert.deepStrictEqual(selectSources(parseSourceFilter('jobicy,cached')).map(a => a.id), ['jobicy']);
+	fakeKv.enable();
+	assert.deepStrictEqual(selectSources(parseSourceFilter('jobicy,cached')).map(a => a.id), ['jobicy', 'kv_cached']);
+	// a group takes in its RSS feed too
+	assert.deepStrictEqual(selectSources(parseSourceFilter('remotive')).map(a => a.id), ['remotive', 'remotive_rss']);
+});
+
+test('runSources: one failing adapter does not sink the others', async () => {
+	const results = await runSources([
+		adapter('ok', { fetch: async () => [{ n: 1 }] }),
+		adapter('broken', { fetch: async () => { throw new Error('HTTP 503'); } }),
+		adapter('junk', { fetch: async () => 'not a list' })
+	], 'data analyst', {});
+	assert.deepStrictEqual(results.map(r => [r.adapter.id, r.items.length, r.error]), [['ok', 1, ''], ['broken', 0, 'HTTP 503'], ['junk', 0, '']]);
+});
+
+test('collectJobs maps and scores every item, skipping ones that throw or miss the keywords', () => {
+	const source = adapter('test', {
+		map(it) {
+			if (it.bad) throw new Error('malformed');
+			return { id: 'test_' + it.n, title: it.title, url: 'https://example.com/' + it.n, source: 'test', date: new Date().toISOString() };
+		}
+	});
+	const { jobs } = collectJobs([{ adapter: source, items: [{ n: 1, title: 'Data Analyst' }, { bad: true }, { n: 2, title: 'Pastry chef' }] }], {});
+	assert.deepStrictEqual(jobs.map(j => j.id), ['test_1']);
+	assert.strictEqual(typeof jobs[0]._rank, 'number');
+});
+
+test('jobs-snapshot runs the selected adapters through the pipeline', async () => {
+	fakeKv.enable();
+	fakeKv.store.set('jobs:scraped:all', { jobs: [
+		{ title: 'Senior Data Analyst', company: 'Acme', location: 'Remote', url: 'https://example.com/1', source: 'linkedin', date: new Date().toISOString() },
+		{ title: 'Office manager', company: 'Acme', url: 'https://example.com/2', source: 'linkedin', date: new Date().toISOString() }
+	] });
+	const r = await call(snapshot, { query: { sources: 'cached' } });
+	assert.strictEqual(r.status, 200);
+	assert.deepStrictEqual(r.body.jobs.map(j => j.title), ['Senior Data Analyst']);
+	assert.deepStrictEqual(r.body.sourceCounts, { linkedin: 1 });
+});
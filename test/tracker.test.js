@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fakeKv = require('./helpers/fake-kv');
+const { call } = require('./helpers/http');
+const { trackJob, getTracked, listTracked, updateTracked, untrackJob, addEvent, updateEvent, removeEvent } = require('../lib/jobs/tracker');
+const trackerApi = require('../api/jobs-tracker');
+const cached = require('../api/jobs-cached');
+
+const JOB = { title: 'Data Analyst', company: 'Acme', url: 'https://example.com/1' };
+
+test.beforeEach(async () => {
+	fakeKv.enable();
+	fakeKv.reset();
+	await trackJob('alex', { jobId: 'remotive_1', job: JOB });
+});
+
+test.after(() => {
+	fakeKv.disable();
+	delete process.env.UI_SECRET;
+});
+
+test('jobs are tracked per user from the given summary; tracking again updates the notes', async () => {
+	const entry = await getTracked('alex', 'remotive_1');
+	assert.deepStrictEqual(entry.job, { ...JOB, id: 'remotive_1' });
+	assert.deepStrictEqual(entry.events, []);
+	await trackJob('Alex', { jobId: 'remotive_1', notes: 'Referral from Sam' });
+	assert.deepStrictEqual((await listTracked('alex')).map(e => [e.jobId, e.notes]), [['remotive_1', 'Referral from Sam']]);
+	assert.deepStrictEqual(await listTracked('sam'), []);
+	await assert.rejects(trackJob('alex', { jobId: 'gone_1' }), e => e.status === 404);
+	await assert.rejects(trackJob('no way', { jobId: 'remotive_1', job: JOB }), e => e.status === 400);
+});
+
+test('events get type defaults; all-day dates and date-times are told apart', async () => {
+	const deadline = await addEvent('alex', 'remotive_1', { type: 'deadline', at: '2026-11-02' });
+	assert.deepStrictEqual([deadline.allDay, deadline.durationMinutes, deadline.remindMinutes], [true, 0, 1440]);
+	const interview = await addEvent('alex', 'remotive_1', { type: 'interview', at: '2026-11-05T15:30:00+01:00' });
+	assert.deepStrictEqual([interview.at, interview.allDay, interview.durationMinutes], ['2026-11-05T14:30:00.000Z', false, 60]);
+	const moved = await updateEvent('alex', 'remotive_1', interview.id, { durationMinutes: 45 });
+	assert.deepStrictEqual([moved.at, moved.durationMinutes, moved.createdAt], [interview.at, 45, interview.createdAt]);
+	await assert.rejects(addEvent('alex', 'remotive_1', { type: 'party', at: '2026-11-02' }), e => e.status === 400);
+	await assert.rejects(addEvent('alex', 'remotive_1', { type: 'deadline', at: 'next friday' }), e => e.status === 400);
+});
+
+test('events and jobs can be removed; unknown ones are 404s', async () => {
+	const event = await addEvent('alex', 'remotive_1', { type: 'followup', at: '2026-11-05' });
+	await assert.rejects(removeEvent('alex', 'remotive_1', 'ev_nope'), e => e.status === 404);
+	await removeEvent('alex', 'remotive_1', event.id);
+	assert.deepStrictEqual((await getTracked('alex', 'remotive_1')).events, []);
+	await assert.rejects(addEvent('alex', 'remotive_2', { type: 'deadline', at: '2026-11-02' }), e => e.status === 404);
+	await untrackJob('alex', 'remotive_1');
+	await assert.rejects(untrackJob('alex', 'remotive_1'), e => e.status === 404);
+});
+
+test('status changes are recorded in the history; contacts are checked', async () => {
+	await updateTracked('alex', 'remotive_1', { status: 'applied' });
+	await updateTracked('alex', 'remotive_1', { status: 'applied', notes: 'x' });
+	const entry = await updateTracked('alex', 'remotive_1', { status: 'Interviewing', contact: { name: 'Sam Lee', email: 'sam@example.com' } });
+	assert.deepStrictEqual(entry.history.map(h => h.status), ['saved', 'applied', 'interviewing']);
+	assert.strictEqual(entry.statusChangedAt, entry.history[2].at);
+	assert.deepStrictEqual(entry.contact, { name: 'Sam Lee', email: 'sam@example.com' });
+	await assert.rejects(updateTracked('alex', 'remotive_1', { status: 'hired' }), e => e.status === 400);
+	await assert.rejects(updateTracked('alex', 'remotive_1', { contact: { url: 'ftp://x' } }), e => e.status === 400);
+	assert.strictEqual((await updateTracked('alex', 'remotive_1', { contact: '' })).contact, null);
+});
+
+test('only http(s) job links are tracked', async () => {
+	for (const url of ['javascript:alert(1)', 'data:text/html,hi', ' javascript:alert(1)']) {
+		await assert.rejects(trackJob('alex', { jobId: 'rss_x', job: { ...JOB, url } }), e => e.status === 400 && /job\.url/.test(e.message), url);
+	}
+	assert.strictEqual(await getTracked('alex', 'rss_x'), null);
+	const r = await call(trackerApi, { method: 'POST', body: { user: 'alex', jobId: 'rss_y', job: { ...JOB, url: 'javascript:alert(1)' } } });
+	assert.strictEqual(r.status, 400);
+	// a listed job whose source sent a bad link is tracked without it
+	fakeKv.store.set('jobs:details:' + new Date().toISOString().slice(0, 10), { rss_z: { ...JOB, id: 'rss_z', url: 'javascript:alert(1)' } });
+	const { entry } = await trackJob('alex', { jobId: 'rss_z' });
+	assert.strictEqual(entry.job.title, 'Data Analyst');
+	assert.strictEqual(entry.job.url, undefined);
+});
+
+test('entries stored before statuses existed read as saved', async () => {
+	fakeKv.store.get('jobs:tracker:alex').old_1 = { jobId: 'old_1', job: JOB, notes: '', events: [], addedAt: '2026-01-01T00:00:00.000Z', updatedAt: '2026-01-01T00:00:00.000Z' };
+	const old = await getTracked('alex', 'old_1');
+	assert.deepStrictEqual([old.status, old.history], ['saved', [{ status: 'saved', at: '2026-01-01T00:00:00.000Z' }]]);
+});
+
+test('jobs-tracker counts and filters by status and updates with PUT', async () => {
+	const created = await call(trackerApi, { method: 'POST', body: { user: 'alex', jobId: 'remotive_2', status: 'applied', job: { ...JOB, url: 'https://example.com/2' } } });
+	assert.strictEqual(created.status, 201);
+	assert.strictEqual((await call(trackerApi, { method: 'POST', body: { user: 'alex', jobId: 'remotive_2' } })).status, 200);
+	const put = await call(trackerApi, { method: 'PUT', query: { user: 'alex', jobId: 'remotive_1' }, body: { status: 'offer' } });
+	assert.strictEqual(put.body.entry.status, 'offer');
+	const list = await call(trackerApi, { query: { user: 'alex', status: 'applied' } });
+	assert.deepStrictEqual(list.body.entries.map(e => e.jobId), ['remotive_2']);
+	assert.deepStrictEqual(list.body.statusCounts, { saved: 0, applied: 1, interviewing: 0, offer: 1, rejected: 0 });
+});
+
+test('?user= on result lists flags tracked jobs, privately, and needs the secret when set', async () => {
+	fakeKv.store.set('jobs:scraped:all', { jobs: [{ id: 'remotive_1', title: 'Data analyst', company: 'Acme', source: 'remotive', skills: [] }, { id: 'remotive_9', title: 'Data analyst', company: 'Globex', source: 'remotive', skills: [] }] });
+	const r = await call(cached, { query: { user: 'alex' } });
+	assert.strictEqual(r.headers['cache-control'], 'private, no-store');
+	assert.deepStrictEqual(r.body.tracker, { user: 'alex', tracked: 1 });
+	assert.deepStrictEqual(r.body.jobs.map(j => j.tracked && j.tracked.status), ['saved', undefined]);
+
+	process.env.UI_SECRET = 'sesame';
+	assert.strictEqual((await call(cached, { query: { user: 'alex' } })).status, 401);
+	assert.strictEqual((await call(cached, { query: { user: 'alex', secret: 'sesame' } })).status, 200);
+	delete process.env.UI_SECRET;
+});
+
+test('concurrent edits of one entry are all kept', async () => {
+	await Promise.all([
+		...Array.from({ length: 8 }, (_, i) => addEvent('alex', 'remotive_1', { type: 'followup', at: '2026-11-0' + (i + 1) })),
+		updateTracked('alex', 'remotive_1', { status: 'applied' }),
+		updateTracked('alex', 'remotive_1', { notes: 'Referral from Sam' })
+	]);
+	const entry = await getTracked('alex', 'remotive_1');
+	assert.strictEqual(entry.events.length, 8);
+	assert.strictEqual(entry.status, 'applied');
+	assert.strictEqual(entry.notes, 'Referral from Sam');
+	assert.strictEqual(entry.version, 11);
+});
+
+test('an entry locked by another writer gives 409, and the lock is released after each change', async () => {
+	fakeKv.store.set('jobs:tracker:alex:lock:remotive_1', 'lk_someone_else');
+	await assert.rejects(updateTracked('alex', 'remotive_1', { status: 'applied' }), e => e.status === 409);
+	fakeKv.store.delete('jobs:tracker:alex:lock:remotive_1');
+	await updateTracked('alex', 'remotive_1', { status: 'applied' });
+	assert.ok(!fakeKv.store.has('jobs:tracker:alex:lock:remotive_1'));
+});
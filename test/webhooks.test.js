@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const fakeKv = require('./helpers/fake-kv');
+const { MAX_LOG, signPayload, buildPayload, newJobsSince, checkWebhookHost, createWebhook, deliverWebhook, notifyWebhooks, readDeliveryLog } = require('../lib/jobs/webhooks');
+
+const JOB = { id: 'remotive_1', title: 'Data Analyst', company: 'Acme', url: 'https://example.com/1', source: 'remotive' };
+
+// Local receiver: answers with the queued statuses (then 200) and keeps every request
+let received = [];
+let statuses = [];
+const server = http.createServer((req, res) => {
+	let body = '';
+	req.on('data', (c) => { body += c; });
+	req.on('end', () => {
+		received.push({ headers: req.headers, body });
+		res.statusCode = statuses.length ? statuses.shift() : 200;
+		if (res.statusCode === 503) res.setHeader('Retry-After', '0');
+		if (res.statusCode === 302) res.setHeader('Location', 'http://169.254.169.254/latest/meta-data/');
+		res.end();
+	});
+});
+let receiverUrl;
+
+test.before(async () => {
+	await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+	receiverUrl = 'http://127.0.0.1:' + server.address().port + '/hook';
+});
+test.after(() => {
+	server.close();
+	fakeKv.disable();
+});
+test.beforeEach(() => {
+	fakeKv.enable();
+	fakeKv.reset();
+	received = [];
+	statuses = [];
+	process.env.WEBHOOKS_ALLOW_PRIVATE = '1';
+});
+test.afterEach(() => {
+	delete process.env.WEBHOOKS_ALLOW_PRIVATE;
+});
+
+const webhook = () => ({ id: 'wh_test', url: receiverUrl, format: 'json', secret: 's3cret' });
+
+test('deliveries are signed with HMAC-SHA256 over "<timestamp>.<body>"', async () => {
+	const entry = await deliverWebhook(webhook(), [JOB], { query: 'analyst' });
+	assert.strictEqual(entry.ok, true);
+	const { headers, body } = received[0];
+	const expected = 'sha256=' + crypto.createHmac('sha256', 's3cret').update(headers['x-jobs-timestamp'] + '.' + body).digest('hex');
+	assert.strictEqual(headers['x-jobs-signature'], expected);
+	assert.strictEqual(signPayload('s3cret', headers['x-jobs-timestamp'], body), expected);
+	assert.strictEqual(headers['x-jobs-delivery'], entry.id);
+	assert.deepStrictEqual(JSON.parse(body).jobs.map(j => j.id), ['remotive_1']);
+});
+
+test('5xx is retried, 4xx is not', async () => {
+	statuses = [503, 503];
+	let entry = await deliverWebhook(webhook(), [JOB], {});
+	assert.strictEqual(entry.ok, true);
+	assert.deepStrictEqual(entry.attempts.map(a => a.status), [503, 503, 200]);
+
+	statuses = [404];
+	entry = await deliverWebhook(webhook(), [JOB], {});
+	assert.strictEqual(entry.ok, false);
+	assert.deepStrictEqual(entry.attempts.map(a => a.status), [404]);
+});
+
+test('redirects are not followed', async () => {
+	statuses = [302];
+	const entry = await deliverWebhook(webhook(), [JOB], {});
+	assert.strictEqual(entry.ok, false);
+	assert.strictEqual(received.length, 1);
+});
+
+test('no attempt starts past the deadline', async () => {
+	const entry = await deliverWebhook(webhook(), [JOB], {}, { deadline: Date.now() - 1 });
+	assert.strictEqual(entry.ok, false);
+	assert.strictEqual(entry.error, 'Deadline exceeded');
+	assert.strictEqual(received.length, 0);
+});
+
+test('the delivery log keeps the newest MAX_LOG entries', async () => {
+	fakeKv.store.set('jobs:webhooks:log', Array.from({ length: MAX_LOG }, (_, i) => ({ id: 'dl_old' + i, webhookId: 'wh_test' })));
+	const entry = await deliverWebhook(webhook(), [JOB], {});
+	const log = fakeKv.store.get('jobs:webhooks:log');
+	assert.strictEqual(log.length, MAX_LOG);
+	assert.strictEqual(log[0].id, entry.id);
+	assert.strictEqual((await readDeliveryLog({ limit: 1000 })).length, MAX_LOG);
+});
+
+test('Slack and Discord payloads are capped and summarize the rest', () => {
+	const jobs = Array.from({ length: 25 }, (_, i) => ({ ...JOB, id: 'j' + i, title: 'A <b> | ' + i }));
+	const slack = buildPayload('slack', jobs, { query: 'analyst' });
+	assert.strictEqual(slack.text, '25 new jobs for "analyst"');
+	assert.strictEqual(slack.blocks.length, 1 + 20 + 1);
+	assert.match(slack.blocks[1].text.text, /^\*<https:\/\/example\.com\/1\|A &lt;b&gt; ¦ 0>\*/);
+	const discord = buildPayload('discord', jobs, {});
+	assert.strictEqual(discord.embeds.length, 10);
+	assert.match(discord.content, /\+15 more/);
+});
+
+test('only new jobs matching a webhook\'s filters are sent', async () => {
+	const previous = [JOB];
+	const next = [JOB, { ...JOB, id: 'remotive_2', url: 'https://example.com/2', title: 'SQL Analyst' }, { ...JOB, id: 'x', url: 'https://example.com/1' }];
+	const fresh = newJobsSince(previous, next);
+	assert.deepStrictEqual(fresh.map(j => j.id), ['remotive_2']);
+
+	await createWebhook({ url: receiverUrl, q: 'sql' });
+	await createWebhook({ url: receiverUrl, q: 'python', name: 'Python' });
+	const deliveries = await notifyWebhooks(fresh, { query: 'analyst' });
+	assert.deepStrictEqual(deliveries.map(d => [d.ok, d.count, !!d.skipped]).sort(), [[true, 0, true], [true, 1, false]]);
+	assert.strictEqual(received.length, 1);
+});
+
+test('private, loopback and link-local destinations are refused', async (t) => {
+	delete process.env.WEBHOOKS_ALLOW_PRIVATE;
+	for (const url of ['http://127.0.0.1/x', 'http://[::1]/x', 'http://169.254.169.254/latest', 'http://10.1.2.3/', 'http://[fe80::1]/', 'http://[::ffff:7f00:1]/']) {
+		await assert.rejects(checkWebhookHost(url), e => e.status === 400, url);
+	}
+	// A public-looking name that resolves to a private address (also re-checked at delivery time)
+	const lookup = t.mock.method(dns.promises, 'lookup', async () => [{ address: '93.184.216.34', family: 4 }]);
+	await checkWebhookHost('https://hooks.example.com/x');
+	const created = await createWebhook({ url: 'https://hooks.example.com/x' });
+	lookup.mock.mockImplementation(async () => [{ address: '93.184.216.34', family: 4 }, { address: '192.168.0.10', family: 4 }]);
+	const entry = await deliverWebhook(created, [JOB], {});
+	assert.strictEqual(entry.ok, false);
+	assert.match(entry.error, /public address/);
+	assert.strictEqual(entry.attempts.length, 1);
+	await assert.rejects(createWebhook({ url: 'https://hooks.example.com/y' }), e => e.status === 400);
+});
+
+test('a delivery connects to the address that was checked, with the webhook\'s own Host', async (t) => {
+	// the test host resolves to the local receiver, once per attempt; WEBHOOKS_ALLOW_PRIVATE lets loopback through
+	const lookup = t.mock.method(dns.promises, 'lookup', async () => [{ address: '127.0.0.1', family: 4 }]);
+	const port = new URL(receiverUrl).port;
+	const entry = await deliverWebhook({ ...webhook(), url: 'http://hooks.example.com:' + port + '/hook' }, [JOB], {});
+	assert.strictEqual(entry.ok, true);
+	assert.strictEqual(lookup.mock.callCount(), 1);
+	assert.deepStrictEqual(lookup.mock.calls[0].arguments.slice(0, 1), ['hooks.example.com']);
+	assert.strictEqual(received[0].headers.host, 'hooks.example.com:' + port);
+
+	// without the override the same answer is refused before anything connects
+	delete process.env.WEBHOOKS_ALLOW_PRIVATE;
+	const refused = await deliverWebhook({ ...webhook(), url: 'http://hooks.example.com:' + port + '/hook' }, [JOB], {});
+	assert.strictEqual(refused.ok, false);
+	assert.match(refused.error, /public address/);
+	assert.strictEqual(received.length, 1);
+});